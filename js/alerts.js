@@ -0,0 +1,66 @@
+// Active NWS alerts along the coast. Polled from main.js; listeners redraw
+// the map layer, and the station panel asks which alerts cover a station.
+
+import { fetchAlerts } from './api/alerts.js';
+
+const listeners = new Set();
+let state = null;
+
+// Gauges and piers sit right on zone edges (county outlines stop at the
+// shoreline, marine zones start there), so "covers" includes ~2 km outside.
+const NEAR_DEG = 0.02;
+const LEVELS = ['warning', 'watch', 'advisory', 'statement'];
+
+export async function refreshAlerts() {
+  const data = await fetchAlerts();
+  if (!data || !Array.isArray(data.features)) return;
+  state = data;
+  listeners.forEach((fn) => fn(getAlerts()));
+}
+
+/** The current FeatureCollection (empty until the first refresh). */
+export function getAlerts() {
+  return state || { type: 'FeatureCollection', features: [] };
+}
+
+function insideRing(lon, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i], [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+// Distance (degrees, longitude scaled to latitude) from a point to a ring's edge.
+function ringDistance(lon, lat, ring) {
+  const k = Math.cos((lat * Math.PI) / 180);
+  let best = Infinity;
+  for (let i = 1; i < ring.length; i++) {
+    const ax = ring[i - 1][0] * k, ay = ring[i - 1][1], bx = ring[i][0] * k, by = ring[i][1];
+    const px = lon * k, py = lat;
+    const dx = bx - ax, dy = by - ay;
+    const t = dx || dy ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / (dx * dx + dy * dy))) : 0;
+    best = Math.min(best, Math.hypot(px - (ax + t * dx), py - (ay + t * dy)));
+  }
+  return best;
+}
+
+function covers(feature, lat, lon) {
+  return (feature.geometry?.coordinates || []).some(([outer, ...holes]) =>
+    (insideRing(lon, lat, outer) && !holes.some((h) => insideRing(lon, lat, h)))
+    || ringDistance(lon, lat, outer) < NEAR_DEG);
+}
+
+/** Alerts covering a station's location, most serious first (feature properties). */
+export function alertsForStation(station) {
+  return getAlerts().features
+    .filter((f) => covers(f, station.lat, station.lon))
+    .map((f) => f.properties)
+    .sort((a, b) => LEVELS.indexOf(a.level) - LEVELS.indexOf(b.level));
+}
+
+export function onAlertsChange(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
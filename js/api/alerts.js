@@ -0,0 +1,37 @@
+// Active NWS watches, warnings and advisories along the coast — the Worker
+// gathers them for the coastal offices and fills in zone outlines.
+
+import { API_BASE_URL, REQUEST_TIMEOUT } from './config.js';
+import { noteResponse } from '../offline.js';
+
+/**
+ * Fetch the coast-wide active alerts
+ * Returns a GeoJSON FeatureCollection of MultiPolygons whose properties are
+ * { id, event, level: 'warning'|'watch'|'advisory'|'statement', severity,
+ *   headline, description, instruction, areaDesc, sender, onset, ends }
+ * or null if the Worker is unreachable.
+ */
+export async function fetchAlerts() {
+  const url = `${API_BASE_URL}/nws/alerts`;
+  try {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+
+    const response = await fetch(url, {
+      signal: controller.signal
+    });
+
+    clearTimeout(timeoutId);
+    noteResponse(response, url);
+
+    if (!response.ok) {
+      console.warn(`Alerts API error: ${response.status} ${response.statusText}`);
+      return null;
+    }
+
+    return await response.json();
+  } catch (err) {
+    console.error('Alerts fetch failed:', err.message);
+    return null;
+  }
+}
@@ -0,0 +1,39 @@
+// Place-name lookup for station search — Open-Meteo's geocoder (free,
+// keyless, the same provider as the forecast grids), called directly.
+
+import { REQUEST_TIMEOUT } from './config.js';
+
+const GEOCODE_URL = 'https://geocoding-api.open-meteo.com/v1/search';
+
+/**
+ * Look up a US place by name
+ * Returns [{ name, region, lat, lon }] with Texas places first, or null if
+ * the lookup failed.
+ */
+export async function geocodePlace(name) {
+  const url = `${GEOCODE_URL}?name=${encodeURIComponent(name)}&count=8&language=en&countryCode=US&format=json`;
+  try {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+
+    const response = await fetch(url, {
+      signal: controller.signal
+    });
+
+    clearTimeout(timeoutId);
+
+    if (!response.ok) {
+      console.warn(`Geocode error: ${response.status} ${response.statusText}`);
+      return null;
+    }
+
+    const data = await response.json();
+    return (data.results || [])
+      .map((r) => ({ name: r.name, region: [r.admin2, r.admin1].filter(Boolean).join(', '), lat: r.latitude, lon: r.longitude, texas: r.admin1 === 'Texas' }))
+      .sort((a, b) => b.texas - a.texas)
+      .map(({ texas, ...place }) => place);
+  } catch (err) {
+    console.error('Geocode failed:', err.message);
+    return null;
+  }
+}
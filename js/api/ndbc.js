@@ -0,0 +1,38 @@
+// NDBC buoy and C-MAN observations — the Worker parses the realtime2 text
+// file and converts to knots, feet and °F.
+
+import { API_BASE_URL, REQUEST_TIMEOUT } from './config.js';
+import { noteResponse } from '../offline.js';
+
+/**
+ * Fetch a buoy's recent observations
+ * Returns [{ time: Date, windDir, windKt, gustKt, waveFt, dominantPeriod,
+ *   averagePeriod, waveDir, pressureMb, airF, waterF }] oldest first (any
+ *   field may be null), or null if unavailable.
+ */
+export async function fetchBuoyObservations(stationId, hours = 24) {
+  const url = `${API_BASE_URL}/ndbc/${encodeURIComponent(stationId)}?hours=${hours}`;
+  try {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+
+    const response = await fetch(url, {
+      signal: controller.signal
+    });
+
+    clearTimeout(timeoutId);
+    noteResponse(response, url);
+
+    if (!response.ok) {
+      console.warn(`NDBC API error: ${response.status} ${response.statusText}`);
+      return null;
+    }
+
+    const data = await response.json();
+    if (!data || !Array.isArray(data.observations)) return null;
+    return data.observations.map((o) => ({ ...o, time: new Date(o.time) }));
+  } catch (err) {
+    console.error('NDBC fetch failed:', err.message);
+    return null;
+  }
+}
@@ -2,11 +2,14 @@
 // Based on fishing_bot4.py:246-484
 // Now proxied through Raspberry Pi backend for caching and analytics
 
-import { parseNOAALocalTime, getDateRange, getDateRangeFromMidnightToday } from '../utils/datetime.js';
+import { parseNOAALocalTime, getDateRange, getDateRangeFromMidnightToday, dateRangeFrom } from '../utils/datetime.js';
 import { safeFloat } from '../utils/conversions.js';
 import { determineTrend, getTideDirArrow } from '../utils/formatting.js';
 import { fetchNWSTemperature } from './nws.js';
 import { API_BASE_URL, REQUEST_TIMEOUT } from './config.js';
+import { noteResponse } from '../offline.js';
+import { stationPredictor } from '../harmonics.js';
+import { subordinateOffsets, maxTimeOffset, applyOffsets, interpolateEvents } from '../subordinate.js';
 
 const NOAA_API_URL = `${API_BASE_URL}/noaa/query`;
 
@@ -39,6 +42,7 @@ async function noaaGet(params) {
     });
 
     clearTimeout(timeoutId);
+    noteResponse(response, url);
 
     const data = await response.json();
 
@@ -153,27 +157,92 @@ export async function fetchWaterTempHistory(stationId, hoursBack = 3) {
 /**
  * Fetch predictions over a time range
  * Based on fishing_bot4.py:291-312
+ * interval '6' returns [{time, ft}]; interval 'hilo' adds kind: 'High'|'Low'.
+ * If the Worker is unreachable, falls back to the bundled harmonic engine;
+ * locally computed points carry local: true. Subordinate stations are derived
+ * from their reference station's hi/lo (see subordinate.js).
  */
-async function fetchPredictions(stationId, beginDate, endDate, interval = '6') {
+async function fetchPredictions(stationId, range, interval = '6') {
+  const offsets = subordinateOffsets(stationId);
+  if (offsets) {
+    return fetchSubordinatePredictions(offsets, range, interval);
+  }
+
   const params = {
     station: stationId,
     product: 'predictions',
     datum: 'MLLW',
-    begin_date: beginDate,
-    end_date: endDate,
+    begin_date: range.begin,
+    end_date: range.end,
     interval: interval
   };
 
   const data = await noaaGet(params);
 
-  if (!data || !data.predictions || data.predictions.length === 0) {
+  if (!data) {
+    return computePredictionsLocally(stationId, range, interval);
+  }
+
+  if (!data.predictions || data.predictions.length === 0) {
     return [];
   }
 
-  return data.predictions.map(pred => ({
-    time: parseNOAALocalTime(pred.t),
-    ft: safeFloat(pred.v)
-  }));
+  return data.predictions.map(pred => {
+    const point = {
+      time: parseNOAALocalTime(pred.t),
+      ft: safeFloat(pred.v)
+    };
+    if (pred.type) point.kind = pred.type === 'H' ? 'High' : 'Low';
+    return point;
+  });
+}
+
+/**
+ * Subordinate station predictions: reference hi/lo shifted by NOAA's
+ * time/height offsets, plus a cosine-interpolated curve for interval '6'.
+ * The reference window is padded so the curve has an event on both sides
+ * of every requested time.
+ */
+async function fetchSubordinatePredictions(offsets, range, interval) {
+  const padMs = (maxTimeOffset(offsets) + 13 * 60) * 60000;
+  const refRange = dateRangeFrom(
+    new Date(range.beginDate.getTime() - padMs),
+    new Date(range.endDate.getTime() + padMs)
+  );
+  const refEvents = await fetchPredictions(offsets.reference, refRange, 'hilo');
+  if (!refEvents.length) {
+    return [];
+  }
+
+  const events = applyOffsets(refEvents, offsets);
+  const local = refEvents.some(e => e.local);
+  const points = interval === 'hilo'
+    ? events.filter(e => e.time >= range.beginDate && e.time <= range.endDate)
+    : interpolateEvents(events, range.beginDate, range.endDate, stepMinutes(interval));
+
+  return points.map(p => ({ ...p, local, reference: offsets.reference }));
+}
+
+// NOAA interval → minutes between samples ('h' = hourly).
+function stepMinutes(interval) {
+  return interval === 'h' ? 60 : parseInt(interval) || 6;
+}
+
+/**
+ * Offline fallback: predict from the station's harmonic constituents
+ * (js/data/harmonics.js). Returns [] when the station has none bundled.
+ */
+function computePredictionsLocally(stationId, range, interval) {
+  const predictor = stationPredictor(stationId, range.beginDate);
+  if (!predictor) {
+    return [];
+  }
+
+  const points = interval === 'hilo'
+    ? predictor.extremes(range.beginDate, range.endDate)
+    : predictor.heights(range.beginDate, range.endDate, stepMinutes(interval));
+
+  return points.map(p => ({ ...p, local: true }));
 }
 
 /**
@@ -247,12 +316,7 @@ export async function fetch24HourCurve(stationId) {
 
   // Fetch both observed and predicted data in parallel
   const [predictionsRaw, observed] = await Promise.all([
-    fetchPredictions(
-      stationId,
-      range.begin,
-      range.end,
-      '6' // 6-minute intervals for smooth curve
-    ),
+    fetchPredictions(stationId, range, '6'), // 6-minute intervals for smooth curve
     fetchObservedWaterLevels(stationId, 6) // Past 6 hours of observations
   ]);
 
@@ -323,7 +387,9 @@ export async function fetch24HourCurve(stationId) {
       heights: observed.map(o => o.ft)
     } : null,
     nowIndex: nowIndex,
-    noPredictions: false
+    noPredictions: false,
+    local: predictions.some(p => p.local), // computed offline from harmonics
+    reference: predictions[0].reference || null // subordinate: derived from this station
   };
 }
 
@@ -333,27 +399,7 @@ export async function fetch24HourCurve(stationId) {
  */
 async function fetchHiloEvents(stationId, days = 1) {
   const range = getDateRange(0, days * 24);
-
-  const params = {
-    station: stationId,
-    product: 'predictions',
-    datum: 'MLLW',
-    begin_date: range.begin,
-    end_date: range.end,
-    interval: 'hilo'
-  };
-
-  const data = await noaaGet(params);
-
-  if (!data || !data.predictions || data.predictions.length === 0) {
-    return [];
-  }
-
-  return data.predictions.map(pred => ({
-    time: parseNOAALocalTime(pred.t),
-    ft: safeFloat(pred.v),
-    kind: pred.type === 'H' ? 'High' : 'Low'
-  }));
+  return await fetchPredictions(stationId, range, 'hilo');
 }
 
 /**
@@ -379,7 +425,8 @@ export async function fetchNextTide(stationId) {
   // Return up to 2 events
   return {
     first: futureEvents[0] || null,
-    second: futureEvents[1] || null
+    second: futureEvents[1] || null,
+    local: futureEvents.some(e => e.local)
   };
 }
 
@@ -430,7 +477,7 @@ export async function fetchTideNow(stationId) {
   // Fetch current prediction
   const now = new Date();
   const range = getDateRange(0, 1);
-  const predictions = await fetchPredictions(stationId, range.begin, range.end, '6');
+  const predictions = await fetchPredictions(stationId, range, '6');
 
   let predicted = null;
   if (predictions && predictions.length > 0) {
@@ -473,7 +520,8 @@ export async function fetchTideNow(stationId) {
     predicted,
     delta,
     trend,
-    phaseText: phase.text
+    phaseText: phase.text,
+    local: predictions.some(p => p.local)
   };
 }
 
@@ -507,21 +555,25 @@ export async function fetchStationWind(stationId) {
 /**
  * Fetch 7-day tide predictions (current day + 6 days forward)
  * Used for weekly forecast tide chart
- * Returns array of {time, ft} prediction objects
+ * Returns array of {time, ft} prediction objects (local: true if computed offline)
  */
 export async function fetchTidePredictions7Day(stationId) {
   // Get 7 days starting from midnight today
   const range = getDateRangeFromMidnightToday(7);
+  return fetchTidePredictionRange(stationId, range.beginDate, range.endDate);
+}
 
-  const predictions = await fetchPredictions(
-    stationId,
-    range.begin,
-    range.end,
-    '6' // 6-minute intervals for smooth curve
-  );
+/**
+ * Fetch 6-minute tide predictions between two dates — the 7-day forecast's
+ * curve, stretched to any length (the Worker splits long ranges into NOAA-
+ * sized chunks). Used by the tide window finder.
+ * Returns array of {time, ft} (local: true if computed offline), or null.
+ */
+export async function fetchTidePredictionRange(stationId, beginDate, endDate) {
+  const predictions = await fetchPredictions(stationId, dateRangeFrom(beginDate, endDate), '6'); // 6-minute intervals for smooth curve
 
   if (!predictions || predictions.length === 0) {
-    console.warn(`No 7-day predictions available for station ${stationId}`);
+    console.warn(`No predictions available for station ${stationId}`);
     return null;
   }
 
@@ -532,30 +584,165 @@ export async function fetchTidePredictions7Day(stationId) {
  * Fetch 7 days of actual high/low tide events (NOAA interval=hilo) starting
  * from midnight today. The proper source of highs/lows — far more reliable
  * than scanning the dense curve for local extrema.
- * Returns array of {time, ft, kind: 'High'|'Low'}.
+ * Returns array of {time, ft, kind: 'High'|'Low'} (local: true if computed offline).
  */
 export async function fetchTideHilo7Day(stationId) {
   const range = getDateRangeFromMidnightToday(7);
+  return await fetchPredictions(stationId, range, 'hilo');
+}
+
+/**
+ * Fetch high/low tide events between two dates — enough to fill in the curve
+ * anywhere in the range by cosine interpolation (see tideLevels.js).
+ * Returns array of {time, ft, kind: 'High'|'Low'} (local: true if computed offline).
+ */
+export async function fetchTideHiloRange(stationId, beginDate, endDate) {
+  return await fetchPredictions(stationId, dateRangeFrom(beginDate, endDate), 'hilo');
+}
+
+/**
+ * Fetch tidal current predictions for a current station over a window
+ * relative to now. Velocity is signed along the channel axis: flood > 0,
+ * ebb < 0 (knots). Returns array of {time, knots, floodDir, ebbDir}.
+ * Directions are the mean flood/ebb set in degrees true.
+ */
+export async function fetchCurrentPredictions(station, hoursBack = 6, hoursAhead = 24) {
+  const range = getDateRange(-hoursBack, hoursAhead);
 
   const params = {
-    station: stationId,
-    product: 'predictions',
-    datum: 'MLLW',
+    station: station.id,
+    product: 'currents_predictions',
     begin_date: range.begin,
     end_date: range.end,
-    interval: 'hilo'
+    interval: '6',
+    bin: station.bin
   };
 
   const data = await noaaGet(params);
+  const cp = data?.current_predictions?.cp;
 
-  if (!data || !data.predictions || data.predictions.length === 0) {
+  if (!cp || cp.length === 0) {
     return [];
   }
 
-  return data.predictions.map(pred => ({
-    time: parseNOAALocalTime(pred.t),
-    ft: safeFloat(pred.v),
-    kind: pred.type === 'H' ? 'High' : 'Low'
-  }));
+  // Like tide predictions, the Worker widens this to whole days — clip back.
+  return cp
+    .map(p => ({
+      time: parseNOAALocalTime(p.Time),
+      knots: safeFloat(p.Velocity_Major),
+      floodDir: safeFloat(p.meanFloodDir),
+      ebbDir: safeFloat(p.meanEbbDir)
+    }))
+    .filter(p => p.time && p.time >= range.beginDate && p.time <= range.endDate);
+}
+
+/**
+ * Fetch max flood / max ebb / slack events (NOAA interval=MAX_SLACK) from now
+ * through `hoursAhead`. Returns array of {time, type: 'flood'|'ebb'|'slack', knots}.
+ */
+export async function fetchCurrentEvents(station, hoursAhead = 48) {
+  const range = getDateRange(0, hoursAhead);
+
+  const params = {
+    station: station.id,
+    product: 'currents_predictions',
+    begin_date: range.begin,
+    end_date: range.end,
+    interval: 'MAX_SLACK',
+    bin: station.bin
+  };
+
+  const data = await noaaGet(params);
+  const cp = data?.current_predictions?.cp;
+
+  if (!cp || cp.length === 0) {
+    return [];
+  }
+
+  return cp
+    .map(p => ({
+      time: parseNOAALocalTime(p.Time),
+      type: String(p.Type || '').toLowerCase(),
+      knots: safeFloat(p.Velocity_Major)
+    }))
+    .filter(e => e.time && e.time >= range.beginDate && e.time <= range.endDate);
 }
 
+// History ranges longer than this switch from 6-minute to hourly samples.
+const HOURLY_AFTER_DAYS = 14;
+
+/**
+ * Fetch a station's history over an arbitrary past range (History view).
+ * Ranges longer than HOURLY_AFTER_DAYS use hourly samples — water level from
+ * NOAA's verified hourly heights — and the Worker chunks anything past NOAA's
+ * per-request limits. Products the station doesn't report come back as [].
+ * Returns { observed, predicted, residual, waterTemp, pressure: [{time, value}],
+ *           wind: [{time, speed, gust}] (knots), hourly, local }
+ */
+export async function fetchStationHistory(station, beginDate, endDate) {
+  const range = dateRangeFrom(beginDate, endDate);
+  const hourly = endDate - beginDate > HOURLY_AFTER_DAYS * 24 * 3600 * 1000;
+  const interval = hourly ? 'h' : '6';
+  const has = (product) => (station.products || []).includes(product);
+
+  const series = async (product, extra = {}, span = range) => {
+    const data = await noaaGet({
+      station: station.id,
+      product,
+      begin_date: span.begin,
+      end_date: span.end,
+      ...extra
+    });
+    return data?.data || [];
+  };
+
+  const values = rows => rows
+    .map(r => ({ time: parseNOAALocalTime(r.t), value: safeFloat(r.v) }))
+    .filter(p => p.time && p.value !== null);
+
+  // Hourly ranges read hourly_height (a year per request instead of a
+  // month). NOAA only publishes it once verified, a month or two behind, so
+  // the tail after the last verified hour comes from 6-minute water levels
+  // thinned to the hour.
+  const waterLevels = async () => {
+    if (!has('water_level')) return [];
+    if (!hourly) return values(await series('water_level', { datum: 'MLLW' }));
+    const verified = values(await series('hourly_height', { datum: 'MLLW' }));
+    const last = verified.length ? verified[verified.length - 1].time : beginDate;
+    if (endDate - last <= 3600 * 1000) return verified;
+    const tail = values(await series('water_level', { datum: 'MLLW' }, dateRangeFrom(last, endDate)));
+    return [...verified, ...tail.filter(p => p.time > last && p.time.getMinutes() === 0)];
+  };
+  const optional = (product) => has(product) ? series(product, { interval }) : [];
+
+  const [observed, predicted, temp, wind, pres] = await Promise.all([
+    waterLevels(),
+    has('predictions') ? fetchPredictions(station.id, range, interval) : [],
+    optional('water_temperature'),
+    optional('wind'),
+    optional('air_pressure')
+  ]);
+
+  // Predictions are widened to whole days by the Worker — clip back.
+  const pred = predicted
+    .filter(p => p.time >= beginDate && p.time <= endDate)
+    .map(p => ({ time: p.time, value: p.ft }));
+
+  const predByTime = new Map(pred.map(p => [p.time.getTime(), p.value]));
+  const residual = observed
+    .filter(p => predByTime.has(p.time.getTime()))
+    .map(p => ({ time: p.time, value: p.value - predByTime.get(p.time.getTime()) }));
+
+  return {
+    observed,
+    predicted: pred,
+    residual,
+    waterTemp: values(temp),
+    pressure: values(pres),
+    wind: wind
+      .map(r => ({ time: parseNOAALocalTime(r.t), speed: safeFloat(r.s), gust: safeFloat(r.g) }))
+      .filter(p => p.time && p.speed !== null),
+    hourly,
+    local: predicted.some(p => p.local)
+  };
+}
@@ -3,6 +3,7 @@
 // Now proxied through Raspberry Pi backend for caching and analytics
 
 import { API_BASE_URL, REQUEST_TIMEOUT } from './config.js';
+import { noteResponse } from '../offline.js';
 
 const NWS_API_URL = `${API_BASE_URL}/nws`;
 
@@ -20,6 +21,7 @@ async function nwsGet(url) {
     });
 
     clearTimeout(timeoutId);
+    noteResponse(response, url);
 
     if (!response.ok) {
       console.warn(`NWS API error: ${response.status} ${response.statusText}`);
@@ -89,6 +91,48 @@ export async function fetchNWSTemperature(lat, lon) {
   return data.temperature;
 }
 
+/**
+ * Fetch the NWS Coastal Waters Forecast for the marine zones around a location
+ * Returns { zones: [{ id, kind: 'local'|'offshore', name, issuedAt,
+ * headlines: [{text, level}], synopsis, periods: [{name, text, wind, seas, bays}] }] }
+ * — wind in knots, seas in feet — or null when no marine zone is nearby
+ */
+export async function fetchMarineForecast(lat, lon) {
+  const url = `${NWS_API_URL}/marine?lat=${lat}&lon=${lon}`;
+  const data = await nwsGet(url);
+
+  if (!data || data.error || !data.zones?.length) {
+    return null;
+  }
+
+  return data;
+}
+
+/**
+ * Fetch the NWS hourly forecast's wind for a location (about a week out)
+ * Returns array of {time, mph, direction} — mph is the midpoint of a
+ * "10 to 15 mph" range — or null
+ */
+export async function fetchHourlyWind(lat, lon) {
+  const points = await fetchNWSPoints(lat, lon);
+
+  if (!points || !points.forecastHourly) {
+    return null;
+  }
+
+  const data = await nwsGet(points.forecastHourly);
+
+  if (!data || !data.properties || !data.properties.periods) {
+    return null;
+  }
+
+  return data.properties.periods.map((period) => {
+    const match = period.windSpeed?.match(/(\d+)\s*(?:to\s*(\d+))?\s*mph/);
+    const mph = match ? (parseInt(match[1]) + parseInt(match[2] || match[1])) / 2 : null;
+    return { time: new Date(period.startTime), mph, direction: period.windDirection || '' };
+  });
+}
+
 /**
  * Fetch 7-day weather forecast (starting from midnight today)
  * Returns array of daily forecast objects with weather, temp, wind, precip
@@ -0,0 +1,55 @@
+// Web Push subscription API on the Worker (worker/src/push.js).
+
+import { API_BASE_URL, REQUEST_TIMEOUT } from './config.js';
+
+const PUSH_API_URL = `${API_BASE_URL}/push`;
+
+async function pushRequest(path, body) {
+  try {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+
+    const response = await fetch(`${PUSH_API_URL}/${path}`, body ? {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    } : { signal: controller.signal });
+
+    clearTimeout(timeoutId);
+
+    const data = await response.json();
+    if (!response.ok) {
+      console.warn(`Push API error (${path}):`, data.error || response.status);
+      return null;
+    }
+    return data;
+  } catch (err) {
+    console.error('Push request failed:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Fetch the Worker's VAPID public key (base64url) for pushManager.subscribe
+ * Returns null if push isn't configured on the Worker
+ */
+export async function fetchVapidKey() {
+  const data = await pushRequest('vapid-key');
+  return data?.publicKey || null;
+}
+
+/**
+ * Register (or update) a push subscription with its full rule set
+ * rules: [{ station, type, value }]. Returns true on success.
+ */
+export async function postSubscription(subscription, rules) {
+  return !!(await pushRequest('subscribe', { subscription, rules }));
+}
+
+/**
+ * Remove a push subscription from the Worker
+ */
+export async function postUnsubscribe(endpoint) {
+  return !!(await pushRequest('unsubscribe', { endpoint }));
+}
@@ -0,0 +1,34 @@
+// Residual (storm surge) alerts from the Worker's residual monitor — a cron
+// job that compares observed water level with predictions for every
+// prediction station.
+
+import { API_BASE_URL, REQUEST_TIMEOUT } from './config.js';
+
+/**
+ * Fetch the coast-wide residual state
+ * Returns { updatedAt, thresholdFt, durationMinutes, stations: { [id]: {
+ *   residual, time, direction: 'high'|'low'|null, flagged, since, peak } } }
+ * or null if the Worker is unreachable or hasn't run the monitor yet.
+ */
+export async function fetchResiduals() {
+  try {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+
+    const response = await fetch(`${API_BASE_URL}/residuals`, {
+      signal: controller.signal
+    });
+
+    clearTimeout(timeoutId);
+
+    if (!response.ok) {
+      console.warn(`Residuals API error: ${response.status} ${response.statusText}`);
+      return null;
+    }
+
+    return await response.json();
+  } catch (err) {
+    console.error('Residuals fetch failed:', err.message);
+    return null;
+  }
+}
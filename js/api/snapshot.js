@@ -0,0 +1,50 @@
+// Station snapshot — everything the station panel shows in one Worker request
+// (/api/station/:id/snapshot) instead of a dozen. The Worker fans out,
+// caches each piece at its own TTL and shares overlapping NOAA reads.
+
+import { API_BASE_URL, REQUEST_TIMEOUT } from './config.js';
+import { noteResponse } from '../offline.js';
+
+const dates = (list) => list.map((t) => new Date(t));
+
+/**
+ * Fetch a station's snapshot
+ * Returns { tideNow, nextTide, curve, waterTemp, waterTempHistory, airTemp,
+ * wind, windForecast, pressure, sunMoon, marine, errors } — each section in
+ * the shape its own fetcher (noaa.js, nws.js, usno.js) returns, null if it
+ * failed (reason in errors[section]) — or null if the request failed.
+ */
+export async function fetchStationSnapshot(stationId) {
+  const url = `${API_BASE_URL}/station/${encodeURIComponent(stationId)}/snapshot`;
+  try {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+
+    const response = await fetch(url, {
+      signal: controller.signal
+    });
+
+    clearTimeout(timeoutId);
+    noteResponse(response, url);
+
+    if (!response.ok) {
+      console.warn(`Snapshot API error: ${response.status} ${response.statusText}`);
+      return null;
+    }
+
+    const s = await response.json();
+    const event = (e) => (e ? { ...e, time: new Date(e.time) } : null);
+    const series = (x) => (x ? { ...x, times: dates(x.times) } : null);
+    return {
+      ...s,
+      nextTide: s.nextTide && { ...s.nextTide, first: event(s.nextTide.first), second: event(s.nextTide.second) },
+      curve: s.curve && { ...s.curve, predicted: series(s.curve.predicted), observed: series(s.curve.observed) },
+      waterTempHistory: (s.waterTempHistory || []).map((o) => ({ ...o, time: new Date(o.time) })),
+      marine: s.marine?.zones?.length ? s.marine : null,
+      errors: s.errors || {},
+    };
+  } catch (err) {
+    console.error('Snapshot fetch failed:', err.message);
+    return null;
+  }
+}
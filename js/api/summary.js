@@ -0,0 +1,49 @@
+// Favorites summaries — one Worker request (/api/summary) for the whole
+// favorites list instead of four per station.
+
+import { API_BASE_URL, REQUEST_TIMEOUT } from './config.js';
+import { noteResponse } from '../offline.js';
+
+/**
+ * Fetch summaries for a list of station ids
+ * Returns { [id]: { tideNow: { observed, trend }, curve: { predicted | observed:
+ * { times, heights } }, waterTemp, wind: { speed, gust, direction } } or
+ * { error } } — shaped like the per-station fetchers in noaa.js, wind in knots
+ * — or null if the request failed.
+ */
+export async function fetchSummaries(stationIds) {
+  const url = `${API_BASE_URL}/summary?stations=${stationIds.map(encodeURIComponent).join(',')}`;
+  try {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+
+    const response = await fetch(url, {
+      signal: controller.signal
+    });
+
+    clearTimeout(timeoutId);
+    noteResponse(response, url);
+
+    if (!response.ok) {
+      console.warn(`Summary API error: ${response.status} ${response.statusText}`);
+      return null;
+    }
+
+    const data = await response.json();
+    const out = {};
+    for (const [id, s] of Object.entries(data.stations || {})) {
+      if (s.error) { out[id] = { error: s.error }; continue; }
+      const series = s.curve && { times: s.curve.times.map((t) => new Date(t)), heights: s.curve.heights };
+      out[id] = {
+        tideNow: { observed: s.level, trend: s.trend },
+        curve: series && (s.curve.kind === 'predicted' ? { predicted: series, observed: null } : { predicted: null, observed: series }),
+        waterTemp: s.waterTemp,
+        wind: s.wind,
+      };
+    }
+    return out;
+  } catch (err) {
+    console.error('Summary fetch failed:', err.message);
+    return null;
+  }
+}
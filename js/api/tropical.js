@@ -0,0 +1,37 @@
+// Active Atlantic / Gulf tropical cyclones — the Worker reads NHC's
+// CurrentStorms.json and unpacks each storm's cone and track KMZs.
+
+import { API_BASE_URL, REQUEST_TIMEOUT } from './config.js';
+import { noteResponse } from '../offline.js';
+
+/**
+ * Fetch active tropical cyclones
+ * Returns { updatedAt, storms: [{ id, name, classification, type, windKt,
+ *   pressureMb, lat, lon, movement: {direction (deg), speedMph}, lastUpdate,
+ *   advisory: {number, issued, url}, cone: [ring], forecast: [{lat, lon, label, windKt}],
+ *   track: [line] }] } — rings and lines are [[lon, lat], ...] — or null.
+ */
+export async function fetchTropical() {
+  const url = `${API_BASE_URL}/tropical`;
+  try {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+
+    const response = await fetch(url, {
+      signal: controller.signal
+    });
+
+    clearTimeout(timeoutId);
+    noteResponse(response, url);
+
+    if (!response.ok) {
+      console.warn(`Tropical API error: ${response.status} ${response.statusText}`);
+      return null;
+    }
+
+    return await response.json();
+  } catch (err) {
+    console.error('Tropical fetch failed:', err.message);
+    return null;
+  }
+}
@@ -3,6 +3,7 @@
 // Provides sun/moon rise/set times and moon phase data
 
 import { API_BASE_URL, REQUEST_TIMEOUT } from './config.js';
+import { noteResponse } from '../offline.js';
 
 const USNO_API_URL = `${API_BASE_URL}/usno`;
 
@@ -33,6 +34,7 @@ export async function fetchSunMoonData(lat, lon, date = new Date()) {
     });
 
     clearTimeout(timeoutId);
+    noteResponse(response, url);
 
     if (!response.ok) {
       console.warn('USNO API error:', response.status, response.statusText);
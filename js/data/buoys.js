@@ -0,0 +1,55 @@
+// NDBC buoys and C-MAN stations off the Texas coast
+// Source: NDBC station pages (ndbc.noaa.gov/station_page.php?station=ID)
+// Buoys report wind, waves, pressure and temperatures; C-MAN stations (on
+// jetties and platforms) report no waves.
+
+export const TEXAS_BUOYS = [
+  {
+    id: "42035",
+    name: "Galveston (22 NM E)",
+    lat: 29.232,
+    lon: -94.413,
+    kind: "buoy",
+    type: "Buoy"
+  },
+  {
+    id: "SRST2",
+    name: "Sabine Pass C-MAN",
+    lat: 29.683,
+    lon: -94.033,
+    kind: "buoy",
+    type: "C-MAN"
+  },
+  {
+    id: "42019",
+    name: "Freeport (60 NM S)",
+    lat: 27.910,
+    lon: -95.345,
+    kind: "buoy",
+    type: "Buoy"
+  },
+  {
+    id: "PTAT2",
+    name: "Port Aransas C-MAN",
+    lat: 27.826,
+    lon: -97.050,
+    kind: "buoy",
+    type: "C-MAN"
+  },
+  {
+    id: "42020",
+    name: "Corpus Christi (60 NM SSE)",
+    lat: 26.968,
+    lon: -96.693,
+    kind: "buoy",
+    type: "Buoy"
+  },
+  {
+    id: "42002",
+    name: "West Gulf (207 NM E of Brownsville)",
+    lat: 26.055,
+    lon: -93.646,
+    kind: "buoy",
+    type: "Buoy"
+  }
+];
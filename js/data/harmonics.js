@@ -0,0 +1,54 @@
+// NOAA CO-OPS harmonic constituents for the Texas prediction stations.
+// GENERATED by scripts/generate-harmonics.mjs from
+// NOAA constituents + datums as republished in @neaps/tide-database.
+// Don't hand-edit; rerun the script instead.
+//
+// Shape: { [stationId]: { msl, constituents: [{ name, amplitude, phase, speed }] } }
+//   msl        MSL above MLLW (ft) — lifts the harmonic sum onto the MLLW datum
+//   amplitude  ft
+//   phase      degrees, Greenwich epoch (NOAA phase_GMT)
+//   speed      degrees/hour, when the source gives it (informational;
+//              js/harmonics.js derives its own)
+//
+// Stations missing here simply have no offline fallback.
+
+export const STATION_HARMONICS = {
+  "8770475": {"msl":0.6,"constituents":[{"name":"M2","amplitude":0.1739,"phase":320.7},{"name":"S2","amplitude":0.0591,"phase":313.4},{"name":"N2","amplitude":0.0459,"phase":296.5},{"name":"K1","amplitude":0.2953,"phase":74.1},{"name":"M4","amplitude":0.0033,"phase":264.6},{"name":"O1","amplitude":0.2822,"phase":64.1},{"name":"M6","amplitude":0.0033,"phase":155},{"name":"MK3","amplitude":0.0066,"phase":164.9},{"name":"S4","amplitude":0.0033,"phase":146},{"name":"MN4","amplitude":0.0033,"phase":228.9},{"name":"NU2","amplitude":0.0066,"phase":308.5},{"name":"S6","amplitude":0.0033,"phase":261.5},{"name":"MU2","amplitude":0.0131,"phase":231.2},{"name":"2N2","amplitude":0.0066,"phase":253.2},{"name":"OO1","amplitude":0.0197,"phase":91.6},{"name":"LAM2","amplitude":0.0033,"phase":52.7},{"name":"S1","amplitude":0.0131,"phase":335.4},{"name":"M1","amplitude":0.0098,"phase":70.1},{"name":"J1","amplitude":0.0098,"phase":73.1},{"name":"SSA","amplitude":0.3379,"phase":46.2},{"name":"SA","amplitude":0.3314,"phase":127.7},{"name":"RHO","amplitude":0.0131,"phase":52.6},{"name":"Q1","amplitude":0.0525,"phase":47},{"name":"T2","amplitude":0.0033,"phase":308.5},{"name":"R2","amplitude":0.0033,"phase":103.1},{"name":"2Q1","amplitude":0.0066,"phase":5.1},{"name":"P1","amplitude":0.082,"phase":67.7},{"name":"2SM2","amplitude":0.0033,"phase":15.4},{"name":"M3","amplitude":0.0033,"phase":259.2},{"name":"L2","amplitude":0.0098,"phase":48.3},{"name":"2MK3","amplitude":0.0066,"phase":167},{"name":"K2","amplitude":0.0197,"phase":19},{"name":"MS4","amplitude":0.0033,"phase":269.6}]},
+  "8770570": {"msl":0.961,"constituents":[{"name":"M2","amplitude":0.3609,"phase":276.5},{"name":"S2","amplitude":0.1148,"phase":271.9},{"name":"N2","amplitude":0.0951,"phase":254.6},{"name":"K1","amplitude":0.4068,"phase":42.3},{"name":"M4","amplitude":0.0131,"phase":325.8},{"name":"O1","amplitude":0.3839,"phase":35.8},{"name":"M6","amplitude":0.0033,"phase":150.8},{"name":"MK3","amplitude":0.023,"phase":130.6},{"name":"S4","amplitude":0.0066,"phase":74.4},{"name":"MN4","amplitude":0.0066,"phase":302.1},{"name":"NU2","amplitude":0.0164,"phase":264.3},{"name":"S6","amplitude":0.0033,"phase":175.6},{"name":"MU2","amplitude":0.0164,"phase":213.7},{"name":"2N2","amplitude":0.0164,"phase":225.2},{"name":"OO1","amplitude":0.0262,"phase":70.9},{"name":"LAM2","amplitude":0.0033,"phase":356.2},{"name":"S1","amplitude":0.0262,"phase":321.3},{"name":"M1","amplitude":0.0131,"phase":30},{"name":"J1","amplitude":0.0262,"phase":47.8},{"name":"SSA","amplitude":0.3018,"phase":67.4},{"name":"SA","amplitude":0.2822,"phase":148},{"name":"RHO","amplitude":0.0164,"phase":12.9},{"name":"Q1","amplitude":0.082,"phase":17.9},{"name":"T2","amplitude":0.0066,"phase":268.6},{"name":"R2","amplitude":0.0033,"phase":133.8},{"name":"2Q1","amplitude":0.0066,"phase":348.9},{"name":"P1","amplitude":0.1181,"phase":32.9},{"name":"2SM2","amplitude":0.0066,"phase":311.3},{"name":"M3","amplitude":0.0098,"phase":208.7},{"name":"L2","amplitude":0.0098,"phase":347.6},{"name":"2MK3","amplitude":0.0164,"phase":135.1},{"name":"K2","amplitude":0.023,"phase":2.3},{"name":"MS4","amplitude":0.0098,"phase":336}]},
+  "8770613": {"msl":0.728,"constituents":[{"name":"M2","amplitude":0.1936,"phase":65},{"name":"S2","amplitude":0.0427,"phase":49.6},{"name":"N2","amplitude":0.0459,"phase":37.9},{"name":"K1","amplitude":0.4298,"phase":111.2},{"name":"M4","amplitude":0.0033,"phase":350.7},{"name":"O1","amplitude":0.4167,"phase":98.6},{"name":"M6","amplitude":0.0033,"phase":186.8},{"name":"MK3","amplitude":0.0033,"phase":67.8},{"name":"S4","amplitude":0.0033,"phase":313.3},{"name":"MN4","amplitude":0.0033,"phase":318.8},{"name":"NU2","amplitude":0.0098,"phase":47.6},{"name":"S6","amplitude":0.0033,"phase":68.9},{"name":"MU2","amplitude":0.0098,"phase":297.4},{"name":"2N2","amplitude":0.0033,"phase":26.8},{"name":"OO1","amplitude":0.0459,"phase":131.1},{"name":"LAM2","amplitude":0.0066,"phase":99.1},{"name":"S1","amplitude":0.0131,"phase":128.3},{"name":"M1","amplitude":0.0131,"phase":202.1},{"name":"J1","amplitude":0.0066,"phase":78.5},{"name":"SSA","amplitude":0.3281,"phase":71.3},{"name":"SA","amplitude":0.3346,"phase":133},{"name":"RHO","amplitude":0.0164,"phase":101.7},{"name":"Q1","amplitude":0.082,"phase":82.4},{"name":"T2","amplitude":0.0033,"phase":97.1},{"name":"R2","amplitude":0.0066,"phase":17.8},{"name":"2Q1","amplitude":0.0098,"phase":50.2},{"name":"P1","amplitude":0.1115,"phase":114.6},{"name":"L2","amplitude":0.0098,"phase":96},{"name":"2MK3","amplitude":0.0033,"phase":54.2},{"name":"K2","amplitude":0.0328,"phase":87.1},{"name":"M8","amplitude":0.0033,"phase":66.1}]},
+  "8770777": {"msl":0.886,"constituents":[{"name":"M2","amplitude":0.2986,"phase":78.3},{"name":"S2","amplitude":0.0755,"phase":67.9},{"name":"N2","amplitude":0.0722,"phase":53.9},{"name":"K1","amplitude":0.479,"phase":117.2},{"name":"M4","amplitude":0.0098,"phase":74.6},{"name":"O1","amplitude":0.4528,"phase":102.3},{"name":"M6","amplitude":0.0033,"phase":282.6},{"name":"MK3","amplitude":0.0197,"phase":86.4},{"name":"S4","amplitude":0.0033,"phase":2.5},{"name":"MN4","amplitude":0.0066,"phase":48.8},{"name":"NU2","amplitude":0.0131,"phase":64.5},{"name":"S6","amplitude":0.0033,"phase":276.5},{"name":"MU2","amplitude":0.0197,"phase":299.4},{"name":"2N2","amplitude":0.0066,"phase":24.5},{"name":"OO1","amplitude":0.0492,"phase":120.6},{"name":"LAM2","amplitude":0.0066,"phase":109.9},{"name":"S1","amplitude":0.0098,"phase":139.3},{"name":"M1","amplitude":0.0131,"phase":139.7},{"name":"J1","amplitude":0.0098,"phase":123.8},{"name":"SSA","amplitude":0.3609,"phase":44.3},{"name":"SA","amplitude":0.3576,"phase":134.7},{"name":"RHO","amplitude":0.0164,"phase":95.3},{"name":"Q1","amplitude":0.082,"phase":87.3},{"name":"T2","amplitude":0.0131,"phase":119.4},{"name":"R2","amplitude":0.0033,"phase":18.7},{"name":"2Q1","amplitude":0.0066,"phase":68.3},{"name":"P1","amplitude":0.1312,"phase":123.1},{"name":"2SM2","amplitude":0.0033,"phase":217.2},{"name":"M3","amplitude":0.0033,"phase":330.4},{"name":"L2","amplitude":0.0164,"phase":129.8},{"name":"2MK3","amplitude":0.0164,"phase":60},{"name":"K2","amplitude":0.0427,"phase":104.7},{"name":"MS4","amplitude":0.0066,"phase":83.8}]},
+  "8770822": {"msl":1.155,"constituents":[{"name":"M2","amplitude":0.4626,"phase":265.6},{"name":"S2","amplitude":0.1542,"phase":267.5},{"name":"N2","amplitude":0.1214,"phase":244.8},{"name":"K1","amplitude":0.479,"phase":34},{"name":"M4","amplitude":0.0164,"phase":326.6},{"name":"O1","amplitude":0.4429,"phase":26.4},{"name":"MK3","amplitude":0.0262,"phase":128.4},{"name":"MN4","amplitude":0.0066,"phase":299.6},{"name":"NU2","amplitude":0.0197,"phase":254.9},{"name":"S6","amplitude":0.0033,"phase":185.3},{"name":"MU2","amplitude":0.0197,"phase":193.5},{"name":"2N2","amplitude":0.0197,"phase":219.6},{"name":"OO1","amplitude":0.0262,"phase":57.8},{"name":"LAM2","amplitude":0.0033,"phase":353.3},{"name":"S1","amplitude":0.0164,"phase":279},{"name":"M1","amplitude":0.0262,"phase":33.6},{"name":"J1","amplitude":0.0295,"phase":42.8},{"name":"SSA","amplitude":0.3478,"phase":47},{"name":"SA","amplitude":0.3379,"phase":135.1},{"name":"RHO","amplitude":0.0164,"phase":15.9},{"name":"Q1","amplitude":0.0984,"phase":10.4},{"name":"T2","amplitude":0.0131,"phase":293.5},{"name":"R2","amplitude":0.0098,"phase":104.6},{"name":"2Q1","amplitude":0.0131,"phase":335.3},{"name":"P1","amplitude":0.1476,"phase":28},{"name":"2SM2","amplitude":0.0098,"phase":330.5},{"name":"M3","amplitude":0.0066,"phase":212.2},{"name":"L2","amplitude":0.0098,"phase":358.3},{"name":"2MK3","amplitude":0.0262,"phase":121.3},{"name":"K2","amplitude":0.0197,"phase":337.3},{"name":"MS4","amplitude":0.0098,"phase":345.2}]},
+  "8770933": {"msl":0.633,"constituents":[{"name":"M2","amplitude":0.1214,"phase":94.7},{"name":"S2","amplitude":0.0262,"phase":81.3},{"name":"N2","amplitude":0.0328,"phase":96.4},{"name":"K1","amplitude":0.3445,"phase":133},{"name":"M4","amplitude":0.0098,"phase":313.9},{"name":"O1","amplitude":0.3445,"phase":118.2},{"name":"M6","amplitude":0.0033,"phase":282.4},{"name":"NU2","amplitude":0.0098,"phase":155.2},{"name":"MU2","amplitude":0.0066,"phase":305.4},{"name":"2N2","amplitude":0.0197,"phase":260},{"name":"OO1","amplitude":0.0459,"phase":136.4},{"name":"LAM2","amplitude":0.0131,"phase":239.8},{"name":"S1","amplitude":0.0131,"phase":36.2},{"name":"M1","amplitude":0.0066,"phase":282.1},{"name":"J1","amplitude":0.0098,"phase":166.6},{"name":"SSA","amplitude":0.3773,"phase":68.1},{"name":"SA","amplitude":0.2198,"phase":126.4},{"name":"RHO","amplitude":0.023,"phase":117.7},{"name":"Q1","amplitude":0.082,"phase":115.2},{"name":"T2","amplitude":0.0066,"phase":193.7},{"name":"R2","amplitude":0.0033,"phase":51},{"name":"2Q1","amplitude":0.0197,"phase":256.7},{"name":"P1","amplitude":0.0886,"phase":140.1},{"name":"K2","amplitude":0.0328,"phase":110.5},{"name":"M8","amplitude":0.0033,"phase":160.5}]},
+  "8770971": {"msl":0.738,"constituents":[{"name":"M2","amplitude":0.1903,"phase":25},{"name":"S2","amplitude":0.0525,"phase":18.2},{"name":"N2","amplitude":0.0427,"phase":0.1},{"name":"K1","amplitude":0.3937,"phase":96.2},{"name":"M4","amplitude":0.023,"phase":317.7},{"name":"O1","amplitude":0.397,"phase":87.5},{"name":"M6","amplitude":0.0066,"phase":218.8},{"name":"MK3","amplitude":0.0164,"phase":334.9},{"name":"S4","amplitude":0.0033,"phase":189.4},{"name":"MN4","amplitude":0.0131,"phase":286.5},{"name":"NU2","amplitude":0.0066,"phase":22.7},{"name":"S6","amplitude":0.0033,"phase":288.6},{"name":"MU2","amplitude":0.0066,"phase":256.2},{"name":"2N2","amplitude":0.0033,"phase":269.5},{"name":"OO1","amplitude":0.0295,"phase":107.3},{"name":"S1","amplitude":0.0427,"phase":337.8},{"name":"M1","amplitude":0.0131,"phase":157.6},{"name":"J1","amplitude":0.0033,"phase":79.6},{"name":"SSA","amplitude":0.2953,"phase":72.7},{"name":"SA","amplitude":0.2854,"phase":140},{"name":"RHO","amplitude":0.0131,"phase":84.6},{"name":"Q1","amplitude":0.0722,"phase":70},{"name":"T2","amplitude":0.0033,"phase":222.2},{"name":"R2","amplitude":0.0033,"phase":63.1},{"name":"2Q1","amplitude":0.0131,"phase":90},{"name":"P1","amplitude":0.105,"phase":92.5},{"name":"2SM2","amplitude":0.0033,"phase":277.6},{"name":"L2","amplitude":0.0131,"phase":76.3},{"name":"2MK3","amplitude":0.023,"phase":326.9},{"name":"K2","amplitude":0.023,"phase":45.4},{"name":"MS4","amplitude":0.0098,"phase":327}]},
+  "8771013": {"msl":0.604,"constituents":[{"name":"M2","amplitude":0.105,"phase":23},{"name":"S2","amplitude":0.0361,"phase":19.9},{"name":"N2","amplitude":0.0262,"phase":355.9},{"name":"K1","amplitude":0.3642,"phase":99.7},{"name":"M4","amplitude":0.0066,"phase":211.1},{"name":"O1","amplitude":0.3642,"phase":88.1},{"name":"M6","amplitude":0.0033,"phase":66.4},{"name":"MK3","amplitude":0.0066,"phase":259.4},{"name":"MN4","amplitude":0.0033,"phase":170.5},{"name":"NU2","amplitude":0.0066,"phase":340.4},{"name":"MU2","amplitude":0.0098,"phase":279.9},{"name":"2N2","amplitude":0.0066,"phase":293.9},{"name":"OO1","amplitude":0.0328,"phase":110.9},{"name":"LAM2","amplitude":0.0033,"phase":67.1},{"name":"S1","amplitude":0.0328,"phase":339.3},{"name":"M1","amplitude":0.0066,"phase":115.4},{"name":"J1","amplitude":0.0066,"phase":80.5},{"name":"SSA","amplitude":0.2887,"phase":60},{"name":"SA","amplitude":0.2723,"phase":144.6},{"name":"RHO","amplitude":0.0131,"phase":85.5},{"name":"Q1","amplitude":0.0656,"phase":70.1},{"name":"T2","amplitude":0.0066,"phase":1.7},{"name":"R2","amplitude":0.0033,"phase":206.8},{"name":"2Q1","amplitude":0.0066,"phase":44.8},{"name":"P1","amplitude":0.0919,"phase":99.8},{"name":"L2","amplitude":0.0066,"phase":92.5},{"name":"2MK3","amplitude":0.0066,"phase":254.2},{"name":"K2","amplitude":0.0197,"phase":76.5},{"name":"MS4","amplitude":0.0033,"phase":222.2}]},
+  "8771262": {"msl":0.597,"constituents":[{"name":"M2","amplitude":0.1115,"phase":334.5},{"name":"S2","amplitude":0.0394,"phase":337.9},{"name":"N2","amplitude":0.0295,"phase":303},{"name":"K1","amplitude":0.3379,"phase":96},{"name":"M4","amplitude":0.0098,"phase":205.4},{"name":"O1","amplitude":0.3117,"phase":82.1},{"name":"M6","amplitude":0.0033,"phase":63.4},{"name":"S4","amplitude":0.0098,"phase":54.4},{"name":"NU2","amplitude":0.0066,"phase":308},{"name":"MU2","amplitude":0.0033,"phase":329.5},{"name":"2N2","amplitude":0.0033,"phase":266.9},{"name":"OO1","amplitude":0.0131,"phase":110},{"name":"M1","amplitude":0.023,"phase":89.2},{"name":"J1","amplitude":0.0262,"phase":103},{"name":"SSA","amplitude":0.2822,"phase":55.6},{"name":"SA","amplitude":0.2165,"phase":155.7},{"name":"RHO","amplitude":0.0131,"phase":76.4},{"name":"Q1","amplitude":0.0623,"phase":75.2},{"name":"T2","amplitude":0.0033,"phase":338},{"name":"2Q1","amplitude":0.0066,"phase":67.8},{"name":"P1","amplitude":0.1115,"phase":95},{"name":"L2","amplitude":0.0033,"phase":7.8},{"name":"K2","amplitude":0.0098,"phase":339.6}]},
+  "8771341": {"msl":0.974,"constituents":[{"name":"M2","amplitude":0.3609,"phase":281.5},{"name":"S2","amplitude":0.0984,"phase":289},{"name":"N2","amplitude":0.0919,"phase":257.4},{"name":"K1","amplitude":0.4823,"phase":40.8},{"name":"M4","amplitude":0.0098,"phase":232.7},{"name":"O1","amplitude":0.456,"phase":33.1},{"name":"M6","amplitude":0.0066,"phase":278.9},{"name":"MK3","amplitude":0.0131,"phase":107.4},{"name":"S4","amplitude":0.0066,"phase":210.2},{"name":"MN4","amplitude":0.0066,"phase":193.1},{"name":"NU2","amplitude":0.0197,"phase":271.3},{"name":"S6","amplitude":0.0033,"phase":264.4},{"name":"MU2","amplitude":0.0131,"phase":218.4},{"name":"2N2","amplitude":0.0131,"phase":244.1},{"name":"OO1","amplitude":0.0164,"phase":85.1},{"name":"LAM2","amplitude":0.0033,"phase":3.5},{"name":"S1","amplitude":0.0361,"phase":320.2},{"name":"M1","amplitude":0.0197,"phase":67.3},{"name":"J1","amplitude":0.0295,"phase":30.7},{"name":"SSA","amplitude":0.2723,"phase":76},{"name":"SA","amplitude":0.2461,"phase":154.9},{"name":"RHO","amplitude":0.0197,"phase":21.7},{"name":"Q1","amplitude":0.0984,"phase":14.6},{"name":"T2","amplitude":0.0131,"phase":269.2},{"name":"R2","amplitude":0.0066,"phase":133.4},{"name":"2Q1","amplitude":0.0164,"phase":3.2},{"name":"P1","amplitude":0.1378,"phase":35.8},{"name":"2SM2","amplitude":0.0066,"phase":348.2},{"name":"L2","amplitude":0.0098,"phase":330.6},{"name":"2MK3","amplitude":0.0098,"phase":96.3},{"name":"K2","amplitude":0.0197,"phase":344.2},{"name":"MS4","amplitude":0.0033,"phase":267.2}]},
+  "8771450": {"msl":0.827,"constituents":[{"name":"M2","amplitude":0.2789,"phase":293.5},{"name":"S2","amplitude":0.0787,"phase":295.4},{"name":"N2","amplitude":0.0722,"phase":269.5},{"name":"K1","amplitude":0.4265,"phase":53.3},{"name":"M4","amplitude":0.0164,"phase":256.9},{"name":"O1","amplitude":0.4068,"phase":45},{"name":"M6","amplitude":0.0033,"phase":273.5},{"name":"MK3","amplitude":0.0033,"phase":193.8},{"name":"S4","amplitude":0.0033,"phase":343.1},{"name":"MN4","amplitude":0.0066,"phase":209},{"name":"NU2","amplitude":0.0131,"phase":277.8},{"name":"MU2","amplitude":0.0131,"phase":227.9},{"name":"2N2","amplitude":0.0131,"phase":224.2},{"name":"OO1","amplitude":0.023,"phase":82},{"name":"LAM2","amplitude":0.0033,"phase":44.9},{"name":"S1","amplitude":0.0295,"phase":326.6},{"name":"M1","amplitude":0.0131,"phase":71.9},{"name":"J1","amplitude":0.0197,"phase":37.2},{"name":"SSA","amplitude":0.3018,"phase":61.3},{"name":"SA","amplitude":0.2887,"phase":154.9},{"name":"RHO","amplitude":0.0164,"phase":39.2},{"name":"Q1","amplitude":0.0886,"phase":26.7},{"name":"T2","amplitude":0.0098,"phase":315.4},{"name":"R2","amplitude":0.0033,"phase":166.3},{"name":"2Q1","amplitude":0.0131,"phase":21.4},{"name":"P1","amplitude":0.1247,"phase":46.8},{"name":"2SM2","amplitude":0.0033,"phase":298},{"name":"M3","amplitude":0.0033,"phase":33.3},{"name":"L2","amplitude":0.0066,"phase":28.5},{"name":"2MK3","amplitude":0.0033,"phase":218.2},{"name":"K2","amplitude":0.0098,"phase":4.1},{"name":"MS4","amplitude":0.0066,"phase":265.9}]},
+  "8771486": {"msl":0.748,"constituents":[{"name":"M2","amplitude":0.2165,"phase":314.3},{"name":"S2","amplitude":0.0787,"phase":314.2},{"name":"N2","amplitude":0.0558,"phase":292.5},{"name":"K1","amplitude":0.3871,"phase":68.9},{"name":"M4","amplitude":0.0098,"phase":272.5},{"name":"O1","amplitude":0.3806,"phase":58.8},{"name":"M6","amplitude":0.0033,"phase":302.3},{"name":"MK3","amplitude":0.0098,"phase":177},{"name":"MN4","amplitude":0.0066,"phase":216.8},{"name":"NU2","amplitude":0.0098,"phase":302.5},{"name":"MU2","amplitude":0.0098,"phase":251.1},{"name":"2N2","amplitude":0.0098,"phase":257.5},{"name":"OO1","amplitude":0.0295,"phase":93.4},{"name":"LAM2","amplitude":0.0033,"phase":64},{"name":"S1","amplitude":0.0262,"phase":329.2},{"name":"M1","amplitude":0.0164,"phase":67.3},{"name":"J1","amplitude":0.0164,"phase":64.7},{"name":"MM","amplitude":0.0886,"phase":19.1},{"name":"SSA","amplitude":0.3707,"phase":49.6},{"name":"SA","amplitude":0.2657,"phase":150.2},{"name":"RHO","amplitude":0.0164,"phase":43.8},{"name":"Q1","amplitude":0.0787,"phase":40.6},{"name":"T2","amplitude":0.0066,"phase":344.8},{"name":"R2","amplitude":0.0033,"phase":213.6},{"name":"2Q1","amplitude":0.0066,"phase":14.1},{"name":"P1","amplitude":0.1083,"phase":62.7},{"name":"2SM2","amplitude":0.0033,"phase":10.7},{"name":"M3","amplitude":0.0033,"phase":77.4},{"name":"L2","amplitude":0.0066,"phase":38.2},{"name":"2MK3","amplitude":0.0066,"phase":161.8},{"name":"K2","amplitude":0.0164,"phase":39.4},{"name":"MS4","amplitude":0.0033,"phase":301}]},
+  "8771510": {"msl":1.109,"constituents":[{"name":"M2","amplitude":0.456,"phase":276.1},{"name":"S2","amplitude":0.1115,"phase":267.9},{"name":"N2","amplitude":0.1181,"phase":254.6},{"name":"K1","amplitude":0.561,"phase":28},{"name":"M4","amplitude":0.0197,"phase":203.3},{"name":"O1","amplitude":0.5282,"phase":20.3},{"name":"NU2","amplitude":0.0262,"phase":270.9},{"name":"MU2","amplitude":0.0164,"phase":197.1},{"name":"2N2","amplitude":0.0197,"phase":228.8},{"name":"OO1","amplitude":0.0197,"phase":46.2},{"name":"LAM2","amplitude":0.0033,"phase":272.2},{"name":"S1","amplitude":0.0459,"phase":327},{"name":"M1","amplitude":0.0262,"phase":24.2},{"name":"J1","amplitude":0.0328,"phase":34.5},{"name":"SSA","amplitude":0.2953,"phase":55.2},{"name":"SA","amplitude":0.2526,"phase":157.4},{"name":"RHO","amplitude":0.023,"phase":4},{"name":"Q1","amplitude":0.1181,"phase":7},{"name":"T2","amplitude":0.0066,"phase":268.1},{"name":"2Q1","amplitude":0.0131,"phase":349.5},{"name":"P1","amplitude":0.1673,"phase":24.3},{"name":"L2","amplitude":0.0131,"phase":352.1},{"name":"K2","amplitude":0.0197,"phase":275.6},{"name":"MS4","amplitude":0.0131,"phase":224.7}]},
+  "8771972": {"msl":0.686,"constituents":[{"name":"M2","amplitude":0.2133,"phase":284.3},{"name":"S2","amplitude":0.0591,"phase":280.1},{"name":"N2","amplitude":0.0525,"phase":261.7},{"name":"K1","amplitude":0.374,"phase":43.7},{"name":"M4","amplitude":0.0066,"phase":173.7},{"name":"O1","amplitude":0.3642,"phase":36.1},{"name":"M6","amplitude":0.0033,"phase":309.1},{"name":"MK3","amplitude":0.0098,"phase":86.2},{"name":"S4","amplitude":0.0033,"phase":293},{"name":"MN4","amplitude":0.0033,"phase":94.9},{"name":"NU2","amplitude":0.0066,"phase":261.1},{"name":"MU2","amplitude":0.0066,"phase":217.8},{"name":"2N2","amplitude":0.0066,"phase":232.1},{"name":"OO1","amplitude":0.0164,"phase":75.1},{"name":"LAM2","amplitude":0.0033,"phase":43.6},{"name":"S1","amplitude":0.0131,"phase":282.4},{"name":"M1","amplitude":0.0164,"phase":47.7},{"name":"J1","amplitude":0.0262,"phase":46.7},{"name":"SSA","amplitude":0.4101,"phase":64.8},{"name":"SA","amplitude":0.3445,"phase":145.1},{"name":"RHO","amplitude":0.0131,"phase":17},{"name":"Q1","amplitude":0.0787,"phase":19.5},{"name":"T2","amplitude":0.0098,"phase":330.8},{"name":"R2","amplitude":0.0033,"phase":21.4},{"name":"2Q1","amplitude":0.0066,"phase":352},{"name":"P1","amplitude":0.1083,"phase":38.4},{"name":"2SM2","amplitude":0.0033,"phase":15.3},{"name":"M3","amplitude":0.0066,"phase":34.8},{"name":"L2","amplitude":0.0033,"phase":357.2},{"name":"2MK3","amplitude":0.0098,"phase":85},{"name":"K2","amplitude":0.0131,"phase":347.9},{"name":"MS4","amplitude":0.0033,"phase":210.4}]},
+  "8772440": {"msl":0.955,"constituents":[{"name":"M2","amplitude":0.315,"phase":275.4},{"name":"S2","amplitude":0.0886,"phase":274.6},{"name":"N2","amplitude":0.0787,"phase":253.4},{"name":"K1","amplitude":0.4987,"phase":26.6},{"name":"M4","amplitude":0.0164,"phase":165.8},{"name":"O1","amplitude":0.4823,"phase":18.7},{"name":"NU2","amplitude":0.0164,"phase":253.9},{"name":"2N2","amplitude":0.0131,"phase":242.5},{"name":"OO1","amplitude":0.0197,"phase":36.7},{"name":"LAM2","amplitude":0.0033,"phase":275},{"name":"S1","amplitude":0.023,"phase":332.2},{"name":"M1","amplitude":0.0197,"phase":69.2},{"name":"J1","amplitude":0.0262,"phase":28.5},{"name":"SSA","amplitude":0.2428,"phase":64.3},{"name":"SA","amplitude":0.187,"phase":173.5},{"name":"RHO","amplitude":0.0262,"phase":358.3},{"name":"Q1","amplitude":0.1148,"phase":0.6},{"name":"T2","amplitude":0.0066,"phase":274.6},{"name":"2Q1","amplitude":0.0131,"phase":341.4},{"name":"P1","amplitude":0.1476,"phase":23.5},{"name":"L2","amplitude":0.0098,"phase":335.5},{"name":"K2","amplitude":0.023,"phase":279.6}]},
+  "8772447": {"msl":0.899,"constituents":[{"name":"M2","amplitude":0.3117,"phase":275.2},{"name":"S2","amplitude":0.0853,"phase":275.9},{"name":"N2","amplitude":0.0787,"phase":252.5},{"name":"K1","amplitude":0.4987,"phase":26.1},{"name":"M4","amplitude":0.0164,"phase":160.5},{"name":"O1","amplitude":0.4823,"phase":19.2},{"name":"M6","amplitude":0.0033,"phase":306.6},{"name":"MK3","amplitude":0.0033,"phase":13.8},{"name":"S4","amplitude":0.0033,"phase":246.1},{"name":"MN4","amplitude":0.0066,"phase":133.9},{"name":"NU2","amplitude":0.0164,"phase":258.8},{"name":"S6","amplitude":0.0033,"phase":310.2},{"name":"MU2","amplitude":0.0098,"phase":199.9},{"name":"2N2","amplitude":0.0131,"phase":247.7},{"name":"OO1","amplitude":0.0164,"phase":39.9},{"name":"LAM2","amplitude":0.0033,"phase":359.4},{"name":"S1","amplitude":0.0262,"phase":308.9},{"name":"M1","amplitude":0.023,"phase":50.4},{"name":"J1","amplitude":0.0295,"phase":28.8},{"name":"SSA","amplitude":0.2428,"phase":69.3},{"name":"SA","amplitude":0.2756,"phase":155.9},{"name":"RHO","amplitude":0.0197,"phase":9.4},{"name":"Q1","amplitude":0.105,"phase":2.1},{"name":"T2","amplitude":0.0098,"phase":295.1},{"name":"R2","amplitude":0.0033,"phase":262.3},{"name":"2Q1","amplitude":0.0131,"phase":341.1},{"name":"P1","amplitude":0.1476,"phase":23.4},{"name":"M3","amplitude":0.0066,"phase":37},{"name":"L2","amplitude":0.0098,"phase":328.5},{"name":"2MK3","amplitude":0.0033,"phase":1.1},{"name":"K2","amplitude":0.0164,"phase":281.2},{"name":"MS4","amplitude":0.0066,"phase":180.7}]},
+  "8772471": {"msl":0.909,"constituents":[{"name":"M2","amplitude":0.3084,"phase":273.7},{"name":"S2","amplitude":0.0853,"phase":273.6},{"name":"N2","amplitude":0.0787,"phase":253.3},{"name":"K1","amplitude":0.4954,"phase":26.5},{"name":"M4","amplitude":0.0164,"phase":160.7},{"name":"O1","amplitude":0.4823,"phase":18.7},{"name":"M6","amplitude":0.0033,"phase":313},{"name":"MK3","amplitude":0.0033,"phase":15.7},{"name":"S4","amplitude":0.0066,"phase":286.1},{"name":"MN4","amplitude":0.0066,"phase":118.4},{"name":"NU2","amplitude":0.0164,"phase":257.2},{"name":"S6","amplitude":0.0033,"phase":269.4},{"name":"MU2","amplitude":0.0098,"phase":200.8},{"name":"2N2","amplitude":0.0131,"phase":231.8},{"name":"OO1","amplitude":0.0197,"phase":40.4},{"name":"LAM2","amplitude":0.0033,"phase":343.6},{"name":"S1","amplitude":0.0328,"phase":311.1},{"name":"M1","amplitude":0.0262,"phase":30.2},{"name":"J1","amplitude":0.0361,"phase":33.2},{"name":"SSA","amplitude":0.3675,"phase":50.4},{"name":"SA","amplitude":0.2362,"phase":159.8},{"name":"RHO","amplitude":0.0197,"phase":1.6},{"name":"Q1","amplitude":0.1083,"phase":2.9},{"name":"T2","amplitude":0.0066,"phase":299.1},{"name":"2Q1","amplitude":0.0131,"phase":333.5},{"name":"P1","amplitude":0.1542,"phase":26.4},{"name":"2SM2","amplitude":0.0033,"phase":336.4},{"name":"M3","amplitude":0.0098,"phase":34.2},{"name":"L2","amplitude":0.0098,"phase":339.9},{"name":"2MK3","amplitude":0.0066,"phase":351.7},{"name":"K2","amplitude":0.0164,"phase":274.4},{"name":"MS4","amplitude":0.0066,"phase":166.5}]},
+  "8772479": {"msl":0.925,"constituents":[{"name":"M2","amplitude":0.2953,"phase":272.6},{"name":"S2","amplitude":0.082,"phase":267.8},{"name":"N2","amplitude":0.0722,"phase":248.9},{"name":"K1","amplitude":0.4593,"phase":26.2},{"name":"M4","amplitude":0.0164,"phase":165.2},{"name":"O1","amplitude":0.4626,"phase":16.9},{"name":"MK3","amplitude":0.0033,"phase":357.9},{"name":"S4","amplitude":0.0098,"phase":301.6},{"name":"MN4","amplitude":0.0066,"phase":125.6},{"name":"NU2","amplitude":0.0131,"phase":254.9},{"name":"MU2","amplitude":0.0098,"phase":201.2},{"name":"2N2","amplitude":0.0131,"phase":233.5},{"name":"OO1","amplitude":0.0197,"phase":42.7},{"name":"LAM2","amplitude":0.0033,"phase":328.7},{"name":"S1","amplitude":0.0066,"phase":302.4},{"name":"M1","amplitude":0.0262,"phase":37.4},{"name":"J1","amplitude":0.0328,"phase":27.5},{"name":"SSA","amplitude":0.2428,"phase":69.3},{"name":"SA","amplitude":0.2756,"phase":115.9},{"name":"RHO","amplitude":0.0197,"phase":345.8},{"name":"Q1","amplitude":0.105,"phase":6.8},{"name":"T2","amplitude":0.0098,"phase":304},{"name":"R2","amplitude":0.0131,"phase":201.6},{"name":"2Q1","amplitude":0.0197,"phase":333.6},{"name":"P1","amplitude":0.164,"phase":27.4},{"name":"M3","amplitude":0.0066,"phase":21.5},{"name":"L2","amplitude":0.0131,"phase":356},{"name":"2MK3","amplitude":0.0033,"phase":357},{"name":"K2","amplitude":0.0164,"phase":287.1},{"name":"MS4","amplitude":0.0033,"phase":170.7}]},
+  "8772985": {"msl":0.39,"constituents":[{"name":"M2","amplitude":0.0984,"phase":293.3},{"name":"S2","amplitude":0.0295,"phase":295},{"name":"N2","amplitude":0.023,"phase":274.3},{"name":"K1","amplitude":0.2231,"phase":48.5},{"name":"M4","amplitude":0.0098,"phase":138},{"name":"O1","amplitude":0.2198,"phase":41.3},{"name":"MK3","amplitude":0.0033,"phase":201.8},{"name":"S4","amplitude":0.0033,"phase":275},{"name":"MN4","amplitude":0.0033,"phase":104.7},{"name":"NU2","amplitude":0.0066,"phase":289.3},{"name":"MU2","amplitude":0.0033,"phase":192.5},{"name":"2N2","amplitude":0.0033,"phase":249.4},{"name":"OO1","amplitude":0.0131,"phase":58.7},{"name":"LAM2","amplitude":0.0033,"phase":354},{"name":"S1","amplitude":0.0066,"phase":285.6},{"name":"M1","amplitude":0.0098,"phase":63.7},{"name":"J1","amplitude":0.0131,"phase":56.2},{"name":"SSA","amplitude":0.3675,"phase":58.9},{"name":"SA","amplitude":0.2756,"phase":150.3},{"name":"RHO","amplitude":0.0098,"phase":17.3},{"name":"Q1","amplitude":0.0459,"phase":25.7},{"name":"T2","amplitude":0.0033,"phase":190.5},{"name":"R2","amplitude":0.0066,"phase":330.1},{"name":"2Q1","amplitude":0.0066,"phase":337.1},{"name":"P1","amplitude":0.0689,"phase":43.6},{"name":"M3","amplitude":0.0033,"phase":80.7},{"name":"L2","amplitude":0.0033,"phase":342.8},{"name":"2MK3","amplitude":0.0033,"phase":223.5},{"name":"K2","amplitude":0.0131,"phase":268.2},{"name":"MS4","amplitude":0.0033,"phase":136}]},
+  "8773037": {"msl":0.187,"constituents":[{"name":"M2","amplitude":0.0066,"phase":84.8},{"name":"S2","amplitude":0.0098,"phase":228.6},{"name":"N2","amplitude":0.0033,"phase":42.9},{"name":"K1","amplitude":0.0591,"phase":183.9},{"name":"O1","amplitude":0.0656,"phase":162},{"name":"MK3","amplitude":0.0033,"phase":155.6},{"name":"S4","amplitude":0.0033,"phase":141.6},{"name":"MU2","amplitude":0.0033,"phase":250.5},{"name":"OO1","amplitude":0.0066,"phase":153.9},{"name":"S1","amplitude":0.0295,"phase":197.7},{"name":"M1","amplitude":0.0033,"phase":215.9},{"name":"J1","amplitude":0.0033,"phase":123.1},{"name":"MM","amplitude":0.0886,"phase":36.9},{"name":"SSA","amplitude":0.3609,"phase":60.8},{"name":"SA","amplitude":0.3182,"phase":130.7},{"name":"RHO","amplitude":0.0033,"phase":147.8},{"name":"Q1","amplitude":0.0131,"phase":153.5},{"name":"T2","amplitude":0.0033,"phase":60.7},{"name":"R2","amplitude":0.0033,"phase":242.9},{"name":"2Q1","amplitude":0.0033,"phase":138.9},{"name":"P1","amplitude":0.023,"phase":211},{"name":"K2","amplitude":0.0033,"phase":128.7}]},
+  "8773146": {"msl":0.272,"constituents":[{"name":"M2","amplitude":0.0427,"phase":316.8},{"name":"S2","amplitude":0.0164,"phase":303.7},{"name":"N2","amplitude":0.0098,"phase":300.5},{"name":"K1","amplitude":0.1115,"phase":76.9},{"name":"M4","amplitude":0.0066,"phase":168},{"name":"O1","amplitude":0.1181,"phase":72},{"name":"MK3","amplitude":0.0066,"phase":253.1},{"name":"S4","amplitude":0.0033,"phase":219.6},{"name":"MN4","amplitude":0.0033,"phase":134},{"name":"NU2","amplitude":0.0033,"phase":314.2},{"name":"2N2","amplitude":0.0033,"phase":229},{"name":"OO1","amplitude":0.0131,"phase":88.4},{"name":"LAM2","amplitude":0.0033,"phase":345.5},{"name":"S1","amplitude":0.0098,"phase":144.7},{"name":"M1","amplitude":0.0033,"phase":88.3},{"name":"J1","amplitude":0.0066,"phase":78.6},{"name":"MM","amplitude":0.0951,"phase":27.5},{"name":"SSA","amplitude":0.3707,"phase":54.6},{"name":"SA","amplitude":0.2854,"phase":148.8},{"name":"RHO","amplitude":0.0033,"phase":81.2},{"name":"Q1","amplitude":0.023,"phase":54.7},{"name":"T2","amplitude":0.0033,"phase":201.8},{"name":"R2","amplitude":0.0033,"phase":42.3},{"name":"2Q1","amplitude":0.0033,"phase":288.4},{"name":"P1","amplitude":0.0295,"phase":79.7},{"name":"M3","amplitude":0.0033,"phase":128.1},{"name":"L2","amplitude":0.0033,"phase":21.5},{"name":"2MK3","amplitude":0.0066,"phase":232.5},{"name":"K2","amplitude":0.0066,"phase":351.3},{"name":"MS4","amplitude":0.0033,"phase":174.5}]},
+  "8773259": {"msl":0.492,"constituents":[{"name":"M2","amplitude":0.082,"phase":54.3},{"name":"S2","amplitude":0.0197,"phase":41.4},{"name":"N2","amplitude":0.0164,"phase":39},{"name":"K1","amplitude":0.2887,"phase":111.6},{"name":"M4","amplitude":0.0066,"phase":301.8},{"name":"O1","amplitude":0.292,"phase":97.9},{"name":"MK3","amplitude":0.0033,"phase":23.5},{"name":"MN4","amplitude":0.0033,"phase":274.9},{"name":"NU2","amplitude":0.0033,"phase":60.4},{"name":"MU2","amplitude":0.0033,"phase":240.5},{"name":"2N2","amplitude":0.0033,"phase":131.3},{"name":"OO1","amplitude":0.0361,"phase":99},{"name":"LAM2","amplitude":0.0033,"phase":74.7},{"name":"S1","amplitude":0.0361,"phase":206},{"name":"M1","amplitude":0.0066,"phase":138.4},{"name":"J1","amplitude":0.0098,"phase":147.8},{"name":"MM","amplitude":0.0984,"phase":26.8},{"name":"SSA","amplitude":0.3675,"phase":53.2},{"name":"SA","amplitude":0.3675,"phase":129.6},{"name":"RHO","amplitude":0.0164,"phase":96.8},{"name":"Q1","amplitude":0.0525,"phase":85.5},{"name":"T2","amplitude":0.0066,"phase":93.6},{"name":"R2","amplitude":0.0066,"phase":64.3},{"name":"2Q1","amplitude":0.0033,"phase":123.9},{"name":"P1","amplitude":0.0853,"phase":122.5},{"name":"2SM2","amplitude":0.0033,"phase":265.4},{"name":"M3","amplitude":0.0033,"phase":239.5},{"name":"L2","amplitude":0.0066,"phase":83.1},{"name":"2MK3","amplitude":0.0033,"phase":353.6},{"name":"K2","amplitude":0.0262,"phase":49.2},{"name":"MS4","amplitude":0.0033,"phase":314.6}]},
+  "8773701": {"msl":0.4,"constituents":[{"name":"M2","amplitude":0.0492,"phase":335.3},{"name":"S2","amplitude":0.023,"phase":356.6},{"name":"N2","amplitude":0.0131,"phase":306.8},{"name":"K1","amplitude":0.2493,"phase":81},{"name":"M4","amplitude":0.0066,"phase":132.4},{"name":"O1","amplitude":0.2526,"phase":70.6},{"name":"MK3","amplitude":0.0033,"phase":277},{"name":"S4","amplitude":0.0033,"phase":216.5},{"name":"MN4","amplitude":0.0033,"phase":91},{"name":"NU2","amplitude":0.0033,"phase":330.1},{"name":"OO1","amplitude":0.023,"phase":84.1},{"name":"LAM2","amplitude":0.0033,"phase":34.8},{"name":"S1","amplitude":0.0197,"phase":349.4},{"name":"M1","amplitude":0.0098,"phase":104.5},{"name":"J1","amplitude":0.0066,"phase":102.8},{"name":"SSA","amplitude":0.3543,"phase":54.5},{"name":"SA","amplitude":0.2625,"phase":151.1},{"name":"RHO","amplitude":0.0098,"phase":57.9},{"name":"Q1","amplitude":0.0492,"phase":54.2},{"name":"R2","amplitude":0.0033,"phase":310.6},{"name":"2Q1","amplitude":0.0033,"phase":38.8},{"name":"P1","amplitude":0.0755,"phase":80.8},{"name":"M3","amplitude":0.0033,"phase":134.9},{"name":"L2","amplitude":0.0033,"phase":16.9},{"name":"2MK3","amplitude":0.0033,"phase":248.9},{"name":"K2","amplitude":0.0098,"phase":350.6},{"name":"MS4","amplitude":0.0033,"phase":137}]},
+  "8774230": {"msl":0.167,"constituents":[{"name":"M2","amplitude":0.0066,"phase":80.2},{"name":"S2","amplitude":0.0098,"phase":25.3},{"name":"K1","amplitude":0.0689,"phase":177.6},{"name":"O1","amplitude":0.0656,"phase":162.8},{"name":"S4","amplitude":0.0033,"phase":276.6},{"name":"OO1","amplitude":0.0066,"phase":210},{"name":"S1","amplitude":0.0131,"phase":136.7},{"name":"M1","amplitude":0.0033,"phase":188.9},{"name":"SSA","amplitude":0.3707,"phase":56.3},{"name":"SA","amplitude":0.21,"phase":157},{"name":"RHO","amplitude":0.0033,"phase":82.9},{"name":"Q1","amplitude":0.0098,"phase":147.5},{"name":"T2","amplitude":0.0033,"phase":134},{"name":"R2","amplitude":0.0033,"phase":326.8},{"name":"2Q1","amplitude":0.0033,"phase":187.2},{"name":"P1","amplitude":0.0262,"phase":170.2},{"name":"K2","amplitude":0.0033,"phase":73.6}]},
+  "8774513": {"msl":0.203,"constituents":[{"name":"M2","amplitude":0.0262,"phase":16.9},{"name":"S2","amplitude":0.0033,"phase":47.3},{"name":"N2","amplitude":0.0066,"phase":358.5},{"name":"K1","amplitude":0.1115,"phase":117.3},{"name":"M4","amplitude":0.0033,"phase":261.2},{"name":"O1","amplitude":0.1214,"phase":112},{"name":"MK3","amplitude":0.0033,"phase":82.1},{"name":"S4","amplitude":0.0033,"phase":13.2},{"name":"NU2","amplitude":0.0033,"phase":181},{"name":"2N2","amplitude":0.0033,"phase":228.6},{"name":"OO1","amplitude":0.023,"phase":124.6},{"name":"S1","amplitude":0.0131,"phase":313.4},{"name":"M1","amplitude":0.0066,"phase":266.1},{"name":"J1","amplitude":0.0033,"phase":138.2},{"name":"RHO","amplitude":0.0033,"phase":183},{"name":"Q1","amplitude":0.0295,"phase":88.6},{"name":"R2","amplitude":0.0033,"phase":336.7},{"name":"2Q1","amplitude":0.0033,"phase":146.9},{"name":"P1","amplitude":0.0262,"phase":118.4},{"name":"2SM2","amplitude":0.0033,"phase":335.4},{"name":"L2","amplitude":0.0033,"phase":84.9},{"name":"2MK3","amplitude":0.0033,"phase":109.6},{"name":"K2","amplitude":0.0066,"phase":76.6},{"name":"MS4","amplitude":0.0033,"phase":268.4}]},
+  "8774770": {"msl":0.19,"constituents":[{"name":"M2","amplitude":0.023,"phase":331.1},{"name":"S2","amplitude":0.0066,"phase":342.5},{"name":"N2","amplitude":0.0066,"phase":307.7},{"name":"K1","amplitude":0.0984,"phase":105.9},{"name":"M4","amplitude":0.0066,"phase":225},{"name":"O1","amplitude":0.105,"phase":101.1},{"name":"MK3","amplitude":0.0066,"phase":316},{"name":"MN4","amplitude":0.0033,"phase":196.4},{"name":"NU2","amplitude":0.0033,"phase":323},{"name":"OO1","amplitude":0.0098,"phase":137.1},{"name":"S1","amplitude":0.0131,"phase":0},{"name":"M1","amplitude":0.0033,"phase":220.4},{"name":"J1","amplitude":0.0033,"phase":64.1},{"name":"SSA","amplitude":0.2953,"phase":64.8},{"name":"SA","amplitude":0.2625,"phase":154.3},{"name":"RHO","amplitude":0.0033,"phase":82.5},{"name":"Q1","amplitude":0.023,"phase":80.1},{"name":"T2","amplitude":0.0033,"phase":279.1},{"name":"2Q1","amplitude":0.0033,"phase":38.6},{"name":"P1","amplitude":0.0262,"phase":102.8},{"name":"M3","amplitude":0.0033,"phase":122.2},{"name":"L2","amplitude":0.0033,"phase":357.2},{"name":"2MK3","amplitude":0.0033,"phase":310.9},{"name":"K2","amplitude":0.0033,"phase":357.9},{"name":"MS4","amplitude":0.0033,"phase":230}]},
+  "8775132": {"msl":0.407,"constituents":[{"name":"M2","amplitude":0.0591,"phase":11.9},{"name":"S2","amplitude":0.0131,"phase":3.8},{"name":"N2","amplitude":0.0131,"phase":348.2},{"name":"K1","amplitude":0.2034,"phase":100.4},{"name":"M4","amplitude":0.0066,"phase":273.3},{"name":"O1","amplitude":0.2231,"phase":89.8},{"name":"MK3","amplitude":0.0066,"phase":359.4},{"name":"S4","amplitude":0.0033,"phase":2.4},{"name":"MN4","amplitude":0.0033,"phase":211.8},{"name":"NU2","amplitude":0.0033,"phase":343.9},{"name":"MU2","amplitude":0.0033,"phase":250.4},{"name":"2N2","amplitude":0.0066,"phase":235},{"name":"OO1","amplitude":0.0164,"phase":111},{"name":"LAM2","amplitude":0.0033,"phase":315.9},{"name":"S1","amplitude":0.0131,"phase":193.4},{"name":"M1","amplitude":0.0033,"phase":348.6},{"name":"J1","amplitude":0.0066,"phase":81.2},{"name":"RHO","amplitude":0.0098,"phase":57.5},{"name":"Q1","amplitude":0.0492,"phase":68.4},{"name":"T2","amplitude":0.0033,"phase":48},{"name":"R2","amplitude":0.0033,"phase":296.9},{"name":"2Q1","amplitude":0.0131,"phase":319.1},{"name":"P1","amplitude":0.0623,"phase":104.2},{"name":"M3","amplitude":0.0033,"phase":156.1},{"name":"L2","amplitude":0.0033,"phase":52.9},{"name":"2MK3","amplitude":0.0066,"phase":329.8},{"name":"K2","amplitude":0.0098,"phase":29.2},{"name":"MS4","amplitude":0.0033,"phase":265.9}]},
+  "8775222": {"msl":0.404,"constituents":[{"name":"M2","amplitude":0.0591,"phase":15.5},{"name":"S2","amplitude":0.0131,"phase":3.2},{"name":"N2","amplitude":0.0131,"phase":349.7},{"name":"K1","amplitude":0.2034,"phase":106.4},{"name":"M4","amplitude":0.0066,"phase":268.7},{"name":"O1","amplitude":0.21,"phase":93.7},{"name":"M6","amplitude":0.0033,"phase":182.1},{"name":"MK3","amplitude":0.0066,"phase":355.6},{"name":"MN4","amplitude":0.0033,"phase":246.3},{"name":"NU2","amplitude":0.0033,"phase":23.3},{"name":"S6","amplitude":0.0033,"phase":358},{"name":"MU2","amplitude":0.0033,"phase":199.1},{"name":"2N2","amplitude":0.0033,"phase":148.3},{"name":"OO1","amplitude":0.0164,"phase":115.3},{"name":"S1","amplitude":0.0197,"phase":182.4},{"name":"M1","amplitude":0.0131,"phase":173.4},{"name":"J1","amplitude":0.0066,"phase":69.5},{"name":"SSA","amplitude":0.2067,"phase":61.5},{"name":"SA","amplitude":0.2133,"phase":159.7},{"name":"RHO","amplitude":0.0098,"phase":76.5},{"name":"Q1","amplitude":0.0427,"phase":73.3},{"name":"T2","amplitude":0.0033,"phase":17.2},{"name":"2Q1","amplitude":0.0098,"phase":228.4},{"name":"P1","amplitude":0.0623,"phase":110.3},{"name":"M3","amplitude":0.0033,"phase":204.4},{"name":"L2","amplitude":0.0033,"phase":82.8},{"name":"2MK3","amplitude":0.0066,"phase":350.7},{"name":"K2","amplitude":0.0131,"phase":19},{"name":"MS4","amplitude":0.0033,"phase":317.7}]},
+  "8775237": {"msl":0.646,"constituents":[{"name":"M2","amplitude":0.164,"phase":255.3},{"name":"S2","amplitude":0.0492,"phase":262},{"name":"N2","amplitude":0.0394,"phase":237.3},{"name":"K1","amplitude":0.3084,"phase":38.7},{"name":"M4","amplitude":0.0131,"phase":106.2},{"name":"O1","amplitude":0.315,"phase":31.9},{"name":"MK3","amplitude":0.0098,"phase":123.8},{"name":"S4","amplitude":0.0066,"phase":251.7},{"name":"MN4","amplitude":0.0066,"phase":70.7},{"name":"NU2","amplitude":0.0066,"phase":246.1},{"name":"MU2","amplitude":0.0066,"phase":204.7},{"name":"2N2","amplitude":0.0066,"phase":200.7},{"name":"OO1","amplitude":0.0131,"phase":74.3},{"name":"S1","amplitude":0.0066,"phase":20.8},{"name":"M1","amplitude":0.0164,"phase":46.7},{"name":"J1","amplitude":0.0197,"phase":43.3},{"name":"SSA","amplitude":0.374,"phase":55.1},{"name":"SA","amplitude":0.2264,"phase":161.7},{"name":"RHO","amplitude":0.0131,"phase":32.6},{"name":"Q1","amplitude":0.0689,"phase":15.3},{"name":"T2","amplitude":0.0066,"phase":267.3},{"name":"R2","amplitude":0.0033,"phase":17.8},{"name":"2Q1","amplitude":0.0066,"phase":354.5},{"name":"P1","amplitude":0.0951,"phase":37.3},{"name":"M3","amplitude":0.0066,"phase":47.4},{"name":"L2","amplitude":0.0066,"phase":300.4},{"name":"2MK3","amplitude":0.0098,"phase":98.2},{"name":"K2","amplitude":0.0131,"phase":356.6},{"name":"MS4","amplitude":0.0066,"phase":113}]},
+  "8775241": {"msl":0.837,"constituents":[{"name":"M2","amplitude":0.2395,"phase":251.3},{"name":"S2","amplitude":0.0656,"phase":258.9},{"name":"N2","amplitude":0.0591,"phase":233},{"name":"K1","amplitude":0.4199,"phase":28.4},{"name":"M4","amplitude":0.0197,"phase":97.2},{"name":"O1","amplitude":0.4167,"phase":20.8},{"name":"M6","amplitude":0.0033,"phase":231.5},{"name":"MK3","amplitude":0.0164,"phase":113.7},{"name":"S4","amplitude":0.0066,"phase":251.8},{"name":"MN4","amplitude":0.0098,"phase":58.7},{"name":"NU2","amplitude":0.0098,"phase":236.3},{"name":"S6","amplitude":0.0033,"phase":90.7},{"name":"MU2","amplitude":0.0066,"phase":192.7},{"name":"2N2","amplitude":0.0066,"phase":210.4},{"name":"OO1","amplitude":0.0164,"phase":49.5},{"name":"LAM2","amplitude":0.0033,"phase":271.5},{"name":"S1","amplitude":0.0164,"phase":318.8},{"name":"M1","amplitude":0.023,"phase":37.4},{"name":"J1","amplitude":0.0295,"phase":36.2},{"name":"SSA","amplitude":0.3839,"phase":53.6},{"name":"SA","amplitude":0.1903,"phase":166},{"name":"MF","amplitude":0.0689,"phase":19.8},{"name":"RHO","amplitude":0.0197,"phase":13.4},{"name":"Q1","amplitude":0.0919,"phase":6.1},{"name":"T2","amplitude":0.0066,"phase":273},{"name":"2Q1","amplitude":0.0131,"phase":345},{"name":"P1","amplitude":0.1312,"phase":29.1},{"name":"M3","amplitude":0.0098,"phase":44.4},{"name":"L2","amplitude":0.0066,"phase":297},{"name":"2MK3","amplitude":0.0164,"phase":94.8},{"name":"K2","amplitude":0.0131,"phase":338.9},{"name":"MS4","amplitude":0.0098,"phase":106.7}]},
+  "8775244": {"msl":0.377,"constituents":[{"name":"M2","amplitude":0.0525,"phase":57.6},{"name":"S2","amplitude":0.0131,"phase":356.4},{"name":"N2","amplitude":0.0131,"phase":31.5},{"name":"K1","amplitude":0.21,"phase":131.6},{"name":"M4","amplitude":0.0033,"phase":335},{"name":"O1","amplitude":0.21,"phase":110.9},{"name":"MK3","amplitude":0.0066,"phase":54.7},{"name":"S4","amplitude":0.0033,"phase":136.8},{"name":"MN4","amplitude":0.0033,"phase":309.6},{"name":"NU2","amplitude":0.0066,"phase":71.5},{"name":"MU2","amplitude":0.0033,"phase":281.1},{"name":"2N2","amplitude":0.0098,"phase":169.2},{"name":"OO1","amplitude":0.0164,"phase":133.5},{"name":"S1","amplitude":0.0722,"phase":184.9},{"name":"M1","amplitude":0.0131,"phase":214.1},{"name":"J1","amplitude":0.0066,"phase":107.5},{"name":"MM","amplitude":0.0919,"phase":28.4},{"name":"SSA","amplitude":0.3839,"phase":57.9},{"name":"SA","amplitude":0.2362,"phase":148.8},{"name":"RHO","amplitude":0.0066,"phase":88.5},{"name":"Q1","amplitude":0.0427,"phase":93.8},{"name":"T2","amplitude":0.0066,"phase":45.5},{"name":"R2","amplitude":0.0033,"phase":334.8},{"name":"2Q1","amplitude":0.0131,"phase":264.4},{"name":"P1","amplitude":0.0787,"phase":138.4},{"name":"M3","amplitude":0.0033,"phase":259.5},{"name":"L2","amplitude":0.0033,"phase":93.6},{"name":"2MK3","amplitude":0.0066,"phase":53},{"name":"K2","amplitude":0.0164,"phase":47.4}]},
+  "8775296": {"msl":0.348,"constituents":[{"name":"M2","amplitude":0.0591,"phase":16.6},{"name":"S2","amplitude":0.0197,"phase":338.1},{"name":"N2","amplitude":0.0131,"phase":356},{"name":"K1","amplitude":0.2034,"phase":107},{"name":"M4","amplitude":0.0066,"phase":276.9},{"name":"O1","amplitude":0.2165,"phase":92.6},{"name":"MK3","amplitude":0.0066,"phase":12.5},{"name":"S4","amplitude":0.0033,"phase":343.3},{"name":"MN4","amplitude":0.0033,"phase":250.9},{"name":"NU2","amplitude":0.0033,"phase":1.8},{"name":"S6","amplitude":0.0033,"phase":191.6},{"name":"MU2","amplitude":0.0033,"phase":250.2},{"name":"OO1","amplitude":0.023,"phase":107.3},{"name":"S1","amplitude":0.0361,"phase":172.1},{"name":"M1","amplitude":0.0066,"phase":115.7},{"name":"J1","amplitude":0.0066,"phase":98.8},{"name":"MM","amplitude":0.0919,"phase":28.4},{"name":"SSA","amplitude":0.3839,"phase":57.9},{"name":"SA","amplitude":0.2362,"phase":148.8},{"name":"RHO","amplitude":0.0098,"phase":76.1},{"name":"Q1","amplitude":0.0394,"phase":77.7},{"name":"T2","amplitude":0.0033,"phase":341.9},{"name":"R2","amplitude":0.0066,"phase":9.2},{"name":"2Q1","amplitude":0.0033,"phase":53.8},{"name":"P1","amplitude":0.0656,"phase":114.8},{"name":"M3","amplitude":0.0033,"phase":226.4},{"name":"L2","amplitude":0.0033,"phase":62.7},{"name":"2MK3","amplitude":0.0066,"phase":350.6},{"name":"K2","amplitude":0.0131,"phase":33.8},{"name":"MS4","amplitude":0.0033,"phase":282.4}]},
+  "8775792": {"msl":0.223,"constituents":[{"name":"M2","amplitude":0.0164,"phase":30},{"name":"S2","amplitude":0.0066,"phase":27.4},{"name":"N2","amplitude":0.0033,"phase":2.7},{"name":"K1","amplitude":0.1181,"phase":116.5},{"name":"O1","amplitude":0.1247,"phase":107},{"name":"MU2","amplitude":0.0033,"phase":291.7},{"name":"2N2","amplitude":0.0033,"phase":3.9},{"name":"OO1","amplitude":0.0131,"phase":123.3},{"name":"LAM2","amplitude":0.0033,"phase":51},{"name":"S1","amplitude":0.0361,"phase":13.2},{"name":"M1","amplitude":0.0066,"phase":112},{"name":"J1","amplitude":0.0033,"phase":121.8},{"name":"SSA","amplitude":0.3839,"phase":51.4},{"name":"SA","amplitude":0.21,"phase":191.4},{"name":"RHO","amplitude":0.0066,"phase":107},{"name":"Q1","amplitude":0.023,"phase":91.7},{"name":"R2","amplitude":0.0033,"phase":182.3},{"name":"2Q1","amplitude":0.0098,"phase":41.8},{"name":"P1","amplitude":0.0328,"phase":118.7},{"name":"K2","amplitude":0.0066,"phase":49.2}]},
+  "8775870": {"msl":0.932,"constituents":[{"name":"M2","amplitude":0.2592,"phase":260},{"name":"S2","amplitude":0.0689,"phase":268.6},{"name":"N2","amplitude":0.0623,"phase":240.2},{"name":"K1","amplitude":0.4921,"phase":24.9},{"name":"M4","amplitude":0.0164,"phase":111.1},{"name":"O1","amplitude":0.4954,"phase":16.9},{"name":"MK3","amplitude":0.0033,"phase":144},{"name":"S4","amplitude":0.0066,"phase":260.3},{"name":"MN4","amplitude":0.0066,"phase":71.5},{"name":"NU2","amplitude":0.0131,"phase":242},{"name":"S6","amplitude":0.0033,"phase":58.3},{"name":"MU2","amplitude":0.0066,"phase":187.1},{"name":"2N2","amplitude":0.0098,"phase":226.3},{"name":"OO1","amplitude":0.0164,"phase":47.3},{"name":"LAM2","amplitude":0.0033,"phase":317.6},{"name":"S1","amplitude":0.0131,"phase":270.5},{"name":"M1","amplitude":0.0164,"phase":24},{"name":"J1","amplitude":0.0328,"phase":28.1},{"name":"SSA","amplitude":0.3215,"phase":61},{"name":"SA","amplitude":0.2559,"phase":173.3},{"name":"RHO","amplitude":0.023,"phase":6.9},{"name":"Q1","amplitude":0.1181,"phase":1.9},{"name":"T2","amplitude":0.0066,"phase":278.1},{"name":"R2","amplitude":0.0033,"phase":257},{"name":"2Q1","amplitude":0.0131,"phase":349.1},{"name":"P1","amplitude":0.1509,"phase":29.3},{"name":"M3","amplitude":0.0098,"phase":48.6},{"name":"L2","amplitude":0.0066,"phase":314.7},{"name":"2MK3","amplitude":0.0066,"phase":65.3},{"name":"K2","amplitude":0.0197,"phase":265.8},{"name":"MS4","amplitude":0.0066,"phase":118.6}]},
+  "8779280": {"msl":0.305,"constituents":[{"name":"M2","amplitude":0.0459,"phase":41.6},{"name":"S2","amplitude":0.0066,"phase":17.1},{"name":"N2","amplitude":0.0098,"phase":10.2},{"name":"K1","amplitude":0.1706,"phase":107.4},{"name":"M4","amplitude":0.0033,"phase":275.4},{"name":"O1","amplitude":0.1804,"phase":101.6},{"name":"MK3","amplitude":0.0033,"phase":351.8},{"name":"MN4","amplitude":0.0033,"phase":282.8},{"name":"NU2","amplitude":0.0066,"phase":355.5},{"name":"MU2","amplitude":0.0033,"phase":170.9},{"name":"2N2","amplitude":0.0131,"phase":86.4},{"name":"OO1","amplitude":0.0131,"phase":100.2},{"name":"LAM2","amplitude":0.0033,"phase":98.9},{"name":"S1","amplitude":0.0197,"phase":229.9},{"name":"M1","amplitude":0.0098,"phase":167.9},{"name":"J1","amplitude":0.0066,"phase":84.1},{"name":"SSA","amplitude":0.2264,"phase":58.8},{"name":"SA","amplitude":0.1804,"phase":196.1},{"name":"RHO","amplitude":0.0033,"phase":49.8},{"name":"Q1","amplitude":0.0328,"phase":87.9},{"name":"R2","amplitude":0.0033,"phase":87.4},{"name":"2Q1","amplitude":0.0066,"phase":159.5},{"name":"P1","amplitude":0.0525,"phase":122.9},{"name":"2SM2","amplitude":0.0033,"phase":194.7},{"name":"M3","amplitude":0.0033,"phase":244.2},{"name":"L2","amplitude":0.0033,"phase":31.4},{"name":"2MK3","amplitude":0.0066,"phase":352.7},{"name":"K2","amplitude":0.0164,"phase":19.6},{"name":"MS4","amplitude":0.0033,"phase":290.2}]},
+  "8779748": {"msl":0.81,"constituents":[{"name":"M2","amplitude":0.1837,"phase":265.1},{"name":"S2","amplitude":0.0459,"phase":271.8},{"name":"N2","amplitude":0.0459,"phase":247.2},{"name":"K1","amplitude":0.4232,"phase":35.4},{"name":"M4","amplitude":0.0033,"phase":95.3},{"name":"O1","amplitude":0.4265,"phase":28.1},{"name":"MK3","amplitude":0.0098,"phase":77.6},{"name":"S4","amplitude":0.0033,"phase":240.1},{"name":"MN4","amplitude":0.0033,"phase":56.4},{"name":"NU2","amplitude":0.0098,"phase":255.7},{"name":"MU2","amplitude":0.0066,"phase":188.5},{"name":"2N2","amplitude":0.0066,"phase":226.4},{"name":"OO1","amplitude":0.0197,"phase":46.9},{"name":"LAM2","amplitude":0.0033,"phase":333.5},{"name":"S1","amplitude":0.0197,"phase":329.4},{"name":"M1","amplitude":0.0197,"phase":46.4},{"name":"J1","amplitude":0.0262,"phase":43.4},{"name":"SSA","amplitude":0.351,"phase":53.7},{"name":"SA","amplitude":0.2001,"phase":193.9},{"name":"RHO","amplitude":0.0197,"phase":16.9},{"name":"Q1","amplitude":0.0951,"phase":15},{"name":"T2","amplitude":0.0066,"phase":290.8},{"name":"R2","amplitude":0.0033,"phase":229.7},{"name":"2Q1","amplitude":0.0131,"phase":355.2},{"name":"P1","amplitude":0.1312,"phase":35.3},{"name":"M3","amplitude":0.0066,"phase":50},{"name":"L2","amplitude":0.0066,"phase":320.1},{"name":"2MK3","amplitude":0.0131,"phase":61.3},{"name":"K2","amplitude":0.023,"phase":314.6},{"name":"MS4","amplitude":0.0033,"phase":116.1}]},
+  "8779749": {"msl":0.873,"constituents":[{"name":"M2","amplitude":0.2067,"phase":258.1},{"name":"S2","amplitude":0.0558,"phase":267.4},{"name":"N2","amplitude":0.0492,"phase":240.7},{"name":"K1","amplitude":0.4495,"phase":30.7},{"name":"M4","amplitude":0.0033,"phase":93.5},{"name":"O1","amplitude":0.4495,"phase":23.3},{"name":"M6","amplitude":0.0033,"phase":47.6},{"name":"MK3","amplitude":0.0098,"phase":63.2},{"name":"S4","amplitude":0.0033,"phase":265.4},{"name":"MN4","amplitude":0.0033,"phase":47.3},{"name":"NU2","amplitude":0.0098,"phase":251.5},{"name":"MU2","amplitude":0.0066,"phase":192.6},{"name":"2N2","amplitude":0.0066,"phase":220.3},{"name":"OO1","amplitude":0.0164,"phase":43.5},{"name":"LAM2","amplitude":0.0033,"phase":338.7},{"name":"S1","amplitude":0.0164,"phase":323.7},{"name":"M1","amplitude":0.023,"phase":43.1},{"name":"J1","amplitude":0.0295,"phase":38.4},{"name":"SSA","amplitude":0.3346,"phase":53.7},{"name":"SA","amplitude":0.1936,"phase":197.7},{"name":"MF","amplitude":0.0558,"phase":22.6},{"name":"RHO","amplitude":0.023,"phase":11.7},{"name":"Q1","amplitude":0.1017,"phase":10.2},{"name":"T2","amplitude":0.0066,"phase":278},{"name":"R2","amplitude":0.0033,"phase":281.9},{"name":"2Q1","amplitude":0.0131,"phase":351.1},{"name":"P1","amplitude":0.1411,"phase":31.8},{"name":"M3","amplitude":0.0066,"phase":38.4},{"name":"L2","amplitude":0.0066,"phase":314.5},{"name":"2MK3","amplitude":0.0131,"phase":50},{"name":"K2","amplitude":0.023,"phase":302.3},{"name":"MS4","amplitude":0.0033,"phase":113.1}]},
+  "8779770": {"msl":0.814,"constituents":[{"name":"M2","amplitude":0.21,"phase":274.3},{"name":"S2","amplitude":0.0558,"phase":285.8},{"name":"N2","amplitude":0.0525,"phase":256.8},{"name":"K1","amplitude":0.4331,"phase":36.5},{"name":"M4","amplitude":0.0033,"phase":142.5},{"name":"O1","amplitude":0.4331,"phase":29},{"name":"M6","amplitude":0.0033,"phase":130.1},{"name":"MK3","amplitude":0.0066,"phase":110.4},{"name":"S4","amplitude":0.0033,"phase":262.4},{"name":"MN4","amplitude":0.0033,"phase":92.4},{"name":"NU2","amplitude":0.0131,"phase":260.3},{"name":"S6","amplitude":0.0033,"phase":100.6},{"name":"MU2","amplitude":0.0066,"phase":205.5},{"name":"2N2","amplitude":0.0066,"phase":216.3},{"name":"OO1","amplitude":0.0164,"phase":57.6},{"name":"LAM2","amplitude":0.0033,"phase":328.6},{"name":"S1","amplitude":0.0131,"phase":8.7},{"name":"M1","amplitude":0.0164,"phase":58.5},{"name":"J1","amplitude":0.0262,"phase":39.6},{"name":"SSA","amplitude":0.2625,"phase":49.6},{"name":"SA","amplitude":0.2165,"phase":186.1},{"name":"RHO","amplitude":0.0197,"phase":15.2},{"name":"Q1","amplitude":0.0919,"phase":12.6},{"name":"T2","amplitude":0.0066,"phase":287.2},{"name":"R2","amplitude":0.0033,"phase":198.1},{"name":"2Q1","amplitude":0.0131,"phase":4.6},{"name":"P1","amplitude":0.128,"phase":36.3},{"name":"M3","amplitude":0.0066,"phase":78.7},{"name":"L2","amplitude":0.0066,"phase":339.4},{"name":"2MK3","amplitude":0.0066,"phase":96.1},{"name":"K2","amplitude":0.0131,"phase":312.4},{"name":"MS4","amplitude":0.0033,"phase":140.2}]},
+};
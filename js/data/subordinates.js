@@ -0,0 +1,31 @@
+// NOAA CO-OPS subordinate tide-prediction stations in Texas.
+// GENERATED by scripts/generate-subordinates.mjs from
+// NOAA subordinate offsets as republished in @neaps/tide-database.
+// Don't hand-edit; rerun the script instead. Offsets for the app's
+// predictions-less gauges aren't NOAA's: see DERIVED_OFFSETS in the script.
+//
+// Shape: [{ id, name, lat, lon, offsets: { reference, type, highTime, lowTime, highHeight, lowHeight } }]
+//   reference             reference harmonic station id
+//   type                  'R' = heights are ratios, 'F' = heights are fixed offsets (ft)
+//   highTime / lowTime    minutes added to the reference high / low
+//   highHeight / lowHeight  ratio or ft applied to the reference high / low
+//
+// Entries whose id is also in TEXAS_STATIONS give that station predictions;
+// the rest appear on the map as prediction-only points.
+
+export const SUBORDINATE_STATIONS = [
+  {"id":"8770557","name":"Point Barrow","lat":29.74,"lon":-94.8317,"offsets":{"reference":"8771450","type":"R","highTime":348,"lowTime":283,"highHeight":0.79,"lowHeight":0.79}},
+  {"id":"8770808","name":"High Island","lat":29.59472,"lon":-94.39028,"offsets":{"reference":"8770971","type":"R","highTime":29,"lowTime":15,"highHeight":1,"lowHeight":1.02}},
+  {"id":"8771801","name":"Alligator Point","lat":29.1667,"lon":-95.125,"offsets":{"reference":"8771450","type":"R","highTime":159,"lowTime":153,"highHeight":0.64,"lowHeight":0.64}},
+  {"id":"8772132","name":"Christmas Bay","lat":29.0417,"lon":-95.175,"offsets":{"reference":"8771450","type":"R","highTime":287,"lowTime":157,"highHeight":0.58,"lowHeight":0.23}},
+  {"id":"8776139","name":"South Bird Island","lat":27.48,"lon":-97.322,"offsets":{"reference":"8775792","type":"F","highTime":212,"lowTime":251,"highHeight":-0.25,"lowHeight":0}},
+  {"id":"8776604","name":"Baffin Bay","lat":27.295,"lon":-97.405,"offsets":{"reference":"8775296","type":"R","highTime":619,"lowTime":569,"highHeight":0.26,"lowHeight":0.37}},
+  {"id":"8777812","name":"Rincon Del San Jose","lat":26.8017,"lon":-97.47,"offsets":{"reference":"8779280","type":"F","highTime":-7,"lowTime":-21,"highHeight":-0.32,"lowHeight":0.07}},
+  {"id":"8778485","name":"Padre Island, Port Mansfield Channel Entrance","lat":26.565,"lon":-97.2767,"offsets":{"reference":"8779770","type":"R","highTime":-49,"lowTime":-38,"highHeight":1.05,"lowHeight":1.01}},
+  {"id":"8778490","name":"Port Mansfield","lat":26.5583,"lon":-97.425,"offsets":{"reference":"8779280","type":"F","highTime":36,"lowTime":-32,"highHeight":-0.39,"lowHeight":0.07}},
+  {"id":"8779724","name":"Queen Isabella Causeway (East End)","lat":26.0783,"lon":-97.17,"offsets":{"reference":"8779750","type":"R","highTime":24,"lowTime":21,"highHeight":0.87,"lowHeight":0.75}},
+  {"id":"8779739","name":"Queen Isabella Causeway (West End)","lat":26.0717,"lon":-97.1917,"offsets":{"reference":"8779750","type":"R","highTime":52,"lowTime":30,"highHeight":0.81,"lowHeight":0.63}},
+  {"id":"8779768","name":"South Bay Entrance","lat":26.0517,"lon":-97.1817,"offsets":{"reference":"8779750","type":"R","highTime":14,"lowTime":21,"highHeight":0.91,"lowHeight":0.94}},
+  {"id":"TEC4513","name":"Texas City","lat":29.3833,"lon":-94.8833,"offsets":{"reference":"8771450","type":"R","highTime":33,"lowTime":41,"highHeight":1,"lowHeight":1}},
+  {"id":"TEC4525","name":"Gilchrist","lat":29.5167,"lon":-94.4833,"offsets":{"reference":"8771450","type":"R","highTime":196,"lowTime":258,"highHeight":0.86,"lowHeight":0.86}},
+];
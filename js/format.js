@@ -12,6 +12,10 @@ export function fmtHour(date) {
   return date.toLocaleTimeString('en-US', { hour: 'numeric', hour12: true, timeZone: CENTRAL });
 }
 
+export function fmtWeekday(date) {
+  return date.toLocaleDateString('en-US', { weekday: 'short', timeZone: CENTRAL });
+}
+
 export function fmtDay(date) {
   return date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone: CENTRAL });
 }
@@ -73,6 +77,29 @@ export function moonIcon(phase) {
   return 'ph-fill ph-moon-stars';
 }
 
+// One to four fish for a { level, fishCount } rating (solunar days, outlook slots).
+export function fishRating(rating) {
+  let html = '';
+  for (let i = 0; i < 4; i++) {
+    const on = i < rating.fishCount;
+    html += `<i class="ph-fill ph-fish ${on ? 'on-' + rating.level : ''}"></i>`;
+  }
+  return `<span class="fish-rating" title="${rating.level}">${html}</span>`;
+}
+
+// Badge for tide data computed on-device from harmonic constituents (the
+// Worker was unreachable), so nobody mistakes it for a fresh NOAA response.
+export function localBadge() {
+  return '<span class="local-badge" title="Worker unreachable — predicted on this device from NOAA harmonic constituents"><i class="ph ph-cpu"></i>Computed locally</span>';
+}
+
+// Badge for data the service worker served from its offline snapshot — "as of"
+// the time it was saved (with the day once it's not from today).
+export function asOfBadge(at) {
+  const today = fmtDay(at) === fmtDay(new Date());
+  return `<span class="local-badge snapshot-badge" title="Offline — the last data saved on this device"><i class="ph ph-cloud-slash"></i>As of ${today ? '' : `${fmtDay(at)} `}${fmtTime(at)}</span>`;
+}
+
 export function escapeHtml(s) {
   return String(s).replace(/[&<>"']/g, (m) => (
     { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[m]
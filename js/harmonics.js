@@ -0,0 +1,241 @@
+// Client-side harmonic tide engine — predicts water level from a station's
+// NOAA harmonic constituents, so tide curves and hi/lo events still render
+// when the Worker (or NOAA behind it) is unreachable. Pure + offline.
+//
+// h(t) = Z0 + Σ f·H·cos(V0 + u + ω·Δt − κ)
+// V0 (equilibrium argument) comes from Doodson numbers over the Schureman
+// astronomical arguments; f/u (node factors) follow Schureman's tables, the
+// same formulation NOAA uses for its published predictions.
+
+import { julianDate } from './solunar.js';
+import { STATION_HARMONICS } from './data/harmonics.js';
+
+const RAD = Math.PI / 180;
+const DEG = 180 / Math.PI;
+const norm360 = (d) => { const x = d % 360; return x < 0 ? x + 360 : x; };
+
+// Obliquity of the ecliptic and inclination of the lunar orbit (Schureman).
+const OMEGA = 23.452 * RAD;
+const INCL = 5.145 * RAD;
+
+// ---- Astronomical arguments ------------------------------------------------
+
+// Doodson argument order: [τ, s, h, p, N, p1, 90°]. τ is mean lunar time.
+// Rates in degrees/hour (the 90° term is constant).
+const RATES = [14.4920521, 0.5490165, 0.0410686, 0.0046418, -0.0022064, 0.0000020, 0];
+
+function astro(date) {
+  const jd = julianDate(date);
+  const t = (jd - 2451545.0) / 36525;
+  const s = norm360(218.3164477 + 481267.88123421 * t);
+  const h = norm360(280.46646 + 36000.76983 * t);
+  const p = norm360(83.3532465 + 4069.0137287 * t);
+  const N = norm360(125.04452 - 1934.136261 * t);
+  const p1 = norm360(282.93735 + 1.71946 * t);
+  const utHours = ((jd + 0.5) % 1) * 24;
+  const T = norm360(180 + 15 * utHours);
+  const args = [norm360(T + h - s), s, h, p, N, p1, 90];
+
+  // Lunar node-dependent terms (Schureman eqs. 191–232).
+  const n = N * RAD;
+  const I = Math.acos(Math.cos(INCL) * Math.cos(OMEGA) - Math.sin(INCL) * Math.sin(OMEGA) * Math.cos(n));
+  const e1 = Math.atan(Math.cos(0.5 * (OMEGA - INCL)) / Math.cos(0.5 * (OMEGA + INCL)) * Math.tan(0.5 * n)) - 0.5 * n;
+  const e2 = Math.atan(Math.sin(0.5 * (OMEGA - INCL)) / Math.sin(0.5 * (OMEGA + INCL)) * Math.tan(0.5 * n)) - 0.5 * n;
+  const xi = -(e1 + e2);
+  const nu = e1 - e2;
+  const nup = Math.atan(Math.sin(2 * I) * Math.sin(nu) / (Math.sin(2 * I) * Math.cos(nu) + 0.3347));
+  const nupp = 0.5 * Math.atan(Math.sin(I) ** 2 * Math.sin(2 * nu) / (Math.sin(I) ** 2 * Math.cos(2 * nu) + 0.0727));
+  const P = p * RAD - xi;
+  return { args, I, xi, nu, nup, nupp, P };
+}
+
+// ---- Node factors (f) and corrections (u, degrees) --------------------------
+
+const f1 = () => 1;
+const u0 = () => 0;
+
+const fMm = (a) => (2 / 3 - Math.sin(a.I) ** 2) / ((2 / 3 - Math.sin(OMEGA) ** 2) * (1 - 1.5 * Math.sin(INCL) ** 2));
+const fMf = (a) => Math.sin(a.I) ** 2 / (Math.sin(OMEGA) ** 2 * Math.cos(0.5 * INCL) ** 4);
+const fO1 = (a) => (Math.sin(a.I) * Math.cos(0.5 * a.I) ** 2) / (Math.sin(OMEGA) * Math.cos(0.5 * OMEGA) ** 2 * Math.cos(0.5 * INCL) ** 4);
+const fJ1 = (a) => Math.sin(2 * a.I) / (Math.sin(2 * OMEGA) * (1 - 1.5 * Math.sin(INCL) ** 2));
+const fOO1 = (a) => (Math.sin(a.I) * Math.sin(0.5 * a.I) ** 2) / (Math.sin(OMEGA) * Math.sin(0.5 * OMEGA) ** 2 * Math.cos(0.5 * INCL) ** 4);
+const fM2 = (a) => Math.cos(0.5 * a.I) ** 4 / (Math.cos(0.5 * OMEGA) ** 4 * Math.cos(0.5 * INCL) ** 4);
+const fK1 = (a) => {
+  const mean = 0.5023 * Math.sin(2 * OMEGA) * (1 - 1.5 * Math.sin(INCL) ** 2) + 0.1681;
+  return Math.sqrt(0.2523 * Math.sin(2 * a.I) ** 2 + 0.1689 * Math.sin(2 * a.I) * Math.cos(a.nu) + 0.0283) / mean;
+};
+const fK2 = (a) => {
+  const mean = 0.5023 * Math.sin(OMEGA) ** 2 * (1 - 1.5 * Math.sin(INCL) ** 2) + 0.0365;
+  return Math.sqrt(0.2523 * Math.sin(a.I) ** 4 + 0.0367 * Math.sin(a.I) ** 2 * Math.cos(2 * a.nu) + 0.0013) / mean;
+};
+const fL2 = (a) => fM2(a) * Math.sqrt(1 - 12 * Math.tan(0.5 * a.I) ** 2 * Math.cos(2 * a.P) + 36 * Math.tan(0.5 * a.I) ** 4);
+const fM1 = (a) => fO1(a) * Math.sqrt(0.25 + 1.5 * Math.cos(a.I) * Math.cos(2 * a.P) * Math.cos(0.5 * a.I) ** -0.5
+  + 2.25 * Math.cos(a.I) ** 2 * Math.cos(0.5 * a.I) ** -4);
+const fM3 = (a) => fM2(a) ** 1.5;
+
+const uMf = (a) => -2 * a.xi * DEG;
+const uO1 = (a) => (2 * a.xi - a.nu) * DEG;
+const uJ1 = (a) => -a.nu * DEG;
+const uOO1 = (a) => (-2 * a.xi - a.nu) * DEG;
+const uM2 = (a) => (2 * a.xi - 2 * a.nu) * DEG;
+const uK1 = (a) => -a.nup * DEG;
+const uK2 = (a) => -2 * a.nupp * DEG;
+const uL2 = (a) => uM2(a) - Math.atan(Math.sin(2 * a.P) / (Math.tan(0.5 * a.I) ** -2 / 6 - Math.cos(2 * a.P))) * DEG;
+const uM1 = (a) => (a.xi - a.nu) * DEG + Math.atan((5 * Math.cos(a.I) - 1) / (7 * Math.cos(a.I) + 1) * Math.tan(a.P)) * DEG;
+const uM3 = (a) => 1.5 * uM2(a);
+
+// Base constituents: [Doodson numbers, u, f]. Names match NOAA harcon.json.
+const BASE = {
+  SA: [[0, 0, 1, 0, 0, 0, 0], u0, f1],
+  SSA: [[0, 0, 2, 0, 0, 0, 0], u0, f1],
+  MM: [[0, 1, 0, -1, 0, 0, 0], u0, fMm],
+  MF: [[0, 2, 0, 0, 0, 0, 0], uMf, fMf],
+  '2Q1': [[1, -3, 0, 2, 0, 0, 1], uO1, fO1],
+  Q1: [[1, -2, 0, 1, 0, 0, 1], uO1, fO1],
+  RHO: [[1, -2, 2, -1, 0, 0, 1], uO1, fO1],
+  O1: [[1, -1, 0, 0, 0, 0, 1], uO1, fO1],
+  M1: [[1, 0, 0, 0, 0, 0, 1], uM1, fM1],
+  P1: [[1, 1, -2, 0, 0, 0, 1], u0, f1],
+  S1: [[1, 1, -1, 0, 0, 0, 0], u0, f1],
+  K1: [[1, 1, 0, 0, 0, 0, -1], uK1, fK1],
+  J1: [[1, 2, 0, -1, 0, 0, -1], uJ1, fJ1],
+  OO1: [[1, 3, 0, 0, 0, 0, -1], uOO1, fOO1],
+  '2N2': [[2, -2, 0, 2, 0, 0, 0], uM2, fM2],
+  MU2: [[2, -2, 2, 0, 0, 0, 0], uM2, fM2],
+  N2: [[2, -1, 0, 1, 0, 0, 0], uM2, fM2],
+  NU2: [[2, -1, 2, -1, 0, 0, 0], uM2, fM2],
+  M2: [[2, 0, 0, 0, 0, 0, 0], uM2, fM2],
+  LAM2: [[2, 1, -2, 1, 0, 0, 2], uM2, fM2],
+  L2: [[2, 1, 0, -1, 0, 0, 2], uL2, fL2],
+  T2: [[2, 2, -3, 0, 0, 1, 0], u0, f1],
+  S2: [[2, 2, -2, 0, 0, 0, 0], u0, f1],
+  R2: [[2, 2, -1, 0, 0, -1, 2], u0, f1],
+  K2: [[2, 2, 0, 0, 0, 0, 0], uK2, fK2],
+  M3: [[3, 0, 0, 0, 0, 0, 0], uM3, fM3],
+};
+
+// Shallow-water / compound constituents: sums of base constituents.
+const COMPOUND = {
+  MSF: [['S2', 1], ['M2', -1]],
+  '2SM2': [['S2', 2], ['M2', -1]],
+  '2MK3': [['M2', 1], ['O1', 1]],
+  MK3: [['M2', 1], ['K1', 1]],
+  MN4: [['M2', 1], ['N2', 1]],
+  M4: [['M2', 2]],
+  MS4: [['M2', 1], ['S2', 1]],
+  S4: [['S2', 2]],
+  M6: [['M2', 3]],
+  S6: [['S2', 3]],
+  M8: [['M2', 4]],
+};
+
+// Resolve a constituent name to { doodson, u(a), f(a) }, or null if unknown.
+function constituent(name) {
+  const key = String(name).toUpperCase();
+  if (BASE[key]) {
+    const [doodson, u, f] = BASE[key];
+    return { doodson, u, f };
+  }
+  const members = COMPOUND[key];
+  if (!members) return null;
+  const doodson = [0, 0, 0, 0, 0, 0, 0];
+  members.forEach(([m, k]) => BASE[m][0].forEach((d, i) => { doodson[i] += k * d; }));
+  return {
+    doodson,
+    u: (a) => members.reduce((sum, [m, k]) => sum + k * BASE[m][1](a), 0),
+    f: (a) => members.reduce((prod, [m, k]) => prod * BASE[m][2](a) ** Math.abs(k), 1),
+  };
+}
+
+// ---- Predictor -------------------------------------------------------------
+
+/**
+ * Build a predictor for one station. `harmonics` = { msl, constituents:
+ * [{ name, amplitude, phase }] } with amplitude in feet above/below MSL and
+ * phase as the Greenwich epoch (NOAA phase_GMT). Heights come out on MLLW.
+ * Node factors are evaluated once at `epoch` — they drift over years, not days.
+ */
+export function tidePredictor(harmonics, epoch = new Date()) {
+  const a = astro(epoch);
+  const terms = [];
+  for (const c of harmonics.constituents) {
+    const def = constituent(c.name);
+    if (!def || !c.amplitude) continue;
+    const speed = def.doodson.reduce((sum, d, i) => sum + d * RATES[i], 0);
+    const v0 = def.doodson.reduce((sum, d, i) => sum + d * a.args[i], 0);
+    terms.push({
+      amp: def.f(a) * c.amplitude,
+      speed: speed * RAD,
+      phase: norm360(v0 + def.u(a) - c.phase) * RAD,
+    });
+  }
+  const z0 = harmonics.msl || 0;
+  const t0 = epoch.getTime();
+  const hoursFrom = (date) => (date.getTime() - t0) / 3600000;
+
+  function heightAt(date) {
+    const dt = hoursFrom(date);
+    let h = z0;
+    for (const t of terms) h += t.amp * Math.cos(t.speed * dt + t.phase);
+    return h;
+  }
+
+  // dh/dt (ft/hour) — sign changes bracket the highs and lows.
+  function rateAt(date) {
+    const dt = hoursFrom(date);
+    let r = 0;
+    for (const t of terms) r -= t.amp * t.speed * Math.sin(t.speed * dt + t.phase);
+    return r;
+  }
+
+  /** Heights every `stepMinutes` over [begin, end] as [{time, ft}]. */
+  function heights(begin, end, stepMinutes = 6) {
+    const step = stepMinutes * 60000;
+    const out = [];
+    for (let ms = Math.ceil(begin.getTime() / step) * step; ms <= end.getTime(); ms += step) {
+      const time = new Date(ms);
+      out.push({ time, ft: heightAt(time) });
+    }
+    return out;
+  }
+
+  /** High/low events in [begin, end] as [{time, ft, kind: 'High'|'Low'}]. */
+  function extremes(begin, end) {
+    const step = 6 * 60000;
+    const out = [];
+    let prevMs = begin.getTime();
+    let prevRate = rateAt(begin);
+    for (let ms = prevMs + step; ms <= end.getTime() + step; ms += step) {
+      const rate = rateAt(new Date(ms));
+      if ((prevRate > 0 && rate <= 0) || (prevRate < 0 && rate >= 0)) {
+        // Bisect the rate's zero crossing down to a few seconds.
+        let lo = prevMs, hi = ms;
+        while (hi - lo > 5000) {
+          const mid = (lo + hi) / 2;
+          const r = rateAt(new Date(mid));
+          if ((r > 0) === (prevRate > 0)) lo = mid; else hi = mid;
+        }
+        const time = new Date(Math.round((lo + hi) / 2 / 60000) * 60000);
+        if (time >= begin && time <= end) {
+          out.push({ time, ft: heightAt(time), kind: prevRate > 0 ? 'High' : 'Low' });
+        }
+      }
+      prevMs = ms;
+      prevRate = rate;
+    }
+    return out;
+  }
+
+  return { heightAt, rateAt, heights, extremes };
+}
+
+/** True if constituents for this station are bundled with the app. */
+export function hasHarmonics(stationId) {
+  return !!STATION_HARMONICS[stationId];
+}
+
+/** Predictor for a bundled station, or null if we have no constituents for it. */
+export function stationPredictor(stationId, epoch = new Date()) {
+  const harmonics = STATION_HARMONICS[stationId];
+  return harmonics ? tidePredictor(harmonics, epoch) : null;
+}
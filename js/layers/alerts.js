@@ -0,0 +1,48 @@
+// NWS watches / warnings / advisories drawn as outlined polygons, colored by
+// level, with the event and end time in a popup.
+
+import { fmtDay, fmtTime, escapeHtml } from '../format.js';
+
+export const ALERT_COLORS = {
+  warning: '#e2403a',
+  watch: '#ff9500',
+  advisory: '#d4a72c',
+  statement: '#5aa9d6',
+};
+const LEVELS = ['statement', 'advisory', 'watch', 'warning'];
+
+function popup(p) {
+  const ends = p.ends ? new Date(p.ends) : null;
+  return `<div class="alert-popup">
+    <strong>${escapeHtml(p.event)}</strong>
+    ${ends ? `<span>Until ${fmtDay(ends)} ${fmtTime(ends)}</span>` : ''}
+    ${p.headline ? `<p>${escapeHtml(p.headline)}</p>` : ''}
+    <span class="sender">${escapeHtml(p.sender || 'National Weather Service')}</span>
+  </div>`;
+}
+
+export class AlertsLayer {
+  constructor(map) {
+    this.map = map;
+    this.layer = null;
+  }
+
+  show(collection) {
+    this.hide();
+    // Most serious drawn last, so it sits on top where alerts overlap.
+    const features = [...(collection?.features || [])]
+      .sort((a, b) => LEVELS.indexOf(a.properties.level) - LEVELS.indexOf(b.properties.level));
+    if (!features.length) return;
+    this.layer = L.geoJSON({ type: 'FeatureCollection', features }, {
+      style: (f) => {
+        const color = ALERT_COLORS[f.properties.level] || ALERT_COLORS.statement;
+        return { color, weight: 1.5, opacity: 0.9, fillColor: color, fillOpacity: 0.14 };
+      },
+      onEachFeature: (f, layer) => layer.bindPopup(popup(f.properties), { maxWidth: 260 }),
+    }).addTo(this.map);
+  }
+
+  hide() {
+    if (this.layer) { this.map.removeLayer(this.layer); this.layer = null; }
+  }
+}
@@ -0,0 +1,75 @@
+// Tropical cyclones: the NHC cone of uncertainty, past track (solid), forecast
+// track (dashed, with a dot per forecast point) and a marker at the storm's
+// current position. Tapping the marker hands the storm to `onSelect`.
+
+import { escapeHtml } from '../format.js';
+
+// Saffir-Simpson by sustained wind (knots).
+export function stormCategory(windKt) {
+  if (windKt == null) return null;
+  if (windKt >= 137) return 5;
+  if (windKt >= 113) return 4;
+  if (windKt >= 96) return 3;
+  if (windKt >= 83) return 2;
+  if (windKt >= 64) return 1;
+  return 0;
+}
+
+export function stormColor(windKt) {
+  if (windKt == null || windKt < 34) return '#5aa9d6';
+  if (windKt < 64) return '#34c759';
+  return ['#ffcc00', '#ff9500', '#ff3b30', '#d70015', '#af52de'][stormCategory(windKt) - 1];
+}
+
+const latLngs = (line) => line.map(([lon, lat]) => [lat, lon]);
+
+function stormIcon(storm) {
+  const cat = stormCategory(storm.windKt);
+  return L.divIcon({
+    className: 'storm-marker',
+    html: `<span class="pin" style="background:${stormColor(storm.windKt)}"><i class="ph-bold ph-hurricane"></i>${cat ? `<b>${cat}</b>` : ''}</span>`,
+    iconSize: [34, 34],
+    iconAnchor: [17, 17],
+  });
+}
+
+export class TropicalLayer {
+  constructor(map) {
+    this.map = map;
+    this.group = null;
+  }
+
+  show(data, onSelect) {
+    this.hide();
+    const storms = data?.storms || [];
+    if (!storms.length) return;
+    this.group = L.layerGroup();
+    for (const storm of storms) {
+      for (const ring of storm.cone) {
+        L.polygon(latLngs(ring), {
+          color: '#ffffff', weight: 1.5, opacity: 0.9, fillColor: '#ffffff', fillOpacity: 0.22, interactive: false,
+        }).addTo(this.group);
+      }
+      for (const line of storm.track) {
+        L.polyline(latLngs(line), { color: '#6c6c70', weight: 2, opacity: 0.85, interactive: false }).addTo(this.group);
+      }
+      if (storm.forecast.length) {
+        const path = [[storm.lat, storm.lon], ...storm.forecast.map((p) => [p.lat, p.lon])];
+        L.polyline(path, { color: '#1c1c1e', weight: 2, dashArray: '6 5', opacity: 0.8, interactive: false }).addTo(this.group);
+        for (const p of storm.forecast) {
+          L.circleMarker([p.lat, p.lon], {
+            radius: 5, color: '#1c1c1e', weight: 1, fillColor: stormColor(p.windKt), fillOpacity: 1,
+          }).bindTooltip(`${escapeHtml(p.label)}${p.windKt != null ? ` · ${p.windKt} kt` : ''}`).addTo(this.group);
+        }
+      }
+      L.marker([storm.lat, storm.lon], { icon: stormIcon(storm), title: `${storm.type} ${storm.name}`, zIndexOffset: 1000 })
+        .on('click', () => onSelect?.(storm))
+        .addTo(this.group);
+    }
+    this.group.addTo(this.map);
+  }
+
+  hide() {
+    if (this.group) { this.map.removeLayer(this.group); this.group = null; }
+  }
+}
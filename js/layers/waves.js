@@ -0,0 +1,77 @@
+// Sea state: significant wave height as a heatmap over the Gulf, with arrows
+// showing which way the waves are running. One frame per timeline step from
+// the Open-Meteo marine grid in weather.js.
+
+import { COAST_BOUNDS, waveColor } from './weather.js';
+
+// Arrow spacing in degrees — sparse enough to read at the initial zoom.
+const ARROW_STEP = 1;
+
+const coastLatLngBounds = () => L.latLngBounds(
+  [COAST_BOUNDS.minLat, COAST_BOUNDS.minLon],
+  [COAST_BOUNDS.maxLat, COAST_BOUNDS.maxLon]
+);
+
+function renderWaveImage(grid) {
+  const W = 220, H = 220;
+  const canvas = document.createElement('canvas');
+  canvas.width = W; canvas.height = H;
+  const ctx = canvas.getContext('2d');
+  const img = ctx.createImageData(W, H);
+  const { minLat, maxLat, minLon, maxLon } = COAST_BOUNDS;
+  for (let r = 0; r < H; r++) {
+    const lat = maxLat - (r / H) * (maxLat - minLat);
+    for (let c = 0; c < W; c++) {
+      const lon = minLon + (c / W) * (maxLon - minLon);
+      const s = grid.sample(lon, lat);
+      const idx = (r * W + c) * 4;
+      if (s) {
+        const col = waveColor(s.ft);
+        img.data[idx] = col[0]; img.data[idx + 1] = col[1]; img.data[idx + 2] = col[2];
+        img.data[idx + 3] = Math.round(col[3] * 255);
+      } else {
+        img.data[idx + 3] = 0;
+      }
+    }
+  }
+  ctx.putImageData(img, 0, 0);
+  return canvas.toDataURL();
+}
+
+function arrowIcon(s) {
+  return L.divIcon({
+    className: 'wave-arrow',
+    html: `<i class="ph-bold ph-arrow-up" style="transform:rotate(${Math.round(s.toward)}deg)"></i><span>${s.ft.toFixed(0)}</span>`,
+    iconSize: [26, 26],
+    iconAnchor: [13, 13],
+  });
+}
+
+export class WaveLayer {
+  constructor(map) {
+    this.map = map;
+    this.imageOverlay = null;
+    this.arrows = null;
+  }
+
+  show(grid) {
+    this.hide();
+    if (!grid || !grid.hasAny) return;
+    this.imageOverlay = L.imageOverlay(renderWaveImage(grid), coastLatLngBounds(), { opacity: 0.85, zIndex: 430, interactive: false }).addTo(this.map);
+
+    const { minLat, maxLat, minLon, maxLon } = COAST_BOUNDS;
+    const markers = [];
+    for (let lat = minLat + ARROW_STEP / 2; lat < maxLat; lat += ARROW_STEP) {
+      for (let lon = minLon + ARROW_STEP / 2; lon < maxLon; lon += ARROW_STEP) {
+        const s = grid.sample(lon, lat);
+        if (s) markers.push(L.marker([lat, lon], { icon: arrowIcon(s), interactive: false, keyboard: false, zIndexOffset: -500 }));
+      }
+    }
+    this.arrows = L.layerGroup(markers).addTo(this.map);
+  }
+
+  hide() {
+    if (this.imageOverlay) { this.map.removeLayer(this.imageOverlay); this.imageOverlay = null; }
+    if (this.arrows) { this.map.removeLayer(this.arrows); this.arrows = null; }
+  }
+}
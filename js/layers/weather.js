@@ -1,6 +1,9 @@
-// Open-Meteo weather timeline: current + 12 hourly steps of wind (u/v) and
-// precipitation over a Texas-coast lattice. Shared by the wind + radar layers
-// and the scrubber. Mirrors the iOS WeatherGridService. Free, keyless.
+// Open-Meteo weather timeline: current conditions plus hourly or 3-hourly
+// steps out to as much as 7 days of wind (u/v) and precipitation over a
+// Texas-coast lattice, plus significant wave height and direction from the
+// Open-Meteo marine model on the same lattice. Steps load in chunks as the
+// scrubber reaches them. Shared by the wind, radar and wave layers and the
+// scrubber. Mirrors the iOS WeatherGridService. Free, keyless.
 
 // Generous lattice so the wind layer fills the whole initial map view, not
 // just the coastal band (the initial fit shows Gulf + inland on wide screens).
@@ -35,78 +38,230 @@ export function makeWindGrid(u, v) {
   } };
 }
 
+// The marine model has no value over land, so a plain bilinear blend would
+// blank every cell touching the shore. Blend whichever corners are wet instead.
+function bilinearWet(values, lon, lat) {
+  const { minLat, maxLat, minLon, maxLon } = COAST_BOUNDS;
+  const rows = LATS.length, cols = LONS.length;
+  if (lon < minLon || lon > maxLon || lat < minLat || lat > maxLat) return null;
+  const colF = (lon - minLon) / (maxLon - minLon) * (cols - 1);
+  const rowF = (lat - minLat) / (maxLat - minLat) * (rows - 1);
+  const c0 = Math.min(Math.floor(colF), cols - 2);
+  const r0 = Math.min(Math.floor(rowF), rows - 2);
+  const cx = colF - c0, rx = rowF - r0;
+  let sum = 0, weight = 0;
+  for (const [r, c, w] of [[r0, c0, (1 - cx) * (1 - rx)], [r0, c0 + 1, cx * (1 - rx)], [r0 + 1, c0, (1 - cx) * rx], [r0 + 1, c0 + 1, cx * rx]]) {
+    const v = values[r * cols + c];
+    if (!isNaN(v)) { sum += v * w; weight += w; }
+  }
+  // Less than a quarter of the cell wet: call it land.
+  return weight < 0.25 ? null : sum / weight;
+}
+
 export function makePrecipGrid(values) {
   return { values, sample: (lon, lat) => bilinear(values, lon, lat), hasAny: values.some((x) => x >= 0.08) };
 }
 
+// Waves: height in feet (NaN over land) and the direction they travel toward
+// as a unit vector, so directions blend without wrapping at north.
+export function makeWaveGrid(height, dx, dy) {
+  return {
+    height,
+    hasAny: height.some((h) => !isNaN(h)),
+    sample(lon, lat) {
+      const ft = bilinearWet(height, lon, lat); if (ft == null) return null;
+      const x = bilinearWet(dx, lon, lat), y = bilinearWet(dy, lon, lat);
+      return { ft, toward: (Math.atan2(x, y) * 180 / Math.PI + 360) % 360 };
+    },
+  };
+}
+
+const HOUR_MS = 3600 * 1000;
+const M_TO_FT = 3.28084;
+
+// Longest look-ahead the scrubber offers (the marine model runs ~8 days).
+export const MAX_TIMELINE_HOURS = 7 * 24;
+
+// Steps per Open-Meteo request. The first chunk (now + 12 steps) is all the
+// initial load asks for; later days load as the scrubber reaches them.
+const CHUNK_STEPS = 12;
+
+// Step 0 (current conditions) rides with the first chunk.
+const chunkOf = (step) => (step === 0 ? 0 : Math.floor((step - 1) / CHUNK_STEPS));
+
 let cache = null;
 let cachedAt = 0;
 let inflight = null;
 
-// Dedup concurrent callers (wind + radar may both request at once) and retry
-// once on a transient failure, so the wind layer reliably gets its grid
-// instead of silently staying blank.
-export async function fetchTimeline() {
-  if (cache && Date.now() - cachedAt < 15 * 60 * 1000) return cache;
-  if (inflight) return inflight;
-  inflight = (async () => {
-    let lastErr;
-    for (let attempt = 0; attempt < 2; attempt++) {
-      try { return await buildTimeline(); }
-      catch (e) { lastErr = e; await new Promise((r) => setTimeout(r, 800)); }
-    }
-    throw lastErr;
-  })();
-  try { return await inflight; } finally { inflight = null; }
-}
-
-async function buildTimeline() {
+function latticePoints() {
   const points = [];
   for (const la of LATS) for (const lo of LONS) points.push([la, lo]);
-  const url = new URL('https://api.open-meteo.com/v1/forecast');
-  url.searchParams.set('latitude', points.map((p) => p[0]).join(','));
-  url.searchParams.set('longitude', points.map((p) => p[1]).join(','));
-  url.searchParams.set('current', 'wind_speed_10m,wind_direction_10m');
-  url.searchParams.set('hourly', 'wind_speed_10m,wind_direction_10m,precipitation');
-  url.searchParams.set('forecast_hours', '13');
-  url.searchParams.set('wind_speed_unit', 'ms');
+  return points;
+}
+const POINTS = latticePoints();
+
+function gridUrl(base, tl, chunk, vars, currentVars = vars) {
+  const first = chunk * CHUNK_STEPS + 1;
+  const last = Math.min((chunk + 1) * CHUNK_STEPS, tl.stepCount - 1);
+  const url = new URL(base);
+  url.searchParams.set('latitude', POINTS.map((p) => p[0]).join(','));
+  url.searchParams.set('longitude', POINTS.map((p) => p[1]).join(','));
+  if (chunk === 0) url.searchParams.set('current', currentVars);
+  url.searchParams.set('hourly', vars);
+  url.searchParams.set('start_hour', tl.hours[first].toISOString().slice(0, 16));
+  url.searchParams.set('end_hour', tl.hours[last].toISOString().slice(0, 16));
   url.searchParams.set('timezone', 'UTC');
+  return { url, first, last };
+}
+
+// Index of each step's hour in a chunk's hourly arrays (a 3-hour step reads
+// every third hour).
+function hourIndex(data, time) {
+  const times = data[0]?.hourly?.time || [];
+  return times.indexOf(time.toISOString().slice(0, 16));
+}
+
+async function loadWeatherChunk(tl, chunk) {
+  const { url, first, last } = gridUrl('https://api.open-meteo.com/v1/forecast', tl, chunk,
+    'wind_speed_10m,wind_direction_10m,precipitation', 'wind_speed_10m,wind_direction_10m');
+  url.searchParams.set('wind_speed_unit', 'ms');
 
   const res = await fetch(url);
   const data = await res.json();
-  if (!Array.isArray(data) || data.length !== points.length) throw new Error('Wind grid size mismatch');
+  if (!Array.isArray(data) || data.length !== POINTS.length) throw new Error('Wind grid size mismatch');
 
-  const n = points.length;
+  const n = POINTS.length;
   const comp = (speed, dir) => { const r = (dir || 0) * Math.PI / 180; return [-speed * Math.sin(r), -speed * Math.cos(r)]; };
 
   // Hour 0 = current conditions.
-  const u0 = new Float32Array(n), v0 = new Float32Array(n);
-  data.forEach((d, idx) => {
-    const [u, v] = comp(d.current?.wind_speed_10m || 0, d.current?.wind_direction_10m || 0);
-    u0[idx] = u; v0[idx] = v;
-  });
-
-  const steps = data[0]?.hourly?.time?.length || 0;
-  const windGrids = [makeWindGrid(u0, v0)];
-  const precipGrids = [makePrecipGrid(new Float32Array(n))];
-  const hours = [new Date()];
-
-  for (let s = 1; s < steps; s++) {
-    const u = new Float32Array(n), v = new Float32Array(n), p = new Float32Array(n);
+  if (chunk === 0) {
+    const u0 = new Float32Array(n), v0 = new Float32Array(n);
     data.forEach((d, idx) => {
-      const h = d.hourly;
-      if (!h) return;
-      const [cu, cv] = comp(h.wind_speed_10m[s] || 0, h.wind_direction_10m[s] || 0);
-      u[idx] = cu; v[idx] = cv; p[idx] = h.precipitation[s] || 0;
+      const [u, v] = comp(d.current?.wind_speed_10m || 0, d.current?.wind_direction_10m || 0);
+      u0[idx] = u; v0[idx] = v;
     });
-    windGrids.push(makeWindGrid(u, v));
-    precipGrids.push(makePrecipGrid(p));
-    hours.push(new Date(data[0].hourly.time[s] + ':00Z'));
+    tl.windGrids[0] = makeWindGrid(u0, v0);
+    tl.precipGrids[0] = makePrecipGrid(new Float32Array(n));
+  }
+
+  for (let s = first; s <= last; s++) {
+    const k = hourIndex(data, tl.hours[s]);
+    const u = new Float32Array(n), v = new Float32Array(n), p = new Float32Array(n);
+    if (k >= 0) {
+      data.forEach((d, idx) => {
+        const h = d.hourly;
+        if (!h) return;
+        const [cu, cv] = comp(h.wind_speed_10m[k] || 0, h.wind_direction_10m[k] || 0);
+        u[idx] = cu; v[idx] = cv; p[idx] = h.precipitation[k] || 0;
+      });
+    }
+    tl.windGrids[s] = makeWindGrid(u, v);
+    tl.precipGrids[s] = makePrecipGrid(p);
+  }
+}
+
+// Wave grids for a chunk, left null if the marine model didn't answer —
+// wind and rain shouldn't go down with it.
+async function loadWaveChunk(tl, chunk) {
+  const { url, first, last } = gridUrl('https://marine-api.open-meteo.com/v1/marine', tl, chunk, 'wave_height,wave_direction');
+  try {
+    const res = await fetch(url);
+    const data = await res.json();
+    if (!Array.isArray(data) || data.length !== POINTS.length) throw new Error('Wave grid size mismatch');
+
+    const n = POINTS.length;
+    const grid = (pick) => {
+      const h = new Float32Array(n), dx = new Float32Array(n), dy = new Float32Array(n);
+      data.forEach((d, idx) => {
+        const [m, from] = pick(d);
+        if (m == null || from == null) { h[idx] = dx[idx] = dy[idx] = NaN; return; }
+        // Reported as the direction waves come from; arrows point where they go.
+        const r = (from + 180) * Math.PI / 180;
+        h[idx] = m * M_TO_FT; dx[idx] = Math.sin(r); dy[idx] = Math.cos(r);
+      });
+      return makeWaveGrid(h, dx, dy);
+    };
+
+    // Hour 0 = current conditions, as for wind.
+    if (chunk === 0) tl.waveGrids[0] = grid((d) => [d.current?.wave_height, d.current?.wave_direction]);
+    for (let s = first; s <= last; s++) {
+      const k = hourIndex(data, tl.hours[s]);
+      tl.waveGrids[s] = grid((d) => [d.hourly?.wave_height?.[k], d.hourly?.wave_direction?.[k]]);
+    }
+  } catch (e) {
+    console.warn('Wave grid failed', e);
+    if (chunk === 0) tl.wavesMissing = true;
+    for (let s = chunk === 0 ? 0 : first; s <= last; s++) tl.waveGrids[s] = null;
+  }
+}
+
+// Retry once on a transient failure, so a layer reliably gets its grid
+// instead of silently staying blank.
+async function withRetry(fn) {
+  let lastErr;
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try { return await fn(); }
+    catch (e) { lastErr = e; await new Promise((r) => setTimeout(r, 800)); }
+  }
+  throw lastErr;
+}
+
+function loadChunk(tl, chunk) {
+  if (!tl.chunks.has(chunk)) {
+    const p = withRetry(() => Promise.all([loadWeatherChunk(tl, chunk), loadWaveChunk(tl, chunk)]));
+    tl.chunks.set(chunk, p);
+    p.catch(() => tl.chunks.delete(chunk)); // let the next request try again
   }
+  return tl.chunks.get(chunk);
+}
 
-  cache = { windGrids, precipGrids, hours, stepCount: windGrids.length };
-  cachedAt = Date.now();
-  return cache;
+/**
+ * Empty timeline: `hours` holds every step's time (step 0 = now, then the
+ * top of the hour every `step` hours out to `hours`); the grid arrays fill
+ * in chunk by chunk.
+ */
+function createTimeline(horizon, step) {
+  const base = new Date();
+  base.setUTCMinutes(0, 0, 0);
+  const stepCount = Math.floor(Math.min(horizon, MAX_TIMELINE_HOURS) / step) + 1;
+  const hours = [new Date()];
+  for (let s = 1; s < stepCount; s++) hours.push(new Date(base.getTime() + s * step * HOUR_MS));
+  return {
+    horizon, step, stepCount, hours,
+    windGrids: new Array(stepCount), precipGrids: new Array(stepCount), waveGrids: new Array(stepCount),
+    wavesMissing: false, chunks: new Map(),
+  };
+}
+
+/**
+ * Timeline for a horizon (hours) and step (1 or 3 hours), with its first
+ * chunk loaded. Dedups concurrent callers (wind + radar may both request at
+ * once); the result is reused for 15 minutes.
+ */
+export async function fetchTimeline({ hours = 12, step = 1 } = {}) {
+  const fresh = cache && Date.now() - cachedAt < 15 * 60 * 1000;
+  if (fresh && cache.horizon === hours && cache.step === step) return cache;
+  if (inflight && inflight.horizon === hours && inflight.step === step) return inflight.promise;
+  const tl = createTimeline(hours, step);
+  inflight = { horizon: hours, step, promise: loadChunk(tl, 0).then(() => tl) };
+  try {
+    cache = await inflight.promise;
+    cachedAt = Date.now();
+    return cache;
+  } finally {
+    inflight = null;
+  }
+}
+
+/** Load the chunk holding `step` (no-op once it's there). */
+export async function loadStep(tl, step) {
+  if (step < 0 || step >= tl.stepCount) return tl;
+  await loadChunk(tl, chunkOf(step));
+  return tl;
+}
+
+export function stepLoaded(tl, step) {
+  return !!tl?.windGrids[step];
 }
 
 // Shared color ramps (match iOS Theme).
@@ -119,6 +274,17 @@ export function windColor(speed) {
   return 'rgba(255,80,80,ALPHA)';
 }
 
+// Significant wave height (ft): glassy blue through small-craft yellow to red.
+export function waveColor(ft) {
+  if (ft < 1) return [70, 130, 220, 0.35];
+  if (ft < 2) return [60, 190, 210, 0.45];
+  if (ft < 4) return [90, 210, 120, 0.5];
+  if (ft < 6) return [250, 225, 60, 0.55];
+  if (ft < 9) return [255, 150, 40, 0.6];
+  if (ft < 12) return [240, 60, 50, 0.65];
+  return [180, 40, 150, 0.7];
+}
+
 export function precipColor(mm) {
   if (mm < 0.08) return null;
   if (mm < 0.5) return [140, 212, 237, 0.45];
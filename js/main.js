@@ -1,18 +1,39 @@
 // Slackwater web — application entry point.
 
 import { applyAppearance, onSettingsChange, getSettings, isDark } from './settings.js';
-import { initMap, switchMapTiles, panToStation } from './map.js';
+import { initMap, switchMapTiles, panToStation, markResidualAlerts, showTideLevels, TIDE_LEVEL_COLORS } from './map.js';
+import { refreshResiduals, onResidualsChange } from './residuals.js';
+import { refreshAlerts, onAlertsChange, getAlerts } from './alerts.js';
+import { loadTideLevels, tideLevelAt, onTideLevelsChange } from './tideLevels.js';
+import { registerServiceWorker } from './offline.js';
 import { openStation, initStationPanel } from './ui/stationPanel.js';
 import { openForecast } from './ui/forecastPanel.js';
+import { openCurrent } from './ui/currentPanel.js';
+import { openBuoy } from './ui/buoyPanel.js';
+import { openHistory } from './ui/historyPanel.js';
+import { openFinder } from './ui/finderPanel.js';
+import { openOutlook } from './ui/outlookPanel.js';
 import { openSolunar, initSolunarPanel } from './ui/solunarPanel.js';
 import { openFavorites, initFavoritesPanel } from './ui/favoritesPanel.js';
+import { openSearch, initSearchPanel } from './ui/searchPanel.js';
 import { openSettings } from './ui/settingsPanel.js';
 import { maybeShowSafetyNotice } from './ui/safetyNotice.js';
 import { refreshChartsTheme } from './ui/charts.js';
-import { fetchTimeline, windColor, precipColor } from './layers/weather.js';
+import { fetchTimeline, loadStep, stepLoaded, windColor, precipColor, waveColor } from './layers/weather.js';
 import { WindLayer } from './layers/wind.js';
 import { RadarLayer } from './layers/radar.js';
-import { fmtHour } from './format.js';
+import { WaveLayer } from './layers/waves.js';
+import { AlertsLayer, ALERT_COLORS } from './layers/alerts.js';
+import { TropicalLayer, stormColor } from './layers/tropical.js';
+import { fetchTropical } from './api/tropical.js';
+import { openTropical, initTropicalPanel } from './ui/tropicalPanel.js';
+import { initRouter, noteSubject, updateView } from './router.js';
+import { closePanel } from './panels.js';
+import { TEXAS_STATIONS } from './data/stations.js';
+import { CURRENT_STATIONS } from './data/currentStations.js';
+import { TEXAS_BUOYS } from './data/buoys.js';
+import { extraSubordinateStations } from './subordinate.js';
+import { fmtHour, fmtWeekday } from './format.js';
 
 function waitForLibraries() {
   return new Promise((resolve) => {
@@ -23,16 +44,50 @@ function waitForLibraries() {
 
 // ---- Weather layer + scrubber controller ----------------------------------
 
+const HOUR_MS = 3600 * 1000;
+const TIDE_LEVEL_POLL_MS = 5 * 60 * 1000;
+
 const weather = {
-  windOn: false, radarOn: false, hour: 0, playing: false, playTimer: null,
-  timeline: null, windLayer: null, radarLayer: null, map: null,
+  windOn: false, radarOn: false, wavesOn: false, hour: 0, playing: false, playTimer: null,
+  timeline: null, windLayer: null, radarLayer: null, waveLayer: null, map: null,
 
+  // The timeline for the horizon and step chosen in Settings; a changed
+  // setting gets a fresh one on the next call.
   async ensureTimeline() {
-    if (this.timeline) return this.timeline;
-    try { this.timeline = await fetchTimeline(); } catch (e) { console.warn('Wind/precip timeline failed', e); }
+    const { timelineHours, timelineStep } = getSettings();
+    if (this.timeline && this.timeline.horizon === timelineHours && this.timeline.step === timelineStep) return this.timeline;
+    try {
+      this.timeline = await fetchTimeline({ hours: timelineHours, step: timelineStep });
+      this.configureRange();
+    } catch (e) { console.warn('Wind/precip timeline failed', e); }
     return this.timeline;
   },
 
+  // Size the scrubber to the timeline and mark where each day starts.
+  configureRange() {
+    const tl = this.timeline;
+    const range = document.getElementById('timeline-range');
+    range.max = tl.stepCount - 1;
+    if (this.hour > tl.stepCount - 1) this.hour = 0;
+    range.value = this.hour;
+    const ticks = [];
+    for (let s = 1; s < tl.stepCount; s++) {
+      if (fmtWeekday(tl.hours[s]) === fmtWeekday(tl.hours[s - 1])) continue;
+      const frac = s / (tl.stepCount - 1);
+      // Inset by half the thumb so ticks line up with where it sits.
+      ticks.push(`<span style="left:calc(8px + (100% - 16px) * ${frac.toFixed(4)})">${fmtWeekday(tl.hours[s])}</span>`);
+    }
+    document.getElementById('timeline-ticks').innerHTML = ticks.join('');
+  },
+
+  // Load the chunk holding `step` in the background (the scrubber and play
+  // loop call this ahead of where they are).
+  loadAhead(step) {
+    const tl = this.timeline;
+    if (!tl || stepLoaded(tl, step)) return Promise.resolve();
+    return loadStep(tl, step).catch((e) => console.warn('Timeline chunk failed', e));
+  },
+
   async setWind(on) {
     this.windOn = on;
     document.getElementById('wind-btn').classList.toggle('active', on);
@@ -46,9 +101,7 @@ const weather = {
     if (!this.windLayer) this.windLayer = new WindLayer(this.map);
     this.windLayer.start();
     const tl = await this.ensureTimeline();
-    if (this.windOn && tl && this.windLayer) {
-      this.windLayer.setGrid(tl.windGrids[Math.min(this.hour, tl.windGrids.length - 1)]);
-    }
+    if (this.windOn && tl && this.windLayer) this.applyHour();
   },
 
   async setRadar(on) {
@@ -64,22 +117,65 @@ const weather = {
     this.updateChrome();
   },
 
+  async setWaves(on) {
+    this.wavesOn = on;
+    document.getElementById('waves-btn').classList.toggle('active', on);
+    this.updateChrome();
+    if (!on) {
+      if (this.waveLayer) this.waveLayer.hide();
+      return;
+    }
+    if (!this.waveLayer) this.waveLayer = new WaveLayer(this.map);
+    await this.ensureTimeline();
+    if (!this.wavesOn) return;
+    this.applyHour();
+    this.updateChrome(); // legend notes a missing marine grid
+  },
+
   applyHour() {
     const tl = this.timeline;
-    if (this.windOn && this.windLayer && tl) {
-      this.windLayer.setGrid(tl.windGrids[Math.min(this.hour, tl.windGrids.length - 1)]);
+    // Frames past the loaded chunks wait for theirs; the layers keep showing
+    // the last one meanwhile.
+    const ready = tl && stepLoaded(tl, this.hour);
+    if (tl && !ready) {
+      const h = this.hour;
+      this.loadAhead(h).then(() => { if (this.hour === h && stepLoaded(tl, h)) this.applyHour(); });
     }
+    if (this.windOn && this.windLayer && ready) this.windLayer.setGrid(tl.windGrids[this.hour]);
     if (this.radarOn && this.radarLayer) {
       if (this.hour === 0) this.radarLayer.showLive();
-      else if (tl) this.radarLayer.showForecast(tl.precipGrids[Math.min(this.hour, tl.precipGrids.length - 1)]);
+      else if (ready) this.radarLayer.showForecast(tl.precipGrids[this.hour]);
     }
+    if (this.wavesOn && this.waveLayer && ready) this.waveLayer.show(tl.waveGrids[this.hour]);
+    if (tl) this.loadAhead(Math.min(this.hour + 4, tl.stepCount - 1));
     this.updateLabel();
+    this.updateTideMarkers();
+    syncView();
   },
 
   async setHour(h) {
     this.hour = h;
     if (h > 0) await this.ensureTimeline();
-    this.applyHour();
+    if (this.hour === h) this.applyHour();
+  },
+
+  // A changed horizon or step: back to Live on a new timeline.
+  async reconfigure() {
+    const { timelineHours, timelineStep } = getSettings();
+    if (!this.timeline || (this.timeline.horizon === timelineHours && this.timeline.step === timelineStep)) return;
+    if (this.playing) this.togglePlay();
+    this.hour = 0;
+    this.timeline = null;
+    document.getElementById('timeline-range').value = 0;
+    if (this.windOn || this.radarOn || this.wavesOn) {
+      await this.ensureTimeline();
+      this.applyHour();
+      this.updateChrome();
+    }
+  },
+
+  scrubbedTime() {
+    return this.hour === 0 || !this.timeline ? new Date() : this.timeline.hours[this.hour];
   },
 
   updateLabel() {
@@ -88,11 +184,28 @@ const weather = {
       label.textContent = 'Live';
       label.classList.add('live');
     } else {
-      label.textContent = fmtHour(this.timeline.hours[Math.min(this.hour, this.timeline.hours.length - 1)]);
+      const t = this.timeline.hours[this.hour];
+      label.textContent = fmtWeekday(t) === fmtWeekday(new Date()) ? fmtHour(t) : `${fmtWeekday(t)} ${fmtHour(t)}`;
       label.classList.remove('live');
     }
   },
 
+  // Station pins show the predicted water level now, or at the scrubbed time
+  // while the scrubber is up (with the height tagged under each pin).
+  updateTideMarkers() {
+    const scrubbing = this.windOn || this.radarOn || this.wavesOn;
+    const time = scrubbing ? this.scrubbedTime() : new Date();
+    showTideLevels((station) => tideLevelAt(station.id, time), { tags: scrubbing });
+  },
+
+  // Highs/lows for the timeline's horizon. loadTideLevels fetches only when
+  // what it holds runs out (every several hours); the redraw keeps the Live
+  // colors moving with the tide.
+  refreshTideLevels() {
+    loadTideLevels(new Date(Date.now() + getSettings().timelineHours * HOUR_MS));
+    this.updateTideMarkers();
+  },
+
   togglePlay() {
     this.playing = !this.playing;
     const icon = document.querySelector('#timeline-play i');
@@ -100,9 +213,11 @@ const weather = {
     if (this.playing) {
       this.playTimer = setInterval(() => {
         const max = this.timeline ? this.timeline.stepCount - 1 : 12;
-        const range = document.getElementById('timeline-range');
-        this.hour = this.hour >= max ? 0 : this.hour + 1;
-        range.value = this.hour;
+        const next = this.hour >= max ? 0 : this.hour + 1;
+        // Hold on this frame until the next chunk arrives.
+        if (this.timeline && !stepLoaded(this.timeline, next)) { this.loadAhead(next); return; }
+        this.hour = next;
+        document.getElementById('timeline-range').value = this.hour;
         this.applyHour();
       }, 900);
     } else {
@@ -111,22 +226,87 @@ const weather = {
   },
 
   updateChrome() {
-    const anyOn = this.windOn || this.radarOn;
+    const anyOn = this.windOn || this.radarOn || this.wavesOn;
     document.getElementById('timeline-bar').classList.toggle('active', anyOn);
     if (!anyOn && this.playing) this.togglePlay();
-    renderLegend(this.windOn, this.radarOn);
+    if (anyOn) loadTideLevels(new Date(Date.now() + getSettings().timelineHours * HOUR_MS));
+    this.updateTideMarkers();
+    renderLegend();
+    syncView();
+  },
+};
+
+// ---- NWS alerts layer -----------------------------------------------------
+
+const alerts = {
+  on: false, layer: null,
+
+  set(on) {
+    this.on = on;
+    document.getElementById('alerts-btn').classList.toggle('active', on);
+    if (on) {
+      if (!this.layer) this.layer = new AlertsLayer(weather.map);
+      this.layer.show(getAlerts());
+      refreshAlerts();
+    } else if (this.layer) {
+      this.layer.hide();
+    }
+    renderLegend();
+    syncView();
   },
 };
 
-function renderLegend(windOn, radarOn) {
+// ---- Tropical layer -------------------------------------------------------
+
+// NHC advisories come every 3–6 hours (the Worker caches 10 minutes); while
+// the layer is on, re-poll so positions and cones stay current.
+const TROPICAL_POLL_MS = 10 * 60 * 1000;
+
+const tropical = {
+  on: false, layer: null, data: null, timer: null,
+
+  async set(on) {
+    this.on = on;
+    document.getElementById('tropical-btn').classList.toggle('active', on);
+    clearInterval(this.timer);
+    syncView();
+    if (!on) {
+      if (this.layer) this.layer.hide();
+      renderLegend();
+      return;
+    }
+    if (!this.layer) this.layer = new TropicalLayer(weather.map);
+    this.timer = setInterval(() => this.refresh(), TROPICAL_POLL_MS);
+    await this.refresh();
+  },
+
+  async refresh() {
+    const data = await fetchTropical();
+    if (!this.on) return;
+    if (data) this.data = data;
+    this.layer.show(this.data, showTropical);
+    renderLegend();
+  },
+};
+
+// Reads every layer's on/off state from its controller.
+function renderLegend() {
   const legend = document.getElementById('legend');
-  const show = (windOn || radarOn) && getSettings().showLegend;
+  const { windOn, radarOn, wavesOn } = weather;
+  const alertsOn = alerts.on;
+  const tropicalOn = tropical.on;
+  const show = (windOn || radarOn || wavesOn || alertsOn || tropicalOn) && getSettings().showLegend;
   legend.classList.toggle('active', show);
   if (!show) return;
   const content = document.getElementById('legend-content');
   const windStops = [[1, '0'], [5, '7'], [11, '18'], [18, '34'], [26, '49'], [35, '67+']];
   const precipStops = [[0.3, 'Light'], [1, ''], [2.5, 'Mod'], [6, ''], [12, 'Heavy'], [20, '']];
   let html = '';
+  if (windOn || radarOn || wavesOn) {
+    html += `<div class="legend-group"><div class="legend-group-title">Tide pins (predicted)</div>
+      <div class="legend-ramp">${TIDE_LEVEL_COLORS.map((c) => `<span style="background:${c}"></span>`).join('')}</div>
+      <div class="legend-scale"><span>Low</span><span>High</span></div></div>`;
+  }
   if (windOn) {
     html += `<div class="legend-group"><div class="legend-group-title">Wind (mph)</div>
       <div class="legend-ramp">${windStops.map(([s]) => `<span style="background:${windColor(s).replace('ALPHA', '1')}"></span>`).join('')}</div>
@@ -137,21 +317,148 @@ function renderLegend(windOn, radarOn) {
       <div class="legend-ramp">${precipStops.map(([mm]) => { const c = precipColor(mm); return `<span style="background:rgba(${c[0]},${c[1]},${c[2]},${c[3]})"></span>`; }).join('')}</div>
       <div class="legend-scale">${precipStops.map(([, l]) => `<span>${l}</span>`).join('')}</div></div>`;
   }
+  if (wavesOn) {
+    const waveStops = [[0.5, '0'], [1.5, '1'], [3, '2'], [5, '4'], [7, '6'], [10, '9'], [13, '12+']];
+    const missing = weather.timeline?.wavesMissing;
+    html += `<div class="legend-group"><div class="legend-group-title">Waves (ft)${missing ? ' · unavailable' : ''}</div>
+      <div class="legend-ramp">${waveStops.map(([ft]) => { const c = waveColor(ft); return `<span style="background:rgb(${c[0]},${c[1]},${c[2]})"></span>`; }).join('')}</div>
+      <div class="legend-scale">${waveStops.map(([, l]) => `<span>${l}</span>`).join('')}</div></div>`;
+  }
+  if (alertsOn) {
+    html += `<div class="legend-group"><div class="legend-group-title">NWS Alerts</div>
+      <div class="legend-swatches">${['warning', 'watch', 'advisory', 'statement'].map((level) =>
+        `<span><i style="background:${ALERT_COLORS[level]}"></i>${level[0].toUpperCase()}${level.slice(1)}</span>`).join('')}</div></div>`;
+  }
+  if (tropicalOn) {
+    const storms = tropical.data?.storms || [];
+    const stops = [[30, 'TD'], [50, 'TS'], [70, '1'], [90, '2'], [100, '3'], [120, '4'], [140, '5']];
+    html += `<div class="legend-group"><div class="legend-group-title">Tropical${tropical.data && !storms.length ? ' · no active Atlantic storms' : ''}</div>
+      <div class="legend-ramp">${stops.map(([kt]) => `<span style="background:${stormColor(kt)}"></span>`).join('')}</div>
+      <div class="legend-scale">${stops.map(([, l]) => `<span>${l}</span>`).join('')}</div></div>`;
+  }
   content.innerHTML = html;
 }
 
+// ---- Deep links -----------------------------------------------------------
+
+// Every panel opener notes what it's about to show, so the router can put it
+// in the URL when the panel opens.
+const routed = (panelId, open) => (subject, ...rest) => {
+  noteSubject(panelId, subject.id);
+  return open(subject, ...rest);
+};
+const showStation = routed('station-panel', openStation);
+const showCurrent = routed('current-panel', openCurrent);
+const showBuoy = routed('buoy-panel', openBuoy);
+const showTropical = routed('tropical-panel', openTropical);
+const STATION_VIEWS = {
+  forecast: routed('forecast-panel', openForecast),
+  solunar: routed('solunar-panel', openSolunar),
+  history: routed('history-panel', openHistory),
+  finder: routed('finder-panel', openFinder),
+  outlook: routed('outlook-panel', openOutlook),
+};
+const OTHER_PANELS = { favorites: openFavorites, search: openSearch, settings: openSettings };
+
+const pickStation = (station) => { panToStation(station); showStation(station); };
+
+function stationById(id) {
+  return TEXAS_STATIONS.find((s) => s.id === id) || extraSubordinateStations().find((s) => s.id === id);
+}
+
+function activeLayers() {
+  return [['wind', weather.windOn], ['radar', weather.radarOn], ['waves', weather.wavesOn], ['alerts', alerts.on], ['tropical', tropical.on]]
+    .filter(([, on]) => on).map(([name]) => name);
+}
+
+function syncView() {
+  updateView({ layers: activeLayers(), hour: weather.hour });
+}
+
+async function openFromRoute(panel, subject, { pan }) {
+  if (!panel) { closePanel(); return; }
+  if (OTHER_PANELS[panel]) { OTHER_PANELS[panel](); return; }
+  if (panel === 'current') {
+    const station = CURRENT_STATIONS.find((s) => s.id === subject);
+    if (station) { if (pan) panToStation(station); showCurrent(station); }
+    return;
+  }
+  if (panel === 'buoy') {
+    const station = TEXAS_BUOYS.find((s) => s.id === subject);
+    if (station) { if (pan) panToStation(station); showBuoy(station); }
+    return;
+  }
+  if (panel === 'tropical') {
+    const data = tropical.data || await fetchTropical();
+    const storm = data?.storms?.find((s) => s.id === subject);
+    if (storm) showTropical(storm);
+    return;
+  }
+  const station = stationById(subject);
+  if (!station || (panel !== 'station' && !STATION_VIEWS[panel])) return;
+  if (pan) panToStation(station);
+  // A station sub-panel opens over its station panel so its Back button
+  // has somewhere to go.
+  showStation(station);
+  if (STATION_VIEWS[panel]) STATION_VIEWS[panel](station);
+}
+
+// Loading a link restores the whole view; Back / Forward only move between
+// panels (map and layers stay as they are).
+async function restoreView(v, { initial }) {
+  if (initial) {
+    if (v.map) weather.map.setView([v.map.lat, v.map.lon], v.map.zoom, { animate: false });
+    const layers = new Set(v.layers);
+    if (layers.has('alerts')) alerts.set(true);
+    if (layers.has('tropical')) tropical.set(true);
+    if (layers.has('wind')) weather.setWind(true);
+    if (layers.has('radar')) weather.setRadar(true);
+    if (layers.has('waves')) weather.setWaves(true);
+    if (v.hour && (layers.has('wind') || layers.has('radar') || layers.has('waves'))) {
+      weather.ensureTimeline().then((tl) => {
+        if (!tl) return;
+        const h = Math.min(v.hour, tl.stepCount - 1);
+        document.getElementById('timeline-range').value = h;
+        weather.setHour(h);
+      });
+    }
+  }
+  await openFromRoute(v.panel, v.subject, { pan: initial && !v.map });
+}
+
 // ---- Boot -----------------------------------------------------------------
 
 async function init() {
   applyAppearance();
+  // Offline app shell + last-good data snapshots (sw.js).
+  registerServiceWorker();
   await waitForLibraries();
 
-  const map = initMap(openStation);
+  const map = initMap(showStation, showCurrent, showBuoy);
   weather.map = map;
 
-  initStationPanel({ onForecast: openForecast, onSolunar: openSolunar });
+  const views = STATION_VIEWS;
+  initStationPanel({ onForecast: views.forecast, onSolunar: views.solunar, onHistory: views.history, onFinder: views.finder, onOutlook: views.outlook });
   initSolunarPanel();
-  initFavoritesPanel({ onSelect: (station) => { panToStation(station); openStation(station); } });
+  initFavoritesPanel({ onSelect: pickStation });
+  initSearchPanel({ onSelect: pickStation });
+  initTropicalPanel({ onStation: pickStation });
+
+  // Residual (storm surge) alerts: the Worker re-checks every 15 minutes.
+  onResidualsChange(markResidualAlerts);
+  // Tide-level pins: highs/lows for the timeline's horizon, redrawn every few
+  // minutes so the Live colors keep moving with the tide.
+  onTideLevelsChange(() => weather.updateTideMarkers());
+  weather.refreshTideLevels();
+  setInterval(() => weather.refreshTideLevels(), TIDE_LEVEL_POLL_MS);
+  refreshResiduals();
+  setInterval(refreshResiduals, 5 * 60 * 1000);
+
+  // NWS watches / warnings: the Worker caches them for two minutes. The
+  // station panel reads them for its banners even with the layer off.
+  onAlertsChange((collection) => { if (alerts.on) alerts.layer.show(collection); });
+  refreshAlerts();
+  setInterval(refreshAlerts, 3 * 60 * 1000);
 
   // Warm the wind/precip grid a couple seconds after load so the wind layer
   // appears instantly on first click instead of waiting on a cold fetch.
@@ -160,6 +467,10 @@ async function init() {
   // Control cluster
   document.getElementById('wind-btn').addEventListener('click', () => weather.setWind(!weather.windOn));
   document.getElementById('radar-btn').addEventListener('click', () => weather.setRadar(!weather.radarOn));
+  document.getElementById('waves-btn').addEventListener('click', () => weather.setWaves(!weather.wavesOn));
+  document.getElementById('alerts-btn').addEventListener('click', () => alerts.set(!alerts.on));
+  document.getElementById('tropical-btn').addEventListener('click', () => tropical.set(!tropical.on));
+  document.getElementById('search-btn').addEventListener('click', openSearch);
   document.getElementById('favorites-btn').addEventListener('click', openFavorites);
   document.getElementById('settings-btn').addEventListener('click', openSettings);
 
@@ -181,8 +492,17 @@ async function init() {
   let wasDark = isDark();
   onSettingsChange(() => {
     if (isDark() !== wasDark) { wasDark = isDark(); switchMapTiles(wasDark); refreshChartsTheme(); }
-    renderLegend(weather.windOn, weather.radarOn);
+    renderLegend();
+    weather.reconfigure();
+  });
+
+  // Deep links: keep the map view in the URL, then restore whatever the
+  // loaded URL asks for.
+  map.on('moveend', () => {
+    const c = map.getCenter();
+    updateView({ map: { lat: c.lat, lon: c.lng, zoom: map.getZoom() } });
   });
+  initRouter(restoreView);
 
   // One-time safety notice (first launch only).
   maybeShowSafetyNotice();
@@ -2,12 +2,23 @@
 // the panel and deliberately does NOT move the map (fixes the old autoPan).
 
 import { TEXAS_STATIONS, TEXAS_COAST_BOUNDS } from './data/stations.js';
+import { CURRENT_STATIONS } from './data/currentStations.js';
+import { TEXAS_BUOYS } from './data/buoys.js';
 import { isDark } from './settings.js';
+import { extraSubordinateStations } from './subordinate.js';
 
 let map;
 let currentTileLayer = null;
 const markers = new Map();
 let onSelect = null;
+let onCurrentSelect = null;
+let onBuoySelect = null;
+// What the station pins currently show: residual alerts (id -> alert), each
+// station's predicted level (now or at the scrubbed time) and whether to tag
+// pins with the height in feet.
+let residualAlerts = new Map();
+let levelFor = null;
+let levelTags = false;
 
 const TILE_LAYERS = {
   light: 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png',
@@ -15,17 +26,67 @@ const TILE_LAYERS = {
 };
 const ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> &copy; <a href="https://carto.com/attributions">CARTO</a>';
 
-function stationIcon() {
+// Pin fill for the predicted level, from the station's lowest low (sand) to
+// its highest high (deep blue).
+export const TIDE_LEVEL_COLORS = ['#d9a55b', '#a8c8a0', '#5fb3c9', '#3a84c4', '#1d4f91'];
+
+function levelColor(fraction) {
+  const i = Math.min(Math.floor(fraction * TIDE_LEVEL_COLORS.length), TIDE_LEVEL_COLORS.length - 1);
+  return TIDE_LEVEL_COLORS[i];
+}
+
+// `alert` (optional) is the station's residual alert — high or low water
+// gets a colored, pulsing pin that wins over the level color. `level`
+// (optional) is the predicted water level: the pin fills by where it sits in
+// the station's range and its arrow shows rising or falling; `tag` adds the
+// height under the pin.
+function stationIcon(alert, level, tag = false) {
+  const fill = level && !alert ? ` style="background:${levelColor(level.fraction)}"` : '';
+  const icon = level ? `ph-bold ${level.rising ? 'ph-arrow-up' : 'ph-arrow-down'}` : 'ph-fill ph-waves';
+  const label = level && tag ? `<span class="tide-level">${level.ft.toFixed(1)}'</span>` : '';
   return L.divIcon({
-    className: 'station-marker',
-    html: '<span class="pin"><i class="ph-fill ph-waves"></i></span>',
+    className: alert ? `station-marker residual-${alert.direction}` : 'station-marker',
+    html: `<span class="pin"${fill}><i class="${icon}"></i></span>${label}`,
     iconSize: [28, 28],
     iconAnchor: [14, 14],
   });
 }
 
-export function initMap(onStationSelect) {
+// Subordinate prediction points (offsets from a reference station) — smaller
+// and quieter than the gauges so hundreds of them don't swamp the map.
+function subordinateIcon() {
+  return L.divIcon({
+    className: 'station-marker subordinate',
+    html: '<span class="dot"></span>',
+    iconSize: [12, 12],
+    iconAnchor: [6, 6],
+  });
+}
+
+// Tidal current stations — a diamond so they read differently from tide gauges.
+function currentIcon() {
+  return L.divIcon({
+    className: 'station-marker current',
+    html: '<span class="pin"><i class="ph-bold ph-arrows-left-right"></i></span>',
+    iconSize: [24, 24],
+    iconAnchor: [12, 12],
+  });
+}
+
+// NDBC buoys and C-MAN stations — a round life-ring badge, out at sea.
+function buoyIcon() {
+  return L.divIcon({
+    className: 'station-marker buoy',
+    html: '<span class="pin"><i class="ph-bold ph-lifebuoy"></i></span>',
+    iconSize: [24, 24],
+    iconAnchor: [12, 12],
+  });
+}
+
+export function initMap(onStationSelect, onCurrentStationSelect, onBuoyStationSelect) {
   onSelect = onStationSelect;
+  onCurrentSelect = onCurrentStationSelect;
+  onBuoySelect = onBuoyStationSelect;
   map = L.map('map', { center: [27.9, -95.6], zoom: 7, zoomControl: true, attributionControl: true });
   L.control.zoom({ position: 'topleft' });
 
@@ -46,10 +107,69 @@ export function initMap(onStationSelect) {
     markers.set(station.id, marker);
   });
 
-  console.log(`Map ready with ${TEXAS_STATIONS.length} stations`);
+  const subordinates = extraSubordinateStations();
+  subordinates.forEach((station) => {
+    const marker = L.marker([station.lat, station.lon], { icon: subordinateIcon(), title: station.name, zIndexOffset: -100 });
+    marker.bindTooltip(station.name, { direction: 'top', offset: [0, -6] });
+    marker.on('click', () => { if (onSelect) onSelect(station); });
+    marker.addTo(map);
+    markers.set(station.id, marker);
+  });
+
+  CURRENT_STATIONS.forEach((station) => {
+    const marker = L.marker([station.lat, station.lon], { icon: currentIcon(), title: `${station.name} (currents)` });
+    marker.bindTooltip(`${station.name} · Currents`, { direction: 'top', offset: [0, -14] });
+    marker.on('click', () => { if (onCurrentSelect) onCurrentSelect(station); });
+    marker.addTo(map);
+    markers.set(`current:${station.id}`, marker);
+  });
+
+  TEXAS_BUOYS.forEach((station) => {
+    const marker = L.marker([station.lat, station.lon], { icon: buoyIcon(), title: `${station.name} (${station.type})` });
+    marker.bindTooltip(`${station.name} · ${station.type}`, { direction: 'top', offset: [0, -14] });
+    marker.on('click', () => { if (onBuoySelect) onBuoySelect(station); });
+    marker.addTo(map);
+    markers.set(`buoy:${station.id}`, marker);
+  });
+
+  console.log(`Map ready with ${TEXAS_STATIONS.length} stations + ${subordinates.length} subordinate points + ${CURRENT_STATIONS.length} current stations + ${TEXAS_BUOYS.length} buoys`);
   return map;
 }
 
+function refreshStationMarkers() {
+  TEXAS_STATIONS.forEach((station) => {
+    const marker = markers.get(station.id);
+    if (!marker) return;
+    const alert = residualAlerts.get(station.id);
+    const level = levelFor ? levelFor(station) : null;
+    marker.setIcon(stationIcon(alert, level, levelTags));
+    marker.setTooltipContent(alert
+      ? `${station.name} · ${alert.residual > 0 ? '+' : ''}${alert.residual.toFixed(1)} ft vs predicted`
+      : level ? `${station.name} · ${level.ft.toFixed(1)} ft predicted, ${level.rising ? 'rising' : 'falling'}` : station.name);
+    marker.setZIndexOffset(alert ? 500 : 0);
+  });
+}
+
+/**
+ * Highlight stations the residual monitor has flagged (Map of id -> alert);
+ * every other gauge goes back to the plain pin.
+ */
+export function markResidualAlerts(alerts) {
+  residualAlerts = alerts;
+  refreshStationMarkers();
+}
+
+/**
+ * Color each tide station by its predicted level. `fn(station)` returns
+ * { ft, rising, fraction } or null; pass null to go back to plain pins.
+ * `tags` also labels each pin with the height.
+ */
+export function showTideLevels(fn, { tags = false } = {}) {
+  levelFor = fn;
+  levelTags = tags;
+  refreshStationMarkers();
+}
+
 export function getMap() {
   return map;
 }
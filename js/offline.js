@@ -0,0 +1,56 @@
+// Offline support. Registers the service worker (sw.js), which keeps the last
+// good API response per station and endpoint and answers with it — stamped
+// X-Snapshot-At — when the network is down. The API modules report those
+// answers here so panels can show how old their data is, and reload once the
+// worker has refreshed its snapshots.
+
+const SNAPSHOT_HEADER = 'X-Snapshot-At';
+const MAX_TRACKED = 200;
+
+const served = []; // { n, url, at }
+let count = 0;
+const listeners = new Set();
+
+export function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.register('sw.js')
+    .catch((err) => console.warn('Service worker registration failed:', err.message));
+  navigator.serviceWorker.addEventListener('message', (e) => {
+    if (e.data?.type === 'snapshots-refreshed') listeners.forEach((fn) => fn());
+  });
+  window.addEventListener('online', () => {
+    navigator.serviceWorker.controller?.postMessage({ type: 'revalidate' });
+  });
+}
+
+/** Note an API response; records it if the service worker answered from a snapshot. */
+export function noteResponse(response, url) {
+  const at = response.headers.get(SNAPSHOT_HEADER);
+  if (!at) return;
+  served.push({ n: ++count, url: String(url), at: new Date(at) });
+  if (served.length > MAX_TRACKED) served.shift();
+}
+
+/** Position to pass to snapshotAsOf() — take it before a panel's requests start. */
+export function snapshotMark() {
+  return count;
+}
+
+/**
+ * Oldest snapshot served since `mark` (optionally only URLs containing
+ * `match`), or null if everything came from the network.
+ */
+export function snapshotAsOf(mark, match = '') {
+  let oldest = null;
+  for (const s of served) {
+    if (s.n <= mark || !s.url.includes(match)) continue;
+    if (!oldest || s.at < oldest) oldest = s.at;
+  }
+  return oldest;
+}
+
+/** Called after the service worker re-fetched snapshot data (back online). */
+export function onReconnect(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
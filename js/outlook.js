@@ -0,0 +1,188 @@
+// Fishing outlook — scores hourly slots for a station from five factors:
+// solunar periods, tidal flow off the prediction curve, forecast wind, the
+// barometric trend and the water temperature trend. Every slot keeps its
+// per-factor breakdown so anglers can see why it rates the way it does. Pure;
+// the outlook panel gathers the inputs.
+
+import { fmtWind } from './format.js';
+
+const HOUR_MS = 3600 * 1000;
+
+// Weights are renormalized over the factors that have data for a slot.
+export const FACTORS = [
+  { key: 'tide', label: 'Tide flow', weight: 0.3 },
+  { key: 'solunar', label: 'Solunar', weight: 0.25 },
+  { key: 'wind', label: 'Wind', weight: 0.2 },
+  { key: 'pressure', label: 'Pressure', weight: 0.15 },
+  { key: 'waterTemp', label: 'Water temp', weight: 0.1 },
+];
+
+// Pressure and water temperature are current readings, not forecasts — they
+// count fully for the next few hours and fade out by this point.
+const OBSERVED_FADE_HOURS = 24;
+
+// Comfortable water for the inshore species most Texas anglers chase (trout,
+// reds, flounder), °F.
+const COMFORT_LOW = 68;
+const COMFORT_HIGH = 82;
+
+const RATINGS = ['poor', 'average', 'good', 'excellent'];
+
+function rating(score) {
+  const level = score >= 75 ? 3 : score >= 60 ? 2 : score >= 40 ? 1 : 0;
+  return { level: RATINGS[level], fishCount: level + 1 };
+}
+
+function centralDayKey(date) {
+  return date.toLocaleDateString('en-CA', { timeZone: 'America/Chicago' });
+}
+
+const clamp = (v, lo = 0, hi = 1) => Math.min(hi, Math.max(lo, v));
+
+// ---- Factors ---------------------------------------------------------------
+// Each returns { score (0–1), detail } for the slot [t, t + 1h), or null.
+
+// Moving water feeds fish; slack doesn't. Flow is the curve's mean |slope| in
+// the slot, scaled against this station's own strong flow (95th percentile)
+// so a 0.3 ft/hr bay rates like a 1 ft/hr pass.
+function tideFactor(t, predictions, refRate) {
+  const inSlot = predictions.filter((p) => p.time >= t && p.time < t + HOUR_MS);
+  if (inSlot.length < 2 || !refRate) return null;
+  const first = inSlot[0], last = inSlot[inSlot.length - 1];
+  const rate = (last.ft - first.ft) / ((last.time - first.time) / HOUR_MS);
+  const x = clamp(Math.abs(rate) / refRate);
+  const dir = Math.abs(rate) < 0.02 ? 'Slack' : rate > 0 ? 'Incoming' : 'Outgoing';
+  return { score: 0.15 + 0.85 * x, detail: `${dir} · ${Math.abs(rate).toFixed(2)} ft/hr` };
+}
+
+function flowReference(predictions) {
+  const rates = [];
+  for (let i = 10; i < predictions.length; i += 5) {
+    const a = predictions[i - 10], b = predictions[i];
+    rates.push(Math.abs(b.ft - a.ft) / ((b.time - a.time) / HOUR_MS));
+  }
+  if (!rates.length) return 0;
+  rates.sort((a, b) => a - b);
+  return rates[Math.floor(rates.length * 0.95)] || rates[rates.length - 1];
+}
+
+const overlaps = (p, t) => p.start.getTime() < t + HOUR_MS && p.end.getTime() > t;
+
+// Majors beat minors; new and full moons strengthen every slot; a period or
+// slot at sunrise/sunset gets a bump (the same idea as solunar.js's day rating).
+function solunarFactor(t, dayByKey) {
+  const day = dayByKey.get(centralDayKey(new Date(t)));
+  if (!day) return null;
+  const reasons = [];
+  let score = 0.3;
+  if (day.majors.some((p) => overlaps(p, t))) { score = 0.85; reasons.push('Major period'); }
+  else if (day.minors.some((p) => overlaps(p, t))) { score = 0.65; reasons.push('Minor period'); }
+  const moon = Math.abs(0.5 - day.illumination) * 2; // 1 at new/full
+  score += 0.15 * moon;
+  if (moon > 0.85) reasons.push(day.phaseName);
+  for (const [label, s] of [['Sunrise', day.sunrise], ['Sunset', day.sunset]]) {
+    if (s && s.getTime() > t - HOUR_MS / 2 && s.getTime() < t + HOUR_MS * 1.5) { score += 0.15; reasons.push(label); }
+  }
+  return { score: clamp(score), detail: reasons.join(' · ') || 'Between periods' };
+}
+
+// A light breeze is ideal; dead calm is fine; past ~20 mph the bays chop up.
+function windFactor(t, wind, unit) {
+  const w = wind.find((x) => x.time.getTime() <= t && x.time.getTime() + HOUR_MS > t)
+    || wind.find((x) => Math.abs(x.time.getTime() - t) < HOUR_MS);
+  if (!w || w.mph == null) return null;
+  const mph = w.mph;
+  const score = mph < 4 ? 0.75 : mph <= 12 ? 1 : mph <= 18 ? 0.6 : mph <= 25 ? 0.3 : 0.05;
+  return { score, detail: `${fmtWind(mph, unit)}${w.direction ? ` ${w.direction}` : ''}` };
+}
+
+function fade(t, now) {
+  return clamp(1 - (t - now) / (OBSERVED_FADE_HOURS * HOUR_MS));
+}
+
+// Falling pressure ahead of a front turns fish on; rising behind one slows them.
+function pressureFactor(t, pressure, now) {
+  if (!pressure || pressure.value == null) return null;
+  const f = fade(t, now);
+  if (f <= 0) return null;
+  const raw = pressure.trend === 'falling' ? 0.9 : pressure.trend === 'rising' ? 0.4 : 0.6;
+  const trend = pressure.trend ? pressure.trend[0].toUpperCase() + pressure.trend.slice(1) : 'Steady';
+  return { score: 0.5 + (raw - 0.5) * f, detail: `${trend} · ${pressure.value.toFixed(2)} inHg` };
+}
+
+// Water in the comfort band rates well; outside it, moving toward the band
+// helps and moving away hurts.
+function waterTempFactor(t, temps, now) {
+  const valid = temps.filter((p) => p.temp != null && !isNaN(p.temp));
+  if (!valid.length) return null;
+  const f = fade(t, now);
+  if (f <= 0) return null;
+  const latest = valid[valid.length - 1];
+  const first = valid[0];
+  const days = (latest.time - first.time) / (24 * HOUR_MS);
+  const perDay = days > 0.1 ? (latest.temp - first.temp) / days : 0;
+
+  const v = latest.temp;
+  const off = v < COMFORT_LOW ? COMFORT_LOW - v : v > COMFORT_HIGH ? v - COMFORT_HIGH : 0;
+  let raw = off ? clamp(0.7 - off * 0.06, 0.1) : 0.8;
+  if (off && Math.abs(perDay) >= 0.5) {
+    const toward = (v < COMFORT_LOW) === (perDay > 0);
+    raw = clamp(raw + (toward ? 0.15 : -0.15));
+  } else if (!off && Math.abs(perDay) < 1.5) {
+    raw += 0.1; // stable and comfortable
+  }
+  const trend = Math.abs(perDay) < 0.5 ? 'steady' : `${perDay > 0 ? 'rising' : 'falling'} ${Math.abs(perDay).toFixed(1)}°/day`;
+  return { score: 0.5 + (raw - 0.5) * f, detail: `${v.toFixed(1)}°F, ${trend}` };
+}
+
+// ---- Scoring ---------------------------------------------------------------
+
+/**
+ * Score `hours` hourly slots starting at the top of the hour of `start`.
+ * Inputs (any may be missing — that factor drops out of the slot's weights):
+ *   predictions [{time, ft}] 6-minute curve covering the slots
+ *   solunar     solunarDays() output covering the slots
+ *   wind        [{time, mph, direction}] hourly forecast
+ *   pressure    { value (inHg), trend: 'rising'|'falling'|'steady' }
+ *   waterTemps  [{time, temp}] recent observations (°F), oldest first
+ * Returns [{ time, score 0–100, rating: {level, fishCount},
+ *            factors: [{ key, label, weight, score 0–1, detail }] }]
+ * where `weight` is the factor's share of that slot's score.
+ */
+export function scoreOutlook(inputs, { start = new Date(), hours = 48, windUnit = 'mph', now = Date.now() } = {}) {
+  const predictions = inputs.predictions || [];
+  const refRate = flowReference(predictions);
+  const dayByKey = new Map((inputs.solunar || []).map((d) => [centralDayKey(d.date), d]));
+  const first = new Date(start);
+  first.setMinutes(0, 0, 0);
+
+  const slots = [];
+  for (let h = 0; h < hours; h++) {
+    const t = first.getTime() + h * HOUR_MS;
+    const raw = {
+      tide: tideFactor(t, predictions, refRate),
+      solunar: solunarFactor(t, dayByKey),
+      wind: windFactor(t, inputs.wind || [], windUnit),
+      pressure: pressureFactor(t, inputs.pressure, now),
+      waterTemp: waterTempFactor(t, inputs.waterTemps || [], now),
+    };
+    const present = FACTORS.filter((f) => raw[f.key]);
+    if (!present.length) continue;
+    const total = present.reduce((n, f) => n + f.weight, 0);
+    const factors = present.map((f) => ({ key: f.key, label: f.label, weight: f.weight / total, ...raw[f.key] }));
+    const score = Math.round(100 * factors.reduce((n, f) => n + f.weight * f.score, 0));
+    slots.push({ time: new Date(t), score, rating: rating(score), factors });
+  }
+  return slots;
+}
+
+/** The `count` best slots, at least `gapHours` apart, in time order. */
+export function bestSlots(slots, count = 3, gapHours = 3) {
+  const picked = [];
+  for (const s of [...slots].sort((a, b) => b.score - a.score)) {
+    if (picked.some((p) => Math.abs(p.time - s.time) < gapHours * HOUR_MS)) continue;
+    picked.push(s);
+    if (picked.length === count) break;
+  }
+  return picked.sort((a, b) => a.time - b.time);
+}
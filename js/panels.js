@@ -4,6 +4,7 @@
 let backdrop;
 let activePanel = null;
 const closeListeners = new Map(); // panelId -> fn
+const changeListeners = new Set(); // fn(panelId | null) — the router
 
 function ensureBackdrop() {
   if (backdrop) return;
@@ -35,6 +36,7 @@ export function openPanel(id, onClose) {
   backdrop.classList.add('active');
   activePanel = panel;
   if (onClose) closeListeners.set(id, onClose);
+  changeListeners.forEach((fn) => fn(id));
 }
 
 export function closePanel() {
@@ -46,8 +48,15 @@ export function closePanel() {
   activePanel = null;
   const fn = closeListeners.get(id);
   if (fn) { closeListeners.delete(id); fn(); }
+  changeListeners.forEach((l) => l(null));
 }
 
 export function isPanelOpen(id) {
   return activePanel && activePanel.id === id;
 }
+
+/** Called with the panel id whenever a panel opens (or reopens), null on close. */
+export function onPanelChange(fn) {
+  changeListeners.add(fn);
+  return () => changeListeners.delete(fn);
+}
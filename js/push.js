@@ -0,0 +1,94 @@
+// Opt-in Web Push alerts for favorite stations. Rules live in localStorage
+// and are mirrored to the Worker along with this browser's push
+// subscription; the Worker's cron evaluates them and sw.js shows the
+// notification, even with the tab closed.
+
+import { fetchVapidKey, postSubscription, postUnsubscribe } from './api/push.js';
+import { onFavoritesChange } from './favorites.js';
+
+const KEY = 'slackwater.push';
+
+// Rule types the Worker understands. `value` is the default; `product` is the
+// station product the rule needs (solunar is computed, so any station).
+export const ALERT_TYPES = [
+  { type: 'high-tide', label: 'High tide in', unit: 'min', value: 60, min: 15, max: 720, step: 15, product: 'predictions' },
+  { type: 'water-above', label: 'Water level above', unit: 'ft', value: 3, min: -5, max: 20, step: 0.5, product: 'water_level' },
+  { type: 'wind-above', label: 'Wind above', unit: 'kn', value: 20, min: 1, max: 100, step: 1, product: 'wind' },
+  { type: 'solunar-major', label: 'Solunar major period in', unit: 'min', value: 15, min: 15, max: 720, step: 15 },
+];
+
+let rules = load(); // [{ station, type, value }]
+
+function load() {
+  try {
+    const v = JSON.parse(localStorage.getItem(KEY) || '[]');
+    return Array.isArray(v) ? v : [];
+  } catch {
+    return [];
+  }
+}
+
+function save() {
+  try { localStorage.setItem(KEY, JSON.stringify(rules)); } catch {}
+}
+
+export function pushSupported() {
+  return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+}
+
+export function getStationAlerts(stationId) {
+  return rules.filter((r) => r.station === stationId);
+}
+
+/**
+ * Replace a station's rules and sync with the Worker. The first rule asks for
+ * notification permission; removing the last one unsubscribes.
+ * Returns { ok } or { error } (a user-facing message).
+ */
+export async function setStationAlerts(stationId, list) {
+  rules = [...rules.filter((r) => r.station !== stationId), ...list.map((r) => ({ ...r, station: stationId }))];
+  save();
+  return sync();
+}
+
+function base64UrlToBytes(str) {
+  const s = atob(str.replace(/-/g, '+').replace(/_/g, '/') + '='.repeat((4 - (str.length % 4)) % 4));
+  return Uint8Array.from(s, (c) => c.charCodeAt(0));
+}
+
+async function sync() {
+  if (!pushSupported()) return { error: "This browser can't receive push notifications." };
+
+  if (!rules.length) {
+    const reg = await navigator.serviceWorker.getRegistration();
+    const sub = await reg?.pushManager.getSubscription();
+    if (sub) {
+      await postUnsubscribe(sub.endpoint);
+      await sub.unsubscribe();
+    }
+    return { ok: true };
+  }
+
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') return { error: 'Notifications are blocked for this site.' };
+
+  const reg = await navigator.serviceWorker.register('sw.js');
+  await navigator.serviceWorker.ready;
+  let sub = await reg.pushManager.getSubscription();
+  if (!sub) {
+    const key = await fetchVapidKey();
+    if (!key) return { error: "Couldn't reach the alert server." };
+    sub = await reg.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: base64UrlToBytes(key) });
+  }
+  const ok = await postSubscription(sub.toJSON(), rules);
+  return ok ? { ok: true } : { error: "Couldn't reach the alert server." };
+}
+
+// Alerts only exist for favorites — drop a station's rules when it's unfavorited.
+onFavoritesChange((ids) => {
+  const kept = rules.filter((r) => ids.includes(r.station));
+  if (kept.length === rules.length) return;
+  rules = kept;
+  save();
+  sync().catch((err) => console.warn('Push sync failed:', err.message));
+});
@@ -0,0 +1,46 @@
+// Stations whose water level is running well above or below prediction, per
+// the Worker's residual monitor. Polled from main.js; listeners restyle the
+// map markers, and the station panel reads it for its banner.
+
+import { fetchResiduals } from './api/residuals.js';
+
+const listeners = new Set();
+let state = null;
+
+export async function refreshResiduals() {
+  const data = await fetchResiduals();
+  if (!data || !data.stations) return;
+  state = data;
+  listeners.forEach((fn) => fn(getResidualAlerts()));
+}
+
+/** Flagged stations: Map of id -> alert (see residualAlert). */
+export function getResidualAlerts() {
+  const out = new Map();
+  if (!state) return out;
+  for (const id of Object.keys(state.stations)) {
+    const a = residualAlert(id);
+    if (a) out.set(id, a);
+  }
+  return out;
+}
+
+/**
+ * The active alert for a station, or null:
+ * { residual, peak, direction, since, time, thresholdFt, durationMinutes }
+ */
+export function residualAlert(id) {
+  const s = state?.stations?.[id];
+  if (!s || !s.flagged) return null;
+  return { ...s, thresholdFt: state.thresholdFt, durationMinutes: state.durationMinutes };
+}
+
+/** A station's latest residual reading, flagged or not: { residual, time, direction, flagged, ... } or null. */
+export function stationResidual(id) {
+  return state?.stations?.[id] || null;
+}
+
+export function onResidualsChange(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
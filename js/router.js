@@ -0,0 +1,87 @@
+// Deep links. The open panel and what it shows, the map view, the active
+// layers and the scrubber hour live in the URL hash:
+//
+//   #/forecast/8775237?map=27.840,-97.050,10&layers=wind,waves&hour=6
+//
+// Opening or closing a panel adds a history entry, so Back walks back through
+// panels; map moves, layer toggles and scrubbing rewrite the current entry.
+// main.js does the opening — this module only reads and writes the URL.
+
+import { onPanelChange } from './panels.js';
+
+const view = { panel: null, subject: null, map: null, layers: [], hour: 0 };
+const subjects = new Map(); // panel id -> id of the station / storm it shows
+let restoring = false;
+
+/** Hash → { panel, subject, map: {lat, lon, zoom} | null, layers, hour }. */
+export function parseHash(hash) {
+  const [path, query = ''] = hash.replace(/^#\/?/, '').split('?');
+  const [panel = null, subject = null] = path.split('/').filter(Boolean).map(decodeURIComponent);
+  const params = new URLSearchParams(query);
+  const [lat, lon, zoom] = (params.get('map') || '').split(',').map(Number);
+  return {
+    panel,
+    subject,
+    map: [lat, lon, zoom].every((v) => Number.isFinite(v)) ? { lat, lon, zoom } : null,
+    layers: (params.get('layers') || '').split(',').filter(Boolean),
+    hour: Math.max(parseInt(params.get('hour')) || 0, 0),
+  };
+}
+
+function formatHash(v) {
+  const path = v.panel ? `/${[v.panel, v.subject].filter(Boolean).map(encodeURIComponent).join('/')}` : '/';
+  const params = [];
+  if (v.map) params.push(`map=${v.map.lat.toFixed(3)},${v.map.lon.toFixed(3)},${v.map.zoom}`);
+  if (v.layers.length) params.push(`layers=${v.layers.join(',')}`);
+  if (v.hour) params.push(`hour=${v.hour}`);
+  const hash = `#${path}${params.length ? `?${params.join('&')}` : ''}`;
+  return hash === '#/' ? location.pathname + location.search : hash;
+}
+
+function write(push) {
+  const url = formatHash(view);
+  if (push) history.pushState(null, '', url);
+  else history.replaceState(null, '', url);
+}
+
+/**
+ * Start tracking panels. `restore(state, { initial })` is called once now
+ * with the loaded URL and again on Back / Forward (panel only).
+ */
+export async function initRouter(restore) {
+  onPanelChange((id) => {
+    const panel = id ? id.replace(/-panel$/, '') : null;
+    const subject = id ? subjects.get(id) ?? null : null;
+    if (panel === view.panel && subject === view.subject) return;
+    view.panel = panel;
+    view.subject = subject;
+    if (!restoring) write(true);
+  });
+  window.addEventListener('popstate', () => {
+    const next = parseHash(location.hash);
+    whileRestoring(() => restore(next, { initial: false }));
+  });
+  const initial = parseHash(location.hash);
+  await whileRestoring(() => restore(initial, { initial: true }));
+}
+
+// Opening panels and layers from a URL mustn't write new history entries;
+// the URL is rewritten once the view is back.
+async function whileRestoring(fn) {
+  restoring = true;
+  try { await fn(); } finally {
+    restoring = false;
+    write(false);
+  }
+}
+
+/** Record what a panel is about to show (station id, storm id). */
+export function noteSubject(panelId, id) {
+  subjects.set(panelId, id);
+}
+
+/** Update map / layers / hour in the current history entry. */
+export function updateView(partial) {
+  Object.assign(view, partial);
+  if (!restoring) write(false);
+}
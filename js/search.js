@@ -0,0 +1,99 @@
+// Station search — forgiving name / id matching, "lat, lon" parsing and
+// distance ranking for the search panel. Pure; the panel does geocoding and
+// geolocation.
+
+const EARTH_MI = 3958.8;
+
+export function distanceMi(lat1, lon1, lat2, lon2) {
+  const rad = Math.PI / 180;
+  const a = Math.sin(((lat2 - lat1) * rad) / 2) ** 2
+    + Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(((lon2 - lon1) * rad) / 2) ** 2;
+  return 2 * EARTH_MI * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * "27.8, -97.05" / "27.8 -97.05" / "27.8N 97.05W" → { lat, lon }, or null.
+ * West is assumed when the longitude comes without a sign or hemisphere,
+ * since every station is in it.
+ */
+export function parseLatLon(text) {
+  const m = /^\s*(-?\d{1,2}(?:\.\d+)?)\s*°?\s*([NS])?\s*[,\s]\s*(-?\d{1,3}(?:\.\d+)?)\s*°?\s*([EW])?\s*$/i.exec(text);
+  if (!m) return null;
+  let lat = parseFloat(m[1]);
+  let lon = parseFloat(m[3]);
+  if (/s/i.test(m[2] || '')) lat = -Math.abs(lat);
+  if (/e/i.test(m[4] || '')) lon = Math.abs(lon);
+  else if (/w/i.test(m[4] || '') || lon > 0) lon = -Math.abs(lon);
+  if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+  return { lat, lon };
+}
+
+const normalize = (s) => s.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Edit distance, capped — only "off by one or two letters" matters here.
+function editDistance(a, b, cap = 3) {
+  if (Math.abs(a.length - b.length) >= cap) return cap;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return Math.min(prev[b.length], cap);
+}
+
+// How well one query word fits a name's words: prefix beats typo.
+function wordScore(q, words) {
+  let best = 0;
+  for (const w of words) {
+    if (w === q) return 1;
+    if (w.startsWith(q)) best = Math.max(best, 0.9);
+    else if (q.length >= 4 && editDistance(q, w.slice(0, q.length + 1)) <= (q.length >= 7 ? 2 : 1)) best = Math.max(best, 0.6);
+  }
+  return best;
+}
+
+/**
+ * Match score 0–100 for a station against a free-text query (0 = no match).
+ * Ids match exactly or by prefix; names match word by word, so "port a",
+ * "aransas pass" and "rockprt" all find their stations.
+ */
+export function matchScore(station, query) {
+  const q = normalize(query);
+  if (!q) return 0;
+  const id = station.id.toLowerCase();
+  if (id === q) return 100;
+  if (q.length >= 3 && id.startsWith(q)) return 90;
+
+  const name = normalize(station.name);
+  if (name.startsWith(q)) return 85;
+  const tokens = q.split(' ');
+  const words = name.split(' ');
+  const scores = tokens.map((t) => wordScore(t, words));
+  if (scores.every((s) => s > 0)) return Math.round(40 + 40 * (scores.reduce((a, b) => a + b, 0) / scores.length));
+  if (q.length >= 3 && name.includes(q)) return 40;
+  return 0;
+}
+
+/**
+ * Filter and rank stations.
+ * @param stations  TEXAS_STATIONS-shaped list
+ * @param query     free text ('' for all)
+ * @param products  product keys every result must report (e.g. ['wind'])
+ * @param origin    { lat, lon } — rank by distance from here instead of by match
+ * @returns [{ station, score, miles }] — `miles` is null without an origin
+ */
+export function searchStations(stations, { query = '', products = [], origin = null } = {}) {
+  const results = [];
+  for (const station of stations) {
+    const has = station.products || [];
+    if (!products.every((p) => has.includes(p))) continue;
+    const score = query && !origin ? matchScore(station, query) : 100;
+    if (!score) continue;
+    const miles = origin ? distanceMi(origin.lat, origin.lon, station.lat, station.lon) : null;
+    results.push({ station, score, miles });
+  }
+  return results.sort((a, b) => (origin ? a.miles - b.miles : b.score - a.score || a.station.name.localeCompare(b.station.name)));
+}
@@ -1,9 +1,10 @@
 // User preferences, persisted to localStorage. Mirrors the iOS AppSettings:
-// appearance (system/light/dark), wind unit (mph/knots), legend visibility.
+// appearance (system/light/dark), wind unit (mph/knots), legend visibility,
+// plus the weather timeline's horizon and step (hours).
 
 const KEY = 'slackwater.settings';
 
-const defaults = { appearance: 'system', windUnit: 'mph', showLegend: true };
+const defaults = { appearance: 'system', windUnit: 'mph', showLegend: true, timelineHours: 72, timelineStep: 1 };
 
 let state = load();
 const listeners = new Set();
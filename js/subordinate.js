@@ -0,0 +1,72 @@
+// Subordinate-station tide predictions. NOAA defines most bay and back-lake
+// prediction points not by their own harmonics but as time/height offsets
+// against a reference harmonic station: shift each reference high/low by the
+// time offset, scale (ratio) or shift (fixed) its height, then fill the curve
+// between events with NOAA's cosine interpolation. Pure + offline.
+
+import { TEXAS_STATIONS } from './data/stations.js';
+import { SUBORDINATE_STATIONS } from './data/subordinates.js';
+
+const byId = new Map(SUBORDINATE_STATIONS.map((s) => [s.id, s]));
+const primaryIds = new Set(TEXAS_STATIONS.map((s) => s.id));
+
+/** Offsets for a station predicted from a reference, or null. */
+export function subordinateOffsets(stationId) {
+  return byId.get(stationId)?.offsets || null;
+}
+
+/** Whether tides can be predicted at a station: NOAA's own, or derived from offsets. */
+export function predictsTides(station) {
+  return (station.products || []).includes('predictions') || !!subordinateOffsets(station.id);
+}
+
+// Subordinate points that aren't already one of the main CO-OPS stations,
+// shaped like TEXAS_STATIONS entries (predictions only).
+const extras = SUBORDINATE_STATIONS
+  .filter((s) => !primaryIds.has(s.id))
+  .map((s) => ({ id: s.id, name: s.name, lat: s.lat, lon: s.lon, products: ['predictions'], subordinate: true }));
+
+/** Prediction-only subordinate points for the map (not in TEXAS_STATIONS). */
+export function extraSubordinateStations() {
+  return extras;
+}
+
+/** Largest time offset (minutes) — how far the reference window must widen. */
+export function maxTimeOffset(offsets) {
+  return Math.max(Math.abs(offsets.highTime || 0), Math.abs(offsets.lowTime || 0));
+}
+
+/**
+ * Apply offsets to reference hi/lo events [{time, ft, kind}].
+ * type 'R' multiplies heights by the ratio; 'F' adds a fixed offset (ft).
+ */
+export function applyOffsets(refEvents, offsets) {
+  return refEvents.map((e) => {
+    const high = e.kind === 'High';
+    const minutes = (high ? offsets.highTime : offsets.lowTime) || 0;
+    const adj = high ? offsets.highHeight : offsets.lowHeight;
+    let ft = e.ft;
+    if (ft != null && adj != null) ft = offsets.type === 'F' ? ft + adj : ft * adj;
+    return { ...e, time: new Date(e.time.getTime() + minutes * 60000), ft };
+  }).sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Heights every `stepMinutes` over [begin, end], cosine-interpolated between
+ * consecutive hi/lo events. Times outside the events' span are skipped.
+ */
+export function interpolateEvents(events, begin, end, stepMinutes = 6) {
+  const step = stepMinutes * 60000;
+  const out = [];
+  let i = 0;
+  for (let ms = Math.ceil(begin.getTime() / step) * step; ms <= end.getTime(); ms += step) {
+    while (i < events.length - 2 && events[i + 1].time.getTime() < ms) i++;
+    const a = events[i], b = events[i + 1];
+    if (!a || !b) break;
+    const t0 = a.time.getTime(), t1 = b.time.getTime();
+    if (ms < t0 || ms > t1) continue;
+    const frac = (1 - Math.cos(Math.PI * (ms - t0) / (t1 - t0))) / 2;
+    out.push({ time: new Date(ms), ft: a.ft + (b.ft - a.ft) * frac });
+  }
+  return out;
+}
@@ -0,0 +1,72 @@
+// Predicted water level at any moment on the weather scrubber, for every tide
+// station on the map. Each station's highs and lows over the scrubber's
+// horizon are fetched once and the curve between them filled in with NOAA's
+// cosine interpolation — a few events per day per station instead of a
+// 6-minute curve. Loaded from main.js; listeners redraw the map markers.
+
+import { TEXAS_STATIONS } from './data/stations.js';
+import { fetchTideHiloRange } from './api/noaa.js';
+import { predictsTides } from './subordinate.js';
+
+// Highs and lows are ~6 hours apart (up to ~13 on the diurnal Texas coast);
+// pad the fetch so every time in range has an event on both sides.
+const PAD_MS = 13 * 3600 * 1000;
+// Fetch this much past the requested end too, so the periodic refresh (whose
+// end creeps forward with the clock) reuses one load for hours.
+const AHEAD_MS = 6 * 3600 * 1000;
+
+const listeners = new Set();
+let events = new Map(); // station id -> [{time, ft, kind}]
+let ranges = new Map(); // station id -> { low, high } ft over the loaded span
+let covered = null;     // { begin, end } ms with events on both sides
+let inflight = null;
+
+/** Make sure every station's highs/lows reach from now to `end` (a Date). */
+export async function loadTideLevels(end) {
+  const now = Date.now();
+  if (covered && covered.begin <= now && covered.end >= end.getTime()) return;
+  if (inflight) return inflight;
+
+  const begin = new Date(now - PAD_MS);
+  const until = new Date(end.getTime() + AHEAD_MS + PAD_MS);
+  inflight = (async () => {
+    // Gauges predicted from a reference's offsets get theirs derived.
+    const stations = TEXAS_STATIONS.filter(predictsTides);
+    const results = await Promise.all(stations.map((s) => fetchTideHiloRange(s.id, begin, until).catch(() => null)));
+    const next = new Map();
+    stations.forEach((s, i) => { if (results[i]?.length >= 2) next.set(s.id, results[i]); });
+    if (!next.size) return;
+    events = next;
+    ranges = new Map([...next].map(([id, list]) => {
+      const fts = list.map((e) => e.ft);
+      return [id, { low: Math.min(...fts), high: Math.max(...fts) }];
+    }));
+    covered = { begin: now, end: until.getTime() - PAD_MS };
+    listeners.forEach((fn) => fn());
+  })();
+  try { await inflight; } finally { inflight = null; }
+}
+
+/**
+ * Predicted level at `time`: { ft, rising, fraction }, or null outside the
+ * loaded span. `fraction` places it between the station's lowest low (0) and
+ * highest high (1) of the span, so a 1 ft bay and a 2.5 ft pass compare.
+ */
+export function tideLevelAt(stationId, time) {
+  const list = events.get(stationId);
+  if (!list) return null;
+  const t = time.getTime();
+  const i = list.findIndex((e) => e.time.getTime() > t);
+  if (i < 1) return null;
+  const a = list[i - 1], b = list[i];
+  const t0 = a.time.getTime(), t1 = b.time.getTime();
+  const frac = (1 - Math.cos(Math.PI * (t - t0) / (t1 - t0))) / 2;
+  const ft = a.ft + (b.ft - a.ft) * frac;
+  const { low, high } = ranges.get(stationId);
+  return { ft, rising: b.ft > a.ft, fraction: high > low ? Math.min(Math.max((ft - low) / (high - low), 0), 1) : 0.5 };
+}
+
+export function onTideLevelsChange(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
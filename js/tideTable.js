@@ -0,0 +1,72 @@
+// Monthly tide tables in the layout NOAA publishes: each day's highs and lows
+// with heights in feet and centimeters, sunrise / sunset, and the principal
+// moon phases. Pure — tideTablePage.js fetches and renders.
+
+const CENTRAL = 'America/Chicago';
+const CM_PER_FT = 30.48;
+
+export const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+const dayKey = (date) => date.toLocaleDateString('en-CA', { timeZone: CENTRAL });
+const monthKey = (year, month) => `${year}-${String(month + 1).padStart(2, '0')}`;
+
+/**
+ * Day of each principal moon phase: day key (YYYY-MM-DD) → 'new' | 'first' |
+ * 'full' | 'last'. `days` is solunarDays() output padded by a day on each
+ * side, so the first and last days have neighbors to compare with. New and
+ * full fall on the day illumination bottoms / peaks; quarters on the day
+ * closest to half lit.
+ */
+export function principalPhases(days) {
+  const out = new Map();
+  const lit = days.map((d) => d.illumination);
+  for (let i = 1; i < days.length - 1; i++) {
+    if (lit[i] < lit[i - 1] && lit[i] <= lit[i + 1]) out.set(dayKey(days[i].date), 'new');
+    else if (lit[i] > lit[i - 1] && lit[i] >= lit[i + 1]) out.set(dayKey(days[i].date), 'full');
+  }
+  for (let i = 0; i < days.length - 1; i++) {
+    if ((lit[i] < 0.5) === (lit[i + 1] < 0.5)) continue;
+    const at = Math.abs(lit[i] - 0.5) <= Math.abs(lit[i + 1] - 0.5) ? i : i + 1;
+    if (at < 1 || at > days.length - 2) continue;
+    out.set(dayKey(days[at].date), lit[i + 1] > lit[i] ? 'first' : 'last');
+  }
+  return out;
+}
+
+/** The months a table covers: one, or all twelve when `month` is null. */
+export function tableMonths(year, month = null) {
+  return month == null ? MONTH_NAMES.map((_, m) => ({ year, month: m })) : [{ year, month }];
+}
+
+/**
+ * Lay out tide-table months.
+ * @param months  tableMonths() output
+ * @param events  hi/lo events covering the months ({ time, ft, kind })
+ * @param days    solunarDays() output from the day before the first month
+ *                through the day after the last
+ * @returns [{ year, month, days: [{ date, events: [{ time, ft, cm, kind }],
+ *           sunrise, sunset, phase }] }]
+ */
+export function tideTableMonths(months, events, days) {
+  const phases = principalPhases(days);
+  const byDay = new Map();
+  for (const e of events || []) {
+    const key = dayKey(e.time);
+    if (!byDay.has(key)) byDay.set(key, []);
+    byDay.get(key).push({ ...e, cm: Math.round(e.ft * CM_PER_FT) });
+  }
+  return months.map(({ year, month }) => {
+    const prefix = monthKey(year, month);
+    return {
+      year,
+      month,
+      days: days
+        .filter((d) => dayKey(d.date).startsWith(prefix))
+        .map((d) => {
+          const key = dayKey(d.date);
+          return { date: d.date, events: byDay.get(key) || [], sunrise: d.sunrise, sunset: d.sunset, phase: phases.get(key) || null };
+        }),
+    };
+  });
+}
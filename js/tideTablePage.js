@@ -0,0 +1,149 @@
+// tide-table.html — a print-ready tide table for one station, a month or a
+// whole year at a time, laid out like NOAA's published tables. Linked from
+// the station panel as tide-table.html?station=<id>&month=YYYY-MM (or
+// &year=YYYY); the browser's print dialog saves it as PDF.
+
+import { TEXAS_STATIONS } from './data/stations.js';
+import { extraSubordinateStations } from './subordinate.js';
+import { fetchTideHiloRange } from './api/noaa.js';
+import { solunarDays } from './solunar.js';
+import { tableMonths, tideTableMonths, MONTH_NAMES } from './tideTable.js';
+import { fmtTime, escapeHtml } from './format.js';
+import { API_BASE_URL } from './api/config.js';
+
+const DAY_MS = 24 * 3600 * 1000;
+const PHASES = {
+  new: { mark: '●', label: 'New moon' },
+  first: { mark: '◐', label: 'First quarter' },
+  full: { mark: '○', label: 'Full moon' },
+  last: { mark: '◑', label: 'Last quarter' },
+};
+
+let station = null;
+let renderSeq = 0;
+
+function readQuery() {
+  const params = new URLSearchParams(location.search);
+  const id = params.get('station');
+  const [cy, cm] = new Date().toLocaleDateString('en-CA', { timeZone: 'America/Chicago' }).split('-').map(Number);
+  const year = parseInt(params.get('year')) || null;
+  const [my, mm] = (params.get('month') || '').split('-').map(Number);
+  if (year) return { id, year, month: null };
+  if (my && mm >= 1 && mm <= 12) return { id, year: my, month: mm - 1 };
+  return { id, year: cy, month: cm - 1 };
+}
+
+function writeQuery({ year, month }) {
+  const params = new URLSearchParams({ station: station.id });
+  if (month == null) params.set('year', year);
+  else params.set('month', `${year}-${String(month + 1).padStart(2, '0')}`);
+  history.replaceState(null, '', `?${params}`);
+}
+
+async function render(period) {
+  const seq = ++renderSeq;
+  const pages = document.getElementById('tt-pages');
+  pages.innerHTML = '<div class="tt-status">Loading tide table</div>';
+  document.title = `Tide Table · ${station.name} · ${period.month == null ? period.year : `${MONTH_NAMES[period.month]} ${period.year}`}`;
+
+  const months = tableMonths(period.year, period.month);
+  const first = months[0].month;
+  const last = months[months.length - 1].month;
+  const events = await fetchTideHiloRange(
+    station.id,
+    new Date(period.year, first, 1),
+    new Date(new Date(period.year, last + 1, 1).getTime() - 60000),
+  );
+  if (seq !== renderSeq) return;
+  if (!events || !events.length) {
+    pages.innerHTML = '<div class="tt-status">Tide predictions aren’t available for this station right now.</div>';
+    return;
+  }
+
+  // A year of sun and moon math takes a moment; let the status paint first.
+  pages.innerHTML = '<div class="tt-status">Calculating sun and moon times</div>';
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  if (seq !== renderSeq) return;
+  const dayCount = Math.round((Date.UTC(period.year, last + 1, 1) - Date.UTC(period.year, first, 1)) / DAY_MS);
+  const days = solunarDays(station.lat, station.lon, dayCount + 2, new Date(Date.UTC(period.year, first, 0, 18)));
+
+  const local = events.some((e) => e.local);
+  pages.innerHTML = tideTableMonths(months, events, days).map((m) => monthPage(m, local)).join('');
+}
+
+function monthPage({ year, month, days }, local) {
+  const lat = `${Math.abs(station.lat).toFixed(3)}° ${station.lat >= 0 ? 'N' : 'S'}`;
+  const lon = `${Math.abs(station.lon).toFixed(3)}° ${station.lon >= 0 ? 'E' : 'W'}`;
+  return `<section class="tt-month">
+    <header class="tt-head">
+      <div>
+        <h1>${escapeHtml(station.name)}, Texas</h1>
+        <div class="tt-sub">${station.subordinate ? 'NOAA Subordinate Station' : 'NOAA Station'} ${escapeHtml(station.id)} · ${lat}, ${lon}</div>
+      </div>
+      <div class="tt-when">
+        <strong>${MONTH_NAMES[month]} ${year}</strong>
+        <span>Times are local (CST/CDT) · Heights in feet and centimeters above MLLW</span>
+      </div>
+    </header>
+    <div class="tt-days">${days.map(dayBlock).join('')}</div>
+    <footer class="tt-foot">
+      <span>${Object.values(PHASES).map((p) => `${p.mark} ${p.label}`).join('  ')}</span>
+      <span>${local ? 'Computed on this device from NOAA harmonic constants · ' : 'NOAA CO-OPS predictions · '}Slackwater — not for navigation</span>
+    </footer>
+  </section>`;
+}
+
+function dayBlock(d) {
+  const dow = d.date.toLocaleDateString('en-US', { weekday: 'short', timeZone: 'America/Chicago' }).slice(0, 2);
+  const num = d.date.toLocaleDateString('en-US', { day: 'numeric', timeZone: 'America/Chicago' });
+  const phase = d.phase ? `<span class="tt-phase" title="${PHASES[d.phase].label}">${PHASES[d.phase].mark}</span>` : '';
+  const rows = d.events.map((e) => `<tr class="${e.kind === 'High' ? 'high' : 'low'}">
+      <td class="time">${fmtTime(e.time)}</td>
+      <td class="kind">${e.kind === 'High' ? 'H' : 'L'}</td>
+      <td class="ft">${e.ft.toFixed(1)}</td>
+      <td class="cm">${e.cm}</td>
+    </tr>`).join('');
+  return `<div class="tt-day">
+    <div class="tt-date"><span class="num">${num}</span><span class="dow">${dow}</span>${phase}</div>
+    <table>${rows}</table>
+    <div class="tt-sun">Sun ${fmtTime(d.sunrise)} – ${fmtTime(d.sunset)}</div>
+  </div>`;
+}
+
+function init() {
+  const query = readQuery();
+  station = [...TEXAS_STATIONS, ...extraSubordinateStations()].find((s) => s.id === query.id);
+  if (!station) {
+    document.getElementById('tt-pages').innerHTML = '<div class="tt-status">Unknown station. Open a tide table from a station on the <a href="./">map</a>.</div>';
+    return;
+  }
+  document.getElementById('tt-station').textContent = station.name;
+
+  // The Worker's rolling 60-day .ics feed covers NOAA's own prediction
+  // stations; subordinate stations are derived on the device.
+  if (!station.subordinate && (station.products || []).includes('predictions')) {
+    const subscribe = document.getElementById('tt-subscribe');
+    subscribe.href = `${API_BASE_URL.replace(/^https?:/, 'webcal:')}/calendar/${encodeURIComponent(station.id)}.ics?types=tides,solunar,sun`;
+    subscribe.hidden = false;
+  }
+
+  const monthInput = document.getElementById('tt-month');
+  const yearInput = document.getElementById('tt-year');
+  monthInput.value = `${query.year}-${String((query.month ?? 0) + 1).padStart(2, '0')}`;
+  yearInput.checked = query.month == null;
+
+  const update = () => {
+    const [year, month] = monthInput.value.split('-').map(Number);
+    if (!year) return;
+    const period = { year, month: yearInput.checked ? null : month - 1 };
+    writeQuery(period);
+    render(period);
+  };
+  monthInput.addEventListener('change', update);
+  yearInput.addEventListener('change', update);
+  document.getElementById('tt-print').addEventListener('click', () => window.print());
+
+  render(query);
+}
+
+init();
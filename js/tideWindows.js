@@ -0,0 +1,82 @@
+// Tide window finder — scans a 6-minute prediction curve for stretches that
+// meet a set of conditions ("below 0.5 ft in daylight", "rising between 6 and
+// 9 AM") and returns them as windows. Pure; the finder panel does the I/O.
+
+const CENTRAL = 'America/Chicago';
+// Samples further apart than this split a window (6-minute curve + slack).
+const MAX_GAP_MS = 10 * 60000;
+
+function centralDayKey(date) {
+  return date.toLocaleDateString('en-CA', { timeZone: CENTRAL });
+}
+
+// Minutes past Central midnight.
+function centralMinutes(date) {
+  const [h, m] = date.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZone: CENTRAL }).split(':');
+  return parseInt(h) * 60 + parseInt(m);
+}
+
+// Signed slope at each sample (ft per step), from its neighbours.
+function slopes(points) {
+  return points.map((p, i) => {
+    const a = points[Math.max(i - 1, 0)];
+    const b = points[Math.min(i + 1, points.length - 1)];
+    return b.ft - a.ft;
+  });
+}
+
+function inHours(minutes, { from, to }) {
+  // A range like 20:00–04:00 wraps past midnight.
+  return from <= to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+}
+
+/**
+ * Find every window in `points` ([{time, ft}], 6-minute) matching `criteria`:
+ *   height     { op: 'below'|'above', ft } or null
+ *   direction  'any' | 'rising' | 'falling'
+ *   daylight   true to keep only sunrise–sunset (needs `days`)
+ *   hours      { from, to } in Central minutes past midnight, or null
+ *   minMinutes shortest window worth listing
+ * `days` = solunarDays() output covering the same dates (for sunrise/sunset).
+ * Returns [{ start, end, minutes, low, high, points }] in time order.
+ */
+export function findTideWindows(points, criteria, days = []) {
+  const { height = null, direction = 'any', daylight = false, hours = null, minMinutes = 0 } = criteria;
+  const sun = new Map(days.map((d) => [centralDayKey(d.date), d]));
+  const slope = slopes(points);
+
+  const matches = (p, i) => {
+    if (height && (height.op === 'below' ? p.ft > height.ft : p.ft < height.ft)) return false;
+    if (direction === 'rising' && slope[i] <= 0) return false;
+    if (direction === 'falling' && slope[i] >= 0) return false;
+    if (hours && !inHours(centralMinutes(p.time), hours)) return false;
+    if (daylight) {
+      const d = sun.get(centralDayKey(p.time));
+      if (!d?.sunrise || !d?.sunset || p.time < d.sunrise || p.time > d.sunset) return false;
+    }
+    return true;
+  };
+
+  const windows = [];
+  let run = null;
+  const close = () => {
+    if (!run) return;
+    const step = run.points.length > 1 ? (run.end - run.start) / (run.points.length - 1) : 6 * 60000;
+    const minutes = Math.round((run.end - run.start + step) / 60000);
+    if (minutes >= minMinutes) {
+      const fts = run.points.map((p) => p.ft);
+      windows.push({ ...run, minutes, low: Math.min(...fts), high: Math.max(...fts) });
+    }
+    run = null;
+  };
+
+  points.forEach((p, i) => {
+    if (p.ft == null || isNaN(p.ft) || !matches(p, i)) { close(); return; }
+    if (run && p.time - run.end > MAX_GAP_MS) close();
+    if (!run) run = { start: p.time, end: p.time, points: [] };
+    run.end = p.time;
+    run.points.push(p);
+  });
+  close();
+  return windows;
+}
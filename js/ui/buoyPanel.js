@@ -0,0 +1,157 @@
+// Buoy panel — NDBC offshore buoys and C-MAN stations. The sea state out
+// past the jetties (significant wave height, dominant period, the direction
+// the swell comes from) plus wind, pressure and temperatures, each with its
+// last 24 hours. C-MAN stations on piers and platforms report no waves.
+
+import { fetchBuoyObservations } from '../api/ndbc.js';
+import { renderBuoyTrend } from './charts.js';
+import { openPanel } from '../panels.js';
+import { getSettings } from '../settings.js';
+import { getWindDirectionFromDegrees } from '../utils/formatting.js';
+import { fmtTime, fmtDay, fmtDegrees, fmtWind, knotsToMph, escapeHtml } from '../format.js';
+
+const HOURS = 24;
+const MB_TO_INHG = 0.02953;
+
+let currentStation = null;
+
+export async function openBuoy(station) {
+  currentStation = station;
+  document.getElementById('buoy-title').textContent = station.name;
+  const body = document.getElementById('buoy-body');
+  body.innerHTML = '<div class="loading">Loading buoy observations</div>';
+  openPanel('buoy-panel');
+
+  const reqId = station.id;
+  try {
+    const obs = await fetchBuoyObservations(station.id, HOURS);
+    if (currentStation?.id !== reqId) return;
+
+    if (!obs || !obs.length) {
+      body.innerHTML = emptyState();
+      const r = document.getElementById('bp-retry');
+      if (r) r.addEventListener('click', () => openBuoy(station));
+      return;
+    }
+
+    const unit = getSettings().windUnit;
+    const trends = trendSpecs(obs, unit);
+    body.innerHTML = [
+      wavesCard(obs),
+      conditionsGrid(obs, unit),
+      ...trends.map(trendCard),
+      `<div class="sp-tide-note"><i class="ph ph-info"></i><span>Observed ${fmtDay(obs[obs.length - 1].time)} ${fmtTime(obs[obs.length - 1].time)}. Buoys report waves once an hour and go quiet for repairs — check the time before heading out.</span></div>`,
+      `<div style="text-align:center;font-size:0.7rem;color:var(--text-tertiary);">NDBC ${escapeHtml(station.type)} ${escapeHtml(station.id)}</div>`,
+    ].filter(Boolean).join('');
+
+    requestAnimationFrame(() => {
+      trends.forEach((t) => {
+        const canvas = document.getElementById(t.id);
+        if (canvas) renderBuoyTrend(canvas, t.series);
+      });
+    });
+  } catch (err) {
+    console.error('Buoy load failed:', err);
+    if (currentStation?.id === reqId) body.innerHTML = emptyState();
+  }
+}
+
+// Most recent reading of one field — waves and water temperature arrive
+// less often than wind, so the newest row often leaves them blank.
+function latest(obs, key) {
+  for (let i = obs.length - 1; i >= 0; i--) {
+    if (obs[i][key] != null) return obs[i];
+  }
+  return null;
+}
+
+function series(obs, key, convert = (v) => v) {
+  return obs.filter((o) => o[key] != null).map((o) => ({ time: o.time, value: convert(o[key]) }));
+}
+
+function card(label, iconClass, inner) {
+  return `<div class="card">
+    <div class="card-label"><i class="${iconClass}"></i>${label}</div>
+    ${inner}
+  </div>`;
+}
+
+function wavesCard(obs) {
+  const o = latest(obs, 'waveFt');
+  if (!o) return '';
+  const dir = o.waveDir != null ? getWindDirectionFromDegrees(o.waveDir).text : '—';
+  return card('Waves', 'ph-fill ph-waves', `
+    <div class="stat-row">
+      <div class="stat"><span class="stat-label">Height</span><span class="stat-value">${o.waveFt.toFixed(1)} ft</span></div>
+      <div class="stat center"><span class="stat-label">Period</span><span class="stat-value">${o.dominantPeriod != null ? `${Math.round(o.dominantPeriod)} s` : '—'}</span></div>
+      <div class="stat trailing"><span class="stat-label">From</span><span class="stat-value">${dir}</span></div>
+    </div>
+    <div class="cond-detail">Significant height · dominant period${o.averagePeriod != null ? ` (average ${o.averagePeriod.toFixed(1)} s)` : ''} · ${fmtTime(o.time)}</div>`);
+}
+
+function condCard(head, iconClass, iconColorClass, value, detail) {
+  return `<div class="cond-card">
+    <div class="cond-head"><i class="${iconClass} ${iconColorClass}"></i>${head}</div>
+    <div class="cond-value">${value}</div>
+    <div class="cond-detail">${detail || '&nbsp;'}</div>
+  </div>`;
+}
+
+function conditionsGrid(obs, unit) {
+  const cards = [];
+  const water = latest(obs, 'waterF');
+  if (water) cards.push(condCard('Water Temp', 'ph-fill ph-thermometer', 'cond-icon-water', fmtDegrees(water.waterF)));
+  const air = latest(obs, 'airF');
+  if (air) cards.push(condCard('Air Temp', 'ph-fill ph-thermometer-simple', 'cond-icon-air', fmtDegrees(air.airF)));
+  const wind = latest(obs, 'windKt');
+  if (wind) {
+    const dir = wind.windDir != null ? getWindDirectionFromDegrees(wind.windDir).text : '';
+    cards.push(condCard('Wind', 'ph ph-wind', 'cond-icon-wind', `${fmtWind(knotsToMph(wind.windKt), unit)} ${dir}`,
+      wind.gustKt != null ? `Gusts ${fmtWind(knotsToMph(wind.gustKt), unit)}` : null));
+  }
+  const pressure = latest(obs, 'pressureMb');
+  if (pressure) {
+    cards.push(condCard('Pressure', 'ph-fill ph-gauge', 'cond-icon-pressure', `${(pressure.pressureMb * MB_TO_INHG).toFixed(2)} inHg`,
+      `${pressure.pressureMb.toFixed(1)} mb`));
+  }
+  if (!cards.length) return '';
+  return `<div class="cond-grid">${cards.join('')}</div>`;
+}
+
+// One chart per measurement the buoy actually reports; a pair shares a card
+// when the second explains the first (period under height, gusts over wind).
+function trendSpecs(obs, unit) {
+  const windUnit = unit === 'knots' ? 'kn' : 'mph';
+  const speed = (kn) => (unit === 'knots' ? kn : Math.round(knotsToMph(kn)));
+  const specs = [
+    { id: 'bp-waves', label: 'Waves (24h)', icon: 'ph-fill ph-waves', series: [
+      { label: 'Height', points: series(obs, 'waveFt'), color: '--tide', unit: 'ft' },
+      { label: 'Period', points: series(obs, 'dominantPeriod'), color: '--text-secondary', unit: 's' },
+    ] },
+    { id: 'bp-wind', label: 'Wind (24h)', icon: 'ph ph-wind', series: [
+      { label: 'Wind', points: series(obs, 'windKt', speed), color: '--wind', unit: windUnit },
+      { label: 'Gusts', points: series(obs, 'gustKt', speed), color: '--air-temp', unit: windUnit },
+    ] },
+    { id: 'bp-temp', label: 'Water Temp (24h)', icon: 'ph-fill ph-thermometer', series: [
+      { label: 'Water', points: series(obs, 'waterF'), color: '--water-temp', unit: '°F' },
+    ] },
+  ];
+  return specs
+    .map((s) => ({ ...s, series: s.series.filter((x) => x.points.length >= 2) }))
+    .filter((s) => s.series.length);
+}
+
+function trendCard(t) {
+  const legend = t.series.length > 1
+    ? `<div class="chart-legend">${t.series.map((x, i) => `<span><span class="dot" style="background:var(${x.color})"></span>${x.label}${i ? ' (right)' : ''}</span>`).join('')}</div>`
+    : '';
+  return card(t.label, t.icon, `<div class="chart-wrap" style="height:120px"><canvas id="${t.id}"></canvas></div>${legend}`);
+}
+
+function emptyState() {
+  return `<div class="panel-empty">
+    <i class="ph ph-wifi-slash"></i>
+    Couldn't load observations from this buoy. It may be offline for maintenance, or check your connection.
+    <div style="margin-top:1rem"><button class="btn btn-primary" id="bp-retry">Retry</button></div>
+  </div>`;
+}
@@ -37,6 +37,25 @@ function nowLinePlugin() {
   };
 }
 
+// Inline plugin: shaded span between two times (the matched tide window).
+function bandPlugin(start, end) {
+  return {
+    id: 'band',
+    beforeDatasetsDraw(chart) {
+      const x = chart.scales.x;
+      if (!x) return;
+      const { top, bottom } = chart.chartArea;
+      const a = x.getPixelForValue(Math.max(start.getTime(), x.min));
+      const b = x.getPixelForValue(Math.min(end.getTime(), x.max));
+      const ctx = chart.ctx;
+      ctx.save();
+      ctx.fillStyle = cssVar('--accent-soft');
+      ctx.fillRect(a, top, Math.max(b - a, 1), bottom - top);
+      ctx.restore();
+    },
+  };
+}
+
 function pts(arr) {
   return (arr || []).map((p) => ({ x: p.time instanceof Date ? p.time : new Date(p.time), y: p.ft ?? p.value ?? p.y }));
 }
@@ -159,6 +178,89 @@ export function renderSparkline(canvas, points, { yMin, yMax, events = [], xMin,
   return chart;
 }
 
+/**
+ * Tide window finder result: the curve around one window with the window
+ * shaded and, when the search had one, the height threshold dashed.
+ * `points` = [{time, ft}] already trimmed to the span to show.
+ */
+export function renderWindowChart(canvas, points, win, { yMin, yMax, threshold = null } = {}) {
+  destroyFor(canvas);
+  const datasets = [{
+    data: pts(points), borderColor: cssVar('--tide'), backgroundColor: cssVar('--tide-area'),
+    fill: true, tension: 0.4, borderWidth: 1.5, pointRadius: 0,
+  }];
+  if (threshold != null && points.length) {
+    datasets.push({
+      data: [{ x: points[0].time, y: threshold }, { x: points[points.length - 1].time, y: threshold }],
+      borderColor: cssVar('--text-tertiary'), borderWidth: 1, borderDash: [4, 3], pointRadius: 0, fill: false,
+    });
+  }
+
+  const chart = new Chart(canvas, {
+    type: 'line',
+    data: { datasets },
+    options: {
+      responsive: true, maintainAspectRatio: false,
+      scales: {
+        x: { type: 'time', time: { unit: 'hour', displayFormats: { hour: 'ha' } },
+             grid: { display: false }, border: { display: false },
+             ticks: { color: cssVar('--text-secondary'), font: { size: 9 }, maxRotation: 0, maxTicksLimit: 5 } },
+        y: { display: false, min: yMin, max: yMax },
+      },
+      plugins: { legend: { display: false }, tooltip: { enabled: false } },
+    },
+    plugins: [bandPlugin(win.start, win.end), nowLinePlugin()],
+  });
+  charts.set(canvas, chart);
+  return chart;
+}
+
+/**
+ * Tidal current curve: flood above zero (blue fill), ebb below (orange fill),
+ * max/slack markers, now line.
+ * @param points [{time, knots}]
+ * @param events [{time, type: 'flood'|'ebb'|'slack', knots}]
+ */
+export function renderCurrentCurve(canvas, points, events = []) {
+  destroyFor(canvas);
+  const flood = cssVar('--flood');
+  const ebb = cssVar('--ebb');
+  const slack = cssVar('--text-secondary');
+  const colorFor = (e) => (e.type === 'flood' ? flood : e.type === 'ebb' ? ebb : slack);
+
+  const datasets = [{
+    label: 'Current', data: points.map((p) => ({ x: p.time, y: p.knots })),
+    borderColor: cssVar('--text-secondary'), borderWidth: 1.5, tension: 0.4, pointRadius: 0,
+    fill: { target: 'origin', above: cssVar('--flood-area'), below: cssVar('--ebb-area') },
+  }];
+  if (events.length) {
+    datasets.push({
+      label: 'Events', data: events.map((e) => ({ x: e.time, y: e.knots ?? 0 })), showLine: false,
+      pointRadius: 4, pointHoverRadius: 5,
+      pointBackgroundColor: events.map(colorFor), pointBorderColor: events.map(colorFor),
+    });
+  }
+
+  const chart = new Chart(canvas, {
+    type: 'line',
+    data: { datasets },
+    options: {
+      responsive: true, maintainAspectRatio: false,
+      interaction: { mode: 'index', intersect: false },
+      scales: {
+        x: { type: 'time', time: { unit: 'hour' }, grid: { display: false },
+             ticks: { color: cssVar('--text-secondary'), maxTicksLimit: 5, font: { size: 10 } } },
+        y: { grid: { color: (ctx) => (ctx.tick.value === 0 ? cssVar('--text-tertiary') : cssVar('--hairline')) },
+             ticks: { color: cssVar('--text-secondary'), font: { size: 10 }, callback: (v) => `${v} kn` } },
+      },
+      plugins: { legend: { display: false }, tooltip: { enabled: true } },
+    },
+    plugins: [nowLinePlugin()],
+  });
+  charts.set(canvas, chart);
+  return chart;
+}
+
 /** 24h water-temperature trend (teal). `history` = [{time, temp}]. */
 export function renderWaterTemp(canvas, history) {
   destroyFor(canvas);
@@ -181,6 +283,102 @@ export function renderWaterTemp(canvas, history) {
   return chart;
 }
 
+/**
+ * 24h buoy trend: one or two series sharing a time axis. The second, if
+ * given, is dashed on its own right-hand axis (period under wave height).
+ * @param series [{ label, points: [{time, value}], color, unit }] — `color` is a CSS variable name
+ */
+export function renderBuoyTrend(canvas, series) {
+  destroyFor(canvas);
+  const datasets = series.map((x, i) => ({
+    label: x.label,
+    data: x.points.map((p) => ({ x: p.time, y: p.value })),
+    borderColor: cssVar(x.color), borderWidth: i ? 1.5 : 2, tension: 0.4, pointRadius: 0, spanGaps: true,
+    borderDash: i ? [4, 3] : undefined,
+    yAxisID: i ? 'y1' : 'y',
+  }));
+  const ticks = (unit) => ({ color: cssVar('--text-secondary'), font: { size: 10 }, callback: (v) => `${v}${unit ? ` ${unit}` : ''}` });
+  const scales = {
+    x: { type: 'time', time: { unit: 'hour' }, grid: { display: false },
+         ticks: { color: cssVar('--text-secondary'), maxTicksLimit: 5, font: { size: 10 } } },
+    y: { grid: { color: cssVar('--hairline') }, ticks: ticks(series[0].unit) },
+  };
+  if (series[1]) scales.y1 = { position: 'right', grid: { display: false }, ticks: ticks(series[1].unit) };
+  const chart = new Chart(canvas, {
+    type: 'line',
+    data: { datasets },
+    options: {
+      responsive: true, maintainAspectRatio: false,
+      interaction: { mode: 'index', intersect: false },
+      scales,
+      plugins: { legend: { display: false }, tooltip: { enabled: true } },
+    },
+  });
+  charts.set(canvas, chart);
+  return chart;
+}
+
+/**
+ * History view: a stack of charts on one shared, zoomable time axis. Wheel /
+ * pinch zooms and drag pans (chartjs-plugin-zoom); whatever window one chart
+ * shows, the others follow.
+ * @param specs [{ canvas, unit, zeroLine, series: [{ label, points: [{time, value}], color, fill, dashed }] }]
+ *   `color`/`fill` are CSS variable names; fill draws to zero.
+ * @returns { reset() } — restores the full range on every chart
+ */
+export function renderHistoryCharts(specs) {
+  const group = [];
+  let syncing = false;
+  const sync = ({ chart }) => {
+    if (syncing) return;
+    syncing = true;
+    const { min, max } = chart.scales.x;
+    group.forEach((c) => { if (c !== chart) c.zoomScale('x', { min, max }, 'none'); });
+    syncing = false;
+  };
+
+  const xMin = Math.min(...specs.flatMap((s) => s.series.map((x) => x.points[0]?.time ?? Infinity)));
+  const xMax = Math.max(...specs.flatMap((s) => s.series.map((x) => x.points[x.points.length - 1]?.time ?? -Infinity)));
+
+  specs.forEach((spec) => {
+    destroyFor(spec.canvas);
+    const datasets = spec.series.map((x) => ({
+      label: x.label,
+      data: x.points.map((p) => ({ x: p.time, y: p.value })),
+      borderColor: cssVar(x.color), borderWidth: 1.5, pointRadius: 0, tension: 0.2,
+      borderDash: x.dashed ? [4, 3] : undefined,
+      fill: x.fill ? { target: 'origin', above: cssVar(x.fill), below: cssVar(x.fill) } : false,
+    }));
+    const chart = new Chart(spec.canvas, {
+      type: 'line',
+      data: { datasets },
+      options: {
+        responsive: true, maintainAspectRatio: false, animation: false,
+        interaction: { mode: 'index', intersect: false },
+        scales: {
+          x: { type: 'time', min: xMin, max: xMax, grid: { display: false },
+               ticks: { color: cssVar('--text-secondary'), maxTicksLimit: 6, maxRotation: 0, font: { size: 10 } } },
+          y: { grid: { color: (ctx) => (spec.zeroLine && ctx.tick.value === 0 ? cssVar('--text-tertiary') : cssVar('--hairline')) },
+               ticks: { color: cssVar('--text-secondary'), font: { size: 10 }, callback: (v) => `${v}${spec.unit ? ` ${spec.unit}` : ''}` } },
+        },
+        plugins: {
+          legend: { display: false },
+          tooltip: { enabled: true },
+          zoom: {
+            zoom: { wheel: { enabled: true }, pinch: { enabled: true }, mode: 'x', onZoomComplete: sync },
+            pan: { enabled: true, mode: 'x', onPanComplete: sync },
+            limits: { x: { min: 'original', max: 'original' } },
+          },
+        },
+      },
+    });
+    charts.set(spec.canvas, chart);
+    group.push(chart);
+  });
+
+  return { reset: () => group.forEach((c) => c.resetZoom('none')) };
+}
+
 /** Recolor all live charts after a theme switch. */
 export function refreshChartsTheme() {
   charts.forEach((chart) => {
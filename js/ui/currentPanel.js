@@ -0,0 +1,141 @@
+// Tidal current panel — flood/ebb speed over time plus the next slack-water
+// windows for a NOAA current station (the passes and ship channels).
+
+import { fetchCurrentPredictions, fetchCurrentEvents } from '../api/noaa.js';
+import { renderCurrentCurve } from './charts.js';
+import { openPanel } from '../panels.js';
+import { getWindDirectionFromDegrees } from '../utils/formatting.js';
+import { fmtTime, fmtDay, escapeHtml } from '../format.js';
+
+// Below this speed (knots) the current is slack enough to matter for
+// anchoring, wade-fishing a pass or running an inlet.
+const SLACK_KNOTS = 0.5;
+
+let currentStation = null;
+
+export async function openCurrent(station) {
+  currentStation = station;
+  document.getElementById('current-title').textContent = station.name;
+  const body = document.getElementById('current-body');
+  body.innerHTML = '<div class="loading">Loading current predictions</div>';
+  openPanel('current-panel');
+
+  const reqId = station.id;
+  try {
+    const [curve, events] = await Promise.all([
+      fetchCurrentPredictions(station, 6, 24),
+      fetchCurrentEvents(station, 48),
+    ]);
+    if (currentStation?.id !== reqId) return;
+
+    if (!curve.length && !events.length) {
+      body.innerHTML = emptyState();
+      const r = document.getElementById('cp-retry');
+      if (r) r.addEventListener('click', () => openCurrent(station));
+      return;
+    }
+
+    const now = new Date();
+    body.innerHTML = [
+      nowCard(curve, now),
+      curveCard(curve),
+      slackCard(slackWindows(curve, events, now)),
+      maxCard(events.filter((e) => e.type !== 'slack' && e.time > now).slice(0, 4)),
+      `<div class="sp-tide-note"><i class="ph ph-info"></i><span>Current values are predictions — winds and river flow change real currents. Verify before relying on them for safety.</span></div>`,
+      `<div style="text-align:center;font-size:0.7rem;color:var(--text-tertiary);">NOAA Current Station ${escapeHtml(station.id)}${station.bin ? ` · bin ${escapeHtml(station.bin)}` : ''}</div>`,
+    ].filter(Boolean).join('');
+
+    requestAnimationFrame(() => {
+      const canvas = document.getElementById('cp-curve');
+      if (canvas && curve.length) renderCurrentCurve(canvas, curve, events.filter((e) => e.time <= curve[curve.length - 1].time));
+    });
+  } catch (err) {
+    console.error('Current load failed:', err);
+    if (currentStation?.id === reqId) body.innerHTML = emptyState();
+  }
+}
+
+// Slack windows: each NOAA slack event widened to the stretch of the curve
+// where |speed| stays under SLACK_KNOTS. Events past the curve's end keep
+// just the instant.
+function slackWindows(curve, events, now) {
+  return events
+    .filter((e) => e.type === 'slack')
+    .map((e) => {
+      const i = curve.findIndex((p) => p.time >= e.time);
+      if (i < 0 || Math.abs(curve[i].knots) >= SLACK_KNOTS) return { time: e.time, start: null, end: null };
+      let a = i, b = i;
+      while (a > 0 && Math.abs(curve[a - 1].knots) < SLACK_KNOTS) a--;
+      while (b < curve.length - 1 && Math.abs(curve[b + 1].knots) < SLACK_KNOTS) b++;
+      return { time: e.time, start: curve[a].time, end: curve[b].time };
+    })
+    .filter((w) => (w.end || w.time) > now)
+    .slice(0, 4);
+}
+
+function card(label, iconClass, inner) {
+  return `<div class="card">
+    <div class="card-label"><i class="${iconClass}"></i>${label}</div>
+    ${inner}
+  </div>`;
+}
+
+function stateOf(knots) {
+  if (knots == null) return { label: '—', cls: '' };
+  if (Math.abs(knots) < SLACK_KNOTS) return { label: 'Slack', cls: 'slack' };
+  return knots > 0 ? { label: 'Flooding', cls: 'flood' } : { label: 'Ebbing', cls: 'ebb' };
+}
+
+function nowCard(curve, now) {
+  if (!curve.length) return '';
+  const p = curve.reduce((best, x) => (Math.abs(x.time - now) < Math.abs(best.time - now) ? x : best));
+  const st = stateOf(p.knots);
+  const dir = p.knots > 0 ? p.floodDir : p.ebbDir;
+  const dirText = dir != null && st.cls !== 'slack' ? `toward ${getWindDirectionFromDegrees(dir).text} (${Math.round(dir)}°)` : '';
+  return card('Current Now', 'ph ph-arrows-left-right', `
+    <div class="stat-row">
+      <div class="stat"><span class="stat-label">State</span><span class="stat-value current-${st.cls}">${st.label}</span></div>
+      <div class="stat center"><span class="stat-label">Speed</span><span class="stat-value">${p.knots != null ? `${Math.abs(p.knots).toFixed(1)} kn` : '—'}</span></div>
+      <div class="stat trailing"><span class="stat-label">Set</span><span class="stat-value">${dir != null ? `${Math.round(dir)}°` : '—'}</span></div>
+    </div>
+    ${dirText ? `<div class="trend-row"><i class="ph ph-compass"></i><span>${escapeHtml(dirText)}</span></div>` : ''}`);
+}
+
+function curveCard(curve) {
+  if (!curve.length) return '';
+  return card('Flood / Ebb (30h)', 'ph ph-chart-line', `<div class="chart-wrap"><canvas id="cp-curve"></canvas></div>
+    <div class="chart-legend"><span><span class="dot" style="background:var(--flood)"></span>Flood</span><span><span class="dot" style="background:var(--ebb)"></span>Ebb</span></div>`);
+}
+
+function slackCard(windows) {
+  if (!windows.length) return '';
+  const rows = windows.map((w) => `<div class="tide-event">
+      <i class="ph-bold ph-pause-circle te-kind slack"></i>
+      <span>${fmtDay(w.time)}</span>
+      <span class="te-height">${w.start ? `${fmtTime(w.start)} – ${fmtTime(w.end)}` : fmtTime(w.time)}</span>
+    </div>`).join('');
+  return card('Next Slack Water', 'ph ph-clock', `${rows}
+    <div class="cond-detail" style="margin-top:0.3rem">Window = under ${SLACK_KNOTS} kn around NOAA's predicted slack.</div>`);
+}
+
+function maxCard(events) {
+  if (!events.length) return '';
+  const rows = events.map((e) => {
+    const flood = e.type === 'flood';
+    return `<div class="tide-event">
+      <i class="ph-bold ${flood ? 'ph-arrow-circle-up' : 'ph-arrow-circle-down'} te-kind ${flood ? 'flood' : 'ebb'}"></i>
+      <span class="te-kind ${flood ? 'flood' : 'ebb'}">${flood ? 'Flood' : 'Ebb'}</span>
+      <span>${fmtTime(e.time)}</span>
+      <span class="te-height">${e.knots != null ? `${Math.abs(e.knots).toFixed(1)} kn` : '—'}</span>
+    </div>`;
+  }).join('');
+  return card('Max Flood / Ebb', 'ph ph-waves', rows);
+}
+
+function emptyState() {
+  return `<div class="panel-empty">
+    <i class="ph ph-wifi-slash"></i>
+    Couldn't load current predictions. Check your connection.
+    <div style="margin-top:1rem"><button class="btn btn-primary" id="cp-retry">Retry</button></div>
+  </div>`;
+}
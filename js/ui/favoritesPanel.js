@@ -2,21 +2,31 @@
 // curve. Tapping a row pans the map and opens the station panel.
 
 import { TEXAS_STATIONS } from '../data/stations.js';
+import { extraSubordinateStations } from '../subordinate.js';
 import { getFavoriteIds, moveFavorite, removeFavorite } from '../favorites.js';
 import { fetchTideNow, fetch24HourCurve, fetchWaterTemp, fetchStationWind } from '../api/noaa.js';
+import { fetchSummaries } from '../api/summary.js';
 import { renderSparkline } from './charts.js';
-import { openPanel } from '../panels.js';
+import { openPanel, isPanelOpen } from '../panels.js';
 import { getSettings } from '../settings.js';
-import { fmtFeet, fmtDegrees, fmtWind, knotsToMph, trendIcon, escapeHtml } from '../format.js';
+import { ALERT_TYPES, getStationAlerts, setStationAlerts, pushSupported } from '../push.js';
+import { snapshotMark, snapshotAsOf, onReconnect } from '../offline.js';
+import { fmtFeet, fmtDegrees, fmtWind, knotsToMph, trendIcon, escapeHtml, asOfBadge } from '../format.js';
 
 let onPick = null;
+// Rows showing offline snapshots (or nothing) — reloaded when the connection is back.
+const staleIds = new Set();
 
 export function initFavoritesPanel({ onSelect } = {}) {
   onPick = onSelect;
+  onReconnect(() => {
+    if (!isPanelOpen('favorites-panel')) return;
+    loadSummaries(getFavoriteIds().filter((id) => staleIds.has(id)).map(stationById).filter(Boolean));
+  });
 }
 
 function stationById(id) {
-  return TEXAS_STATIONS.find((s) => s.id === id);
+  return TEXAS_STATIONS.find((s) => s.id === id) || extraSubordinateStations().find((s) => s.id === id);
 }
 
 export function openFavorites() {
@@ -35,55 +45,142 @@ export function openFavorites() {
       <div class="fav-top">
         <i class="ph ph-dots-six-vertical fav-handle"></i>
         <span class="fav-name">${escapeHtml(s.name)}</span>
+        ${s.subordinate ? '' : bellButton(s.id)}
         <i class="ph-bold ph-caret-right chev"></i>
       </div>
       <div class="fav-stats" id="fav-stats-${s.id}"><span style="color:var(--text-tertiary)">Loading…</span></div>
       <div class="chart-wrap fav-spark"><canvas id="fav-spark-${s.id}"></canvas></div>
+      ${s.subordinate ? '' : alertsEditor(s)}
     </div>`).join('');
   openPanel('favorites-panel');
 
   wireRows();
-  stations.forEach(loadSummary);
+  wireAlerts();
+  loadSummaries(stations);
+}
+
+// NOAA stations come back together from one Worker summary request.
+// Subordinate stations (derived on the device), and any station the summary
+// couldn't answer, load row by row.
+async function loadSummaries(stations) {
+  const batch = stations.filter((s) => !s.subordinate);
+  const mark = snapshotMark();
+  const summaries = batch.length ? await fetchSummaries(batch.map((s) => s.id)) : null;
+  const asOf = snapshotAsOf(mark, '/summary');
+  stations.forEach((station) => {
+    const summary = summaries?.[station.id];
+    if (summary && !summary.error) renderSummary(station, summary, asOf);
+    else loadSummary(station);
+  });
 }
 
 async function loadSummary(station) {
-  const unit = getSettings().windUnit;
+  const mark = snapshotMark();
   try {
     const [tideNow, curve, waterTemp, wind] = await Promise.all([
       fetchTideNow(station.id), fetch24HourCurve(station.id),
       fetchWaterTemp(station.id), fetchStationWind(station.id),
     ]);
-    const statsEl = document.getElementById(`fav-stats-${station.id}`);
-    if (statsEl) {
-      const parts = [];
-      if (tideNow) {
-        const ti = trendIcon(tideNow.trend);
-        parts.push(`<span class="stat-tide"><i class="${ti.icon} ${ti.cls}"></i>${tideNow.observed != null ? fmtFeet(tideNow.observed) : '—'} ${ti.label}</span>`);
-      }
-      if (waterTemp != null) parts.push(`<span style="color:var(--water-temp)"><i class="ph-fill ph-thermometer"></i> ${fmtDegrees(waterTemp)}</span>`);
-      if (wind) parts.push(`<span style="color:var(--wind)"><i class="ph ph-wind"></i> ${fmtWind(knotsToMph(wind.speed), unit)} ${escapeHtml(wind.direction || '')}</span>`);
-      statsEl.innerHTML = parts.join('') || '<span style="color:var(--text-tertiary)">No data</span>';
-    }
-    const canvas = document.getElementById(`fav-spark-${station.id}`);
-    if (canvas && curve) {
-      const pts = curve.predicted
-        ? curve.predicted.times.map((t, i) => ({ time: t, ft: curve.predicted.heights[i] }))
-        : (curve.observed ? curve.observed.times.map((t, i) => ({ time: t, ft: curve.observed.heights[i] })) : []);
-      if (pts.length) renderSparkline(canvas, pts, { showTimeAxis: true });
-    }
+    renderSummary(station, { tideNow, curve, waterTemp, wind }, snapshotAsOf(mark, `station=${station.id}`));
   } catch (err) {
+    staleIds.add(station.id);
     const statsEl = document.getElementById(`fav-stats-${station.id}`);
     if (statsEl) statsEl.innerHTML = '<span style="color:var(--text-tertiary)">No data</span>';
   }
 }
 
+function renderSummary(station, { tideNow, curve, waterTemp, wind }, asOf) {
+  const unit = getSettings().windUnit;
+  if (asOf || !(tideNow || curve || waterTemp != null || wind)) staleIds.add(station.id);
+  else staleIds.delete(station.id);
+  const statsEl = document.getElementById(`fav-stats-${station.id}`);
+  if (statsEl) {
+    const parts = [];
+    if (tideNow) {
+      const ti = trendIcon(tideNow.trend);
+      parts.push(`<span class="stat-tide"><i class="${ti.icon} ${ti.cls}"></i>${tideNow.observed != null ? fmtFeet(tideNow.observed) : '—'} ${ti.label}</span>`);
+    }
+    if (waterTemp != null) parts.push(`<span style="color:var(--water-temp)"><i class="ph-fill ph-thermometer"></i> ${fmtDegrees(waterTemp)}</span>`);
+    if (wind) parts.push(`<span style="color:var(--wind)"><i class="ph ph-wind"></i> ${fmtWind(knotsToMph(wind.speed), unit)} ${escapeHtml(wind.direction || '')}</span>`);
+    if (parts.length && asOf) parts.push(asOfBadge(asOf));
+    statsEl.innerHTML = parts.join('') || '<span style="color:var(--text-tertiary)">No data</span>';
+  }
+  const canvas = document.getElementById(`fav-spark-${station.id}`);
+  if (canvas && curve) {
+    const pts = curve.predicted
+      ? curve.predicted.times.map((t, i) => ({ time: t, ft: curve.predicted.heights[i] }))
+      : (curve.observed ? curve.observed.times.map((t, i) => ({ time: t, ft: curve.observed.heights[i] })) : []);
+    if (pts.length) renderSparkline(canvas, pts, { showTimeAxis: true });
+  }
+}
+
+// ---- Push alerts -------------------------------------------------------------
+
+function bellButton(id) {
+  const on = getStationAlerts(id).length > 0;
+  return `<button class="fav-bell${on ? ' on' : ''}" data-id="${id}" title="Alerts"><i class="${on ? 'ph-fill ph-bell-ringing' : 'ph ph-bell'}"></i></button>`;
+}
+
+function alertsEditor(station) {
+  const current = new Map(getStationAlerts(station.id).map((r) => [r.type, r.value]));
+  const rows = ALERT_TYPES
+    .filter((t) => !t.product || (station.products || []).includes(t.product))
+    .map((t) => `<label class="alert-rule">
+        <input type="checkbox" data-type="${t.type}" ${current.has(t.type) ? 'checked' : ''}>
+        <span>${t.label}</span>
+        <input type="number" data-value="${t.type}" value="${current.get(t.type) ?? t.value}" min="${t.min}" max="${t.max}" step="${t.step}">
+        <span class="unit">${t.unit}</span>
+      </label>`).join('');
+  return `<div class="fav-alerts" id="fav-alerts-${station.id}" hidden>
+    ${pushSupported() ? rows : ''}
+    <div class="alert-actions">
+      <span class="alert-status" id="fav-alert-status-${station.id}">${pushSupported() ? 'Notifications arrive even with Slackwater closed.' : "This browser can't receive push notifications."}</span>
+      ${pushSupported() ? `<button class="btn btn-tonal" data-save="${station.id}">Save</button>` : ''}
+    </div>
+  </div>`;
+}
+
+function wireAlerts() {
+  const body = document.getElementById('favorites-body');
+  body.querySelectorAll('.fav-bell').forEach((btn) => wireBell(btn.dataset.id));
+  body.querySelectorAll('[data-save]').forEach((btn) => {
+    btn.addEventListener('click', async () => {
+      const id = btn.dataset.save;
+      const editor = document.getElementById(`fav-alerts-${id}`);
+      const status = document.getElementById(`fav-alert-status-${id}`);
+      const list = [...editor.querySelectorAll('input[type="checkbox"]:checked')].map((cb) => ({
+        type: cb.dataset.type,
+        value: parseFloat(editor.querySelector(`[data-value="${cb.dataset.type}"]`).value),
+      }));
+      btn.disabled = true;
+      status.textContent = 'Saving…';
+      const res = await setStationAlerts(id, list);
+      btn.disabled = false;
+      status.textContent = res.error || (list.length ? 'Alerts saved.' : 'Alerts off.');
+      const bell = body.querySelector(`.fav-bell[data-id="${id}"]`);
+      if (bell) bell.outerHTML = bellButton(id);
+      wireBell(id);
+    });
+  });
+}
+
+// The bell toggles the row's alert editor (re-wired after a save replaces it).
+function wireBell(id) {
+  const bell = document.querySelector(`#favorites-body .fav-bell[data-id="${id}"]`);
+  if (!bell) return;
+  bell.addEventListener('click', () => {
+    const editor = document.getElementById(`fav-alerts-${id}`);
+    if (editor) editor.hidden = !editor.hidden;
+  });
+}
+
 function wireRows() {
   const body = document.getElementById('favorites-body');
   let dragId = null;
 
   body.querySelectorAll('.fav-row').forEach((row) => {
     row.addEventListener('click', (e) => {
-      if (e.target.closest('.fav-handle')) return;
+      if (e.target.closest('.fav-handle, .fav-bell, .fav-alerts')) return;
       const station = stationById(row.dataset.id);
       if (station && onPick) onPick(station);
     });
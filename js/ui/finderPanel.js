@@ -0,0 +1,229 @@
+// Tide window finder — "when this week is Bob Hall below 0.5 ft in daylight",
+// "which mornings have an incoming tide between 6 and 9". Scans the 6-minute
+// predictions for a date range against height, direction, time-of-day and
+// daylight conditions and lists every matching window with a mini chart.
+
+import { fetchTidePredictionRange } from '../api/noaa.js';
+import { TEXAS_STATIONS } from '../data/stations.js';
+import { extraSubordinateStations, predictsTides } from '../subordinate.js';
+import { solunarDays } from '../solunar.js';
+import { findTideWindows } from '../tideWindows.js';
+import { renderWindowChart } from './charts.js';
+import { openPanel } from '../panels.js';
+import { fmtDay, fmtTime, fmtFeet, escapeHtml, localBadge } from '../format.js';
+
+const DAY_MS = 24 * 3600 * 1000;
+const SPANS = [
+  { days: 7, label: '7D' },
+  { days: 14, label: '14D' },
+  { days: 30, label: '30D' },
+  { days: 60, label: '60D' },
+];
+const MIN_LENGTHS = [
+  { minutes: 0, label: 'Any' },
+  { minutes: 30, label: '30 min' },
+  { minutes: 60, label: '1 hr' },
+  { minutes: 120, label: '2 hr' },
+];
+// Charts are cheap but not free — past this, list windows without them.
+const MAX_CHARTS = 40;
+// Curve shown either side of a window in its mini chart.
+const CHART_PAD_MS = 2 * 3600 * 1000;
+
+let currentStation = null;
+let loadSeq = 0;
+// The last search's inputs, kept while the panel is reopened for another station.
+let form = { days: 7, heightOp: 'below', heightFt: 0.5, direction: 'any', daylight: true, from: '', to: '', minMinutes: 30 };
+
+function predictionStations() {
+  return [
+    ...TEXAS_STATIONS.filter(predictsTides),
+    ...extraSubordinateStations(),
+  ].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export function openFinder(station) {
+  currentStation = station;
+  const body = document.getElementById('finder-body');
+  body.innerHTML = controlsCard(station) + '<div id="tf-results"></div>';
+  openPanel('finder-panel');
+
+  body.querySelectorAll('.segmented').forEach((seg) => {
+    seg.addEventListener('click', (e) => {
+      const btn = e.target.closest('button');
+      if (!btn) return;
+      seg.querySelectorAll('button').forEach((b) => b.classList.toggle('active', b === btn));
+    });
+  });
+  body.querySelector('#tf-height-op').addEventListener('change', (e) => {
+    body.querySelector('#tf-height-ft').disabled = e.target.value === 'any';
+  });
+  body.querySelector('#tf-find').addEventListener('click', search);
+  search();
+}
+
+function inputValue(date) {
+  return date.toLocaleDateString('en-CA');
+}
+
+// <input type="date"> value → local midnight.
+function parseInput(value) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  return m ? new Date(+m[1], +m[2] - 1, +m[3]) : null;
+}
+
+// <input type="time"> value → minutes past midnight, or null.
+function parseClock(value) {
+  const m = /^(\d{2}):(\d{2})$/.exec(value || '');
+  return m ? +m[1] * 60 + +m[2] : null;
+}
+
+function segmented(id, options, selected, key) {
+  return `<div class="segmented" id="${id}">${options.map((o) =>
+    `<button data-value="${o[key]}" class="${o[key] === selected ? 'active' : ''}">${o.label}</button>`).join('')}</div>`;
+}
+
+function segValue(id) {
+  return document.querySelector(`#${id} button.active`)?.dataset.value;
+}
+
+function controlsCard(station) {
+  const options = predictionStations()
+    .map((s) => `<option value="${escapeHtml(s.id)}" ${s.id === station.id ? 'selected' : ''}>${escapeHtml(s.name)}</option>`).join('');
+  return `<div class="card history-controls finder-controls">
+    <div class="card-label"><i class="ph ph-magnifying-glass"></i>Find Tide Windows</div>
+    <label class="finder-row"><span>Station</span><select id="tf-station">${options}</select></label>
+    <div class="finder-row"><span>From</span>
+      <input type="date" id="tf-begin" value="${inputValue(new Date())}" aria-label="From">
+      ${segmented('tf-days', SPANS, form.days, 'days')}
+    </div>
+    <div class="finder-row"><span>Height</span>
+      <select id="tf-height-op">
+        <option value="any" ${form.heightOp === 'any' ? 'selected' : ''}>Any</option>
+        <option value="below" ${form.heightOp === 'below' ? 'selected' : ''}>Below</option>
+        <option value="above" ${form.heightOp === 'above' ? 'selected' : ''}>Above</option>
+      </select>
+      <input type="number" id="tf-height-ft" value="${form.heightFt}" step="0.1" ${form.heightOp === 'any' ? 'disabled' : ''} aria-label="Height (ft)">
+      <span class="unit">ft</span>
+    </div>
+    <div class="finder-row"><span>Tide</span>
+      ${segmented('tf-direction', [
+        { value: 'any', label: 'Any' }, { value: 'rising', label: 'Rising' }, { value: 'falling', label: 'Falling' },
+      ], form.direction, 'value')}
+    </div>
+    <div class="finder-row"><span>Between</span>
+      <input type="time" id="tf-from" value="${form.from}" aria-label="Earliest time">
+      <span>and</span>
+      <input type="time" id="tf-to" value="${form.to}" aria-label="Latest time">
+    </div>
+    <div class="finder-row"><span>At least</span>
+      ${segmented('tf-min', MIN_LENGTHS, form.minMinutes, 'minutes')}
+    </div>
+    <div class="finder-row">
+      <label class="finder-check"><input type="checkbox" id="tf-daylight" ${form.daylight ? 'checked' : ''}>Daylight only</label>
+      <button class="btn btn-tonal" id="tf-find">Find</button>
+    </div>
+  </div>`;
+}
+
+function readForm() {
+  const heightFt = parseFloat(document.getElementById('tf-height-ft').value);
+  form = {
+    days: parseInt(segValue('tf-days')) || 7,
+    heightOp: document.getElementById('tf-height-op').value,
+    heightFt: isNaN(heightFt) ? 0 : heightFt,
+    direction: segValue('tf-direction') || 'any',
+    daylight: document.getElementById('tf-daylight').checked,
+    from: document.getElementById('tf-from').value,
+    to: document.getElementById('tf-to').value,
+    minMinutes: parseInt(segValue('tf-min')) || 0,
+  };
+  return form;
+}
+
+async function search() {
+  const results = document.getElementById('tf-results');
+  const station = predictionStations().find((s) => s.id === document.getElementById('tf-station').value) || currentStation;
+  const begin = parseInput(document.getElementById('tf-begin').value);
+  if (!begin) {
+    results.innerHTML = '<div class="error">Pick a start date.</div>';
+    return;
+  }
+  const f = readForm();
+  const end = new Date(begin.getTime() + f.days * DAY_MS);
+  const from = parseClock(f.from);
+  const to = parseClock(f.to);
+  const criteria = {
+    height: f.heightOp === 'any' ? null : { op: f.heightOp, ft: f.heightFt },
+    direction: f.direction,
+    daylight: f.daylight,
+    // One end left blank means "from midnight" / "until midnight".
+    hours: from == null && to == null ? null : { from: from ?? 0, to: to ?? 24 * 60 },
+    minMinutes: f.minMinutes,
+  };
+
+  const seq = ++loadSeq;
+  results.innerHTML = '<div class="loading">Searching predictions</div>';
+  try {
+    const points = await fetchTidePredictionRange(station.id, begin, end);
+    if (seq !== loadSeq) return;
+    if (!points) {
+      results.innerHTML = '<div class="panel-empty"><i class="ph ph-wifi-slash"></i>Couldn\'t load predictions. Check your connection.</div>';
+      return;
+    }
+    // Sunrise/sunset per Central day (pure math, no request).
+    const days = criteria.daylight ? solunarDays(station.lat, station.lon, f.days + 1, begin) : [];
+    const windows = findTideWindows(points, criteria, days);
+    const local = points.some((p) => p.local);
+    results.innerHTML = summary(station, windows, begin, end, local) + windows.map((w, i) => windowCard(w, i)).join('');
+
+    const ys = points.map((p) => p.ft);
+    const lo = Math.min(...ys), hi = Math.max(...ys), pad = (hi - lo) * 0.1;
+    requestAnimationFrame(() => {
+      windows.slice(0, MAX_CHARTS).forEach((w, i) => {
+        const canvas = document.getElementById(`tf-chart-${i}`);
+        const a = w.start.getTime() - CHART_PAD_MS, b = w.end.getTime() + CHART_PAD_MS;
+        const span = points.filter((p) => p.time >= a && p.time <= b);
+        if (canvas) renderWindowChart(canvas, span, w, { yMin: lo - pad, yMax: hi + pad, threshold: criteria.height?.ft });
+      });
+    });
+  } catch (err) {
+    console.error('Tide window search failed:', err);
+    if (seq === loadSeq) results.innerHTML = '<div class="panel-empty"><i class="ph ph-wifi-slash"></i>Couldn\'t load predictions. Check your connection.</div>';
+  }
+}
+
+function fmtDuration(minutes) {
+  const h = Math.floor(minutes / 60), m = minutes % 60;
+  return h ? `${h}h${m ? ` ${m}m` : ''}` : `${m}m`;
+}
+
+function summary(station, windows, begin, end, local) {
+  const total = windows.reduce((n, w) => n + w.minutes, 0);
+  const range = `${fmtDay(begin)} – ${fmtDay(new Date(end.getTime() - 1))}`;
+  const head = windows.length
+    ? `<strong>${windows.length} window${windows.length === 1 ? '' : 's'}</strong> · ${fmtDuration(total)} total`
+    : '<strong>No matching windows</strong>';
+  return `<div class="finder-summary">
+      <span>${head}</span>
+      <span>${escapeHtml(station.name)} · ${range}</span>
+    </div>
+    ${local ? `<div class="sp-tide-note">${localBadge()}<span>Couldn't reach NOAA — predicted on this device from the station's harmonic constituents.</span></div>` : ''}
+    ${windows.length ? '' : '<div class="panel-empty"><i class="ph ph-magnifying-glass"></i>Nothing in this range meets every condition. Try loosening the height or time limits.</div>'}`;
+}
+
+function windowCard(w, i) {
+  const sameDay = fmtDay(w.start) === fmtDay(w.end);
+  const when = sameDay
+    ? `${fmtTime(w.start)} – ${fmtTime(w.end)}`
+    : `${fmtTime(w.start)} – ${fmtDay(w.end)} ${fmtTime(w.end)}`;
+  return `<div class="card finder-window">
+    <div class="finder-window-head">
+      <span class="day">${fmtDay(w.start)}</span>
+      <span class="when">${when}</span>
+      <span class="len">${fmtDuration(w.minutes)}</span>
+    </div>
+    <div class="cond-detail">${fmtFeet(w.low)} – ${fmtFeet(w.high)}</div>
+    ${i < MAX_CHARTS ? `<div class="chart-wrap finder-chart"><canvas id="tf-chart-${i}"></canvas></div>` : ''}
+  </div>`;
+}
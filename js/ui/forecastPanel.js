@@ -5,20 +5,32 @@ import { fetchTidePredictions7Day, fetchTideHilo7Day } from '../api/noaa.js';
 import { fetchWeatherForecast7Day } from '../api/nws.js';
 import { fetchSunMoon7Day } from '../api/usno.js';
 import { renderSparkline } from './charts.js';
-import { openPanel } from '../panels.js';
+import { openPanel, isPanelOpen } from '../panels.js';
 import { getSettings } from '../settings.js';
-import { fmtDay, fmtTime, fmtFeet, fmtWind, conditionIcon, moonIcon, escapeHtml } from '../format.js';
+import { snapshotMark, snapshotAsOf, onReconnect } from '../offline.js';
+import { fmtDay, fmtTime, fmtFeet, fmtWind, conditionIcon, moonIcon, escapeHtml, localBadge, asOfBadge } from '../format.js';
+
+let currentStation = null;
+// Showing offline snapshots (or nothing) — reload when the connection is back.
+let stale = false;
+
+onReconnect(() => {
+  if (stale && currentStation && isPanelOpen('forecast-panel')) openForecast(currentStation, { quiet: true });
+});
 
 function centralDayKey(date) {
   return date.toLocaleDateString('en-CA', { timeZone: 'America/Chicago' }); // YYYY-MM-DD
 }
 
-export async function openForecast(station) {
+// `quiet` keeps the current content up until fresh data replaces it.
+export async function openForecast(station, { quiet = false } = {}) {
+  currentStation = station;
   document.getElementById('forecast-title').textContent = `7-Day · ${station.name}`;
   const body = document.getElementById('forecast-body');
-  body.innerHTML = '<div class="loading">Loading forecast</div>';
+  if (!quiet) body.innerHTML = '<div class="loading">Loading forecast</div>';
   openPanel('forecast-panel');
 
+  const mark = snapshotMark();
   try {
     const [predictions, hilo, weather, sunMoon] = await Promise.all([
       fetchTidePredictions7Day(station.id),
@@ -26,9 +38,11 @@ export async function openForecast(station) {
       fetchWeatherForecast7Day(station.lat, station.lon),
       fetchSunMoon7Day(station.lat, station.lon),
     ]);
+    if (currentStation !== station) return;
 
     const allWeatherMissing = !weather || weather.every((d) => !d.shortForecast || d.shortForecast === 'N/A');
     if (allWeatherMissing && (!predictions || !predictions.length)) {
+      stale = true;
       body.innerHTML = emptyState();
       const r = document.getElementById('fc-retry');
       if (r) r.addEventListener('click', () => openForecast(station));
@@ -52,7 +66,10 @@ export async function openForecast(station) {
     }
 
     const unit = getSettings().windUnit;
-    const days = weather && weather.length ? weather : [];
+    // Offline, tides may still come from the on-device harmonic engine — keep
+    // the day cards (tides only) rather than dropping the whole week.
+    const days = weather && weather.length && !allWeatherMissing ? weather : tideOnlyDays();
+    const local = (predictions || []).some((p) => p.local) || (hilo || []).some((e) => e.local);
     const cards = days.map((day, idx) => {
       const key = centralDayKey(day.date);
       const dayPts = (predictions || []).filter((p) => centralDayKey(p.time) === key);
@@ -77,14 +94,14 @@ export async function openForecast(station) {
         <div class="day-card-title">${fmtDay(day.date)}</div>
         ${dayPts.length ? `<div class="chart-wrap" style="height:96px"><canvas class="fc-spark" data-idx="${idx}"></canvas></div>` : ''}
         ${eventsHtml ? `<div>${eventsHtml}</div>` : ''}
-        <div class="divider"></div>
+        ${day.tideOnly ? '' : `<div class="divider"></div>
         <div class="sub"><i class="${ci.icon}" style="color:${ci.color}"></i><span>${escapeHtml(day.shortForecast || 'N/A')}</span></div>
         <div class="day-meta">
           ${day.tempHigh != null ? `<span><i class="ph-bold ph-arrow-up"></i> ${day.tempHigh}°</span>` : ''}
           ${day.tempLow != null ? `<span><i class="ph-bold ph-arrow-down"></i> ${day.tempLow}°</span>` : ''}
           <span><i class="ph-fill ph-drop"></i> ${day.precipProbability ?? 0}%</span>
           <span><i class="ph ph-wind"></i> ${windText}</span>
-        </div>
+        </div>`}
         ${sm ? `<div class="divider"></div>
           <div class="day-meta">
             <span><i class="ph-fill ph-sun-horizon icon-sunrise"></i> ${escapeHtml(sm.sunrise)}</span>
@@ -94,7 +111,13 @@ export async function openForecast(station) {
       </div>`;
     }).join('');
 
-    body.innerHTML = cards;
+    const asOf = snapshotAsOf(mark);
+    stale = !!asOf;
+    body.innerHTML = (asOf
+      ? `<div class="sp-tide-note snapshot-note">${asOfBadge(asOf)}<span>Offline — showing the last forecast saved on this device.</span></div>`
+      : '') + (local
+      ? `<div class="sp-tide-note">${localBadge()}<span>Couldn't reach NOAA — tides are predicted on this device from the station's harmonic constituents.</span></div>`
+      : '') + cards;
 
     requestAnimationFrame(() => {
       document.querySelectorAll('#forecast-body .fc-spark').forEach((canvas) => {
@@ -109,12 +132,26 @@ export async function openForecast(station) {
     });
   } catch (err) {
     console.error('Forecast load failed:', err);
+    if (currentStation !== station) return;
+    stale = true;
     body.innerHTML = emptyState();
     const r = document.getElementById('fc-retry');
     if (r) r.addEventListener('click', () => openForecast(station));
   }
 }
 
+// Seven bare day stubs from midnight today, for when the weather forecast is
+// unavailable but tide predictions aren't.
+function tideOnlyDays() {
+  const midnight = new Date();
+  midnight.setHours(0, 0, 0, 0);
+  return Array.from({ length: 7 }, (_, i) => {
+    const date = new Date(midnight);
+    date.setDate(midnight.getDate() + i);
+    return { date, tideOnly: true };
+  });
+}
+
 function emptyState() {
   return `<div class="panel-empty">
     <i class="ph ph-wifi-slash"></i>
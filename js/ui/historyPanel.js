@@ -0,0 +1,195 @@
+// History panel — observed vs predicted water level, residual, water temp,
+// wind and air pressure for any past date range, on one zoomable time axis.
+
+import { fetchStationHistory } from '../api/noaa.js';
+import { renderHistoryCharts } from './charts.js';
+import { openPanel } from '../panels.js';
+import { getSettings } from '../settings.js';
+import { fmtDay, fmtFeet, fmtDegrees, fmtWind, knotsToMph, escapeHtml, localBadge } from '../format.js';
+
+const DAY_MS = 24 * 3600 * 1000;
+// The Worker chunks long ranges, but a year of hourly data is plenty for a
+// phone to chart.
+const MAX_DAYS = 366;
+const PRESETS = [
+  { days: 7, label: '7D' },
+  { days: 30, label: '30D' },
+  { days: 90, label: '90D' },
+  { days: 365, label: '1Y' },
+];
+
+let currentStation = null;
+let loadSeq = 0;
+let zoomGroup = null;
+
+export function openHistory(station) {
+  currentStation = station;
+  document.getElementById('history-title').textContent = `History · ${station.name}`;
+  const body = document.getElementById('history-body');
+  const today = new Date();
+  body.innerHTML = controlsCard(new Date(today.getTime() - 7 * DAY_MS), today) + '<div id="hp-results"></div>';
+  openPanel('history-panel');
+
+  body.querySelector('#hp-presets').addEventListener('click', (e) => {
+    const btn = e.target.closest('button');
+    if (!btn) return;
+    const end = new Date();
+    setInputs(new Date(end.getTime() - parseInt(btn.dataset.days) * DAY_MS), end);
+    body.querySelectorAll('#hp-presets button').forEach((b) => b.classList.toggle('active', b === btn));
+    load();
+  });
+  body.querySelector('#hp-load').addEventListener('click', () => {
+    body.querySelectorAll('#hp-presets button').forEach((b) => b.classList.remove('active'));
+    load();
+  });
+  load();
+}
+
+function inputValue(date) {
+  return date.toLocaleDateString('en-CA');
+}
+
+// <input type="date"> value → local midnight.
+function parseInput(value) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  return m ? new Date(+m[1], +m[2] - 1, +m[3]) : null;
+}
+
+function setInputs(begin, end) {
+  document.getElementById('hp-begin').value = inputValue(begin);
+  document.getElementById('hp-end').value = inputValue(end);
+}
+
+function controlsCard(begin, end) {
+  const max = inputValue(new Date());
+  return `<div class="card history-controls">
+    <div class="card-label"><i class="ph ph-calendar-blank"></i>Date Range</div>
+    <div class="segmented" id="hp-presets">
+      ${PRESETS.map((p) => `<button data-days="${p.days}" class="${p.days === 7 ? 'active' : ''}">${p.label}</button>`).join('')}
+    </div>
+    <div class="history-range">
+      <input type="date" id="hp-begin" value="${inputValue(begin)}" max="${max}" aria-label="From">
+      <span>to</span>
+      <input type="date" id="hp-end" value="${inputValue(end)}" max="${max}" aria-label="To">
+      <button class="btn btn-tonal" id="hp-load">Load</button>
+    </div>
+  </div>`;
+}
+
+async function load() {
+  const station = currentStation;
+  const results = document.getElementById('hp-results');
+  const begin = parseInput(document.getElementById('hp-begin').value);
+  const endDay = parseInput(document.getElementById('hp-end').value);
+  if (!begin || !endDay || endDay < begin) {
+    results.innerHTML = '<div class="error">Pick a start date on or before the end date.</div>';
+    return;
+  }
+  // The end date is inclusive — run to the end of that day, but not past now.
+  const end = new Date(Math.min(endDay.getTime() + DAY_MS - 60000, Date.now()));
+  if (end - begin > MAX_DAYS * DAY_MS) {
+    results.innerHTML = `<div class="error">Ranges are limited to ${MAX_DAYS} days.</div>`;
+    return;
+  }
+
+  const seq = ++loadSeq;
+  results.innerHTML = '<div class="loading">Loading history</div>';
+  try {
+    const h = await fetchStationHistory(station, begin, end);
+    if (seq !== loadSeq || currentStation !== station) return;
+
+    const unit = getSettings().windUnit;
+    const toWind = (kn) => (unit === 'knots' ? kn : knotsToMph(kn));
+    const specs = [
+      {
+        id: 'hp-level', label: 'Water Level (MLLW)', icon: 'ph ph-waves', unit: 'ft',
+        legend: [['Observed', '--observed'], ['Predicted', '--tide']],
+        series: [
+          { label: 'Predicted', points: h.predicted, color: '--tide', fill: '--tide-area' },
+          { label: 'Observed', points: h.observed, color: '--observed' },
+        ],
+      },
+      {
+        id: 'hp-residual', label: 'Residual (Observed − Predicted)', icon: 'ph ph-chart-line-up', unit: 'ft', zeroLine: true,
+        series: [{ label: 'Residual', points: h.residual, color: '--pressure', fill: '--accent-soft' }],
+      },
+      {
+        id: 'hp-temp', label: 'Water Temperature', icon: 'ph ph-thermometer', unit: '°F',
+        series: [{ label: 'Water temp', points: h.waterTemp, color: '--water-temp' }],
+      },
+      {
+        id: 'hp-wind', label: 'Wind', icon: 'ph ph-wind', unit: unit === 'knots' ? 'kn' : 'mph',
+        legend: [['Speed', '--wind'], ['Gust', '--text-secondary']],
+        series: [
+          { label: 'Speed', points: h.wind.map((w) => ({ time: w.time, value: toWind(w.speed) })), color: '--wind' },
+          { label: 'Gust', points: h.wind.filter((w) => w.gust != null).map((w) => ({ time: w.time, value: toWind(w.gust) })), color: '--text-secondary', dashed: true },
+        ],
+      },
+      {
+        id: 'hp-pressure', label: 'Air Pressure', icon: 'ph ph-gauge', unit: 'mb',
+        series: [{ label: 'Pressure', points: h.pressure, color: '--pressure' }],
+      },
+    ]
+      .map((s) => ({ ...s, series: s.series.filter((x) => x.points.length) }))
+      .filter((s) => s.series.length);
+
+    if (!specs.length) {
+      results.innerHTML = `<div class="panel-empty"><i class="ph ph-clock-counter-clockwise"></i>No data from this station for ${fmtDay(begin)} – ${fmtDay(end)}.</div>`;
+      return;
+    }
+
+    results.innerHTML = [
+      summaryCard(h, unit),
+      `<div class="history-hint"><span>Scroll or pinch to zoom · drag to pan${h.hourly ? ' · hourly samples' : ''}</span>
+        <button class="btn btn-tonal" id="hp-reset"><i class="ph ph-arrows-out-line-horizontal"></i>Reset zoom</button></div>`,
+      specs.map(chartCard).join(''),
+      h.local ? `<div class="sp-tide-note">${localBadge()}<span>Predictions computed on this device — the Worker was unreachable.</span></div>` : '',
+      `<div style="text-align:center;font-size:0.7rem;color:var(--text-tertiary);">NOAA CO-OPS Station ${escapeHtml(station.id)} · preliminary data may change once verified</div>`,
+    ].join('');
+
+    requestAnimationFrame(() => {
+      zoomGroup = renderHistoryCharts(specs.map((s) => ({ ...s, canvas: document.getElementById(s.id) })));
+      document.getElementById('hp-reset').addEventListener('click', () => zoomGroup?.reset());
+    });
+  } catch (err) {
+    console.error('History load failed:', err);
+    if (seq === loadSeq) results.innerHTML = '<div class="panel-empty"><i class="ph ph-wifi-slash"></i>Couldn\'t load history. Check your connection.</div>';
+  }
+}
+
+function card(label, iconClass, inner) {
+  return `<div class="card">
+    <div class="card-label"><i class="${iconClass}"></i>${label}</div>
+    ${inner}
+  </div>`;
+}
+
+function chartCard(spec) {
+  const legend = spec.legend
+    ? `<div class="chart-legend">${spec.legend.map(([l, c]) => `<span><span class="dot" style="background:var(${c})"></span>${l}</span>`).join('')}</div>`
+    : '';
+  return card(spec.label, spec.icon, `<div class="chart-wrap"><canvas id="${spec.id}"></canvas></div>${legend}`);
+}
+
+function extreme(points, pick) {
+  return points.reduce((best, p) => (best == null || pick(p.value, best.value) ? p : best), null);
+}
+
+function summaryCard(h, unit) {
+  const hi = extreme(h.observed, (a, b) => a > b);
+  const lo = extreme(h.observed, (a, b) => a < b);
+  const surge = extreme(h.residual, (a, b) => Math.abs(a) > Math.abs(b));
+  const gust = h.wind.reduce((m, w) => Math.max(m, w.gust ?? w.speed), -Infinity);
+  const temps = h.waterTemp.map((p) => p.value);
+  const stat = (label, value, cls = '') => `<div class="stat ${cls}"><span class="stat-label">${label}</span><span class="stat-value">${value}</span></div>`;
+  return card('Summary', 'ph ph-list-magnifying-glass', `
+    <div class="stat-row">
+      ${stat('Highest', hi ? fmtFeet(hi.value) : '—')}
+      ${stat('Lowest', lo ? fmtFeet(lo.value) : '—', 'center')}
+      ${stat('Peak residual', surge ? `${surge.value > 0 ? '+' : ''}${fmtFeet(surge.value)}` : '—', 'trailing')}
+    </div>
+    <div class="stat-row">
+      ${stat('Water temp', temps.length ? `${fmtDegrees(Math.min(...temps))} – ${fmtDegrees(Math.max(...temps))}` : '—')}
+      ${stat('Max wind', isFinite(gust) ? fmtWind(knotsToMph(gust), unit) : '—', 'trailing')}
+    </div>`);
+}
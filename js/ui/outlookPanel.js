@@ -0,0 +1,136 @@
+// Fishing outlook panel — the next 48 hours scored hour by hour (see
+// outlook.js), best times first, each hour expandable into the factors
+// behind its score.
+
+import { fetchTidePredictionRange, fetchWaterTempHistory } from '../api/noaa.js';
+import { fetchHourlyWind, fetchPressure } from '../api/nws.js';
+import { solunarDays } from '../solunar.js';
+import { predictsTides } from '../subordinate.js';
+import { scoreOutlook, bestSlots, FACTORS } from '../outlook.js';
+import { openPanel } from '../panels.js';
+import { getSettings } from '../settings.js';
+import { fmtDay, fmtHour, escapeHtml, fishRating, localBadge } from '../format.js';
+
+const HOURS = 48;
+const HOUR_MS = 3600 * 1000;
+
+let currentStation = null;
+
+export async function openOutlook(station) {
+  currentStation = station;
+  document.getElementById('outlook-title').textContent = `Outlook · ${station.name}`;
+  const body = document.getElementById('outlook-body');
+  body.innerHTML = '<div class="loading">Scoring the next two days</div>';
+  openPanel('outlook-panel');
+
+  const reqId = station.id;
+  const products = station.products || [];
+  const start = new Date();
+  try {
+    const [predictions, wind, pressure, waterTemps] = await Promise.all([
+      predictsTides(station)
+        ? fetchTidePredictionRange(station.id, new Date(start.getTime() - HOUR_MS), new Date(start.getTime() + (HOURS + 1) * HOUR_MS))
+        : null,
+      fetchHourlyWind(station.lat, station.lon),
+      fetchPressure(station.lat, station.lon),
+      products.includes('water_temperature') ? fetchWaterTempHistory(station.id, 24) : [],
+    ]);
+    if (currentStation?.id !== reqId) return;
+
+    const slots = scoreOutlook(
+      { predictions, wind, pressure, waterTemps, solunar: solunarDays(station.lat, station.lon, 3, start) },
+      { start, hours: HOURS, windUnit: getSettings().windUnit },
+    );
+    if (!slots.length) { body.innerHTML = emptyState(); wireRetry(station); return; }
+
+    const missing = FACTORS.filter((f) => !slots.some((s) => s.factors.some((x) => x.key === f.key)));
+    body.innerHTML = [
+      bestCard(bestSlots(slots)),
+      missing.length ? `<div class="sp-tide-note"><i class="ph ph-info"></i><span>No ${missing.map((f) => f.label.toLowerCase()).join(', ')} data for this station — scored on the rest.</span></div>` : '',
+      (predictions || []).some((p) => p.local) ? `<div class="sp-tide-note">${localBadge()}<span>Tide flow is from predictions computed on this device.</span></div>` : '',
+      hourlyCards(slots),
+      aboutCard(),
+    ].filter(Boolean).join('');
+
+    body.querySelectorAll('.outlook-hour').forEach((row) => {
+      row.addEventListener('click', () => row.classList.toggle('open'));
+    });
+  } catch (err) {
+    console.error('Outlook load failed:', err);
+    if (currentStation?.id === reqId) { body.innerHTML = emptyState(); wireRetry(station); }
+  }
+}
+
+function wireRetry(station) {
+  const btn = document.getElementById('ol-retry');
+  if (btn) btn.addEventListener('click', () => openOutlook(station));
+}
+
+function card(label, iconClass, inner) {
+  return `<div class="card">
+    <div class="card-label"><i class="${iconClass}"></i>${label}</div>
+    ${inner}
+  </div>`;
+}
+
+// The factors that lifted a slot most (weighted score above neutral).
+function reasons(slot) {
+  return slot.factors
+    .filter((f) => f.score >= 0.6)
+    .sort((a, b) => b.weight * b.score - a.weight * a.score)
+    .slice(0, 2)
+    .map((f) => escapeHtml(f.detail));
+}
+
+function bestCard(best) {
+  const rows = best.map((s) => `<div class="outlook-best">
+      <div>
+        <span class="when">${fmtDay(s.time)} · ${fmtHour(s.time)}</span>
+        <span class="why">${reasons(s).join(' · ') || '&nbsp;'}</span>
+      </div>
+      ${fishRating(s.rating)}
+      <span class="score">${s.score}</span>
+    </div>`).join('');
+  return card('Best Times (48h)', 'ph-fill ph-fish-simple', rows);
+}
+
+function breakdown(slot) {
+  return `<div class="outlook-breakdown">${slot.factors.map((f) => `<div class="outlook-factor">
+      <span class="label">${f.label}</span>
+      <span class="bar"><span style="width:${Math.round(f.score * 100)}%"></span></span>
+      <span class="weight">${Math.round(f.weight * 100)}%</span>
+      <span class="detail">${escapeHtml(f.detail)}</span>
+    </div>`).join('')}</div>`;
+}
+
+function hourlyCards(slots) {
+  const byDay = new Map();
+  for (const s of slots) {
+    const key = fmtDay(s.time);
+    if (!byDay.has(key)) byDay.set(key, []);
+    byDay.get(key).push(s);
+  }
+  return [...byDay.entries()].map(([day, list]) => card(day, 'ph ph-clock', list.map((s) => `
+    <div class="outlook-hour">
+      <div class="outlook-row">
+        <span class="hour">${fmtHour(s.time)}</span>
+        <span class="bar ${s.rating.level}"><span style="width:${s.score}%"></span></span>
+        <span class="score">${s.score}</span>
+        <i class="ph-bold ph-caret-down chev"></i>
+      </div>
+      ${breakdown(s)}
+    </div>`).join(''))).join('');
+}
+
+function aboutCard() {
+  const weights = FACTORS.map((f) => `${f.label.toLowerCase()} ${Math.round(f.weight * 100)}%`).join(', ');
+  return `<div class="sp-tide-note"><i class="ph ph-info"></i><span>Each hour blends ${weights}. Pressure and water temperature are current readings, so they fade out over the next day. Tap an hour to see its breakdown — a guide, not a guarantee.</span></div>`;
+}
+
+function emptyState() {
+  return `<div class="panel-empty">
+    <i class="ph ph-wifi-slash"></i>
+    Couldn't load the data the outlook needs. Check your connection.
+    <div style="margin-top:1rem"><button class="btn btn-primary" id="ol-retry">Retry</button></div>
+  </div>`;
+}
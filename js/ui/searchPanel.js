@@ -0,0 +1,167 @@
+// Station search panel — type a station name or id (typos forgiven), a place
+// name or "lat, lon"; narrow by what the station reports; or ask for the
+// stations nearest you. Places and coordinates rank stations by distance.
+
+import { TEXAS_STATIONS } from '../data/stations.js';
+import { searchStations, parseLatLon } from '../search.js';
+import { geocodePlace } from '../api/geocode.js';
+import { openPanel } from '../panels.js';
+import { escapeHtml } from '../format.js';
+
+const FILTERS = [
+  { product: 'predictions', label: 'Tides', icon: 'ph-fill ph-waves' },
+  { product: 'wind', label: 'Wind', icon: 'ph ph-wind' },
+  { product: 'water_temperature', label: 'Water temp', icon: 'ph-fill ph-thermometer' },
+];
+const MAX_RESULTS = 25;
+const MAX_PLACES = 4;
+const GEOCODE_DELAY_MS = 400;
+
+let handlers = {};
+const state = { query: '', products: new Set(), origin: null, places: [] };
+let geocodeTimer = null;
+let geocodeSeq = 0;
+
+export function initSearchPanel({ onSelect } = {}) {
+  handlers = { onSelect };
+}
+
+export function openSearch() {
+  const body = document.getElementById('search-body');
+  if (!body.dataset.ready) {
+    body.dataset.ready = '1';
+    body.innerHTML = controls();
+    wireControls(body);
+  }
+  renderResults();
+  openPanel('search-panel');
+  document.getElementById('search-input').focus();
+}
+
+function controls() {
+  return `<div class="search-box">
+      <i class="ph ph-magnifying-glass"></i>
+      <input type="search" id="search-input" placeholder="Station, place, or lat, lon" autocomplete="off" spellcheck="false" aria-label="Search stations">
+    </div>
+    <div class="search-tools">
+      ${FILTERS.map((f) => `<button class="search-chip" data-product="${f.product}"><i class="${f.icon}"></i>${f.label}</button>`).join('')}
+      <button class="search-chip near" id="search-near"><i class="ph-bold ph-crosshair"></i>Near me</button>
+    </div>
+    <div id="search-origin"></div>
+    <div id="search-results"></div>`;
+}
+
+function wireControls(body) {
+  document.getElementById('search-input').addEventListener('input', (e) => {
+    state.query = e.target.value;
+    const coords = parseLatLon(state.query);
+    state.origin = coords ? { ...coords, label: `${coords.lat.toFixed(3)}, ${coords.lon.toFixed(3)}` } : null;
+    state.places = [];
+    renderResults();
+    scheduleGeocode();
+  });
+  body.querySelectorAll('.search-chip[data-product]').forEach((chip) => {
+    chip.addEventListener('click', () => {
+      const p = chip.dataset.product;
+      if (state.products.has(p)) state.products.delete(p);
+      else state.products.add(p);
+      chip.classList.toggle('active', state.products.has(p));
+      renderResults();
+    });
+  });
+  document.getElementById('search-near').addEventListener('click', nearMe);
+}
+
+// Place names go to the geocoder once typing pauses; coordinates and very
+// short queries don't.
+function scheduleGeocode() {
+  clearTimeout(geocodeTimer);
+  const q = state.query.trim();
+  if (q.length < 3 || state.origin) return;
+  geocodeTimer = setTimeout(async () => {
+    const seq = ++geocodeSeq;
+    const places = await geocodePlace(q);
+    if (seq !== geocodeSeq || state.query.trim() !== q) return;
+    state.places = (places || []).slice(0, MAX_PLACES);
+    renderResults();
+  }, GEOCODE_DELAY_MS);
+}
+
+function nearMe() {
+  const btn = document.getElementById('search-near');
+  if (!navigator.geolocation) { setOriginNote('Location isn’t available in this browser.'); return; }
+  btn.classList.add('busy');
+  setOriginNote('<i class="ph ph-spinner"></i> Finding you…');
+  navigator.geolocation.getCurrentPosition((pos) => {
+    btn.classList.remove('busy');
+    state.origin = { lat: pos.coords.latitude, lon: pos.coords.longitude, label: 'you' };
+    state.places = [];
+    const results = renderResults();
+    if (results[0] && handlers.onSelect) handlers.onSelect(results[0].station);
+  }, (err) => {
+    btn.classList.remove('busy');
+    setOriginNote(err.code === err.PERMISSION_DENIED ? 'Location permission was denied.' : 'Couldn’t get your location.');
+  }, { enableHighAccuracy: false, timeout: 10000, maximumAge: 5 * 60 * 1000 });
+}
+
+function setOriginNote(html) {
+  document.getElementById('search-origin').innerHTML = html ? `<div class="search-origin">${html}</div>` : '';
+}
+
+function renderResults() {
+  const results = searchStations(TEXAS_STATIONS, {
+    query: state.origin ? '' : state.query.trim(),
+    products: [...state.products],
+    origin: state.origin,
+  });
+  setOriginNote(state.origin
+    ? `<i class="ph-fill ph-map-pin"></i><span>Nearest to ${escapeHtml(state.origin.label)}</span><button id="search-clear-origin">Clear</button>`
+    : '');
+  const clear = document.getElementById('search-clear-origin');
+  if (clear) clear.addEventListener('click', () => { state.origin = null; renderResults(); });
+
+  const el = document.getElementById('search-results');
+  const rows = results.slice(0, MAX_RESULTS).map(stationRow).join('');
+  el.innerHTML = [
+    state.places.length ? placesCard() : '',
+    rows
+      ? `<div class="card">${rows}</div>`
+      : `<div class="panel-empty"><i class="ph ph-magnifying-glass"></i>No stations match${state.products.size ? ' with those filters' : ''}.</div>`,
+  ].join('');
+
+  el.querySelectorAll('.search-row').forEach((row) => {
+    row.addEventListener('click', () => {
+      const station = TEXAS_STATIONS.find((s) => s.id === row.dataset.id);
+      if (station && handlers.onSelect) handlers.onSelect(station);
+    });
+  });
+  el.querySelectorAll('.search-place').forEach((row) => {
+    row.addEventListener('click', () => {
+      const place = state.places[+row.dataset.index];
+      state.origin = { lat: place.lat, lon: place.lon, label: place.name };
+      state.places = [];
+      renderResults();
+    });
+  });
+  return results;
+}
+
+function stationRow({ station, miles }) {
+  const has = station.products || [];
+  const icons = FILTERS.filter((f) => has.includes(f.product)).map((f) => `<i class="${f.icon}" title="${f.label}"></i>`).join('');
+  return `<div class="search-row" data-id="${escapeHtml(station.id)}">
+    <span class="name">${escapeHtml(station.name)}<span class="id">${escapeHtml(station.id)}</span></span>
+    <span class="products">${icons}</span>
+    ${miles != null ? `<span class="miles">${miles < 10 ? miles.toFixed(1) : Math.round(miles)} mi</span>` : ''}
+    <i class="ph-bold ph-caret-right chev"></i>
+  </div>`;
+}
+
+function placesCard() {
+  const rows = state.places.map((p, i) => `<div class="search-place" data-index="${i}">
+      <i class="ph ph-map-pin"></i>
+      <span class="name">${escapeHtml(p.name)}<span class="id">${escapeHtml(p.region)}</span></span>
+      <span class="miles">Nearest stations</span>
+    </div>`).join('');
+  return `<div class="card"><div class="card-label"><i class="ph ph-map-trifold"></i>Places</div>${rows}</div>`;
+}
@@ -1,4 +1,4 @@
-// Settings panel — appearance, wind units, legend visibility.
+// Settings panel — appearance, wind units, legend visibility, forecast timeline.
 
 import { openPanel } from '../panels.js';
 import { getSettings, setSetting } from '../settings.js';
@@ -8,8 +8,9 @@ export function openSettings() {
   openPanel('settings-panel');
 }
 
-function segmented(key, options, current) {
-  return `<div class="segmented" data-key="${key}">
+// `numeric` stores the chosen value as a number (hours, steps).
+function segmented(key, options, current, numeric = false) {
+  return `<div class="segmented" data-key="${key}"${numeric ? ' data-numeric' : ''}>
     ${options.map((o) => `<button data-value="${o.value}" class="${o.value === current ? 'active' : ''}">${o.label}</button>`).join('')}
   </div>`;
 }
@@ -40,6 +41,16 @@ function render() {
         <span class="label">Show layer legend</span>
         <label class="switch"><input type="checkbox" id="set-legend" ${s.showLegend ? 'checked' : ''}><span class="slider"></span></label>
       </div>
+      <div class="setting-row">
+        <span class="label">Forecast timeline</span>
+        ${segmented('timelineHours', [
+          { value: 12, label: '12h' }, { value: 24, label: '1d' }, { value: 72, label: '3d' }, { value: 168, label: '7d' },
+        ], s.timelineHours, true)}
+      </div>
+      <div class="setting-row">
+        <span class="label">Timeline step</span>
+        ${segmented('timelineStep', [{ value: 1, label: '1h' }, { value: 3, label: '3h' }], s.timelineStep, true)}
+      </div>
     </div>
     <div class="card">
       <div class="card-label"><i class="ph ph-scroll"></i>About &amp; Legal</div>
@@ -53,7 +64,7 @@ function render() {
       </a>
     </div>
     <p style="font-size:0.72rem;color:var(--text-secondary);padding:0 0.3rem;">
-      Tides &amp; conditions from NOAA CO-OPS. Weather from the National Weather Service. Sun &amp; moon from the U.S. Naval Observatory. Radar via RainViewer. Forecast grids from Open-Meteo.
+      Tides &amp; conditions from NOAA CO-OPS. Weather from the National Weather Service. Sun &amp; moon from the U.S. Naval Observatory. Radar via RainViewer. Forecast grids and place search from Open-Meteo.
     </p>
     <p style="font-size:0.72rem;color:var(--text-secondary);padding:0 0.3rem;">
       Slackwater is a <a href="https://workingmodel.cc/" target="_blank" rel="noopener" style="color:var(--accent);text-decoration:none;">Working Model</a> project.
@@ -63,7 +74,7 @@ function render() {
     seg.addEventListener('click', (e) => {
       const btn = e.target.closest('button');
       if (!btn) return;
-      setSetting(seg.dataset.key, btn.dataset.value);
+      setSetting(seg.dataset.key, 'numeric' in seg.dataset ? +btn.dataset.value : btn.dataset.value);
       seg.querySelectorAll('button').forEach((b) => b.classList.toggle('active', b === btn));
     });
   });
@@ -2,7 +2,7 @@
 
 import { solunarDays } from '../solunar.js';
 import { openPanel } from '../panels.js';
-import { fmtDay, fmtTime, moonIcon, escapeHtml } from '../format.js';
+import { fmtDay, fmtTime, moonIcon, escapeHtml, fishRating } from '../format.js';
 
 let aboutVisible = false;
 
@@ -37,15 +37,6 @@ function aboutCard() {
   </div>`;
 }
 
-function fishRating(rating) {
-  let html = '';
-  for (let i = 0; i < 4; i++) {
-    const on = i < rating.fishCount;
-    html += `<i class="ph-fill ph-fish ${on ? 'on-' + rating.level : ''}"></i>`;
-  }
-  return `<span class="fish-rating" title="${rating.level}">${html}</span>`;
-}
-
 function periodRow(kind, periods) {
   const cls = kind.toLowerCase();
   const times = periods.length
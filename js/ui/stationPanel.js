@@ -2,22 +2,31 @@
 // Opens without moving the map. Reuses the existing API layer.
 
 import { fetchTideNow, fetchNextTide, fetch24HourCurve, fetchWaterTemp, fetchWaterTempHistory, fetchAirTemp, fetchStationWind } from '../api/noaa.js';
-import { fetchForecast12h, fetchPressure } from '../api/nws.js';
+import { fetchForecast12h, fetchPressure, fetchMarineForecast } from '../api/nws.js';
 import { fetchSunMoonData } from '../api/usno.js';
+import { fetchStationSnapshot } from '../api/snapshot.js';
+import { TEXAS_STATIONS } from '../data/stations.js';
 import { renderTideCurve, renderWaterTemp } from './charts.js';
-import { openPanel } from '../panels.js';
+import { openPanel, isPanelOpen } from '../panels.js';
 import { getSettings } from '../settings.js';
 import { isFavorite, toggleFavorite } from '../favorites.js';
+import { residualAlert } from '../residuals.js';
+import { alertsForStation } from '../alerts.js';
+import { snapshotMark, snapshotAsOf, onReconnect } from '../offline.js';
+import { subordinateOffsets } from '../subordinate.js';
+import { parseNOAALocalTime } from '../utils/datetime.js';
 import {
-  fmtTime, fmtFeet, fmtDegrees, fmtWind, knotsToMph,
-  conditionIcon, trendIcon, pressureTrendIcon, moonIcon, escapeHtml,
+  fmtTime, fmtDay, fmtFeet, fmtDegrees, fmtWind, knotsToMph,
+  conditionIcon, trendIcon, pressureTrendIcon, moonIcon, escapeHtml, localBadge, asOfBadge,
 } from '../format.js';
 
 let currentStation = null;
 let handlers = {};
+// Showing offline snapshots (or nothing) — reload when the connection is back.
+let stale = false;
 
-export function initStationPanel({ onForecast, onSolunar } = {}) {
-  handlers = { onForecast, onSolunar };
+export function initStationPanel({ onForecast, onSolunar, onHistory, onFinder, onOutlook } = {}) {
+  handlers = { onForecast, onSolunar, onHistory, onFinder, onOutlook };
 
   document.getElementById('station-fav').addEventListener('click', () => {
     if (!currentStation) return;
@@ -30,6 +39,16 @@ export function initStationPanel({ onForecast, onSolunar } = {}) {
   document.getElementById('station-solunar').addEventListener('click', () => {
     if (currentStation && handlers.onSolunar) handlers.onSolunar(currentStation);
   });
+  document.getElementById('station-history').addEventListener('click', () => {
+    if (currentStation && handlers.onHistory) handlers.onHistory(currentStation);
+  });
+  document.getElementById('station-finder').addEventListener('click', () => {
+    if (currentStation && handlers.onFinder) handlers.onFinder(currentStation);
+  });
+
+  onReconnect(() => {
+    if (stale && currentStation && isPanelOpen('station-panel')) openStation(currentStation, { quiet: true });
+  });
 }
 
 export function getCurrentStation() {
@@ -44,43 +63,61 @@ function updateFavButton() {
   btn.title = fav ? 'Remove from favorites' : 'Add to favorites';
 }
 
-export async function openStation(station) {
+// `quiet` keeps the current content up until fresh data replaces it.
+export async function openStation(station, { quiet = false } = {}) {
   currentStation = station;
   document.getElementById('station-title').textContent = station.name;
   updateFavButton();
   const body = document.getElementById('station-body');
-  body.innerHTML = '<div class="loading">Loading station data</div>';
+  if (!quiet) body.innerHTML = '<div class="loading">Loading station data</div>';
   openPanel('station-panel');
 
   const reqId = station.id;
+  const mark = snapshotMark();
   try {
-    const [tideNow, nextTide, curve, waterTemp, waterTempHistory, airTemp, wind, windForecast, pressure, sunMoon] =
-      await Promise.all([
-        fetchTideNow(station.id), fetchNextTide(station.id), fetch24HourCurve(station.id),
-        fetchWaterTemp(station.id), fetchWaterTempHistory(station.id, 24),
-        fetchAirTemp(station.id, station.lat, station.lon), fetchStationWind(station.id),
-        fetchForecast12h(station.lat, station.lon), fetchPressure(station.lat, station.lon),
-        fetchSunMoonData(station.lat, station.lon),
-      ]);
+    // One Worker snapshot for NOAA stations. Subordinate stations and gauges
+    // whose predictions come from a reference's offsets (both derived on the
+    // device), a failed snapshot, or one without a tide curve take the
+    // request-per-card path, whose predictions fall back to the offline
+    // harmonic engine.
+    const derived = station.subordinate || subordinateOffsets(station.id);
+    const snapshot = derived ? null : await fetchStationSnapshot(station.id);
+    const { tideNow, nextTide, curve, waterTemp, waterTempHistory, airTemp, wind, windForecast, pressure, sunMoon, marine } =
+      snapshot?.curve ? snapshot : await fetchStationParts(station);
 
     // Station changed while loading — drop stale render.
     if (currentStation?.id !== reqId) return;
 
     const events = [nextTide?.first, nextTide?.second].filter(Boolean);
     const anyData = tideNow || curve || waterTemp != null || airTemp != null || wind || windForecast || pressure || sunMoon;
-    if (!anyData) { body.innerHTML = offlineCard(); wireRetry(station); return; }
+    if (!anyData) { stale = true; body.innerHTML = offlineCard(); wireRetry(station); return; }
 
+    const asOf = snapshotAsOf(mark);
+    stale = !!asOf;
     body.innerHTML = [
+      asOf ? `<div class="sp-tide-note snapshot-note">${asOfBadge(asOf)}<span>Offline — showing the last data saved on this device.</span></div>` : '',
+      residualBanner(residualAlert(station.id)),
+      alertBanners(alertsForStation(station)),
       tideStatusCard(tideNow),
-      nextTidesCard(events),
+      nextTidesCard(events, nextTide?.local),
       curveCard(curve),
       tideNote(curve),
       conditionsGrid({ waterTemp, airTemp, wind, windForecast, pressure }),
+      marineCard(marine),
+      outlookLink(),
+      tideTableLink(station),
       sunMoonCard(sunMoon),
       waterTempCard(waterTempHistory),
-      `<div style="text-align:center;font-size:0.7rem;color:var(--text-tertiary);">NOAA Station ${escapeHtml(station.id)}</div>`,
+      `<div style="text-align:center;font-size:0.7rem;color:var(--text-tertiary);">${station.subordinate ? 'NOAA Subordinate Station' : 'NOAA Station'} ${escapeHtml(station.id)}</div>`,
     ].filter(Boolean).join('');
 
+    document.getElementById('sp-outlook').addEventListener('click', () => {
+      if (handlers.onOutlook) handlers.onOutlook(station);
+    });
+    body.querySelectorAll('.alert-banner, .marine-period').forEach((row) => {
+      row.addEventListener('click', () => row.classList.toggle('open'));
+    });
+
     requestAnimationFrame(() => {
       const curveCanvas = document.getElementById('sp-curve');
       if (curveCanvas && curve) renderTideCurve(curveCanvas, curve, events);
@@ -89,10 +126,25 @@ export async function openStation(station) {
     });
   } catch (err) {
     console.error('Station load failed:', err);
-    if (currentStation?.id === reqId) { body.innerHTML = offlineCard(); wireRetry(station); }
+    if (currentStation?.id === reqId) { stale = true; body.innerHTML = offlineCard(); wireRetry(station); }
   }
 }
 
+async function fetchStationParts(station) {
+  // Subordinate points are prediction-only — there's no gauge to ask for
+  // water temp or wind, so don't spend requests on guaranteed misses.
+  const gauge = !station.subordinate;
+  const [tideNow, nextTide, curve, waterTemp, waterTempHistory, airTemp, wind, windForecast, pressure, sunMoon, marine] =
+    await Promise.all([
+      fetchTideNow(station.id), fetchNextTide(station.id), fetch24HourCurve(station.id),
+      gauge ? fetchWaterTemp(station.id) : null, gauge ? fetchWaterTempHistory(station.id, 24) : [],
+      fetchAirTemp(station.id, station.lat, station.lon), gauge ? fetchStationWind(station.id) : null,
+      fetchForecast12h(station.lat, station.lon), fetchPressure(station.lat, station.lon),
+      fetchSunMoonData(station.lat, station.lon), fetchMarineForecast(station.lat, station.lon),
+    ]);
+  return { tideNow, nextTide, curve, waterTemp, waterTempHistory, airTemp, wind, windForecast, pressure, sunMoon, marine };
+}
+
 function wireRetry(station) {
   const btn = document.getElementById('sp-retry');
   if (btn) btn.addEventListener('click', () => openStation(station));
@@ -107,6 +159,39 @@ function card(label, iconClass, inner) {
   </div>`;
 }
 
+// Storm surge / blow-out banner from the Worker's residual monitor.
+function residualBanner(a) {
+  if (!a) return '';
+  const high = a.direction === 'high';
+  const since = parseNOAALocalTime(a.since);
+  const sign = (v) => (v > 0 ? '+' : '');
+  return `<div class="residual-banner ${high ? 'high' : 'low'}">
+    <i class="ph-fill ${high ? 'ph-arrow-fat-line-up' : 'ph-arrow-fat-line-down'}"></i>
+    <div>
+      <strong>Water running ${sign(a.residual)}${a.residual.toFixed(1)} ft ${high ? 'above' : 'below'} predicted</strong>
+      <span>${since ? `Since ${fmtTime(since)}` : `Over ${a.durationMinutes} min`} · peak ${sign(a.peak)}${(a.peak ?? a.residual).toFixed(1)} ft · alert at ±${a.thresholdFt} ft for ${a.durationMinutes} min</span>
+    </div>
+  </div>`;
+}
+
+// Active NWS watches / warnings covering the station, most serious first.
+// Tap one for the full statement.
+function alertBanners(list) {
+  return list.map((a) => {
+    const ends = a.ends ? new Date(a.ends) : null;
+    const detail = [a.description, a.instruction].filter(Boolean).map((t) => `<p>${escapeHtml(t)}</p>`).join('');
+    return `<div class="alert-banner ${a.level}">
+      <i class="ph-fill ${a.level === 'warning' ? 'ph-warning-octagon' : 'ph-warning'}"></i>
+      <div>
+        <strong>${escapeHtml(a.event)}</strong>
+        <span>${ends ? `Until ${fmtDay(ends)} ${fmtTime(ends)} · ` : ''}${escapeHtml(a.sender || 'National Weather Service')}</span>
+        ${a.headline ? `<span class="headline">${escapeHtml(a.headline)}</span>` : ''}
+        ${detail ? `<div class="alert-detail">${detail}</div>` : ''}
+      </div>
+    </div>`;
+  }).join('');
+}
+
 function tideStatusCard(t) {
   if (!t) return '';
   const ti = trendIcon(t.trend);
@@ -119,7 +204,7 @@ function tideStatusCard(t) {
     stats.push(`<div class="stat trailing"><span class="stat-label">Difference</span><span class="stat-value${alert}">${sign}${t.delta.toFixed(2)} ft</span></div>`);
   }
   if (!stats.length) return '';
-  return card('Tide Status', 'ph-fill ph-waves', `
+  return card(`Tide Status${t.local ? localBadge() : ''}`, 'ph-fill ph-waves', `
     <div class="stat-row">${stats.join('')}</div>
     <div class="trend-row">
       <i class="${ti.icon} ${ti.cls}"></i><span>${ti.label}</span>
@@ -127,7 +212,7 @@ function tideStatusCard(t) {
     </div>`);
 }
 
-function nextTidesCard(events) {
+function nextTidesCard(events, local) {
   if (!events.length) return '';
   const rows = events.map((e) => {
     const high = e.kind === 'High';
@@ -138,7 +223,7 @@ function nextTidesCard(events) {
       <span class="te-height">${fmtFeet(e.ft)}</span>
     </div>`;
   }).join('');
-  return card('Next Tides', 'ph ph-clock', rows);
+  return card(`Next Tides${local ? localBadge() : ''}`, 'ph ph-clock', rows);
 }
 
 // Small persistent reminder that the curve is predicted, not a guarantee.
@@ -146,12 +231,16 @@ function nextTidesCard(events) {
 // the readout (in addition to the first-run notice and the Terms).
 function tideNote(curve) {
   if (!curve || curve.noPredictions) return '';
-  return `<div class="sp-tide-note"><i class="ph ph-info"></i><span>Tide values are predictions — verify before relying on them for safety.</span></div>`;
+  const ref = curve.reference && TEXAS_STATIONS.find((s) => s.id === curve.reference);
+  const derived = curve.reference
+    ? ` Derived from ${escapeHtml(ref ? ref.name : `station ${curve.reference}`)} using NOAA time/height offsets.`
+    : '';
+  return `<div class="sp-tide-note"><i class="ph ph-info"></i><span>Tide values are predictions — verify before relying on them for safety.${derived}</span></div>`;
 }
 
 function curveCard(curve) {
   if (!curve) return '';
-  const label = curve.noPredictions ? 'Water Level (24h observed)' : '24-Hour Tide Curve';
+  const label = curve.noPredictions ? 'Water Level (24h observed)' : `24-Hour Tide Curve${curve.local ? localBadge() : ''}`;
   const legend = curve.observed && curve.predicted
     ? `<div class="chart-legend"><span><span class="dot" style="background:var(--tide)"></span>Predicted</span><span><span class="dot" style="background:var(--observed)"></span>Observed</span></div>`
     : '';
@@ -193,6 +282,65 @@ function conditionsGrid({ waterTemp, airTemp, wind, windForecast, pressure }) {
   return `<div class="cond-grid">${cards.join('')}</div>`;
 }
 
+// NWS Coastal Waters Forecast for the station's marine zone, plus the first
+// periods of the 20–60 NM waters beyond it. Wind arrives in knots.
+const MARINE_PERIODS = { local: 3, offshore: 2 };
+
+// "10–15 kn" / "up to 5 kn" (a "less than" forecast has low 0).
+function knotRange(low, high, unit) {
+  const [lo, hi] = [low, high].map((kn) => fmtWind(knotsToMph(kn), unit));
+  if (!low) return `up to ${hi}`;
+  return lo === hi ? hi : `${parseInt(lo)}–${hi}`;
+}
+
+function marinePeriod(p, unit) {
+  const w = p.wind;
+  const parts = [
+    w ? `<span><i class="ph ph-wind"></i>${w.direction === 'VRB' ? 'Variable' : w.direction} ${knotRange(w.low, w.high, unit)}${w.gust ? `, gusts ${fmtWind(knotsToMph(w.gust), unit)}` : ''}</span>` : '',
+    p.seas ? `<span><i class="ph ph-waves"></i>Seas ${p.seas.low === p.seas.high ? p.seas.high : `${p.seas.low}–${p.seas.high}`} ft</span>` : '',
+    p.bays ? `<span><i class="ph ph-boat"></i>Bays ${escapeHtml(p.bays)}</span>` : '',
+  ].filter(Boolean);
+  return `<div class="marine-period">
+    <div class="marine-row">
+      <span class="when">${escapeHtml(p.name)}</span>
+      <span class="facts">${parts.join('') || escapeHtml(p.text)}</span>
+      <i class="ph-bold ph-caret-down chev"></i>
+    </div>
+    <div class="marine-text">${escapeHtml(p.text)}</div>
+  </div>`;
+}
+
+function marineCard(marine) {
+  if (!marine) return '';
+  const unit = getSettings().windUnit;
+  const sections = marine.zones.map((z) => `<div class="marine-zone">
+      <div class="marine-zone-name">${escapeHtml(z.name)} <span>${escapeHtml(z.id)}</span></div>
+      ${z.headlines.map((h) => `<div class="marine-hazard ${h.level}"><i class="ph-fill ph-warning"></i>${escapeHtml(h.text)}</div>`).join('')}
+      ${z.periods.slice(0, MARINE_PERIODS[z.kind] || 2).map((p) => marinePeriod(p, unit)).join('')}
+    </div>`).join('');
+  const synopsis = marine.zones.find((z) => z.synopsis)?.synopsis;
+  return card('Marine Forecast', 'ph-fill ph-boat', `${sections}
+    ${synopsis ? `<div class="marine-synopsis">${escapeHtml(synopsis)}</div>` : ''}`);
+}
+
+// Entry to the fishing outlook panel (it fetches its own hourly inputs).
+function outlookLink() {
+  return `<button class="card outlook-link" id="sp-outlook">
+    <i class="ph-fill ph-fish-simple"></i>
+    <span><strong>Fishing Outlook</strong><span>Hourly scores from tide flow, solunar, wind, pressure and water temp</span></span>
+    <i class="ph-bold ph-caret-right chev"></i>
+  </button>`;
+}
+
+// The printable tide table opens on its own page (tide-table.html).
+function tideTableLink(station) {
+  return `<a class="card outlook-link" href="tide-table.html?station=${encodeURIComponent(station.id)}" target="_blank" rel="noopener">
+    <i class="ph-fill ph-printer"></i>
+    <span><strong>Tide Table</strong><span>Printable month or year of highs and lows, sun and moon — saves as PDF</span></span>
+    <i class="ph-bold ph-caret-right chev"></i>
+  </a>`;
+}
+
 function sunMoonCard(sm) {
   if (!sm) return '';
   const sun = sm.sun || {};
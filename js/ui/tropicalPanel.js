@@ -0,0 +1,106 @@
+// Tropical cyclone panel — opened from a storm on the tropical layer. NHC's
+// intensity and movement, plus the Texas gauges closest to the center with
+// the water they're running above or below prediction right now.
+
+import { TEXAS_STATIONS } from '../data/stations.js';
+import { stationResidual } from '../residuals.js';
+import { stormCategory, stormColor } from '../layers/tropical.js';
+import { openPanel } from '../panels.js';
+import { getSettings } from '../settings.js';
+import { getWindDirectionFromDegrees } from '../utils/formatting.js';
+import { fmtWind, knotsToMph, fmtDay, fmtTime, escapeHtml } from '../format.js';
+
+const NEAREST = 6;
+const EARTH_MI = 3958.8;
+
+let handlers = {};
+
+export function initTropicalPanel({ onStation } = {}) {
+  handlers = { onStation };
+}
+
+function distanceMi(lat1, lon1, lat2, lon2) {
+  const rad = Math.PI / 180;
+  const a = Math.sin(((lat2 - lat1) * rad) / 2) ** 2
+    + Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(((lon2 - lon1) * rad) / 2) ** 2;
+  return 2 * EARTH_MI * Math.asin(Math.sqrt(a));
+}
+
+export function openTropical(storm) {
+  document.getElementById('tropical-title').textContent = `${storm.type} ${storm.name}`;
+  const body = document.getElementById('tropical-body');
+  const nearest = TEXAS_STATIONS
+    .map((s) => ({ station: s, miles: distanceMi(storm.lat, storm.lon, s.lat, s.lon) }))
+    .sort((a, b) => a.miles - b.miles)
+    .slice(0, NEAREST);
+
+  body.innerHTML = [
+    intensityCard(storm),
+    movementCard(storm),
+    stationsCard(nearest),
+    `<div class="sp-tide-note"><i class="ph ph-info"></i><span>From the National Hurricane Center's latest advisory. Follow NHC and local officials for watches, warnings and evacuation orders.</span></div>`,
+  ].join('');
+  openPanel('tropical-panel');
+
+  body.querySelectorAll('.storm-station').forEach((row) => {
+    row.addEventListener('click', () => {
+      const station = TEXAS_STATIONS.find((s) => s.id === row.dataset.id);
+      if (station && handlers.onStation) handlers.onStation(station);
+    });
+  });
+}
+
+function card(label, iconClass, inner) {
+  return `<div class="card">
+    <div class="card-label"><i class="${iconClass}"></i>${label}</div>
+    ${inner}
+  </div>`;
+}
+
+function intensityCard(storm) {
+  const unit = getSettings().windUnit;
+  const cat = stormCategory(storm.windKt);
+  const wind = storm.windKt != null ? fmtWind(knotsToMph(storm.windKt), unit) : '—';
+  return card('Intensity', 'ph-bold ph-hurricane', `
+    <div class="stat-row">
+      <div class="stat"><span class="stat-label">Max Wind</span><span class="stat-value">${wind}</span></div>
+      <div class="stat center"><span class="stat-label">Category</span>
+        <span class="stat-value" style="color:${stormColor(storm.windKt)}">${cat ? cat : escapeHtml(storm.classification || '—')}</span></div>
+      <div class="stat trailing"><span class="stat-label">Pressure</span><span class="stat-value">${storm.pressureMb != null ? `${storm.pressureMb} mb` : '—'}</span></div>
+    </div>`);
+}
+
+function movementCard(storm) {
+  const { direction, speedMph } = storm.movement || {};
+  const moving = speedMph
+    ? `Moving ${getWindDirectionFromDegrees(direction).text} at ${fmtWind(speedMph, getSettings().windUnit)}`
+    : 'Stationary';
+  const adv = storm.advisory;
+  const issued = adv?.issued ? new Date(adv.issued) : null;
+  const advLine = adv
+    ? `<div class="cond-detail">Advisory ${escapeHtml(adv.number || '')}${issued && !isNaN(issued) ? ` · ${fmtDay(issued)} ${fmtTime(issued)}` : ''}
+        ${adv.url ? ` · <a href="${escapeHtml(adv.url)}" target="_blank" rel="noopener">Read at NHC</a>` : ''}</div>`
+    : '';
+  return card('Movement', 'ph ph-navigation-arrow', `
+    <div class="storm-movement">${moving}</div>
+    <div class="cond-detail">${Math.abs(storm.lat).toFixed(1)}°${storm.lat >= 0 ? 'N' : 'S'} ${Math.abs(storm.lon).toFixed(1)}°${storm.lon <= 0 ? 'W' : 'E'}</div>
+    ${advLine}`);
+}
+
+function residualText(r) {
+  if (!r || r.residual == null) return '<span class="residual muted">—</span>';
+  const sign = r.residual > 0 ? '+' : '';
+  const cls = r.flagged ? r.direction : '';
+  return `<span class="residual ${cls}">${sign}${r.residual.toFixed(1)} ft</span>`;
+}
+
+function stationsCard(nearest) {
+  const rows = nearest.map(({ station, miles }) => `<div class="storm-station" data-id="${escapeHtml(station.id)}">
+      <span class="name">${escapeHtml(station.name)}</span>
+      <span class="miles">${Math.round(miles)} mi</span>
+      ${residualText(stationResidual(station.id))}
+      <i class="ph-bold ph-caret-right chev"></i>
+    </div>`).join('');
+  return card('Nearest Texas Stations', 'ph-fill ph-waves', `${rows}
+    <div class="cond-detail">Water level vs predicted, from the residual monitor (every 15 minutes).</div>`);
+}
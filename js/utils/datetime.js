@@ -41,7 +41,7 @@ export function formatLocalTime(date) {
 /**
  * Format date for NOAA API (YYYYMMDD HH:MM)
  */
-function formatNOAADate(date) {
+export function formatNOAADate(date) {
   if (!date || !(date instanceof Date)) {
     return null;
   }
@@ -55,6 +55,19 @@ function formatNOAADate(date) {
   return `${year}${month}${day} ${hour}:${minute}`;
 }
 
+/**
+ * Build a NOAA date range object from two Date objects
+ * Same shape as getDateRange: { begin, end, beginDate, endDate }
+ */
+export function dateRangeFrom(beginDate, endDate) {
+  return {
+    begin: formatNOAADate(beginDate),
+    end: formatNOAADate(endDate),
+    beginDate,
+    endDate
+  };
+}
+
 /**
  * Get begin and end dates for a range
  * @param {number} hoursFromNowStart - Hours offset from now for start (negative = past, positive = future)
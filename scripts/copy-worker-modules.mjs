@@ -0,0 +1,25 @@
+#!/usr/bin/env node
+// Copies the pure frontend modules the Worker reuses into worker/src, so the
+// Worker's source tree stays self-contained (same idea as worker/src/stations.js
+// being generated from js/data/stations.js). The copies are verbatim apart
+// from a header; edit the originals and rerun.
+//
+// Usage (Node 18+, from the repo root):
+//   node scripts/copy-worker-modules.mjs
+
+import { readFile, writeFile } from 'node:fs/promises';
+
+const MODULES = [
+  ['js/solunar.js', 'worker/src/solunar.js'],
+  ['js/utils/formatting.js', 'worker/src/formatting.js'],
+];
+
+const root = new URL('../', import.meta.url);
+for (const [from, to] of MODULES) {
+  const source = await readFile(new URL(from, root), 'utf8');
+  await writeFile(new URL(to, root), `// GENERATED copy of ${from} by scripts/copy-worker-modules.mjs — don't
+// hand-edit; change the original and rerun the script.
+
+${source}`);
+  console.log(`${from} → ${to}`);
+}
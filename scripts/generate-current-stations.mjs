@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+// Regenerates js/data/currentStations.js and worker/src/currentStations.js —
+// the Texas tidal current prediction stations — from the NOAA CO-OPS
+// metadata API. Keeps harmonic ('H') stations inside the Texas coast box;
+// subordinate current stations only publish max/slack events, not curves.
+//
+// Usage (Node 18+, from the repo root):
+//   node scripts/generate-current-stations.mjs
+//   node scripts/generate-current-stations.mjs --tide-database=<prefix>   # offline, see tide-database.mjs
+
+import { writeFile } from 'node:fs/promises';
+import { tideDatabaseFromArgs, noaaId, inTexasBox } from './tide-database.mjs';
+
+const MDAPI = 'https://api.tidesandcurrents.noaa.gov/mdapi/prod/webapi/stations';
+const WEB_OUT = new URL('../js/data/currentStations.js', import.meta.url);
+const WORKER_OUT = new URL('../worker/src/currentStations.js', import.meta.url);
+
+const byId = new Map();
+const db = await tideDatabaseFromArgs();
+if (db) {
+  // The database doesn't carry depth bins; bin null lets NOAA use the
+  // station's default bin.
+  for (const s of db.allStations) {
+    const id = noaaId(s);
+    if (s.kind !== 'current' || s.type !== 'reference' || !id || !inTexasBox(s) || byId.has(id)) continue;
+    byId.set(id, { id, name: s.name, lat: +s.latitude.toFixed(4), lon: +s.longitude.toFixed(4), bin: null });
+  }
+} else {
+  const res = await fetch(`${MDAPI}.json?type=currentpredictions&units=english`, { signal: AbortSignal.timeout(30000) });
+  if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+  const list = await res.json();
+  for (const s of list.stations || []) {
+    if (s.type !== 'H' || !inTexasBox({ latitude: +s.lat, longitude: +s.lng })) continue;
+    // One entry per station: NOAA lists a row per depth bin; keep the default bin.
+    if (byId.has(s.id)) continue;
+    byId.set(s.id, { id: s.id, name: s.name, lat: +s.lat, lon: +s.lng, bin: String(s.currbin ?? '') || null });
+  }
+}
+const source = db ? 'NOAA harmonic current stations as republished in @neaps/tide-database' : 'the CO-OPS metadata API (stations.json?type=currentpredictions)';
+const out = [...byId.values()].sort((a, b) => b.lat - a.lat || a.lon - b.lon);
+out.forEach((s) => console.log(`${s.id} ${s.name} (bin ${s.bin})`));
+
+const body = out.map((s) => `  ${JSON.stringify(s)},`).join('\n');
+const array = `[${body ? `\n${body}\n` : ''}]`;
+
+await writeFile(WEB_OUT, `// Texas NOAA CO-OPS tidal current prediction stations (harmonic).
+// GENERATED by scripts/generate-current-stations.mjs from
+// ${source}.
+// Don't hand-edit; rerun the script instead. The passes: Bolivar Roads
+// (Galveston Bay Entrance Channel), Aransas Pass (UTMSI pier, mid-channel),
+// Brazos Santiago; NOAA has no harmonic current station at Port Mansfield.
+//
+// Shape: [{ id, name, lat, lon, bin }] — \`bin\` is the depth bin NOAA predicts
+// for by default (sent with every currents_predictions request); null leaves
+// the choice to NOAA.
+
+export const CURRENT_STATIONS = ${array};
+`);
+await writeFile(WORKER_OUT, `// Texas tidal current prediction stations (generated from js/data/currentStations.js
+// by scripts/generate-current-stations.mjs).
+// The cron warmer pre-fetches the current curve + max/slack events for each.
+export const CURRENT_STATIONS = ${array};
+`);
+console.log(`Wrote ${out.length} current stations`);
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+// Regenerates js/data/harmonics.js — the harmonic constituents the offline
+// tide engine (js/harmonics.js) predicts from — using the NOAA CO-OPS metadata
+// API. Constituents only change when NOAA reanalyzes a station, so this is run
+// by hand occasionally, not at build time.
+//
+// Usage (Node 18+, from the repo root):
+//   node scripts/generate-harmonics.mjs
+//   node scripts/generate-harmonics.mjs --tide-database=<prefix>   # offline, see tide-database.mjs
+
+import { writeFile } from 'node:fs/promises';
+import { STATIONS } from '../worker/src/stations.js';
+import { tideDatabaseFromArgs, M_TO_FT } from './tide-database.mjs';
+
+const MDAPI = 'https://api.tidesandcurrents.noaa.gov/mdapi/prod/webapi/stations';
+const OUT = new URL('../js/data/harmonics.js', import.meta.url);
+
+async function getJson(url) {
+  const res = await fetch(url, { signal: AbortSignal.timeout(15000) });
+  if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+  return res.json();
+}
+
+async function stationHarmonics(id) {
+  const [harcon, datums] = await Promise.all([
+    getJson(`${MDAPI}/${id}/harcon.json?units=english`),
+    getJson(`${MDAPI}/${id}/datums.json?units=english`),
+  ]);
+  const constituents = (harcon.HarmonicConstituents || [])
+    .filter((c) => c.amplitude > 0)
+    .map((c) => ({ name: c.name, amplitude: c.amplitude, phase: c.phase_GMT, speed: c.speed }));
+  if (!constituents.length) return null;
+
+  const datum = (name) => datums.datums?.find((d) => d.name === name)?.value;
+  const msl = datum('MSL'), mllw = datum('MLLW');
+  if (msl == null || mllw == null) return null;
+  return { msl: +(msl - mllw).toFixed(3), constituents };
+}
+
+// Same shape from @neaps/tide-database (metres → feet; no speeds).
+function databaseHarmonics(db, id) {
+  const s = db.stationsById.get(`noaa/${id}`);
+  const constituents = (s?.harmonic_constituents || [])
+    .filter((c) => c.amplitude > 0)
+    .map((c) => ({ name: c.name, amplitude: +(c.amplitude * M_TO_FT).toFixed(4), phase: +c.phase.toFixed(2) }));
+  if (!constituents.length) return null;
+  const msl = s.datums?.MSL, mllw = s.datums?.MLLW;
+  if (msl == null || mllw == null) return null;
+  return { msl: +((msl - mllw) * M_TO_FT).toFixed(3), constituents };
+}
+
+const db = await tideDatabaseFromArgs();
+const source = db ? 'NOAA constituents + datums as republished in @neaps/tide-database' : 'the CO-OPS metadata API (harcon.json + datums.json)';
+
+const out = {};
+for (const s of STATIONS) {
+  if (!s.hasPredictions) continue;
+  try {
+    const h = db ? databaseHarmonics(db, s.id) : await stationHarmonics(s.id);
+    if (h) out[s.id] = h;
+    console.log(`${s.id} ${s.name}: ${h ? `${h.constituents.length} constituents` : 'no harmonic data'}`);
+  } catch (err) {
+    console.warn(`${s.id} ${s.name}: ${err.message}`);
+  }
+}
+
+const body = Object.entries(out).map(([id, h]) => `  ${JSON.stringify(id)}: ${JSON.stringify(h)},`).join('\n');
+await writeFile(OUT, `// NOAA CO-OPS harmonic constituents for the Texas prediction stations.
+// GENERATED by scripts/generate-harmonics.mjs from
+// ${source}.
+// Don't hand-edit; rerun the script instead.
+//
+// Shape: { [stationId]: { msl, constituents: [{ name, amplitude, phase, speed }] } }
+//   msl        MSL above MLLW (ft) — lifts the harmonic sum onto the MLLW datum
+//   amplitude  ft
+//   phase      degrees, Greenwich epoch (NOAA phase_GMT)
+//   speed      degrees/hour, when the source gives it (informational;
+//              js/harmonics.js derives its own)
+//
+// Stations missing here simply have no offline fallback.
+
+export const STATION_HARMONICS = {${body ? `\n${body}\n` : ''}};
+`);
+console.log(`Wrote ${Object.keys(out).length} stations to js/data/harmonics.js`);
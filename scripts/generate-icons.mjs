@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+// Draws the PWA / home-screen icons into images/icons/ — two rolling swells on
+// the accent blue. Plain pixel math + zlib, so there's nothing to install.
+//
+//   icon-192.png, icon-512.png   rounded square, transparent corners ("any")
+//   icon-maskable-512.png        full bleed, artwork inside the 80% safe zone
+//   apple-touch-icon.png         180px full bleed (iOS rounds it itself)
+//
+// Usage (Node 18+, from the repo root):
+//   node scripts/generate-icons.mjs
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import { deflateSync } from 'node:zlib';
+
+const OUT = new URL('../images/icons/', import.meta.url);
+
+const ACCENT = [46, 107, 148];     // --accent (light)
+const SWELL = [90, 169, 214];      // --accent (dark)
+const FOAM = [242, 242, 247];      // --bg (light)
+const SAMPLES = 4;                 // supersampling per axis
+
+// Colour at content coordinates (x, y in 0..1), or null outside the shape.
+function shade(x, y) {
+  const back = 0.5 + 0.065 * Math.sin(2 * Math.PI * (x * 1.2 + 0.1));
+  const front = 0.64 + 0.07 * Math.sin(2 * Math.PI * (x * 1.2 + 0.6));
+  if (y > front) return FOAM;
+  if (y > back) return SWELL;
+  return ACCENT;
+}
+
+function insideRounded(x, y, r) {
+  const cx = Math.min(Math.max(x, r), 1 - r);
+  const cy = Math.min(Math.max(y, r), 1 - r);
+  return (x - cx) ** 2 + (y - cy) ** 2 <= r * r;
+}
+
+function draw(size, { rounded, safeZone = 1 }) {
+  const px = Buffer.alloc(size * size * 4);
+  for (let j = 0; j < size; j++) {
+    for (let i = 0; i < size; i++) {
+      const acc = [0, 0, 0, 0];
+      for (let sj = 0; sj < SAMPLES; sj++) {
+        for (let si = 0; si < SAMPLES; si++) {
+          const u = (i + (si + 0.5) / SAMPLES) / size;
+          const v = (j + (sj + 0.5) / SAMPLES) / size;
+          if (rounded && !insideRounded(u, v, 0.22)) continue;
+          // Maskable icons keep the artwork inside the central safe zone.
+          const c = shade(0.5 + (u - 0.5) / safeZone, 0.5 + (v - 0.5) / safeZone);
+          acc[0] += c[0]; acc[1] += c[1]; acc[2] += c[2]; acc[3] += 255;
+        }
+      }
+      const n = SAMPLES * SAMPLES;
+      const o = (j * size + i) * 4;
+      const a = acc[3] / 255;
+      px[o] = a ? Math.round(acc[0] / a) : 0;
+      px[o + 1] = a ? Math.round(acc[1] / a) : 0;
+      px[o + 2] = a ? Math.round(acc[2] / a) : 0;
+      px[o + 3] = Math.round(acc[3] / n);
+    }
+  }
+  return encodePng(size, px);
+}
+
+// ---- PNG encoding (8-bit RGBA, no filtering) ----------------------------------
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const b of buf) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(data.length, 0);
+  head.write(type, 4, 'ascii');
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), data])), 0);
+  return Buffer.concat([head, data, crc]);
+}
+
+function encodePng(size, px) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(size, 0);
+  ihdr.writeUInt32BE(size, 4);
+  ihdr[8] = 8;  // bit depth
+  ihdr[9] = 6;  // RGBA
+  const raw = Buffer.alloc(size * (size * 4 + 1));
+  for (let j = 0; j < size; j++) px.copy(raw, j * (size * 4 + 1) + 1, j * size * 4, (j + 1) * size * 4);
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', ihdr),
+    chunk('IDAT', deflateSync(raw, { level: 9 })),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+const ICONS = [
+  { file: 'icon-192.png', size: 192, rounded: true },
+  { file: 'icon-512.png', size: 512, rounded: true },
+  { file: 'icon-maskable-512.png', size: 512, rounded: false, safeZone: 0.8 },
+  { file: 'apple-touch-icon.png', size: 180, rounded: false },
+];
+
+await mkdir(OUT, { recursive: true });
+for (const icon of ICONS) {
+  await writeFile(new URL(icon.file, OUT), draw(icon.size, icon));
+  console.log(`wrote images/icons/${icon.file}`);
+}
@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+// Regenerates js/data/subordinates.js — every Texas subordinate tide-prediction
+// station NOAA publishes, with its time/height offsets against a reference
+// harmonic station (see js/subordinate.js). Also covers the app's stations
+// that lack their own predictions (e.g. High Island): NOAA publishes no
+// offsets for those, so they come from DERIVED_OFFSETS below.
+//
+// Usage (Node 18+, from the repo root):
+//   node scripts/generate-subordinates.mjs
+//   node scripts/generate-subordinates.mjs --tide-database=<prefix>   # offline, see tide-database.mjs
+//
+// Reference stations outside the app's station list get no offline fallback
+// unless their harmonics are added via scripts/generate-harmonics.mjs.
+
+import { writeFile } from 'node:fs/promises';
+import { STATIONS } from '../worker/src/stations.js';
+import { tideDatabaseFromArgs, noaaId, M_TO_FT } from './tide-database.mjs';
+
+const MDAPI = 'https://api.tidesandcurrents.noaa.gov/mdapi/prod/webapi/stations';
+const OUT = new URL('../js/data/subordinates.js', import.meta.url);
+
+// Offsets for the app's predictions-less gauges, which NOAA doesn't publish.
+// Fit once by predicting a year (2026) of highs and lows from each gauge's own
+// harmonic constituents (NOAA's for 8770808 and 8778485, TICON-4's for the
+// Laguna Madre gauges, both via @neaps/tide-database) and from each nearby
+// prediction station's; the reference is the one whose shifted and scaled
+// events matched best. RMS height error at the matched highs/lows is ~0.1 ft
+// at High Island and the Port Mansfield channel entrance. The Laguna Madre
+// gauges have a few hundredths of a foot of astronomical tide under wind-driven
+// swings, so theirs are rough (0.2-0.4 ft RMS) — the best there is offline.
+const DERIVED_OFFSETS = {
+  // High Island ← Rollover Pass (15 km, r = 0.99)
+  8770808: { reference: '8770971', type: 'R', highTime: 29, lowTime: 15, highHeight: 1, lowHeight: 1.02 },
+  // South Bird Island ← Packery Channel (18 km, r = 0.70)
+  8776139: { reference: '8775792', type: 'F', highTime: 212, lowTime: 251, highHeight: -0.25, lowHeight: 0 },
+  // Baffin Bay ← USS Lexington, Corpus Christi Bay (58 km, r = 0.33)
+  8776604: { reference: '8775296', type: 'R', highTime: 619, lowTime: 569, highHeight: 0.26, lowHeight: 0.37 },
+  // Rincon del San Jose ← Realitos Peninsula (66 km, r = 0.54)
+  8777812: { reference: '8779280', type: 'F', highTime: -7, lowTime: -21, highHeight: -0.32, lowHeight: 0.07 },
+  // Padre Island, Port Mansfield Channel Entrance ← Port Isabel (56 km, r = 1.00)
+  8778485: { reference: '8779770', type: 'R', highTime: -49, lowTime: -38, highHeight: 1.05, lowHeight: 1.01 },
+  // Port Mansfield ← Realitos Peninsula (36 km, r = 0.56)
+  8778490: { reference: '8779280', type: 'F', highTime: 36, lowTime: -32, highHeight: -0.39, lowHeight: 0.07 },
+};
+
+async function getJson(url) {
+  const res = await fetch(url, { signal: AbortSignal.timeout(15000) });
+  if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+  return res.json();
+}
+
+async function offsetsFor(id) {
+  const o = await getJson(`${MDAPI}/${id}/tidepredoffsets.json`);
+  if (!o || !o.refStationId) return null;
+  return {
+    reference: String(o.refStationId),
+    type: o.type === 'F' ? 'F' : 'R',
+    highTime: o.timeOffsetHighTide ?? 0,
+    lowTime: o.timeOffsetLowTide ?? 0,
+    highHeight: o.heightOffsetHighTide ?? (o.type === 'F' ? 0 : 1),
+    lowHeight: o.heightOffsetLowTide ?? (o.type === 'F' ? 0 : 1),
+  };
+}
+
+// Same shape from @neaps/tide-database (fixed height offsets metres → feet).
+function databaseOffsets(db, id) {
+  const o = db.stationsById.get(`noaa/${id}`)?.offsets;
+  if (!o?.reference?.startsWith('noaa/')) return null;
+  const fixed = o.height.type === 'fixed';
+  const height = (v) => (fixed ? +(v * M_TO_FT).toFixed(3) : +v.toFixed(3));
+  return {
+    reference: o.reference.slice('noaa/'.length),
+    type: fixed ? 'F' : 'R',
+    highTime: o.time.high ?? 0,
+    lowTime: o.time.low ?? 0,
+    highHeight: height(o.height.high ?? (fixed ? 0 : 1)),
+    lowHeight: height(o.height.low ?? (fixed ? 0 : 1)),
+  };
+}
+
+const db = await tideDatabaseFromArgs();
+const candidates = new Map();
+if (db) {
+  for (const s of db.allStations) {
+    if (s.kind === 'tide' && s.type === 'subordinate' && s.region_code === 'US-TX' && noaaId(s)) {
+      candidates.set(noaaId(s), { id: noaaId(s), name: s.name, lat: +s.latitude.toFixed(4), lon: +s.longitude.toFixed(4) });
+    }
+  }
+} else {
+  const list = await getJson(`${MDAPI}.json?type=tidepredictions`);
+  for (const s of list.stations || []) {
+    if (s.state === 'TX' && s.type === 'S') {
+      candidates.set(String(s.id), { id: String(s.id), name: s.name, lat: +s.lat, lon: +s.lng });
+    }
+  }
+}
+for (const s of STATIONS) {
+  if (!s.hasPredictions && !candidates.has(s.id)) {
+    candidates.set(s.id, { id: s.id, name: s.name, lat: s.lat, lon: s.lon });
+  }
+}
+const source = db ? 'NOAA subordinate offsets as republished in @neaps/tide-database' : 'the CO-OPS metadata API (stations.json?type=tidepredictions + tidepredoffsets.json)';
+
+const out = [];
+for (const c of candidates.values()) {
+  let published = null;
+  try {
+    published = db ? databaseOffsets(db, c.id) : await offsetsFor(c.id);
+  } catch (err) {
+    console.warn(`${c.id} ${c.name}: ${err.message}`);
+  }
+  const offsets = published || DERIVED_OFFSETS[c.id] || null;
+  if (offsets) out.push({ ...c, offsets });
+  console.log(`${c.id} ${c.name}: ${offsets ? `ref ${offsets.reference}${published ? '' : ' (derived)'}` : 'no offsets'}`);
+}
+out.sort((a, b) => a.id.localeCompare(b.id));
+
+const body = out.map((s) => `  ${JSON.stringify(s)},`).join('\n');
+await writeFile(OUT, `// NOAA CO-OPS subordinate tide-prediction stations in Texas.
+// GENERATED by scripts/generate-subordinates.mjs from
+// ${source}.
+// Don't hand-edit; rerun the script instead. Offsets for the app's
+// predictions-less gauges aren't NOAA's: see DERIVED_OFFSETS in the script.
+//
+// Shape: [{ id, name, lat, lon, offsets: { reference, type, highTime, lowTime, highHeight, lowHeight } }]
+//   reference             reference harmonic station id
+//   type                  'R' = heights are ratios, 'F' = heights are fixed offsets (ft)
+//   highTime / lowTime    minutes added to the reference high / low
+//   highHeight / lowHeight  ratio or ft applied to the reference high / low
+//
+// Entries whose id is also in TEXAS_STATIONS give that station predictions;
+// the rest appear on the map as prediction-only points.
+
+export const SUBORDINATE_STATIONS = [${body ? `\n${body}\n` : ''}];
+`);
+console.log(`Wrote ${out.length} subordinate stations to js/data/subordinates.js`);
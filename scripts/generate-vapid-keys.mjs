@@ -0,0 +1,21 @@
+#!/usr/bin/env node
+// Generates a VAPID (application server) key pair for the Worker's Web Push.
+// Prints base64url keys in the form the Worker reads:
+//   VAPID_PUBLIC_KEY   raw 65-byte P-256 point (also handed to browsers)
+//   VAPID_PRIVATE_KEY  32-byte private scalar — keep secret
+//
+// Usage (Node 18+, from the repo root):
+//   node scripts/generate-vapid-keys.mjs
+// then, in worker/:
+//   npx wrangler secret put VAPID_PRIVATE_KEY
+//   (and set VAPID_PUBLIC_KEY as a var or secret; for wrangler dev put both in .dev.vars)
+
+import { generateKeyPairSync } from 'node:crypto';
+
+const { publicKey, privateKey } = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const pub = publicKey.export({ format: 'jwk' });
+const priv = privateKey.export({ format: 'jwk' });
+const raw = Buffer.concat([Buffer.from([4]), Buffer.from(pub.x, 'base64url'), Buffer.from(pub.y, 'base64url')]);
+
+console.log(`VAPID_PUBLIC_KEY=${raw.toString('base64url')}`);
+console.log(`VAPID_PRIVATE_KEY=${priv.d}`);
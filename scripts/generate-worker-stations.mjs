@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+// Regenerates worker/src/stations.js from js/data/stations.js — the Worker's
+// copy of the station list, with the products each gauge reports so routes
+// don't spend upstream requests on ones it doesn't.
+//
+// Usage (Node 18+, from the repo root):
+//   node scripts/generate-worker-stations.mjs
+
+import { writeFile } from 'node:fs/promises';
+import { TEXAS_STATIONS } from '../js/data/stations.js';
+
+const OUT = new URL('../worker/src/stations.js', import.meta.url);
+
+const list = TEXAS_STATIONS.map((s) => ({
+  id: s.id,
+  name: s.name,
+  lat: s.lat,
+  lon: s.lon,
+  hasPredictions: s.products.includes('predictions'),
+  products: s.products,
+}));
+const predicted = list.filter((s) => s.hasPredictions).length;
+
+await writeFile(OUT, `// Texas Coastal Tide Stations (generated from js/data/stations.js by
+// scripts/generate-worker-stations.mjs).
+// ${list.length} NOAA CO-OPS stations; ${predicted} have tide predictions.
+// The cron warmer pre-fetches predictions + hi/lo for the ${predicted} prediction stations.
+export const STATIONS = ${JSON.stringify(list, null, 2)};
+`);
+console.log(`Wrote ${list.length} stations to worker/src/stations.js`);
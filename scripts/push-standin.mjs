@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+// Local stand-in for a browser push service, for exercising the Worker's Web
+// Push end to end without a browser. It:
+//   1. makes a subscription key pair (what a browser's pushManager would),
+//   2. listens on http://localhost:PORT for pushes, checks the VAPID header
+//      and decrypts each aes128gcm payload (RFC 8291), printing the JSON,
+//   3. registers the subscription with the Worker with one rule of every
+//      type — loose values so they fire — and asks for a test push.
+//
+// Usage (Node 18+), with the Worker running locally:
+//   cd worker && npx wrangler dev --test-scheduled   # .dev.vars: VAPID_* + PUSH_ALLOW_LOCAL=true
+//   node scripts/push-standin.mjs [--worker http://localhost:8787] [--port 8790] [--station 8775237]
+//   curl 'http://localhost:8787/__scheduled?cron=*/15+*+*+*+*'   # run the warm tick → rule pushes
+
+import { createServer } from 'node:http';
+import { createECDH, createDecipheriv, createPublicKey, hkdfSync, randomBytes, verify } from 'node:crypto';
+
+const args = process.argv.slice(2);
+const opt = (name, fallback) => {
+  const i = args.indexOf(`--${name}`);
+  return i >= 0 && args[i + 1] ? args[i + 1] : fallback;
+};
+const WORKER = opt('worker', 'http://localhost:8787');
+const PORT = parseInt(opt('port', '8790'));
+const STATION = opt('station', '8775237'); // Port Aransas
+
+const ua = createECDH('prime256v1');
+ua.generateKeys();
+const uaPublic = ua.getPublicKey();
+const auth = randomBytes(16);
+const endpoint = `http://localhost:${PORT}/push/standin`;
+const subscription = { endpoint, keys: { p256dh: uaPublic.toString('base64url'), auth: auth.toString('base64url') } };
+
+function decrypt(body) {
+  const salt = body.subarray(0, 16);
+  const idlen = body[20];
+  const asPublic = body.subarray(21, 21 + idlen);
+  const ciphertext = body.subarray(21 + idlen);
+  const ecdhSecret = ua.computeSecret(asPublic);
+  const info = Buffer.concat([Buffer.from('WebPush: info\0'), uaPublic, asPublic]);
+  const ikm = Buffer.from(hkdfSync('sha256', ecdhSecret, auth, info, 32));
+  const cek = Buffer.from(hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+  const decipher = createDecipheriv('aes-128-gcm', cek, nonce);
+  decipher.setAuthTag(ciphertext.subarray(ciphertext.length - 16));
+  const plain = Buffer.concat([decipher.update(ciphertext.subarray(0, ciphertext.length - 16)), decipher.final()]);
+  // Strip the record delimiter (0x02) and any zero padding before it.
+  const end = plain.lastIndexOf(2);
+  return plain.subarray(0, end < 0 ? plain.length : end).toString('utf8');
+}
+
+// Verify the VAPID JWT's ES256 signature against the key in k=.
+function vapidValid(jwt, k) {
+  const [header, claims, sig] = jwt.split('.');
+  const raw = Buffer.from(k, 'base64url');
+  const key = createPublicKey({ key: { kty: 'EC', crv: 'P-256', x: raw.subarray(1, 33).toString('base64url'), y: raw.subarray(33, 65).toString('base64url') }, format: 'jwk' });
+  return verify('sha256', Buffer.from(`${header}.${claims}`), { key, dsaEncoding: 'ieee-p1363' }, Buffer.from(sig, 'base64url'));
+}
+
+const server = createServer((req, res) => {
+  const chunks = [];
+  req.on('data', (c) => chunks.push(c));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks);
+    const vapid = /vapid t=([^,]+), k=(\S+)/.exec(req.headers.authorization || '');
+    const claims = vapid ? JSON.parse(Buffer.from(vapid[1].split('.')[1], 'base64url').toString()) : null;
+    console.log(`\n<- ${req.method} ${req.url}  TTL=${req.headers.ttl} Urgency=${req.headers.urgency} enc=${req.headers['content-encoding']}`);
+    console.log(`   VAPID ${vapid && vapidValid(vapid[1], vapid[2]) ? 'signature ok' : 'MISSING/INVALID'} aud=${claims?.aud} sub=${claims?.sub}`);
+    try {
+      console.log(`   payload: ${decrypt(body)}`);
+      res.writeHead(201).end();
+    } catch (err) {
+      console.log(`   decrypt FAILED: ${err.message}`);
+      res.writeHead(400).end();
+    }
+  });
+});
+
+async function post(path, body) {
+  const res = await fetch(`${WORKER}/api/push/${path}`, {
+    method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body),
+  });
+  console.log(`-> POST /api/push/${path}: ${res.status} ${await res.text()}`);
+}
+
+server.listen(PORT, async () => {
+  console.log(`Push stand-in listening at ${endpoint}`);
+  await post('subscribe', {
+    subscription,
+    rules: [
+      { station: STATION, type: 'high-tide', value: 720 },
+      { station: STATION, type: 'water-above', value: -5 },
+      { station: STATION, type: 'wind-above', value: 1 },
+      { station: STATION, type: 'solunar-major', value: 720 },
+    ],
+  });
+  await post('test', { endpoint });
+  console.log(`\nTrigger rule evaluation with:\n  curl '${WORKER}/__scheduled?cron=*/15+*+*+*+*'\nCtrl-C to stop (the subscription stays in local KV until unsubscribed).`);
+});
@@ -0,0 +1,44 @@
+// Shared by the generate-*.mjs scripts: an offline source for the NOAA data
+// they normally pull from the CO-OPS metadata API. @neaps/tide-database
+// (MIT; https://github.com/openwatersio/tide-database) republishes NOAA's
+// station metadata, harmonic constituents, datums and subordinate offsets, so
+// the scripts can run where api.tidesandcurrents.noaa.gov can't be reached.
+//
+// It isn't a dependency of the app. Install it anywhere and pass the flag:
+//   npm install --prefix /tmp/tdb @neaps/tide-database
+//   node scripts/generate-harmonics.mjs --tide-database=/tmp/tdb
+//
+// Units differ from the metadata API: amplitudes and datums are metres.
+
+import { pathToFileURL } from 'node:url';
+import { join } from 'node:path';
+
+export const M_TO_FT = 3.28084;
+
+// Same box as TEXAS_COAST_BOUNDS, padded a little for the Sabine and Rio Grande mouths.
+export const TEXAS_BOX = { north: 30.2, south: 25.8, east: -93.6, west: -97.8 };
+
+/**
+ * The database module if `--tide-database[=<install prefix>]` is among the
+ * arguments, else null (use the metadata API).
+ */
+export async function tideDatabaseFromArgs(argv = process.argv.slice(2)) {
+  const arg = argv.find((a) => a === '--tide-database' || a.startsWith('--tide-database='));
+  if (!arg) return null;
+  const prefix = arg.split('=')[1];
+  const spec = prefix
+    ? pathToFileURL(join(prefix, 'node_modules/@neaps/tide-database/dist/node/index.js')).href
+    : '@neaps/tide-database';
+  return import(spec);
+}
+
+/** NOAA id ('8771450', 'g06010') for a database station, or null if it isn't NOAA's own. */
+export function noaaId(station) {
+  if (!station.id.startsWith('noaa/') || station.id.includes('@')) return null;
+  return station.source?.id || station.id.slice('noaa/'.length);
+}
+
+export function inTexasBox(station) {
+  const { latitude: lat, longitude: lon } = station;
+  return lat >= TEXAS_BOX.south && lat <= TEXAS_BOX.north && lon >= TEXAS_BOX.west && lon <= TEXAS_BOX.east;
+}
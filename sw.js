@@ -0,0 +1,307 @@
+// Slackwater service worker — offline app shell, last-good API snapshots and
+// Web Push alerts for favorite stations.
+//
+// Caching:
+//   app shell (same origin)  network first; the cached copy when offline. The
+//                            network still wins whenever it answers, so a
+//                            deploy never mixes old and new modules (_headers).
+//   CDN libraries / fonts    cache first — every URL is versioned.
+//   API responses            network first; the last good response per station
+//                            and endpoint is kept and served, stamped with
+//                            X-Snapshot-At, when the network fails or stalls.
+
+const SHELL_CACHE = 'slackwater-shell-v1';
+const CDN_CACHE = 'slackwater-cdn-v1';
+// Unversioned: snapshots outlive app updates.
+const SNAPSHOT_CACHE = 'slackwater-snapshots';
+
+// Everything the app needs to boot. Keep in step with index.html and js/ —
+// install fails if a listed file is missing.
+const SHELL = [
+  './',
+  'index.html',
+  'tide-table.html',
+  'manifest.webmanifest',
+  'css/styles.css',
+  'css/tide-table.css',
+  'images/coastal%20camo%20light.png',
+  'images/coastal%20camo%20dark.png',
+  'images/icons/icon-192.png',
+  'images/icons/icon-512.png',
+  'js/main.js',
+  'js/map.js',
+  'js/panels.js',
+  'js/format.js',
+  'js/settings.js',
+  'js/favorites.js',
+  'js/residuals.js',
+  'js/tideLevels.js',
+  'js/search.js',
+  'js/router.js',
+  'js/tideTable.js',
+  'js/tideTablePage.js',
+  'js/alerts.js',
+  'js/push.js',
+  'js/offline.js',
+  'js/harmonics.js',
+  'js/subordinate.js',
+  'js/solunar.js',
+  'js/tideWindows.js',
+  'js/outlook.js',
+  'js/api/config.js',
+  'js/api/noaa.js',
+  'js/api/nws.js',
+  'js/api/usno.js',
+  'js/api/residuals.js',
+  'js/api/alerts.js',
+  'js/api/tropical.js',
+  'js/api/ndbc.js',
+  'js/api/geocode.js',
+  'js/api/snapshot.js',
+  'js/api/summary.js',
+  'js/api/push.js',
+  'js/data/stations.js',
+  'js/data/harmonics.js',
+  'js/data/subordinates.js',
+  'js/data/currentStations.js',
+  'js/data/buoys.js',
+  'js/layers/weather.js',
+  'js/layers/wind.js',
+  'js/layers/radar.js',
+  'js/layers/waves.js',
+  'js/layers/alerts.js',
+  'js/layers/tropical.js',
+  'js/ui/charts.js',
+  'js/ui/stationPanel.js',
+  'js/ui/forecastPanel.js',
+  'js/ui/solunarPanel.js',
+  'js/ui/historyPanel.js',
+  'js/ui/finderPanel.js',
+  'js/ui/outlookPanel.js',
+  'js/ui/currentPanel.js',
+  'js/ui/buoyPanel.js',
+  'js/ui/tropicalPanel.js',
+  'js/ui/searchPanel.js',
+  'js/ui/favoritesPanel.js',
+  'js/ui/settingsPanel.js',
+  'js/ui/safetyNotice.js',
+  'js/utils/conversions.js',
+  'js/utils/datetime.js',
+  'js/utils/formatting.js',
+];
+
+// Leaflet, Chart.js and friends, exactly as index.html loads them. Phosphor's
+// and Google's font files are picked up on first use.
+const CDN = [
+  'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+  'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+  'https://unpkg.com/@phosphor-icons/web@2.1.1/src/regular/style.css',
+  'https://unpkg.com/@phosphor-icons/web@2.1.1/src/fill/style.css',
+  'https://unpkg.com/@phosphor-icons/web@2.1.1/src/bold/style.css',
+  'https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.min.js',
+  'https://cdn.jsdelivr.net/npm/chartjs-adapter-date-fns@3.0.0/dist/chartjs-adapter-date-fns.bundle.min.js',
+  'https://cdn.jsdelivr.net/npm/chartjs-plugin-annotation@3.0.1/dist/chartjs-plugin-annotation.min.js',
+  'https://cdn.jsdelivr.net/npm/hammerjs@2.0.8/hammer.min.js',
+  'https://cdn.jsdelivr.net/npm/chartjs-plugin-zoom@2.0.1/dist/chartjs-plugin-zoom.min.js',
+];
+const CDN_HOSTS = ['unpkg.com', 'cdn.jsdelivr.net', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+// How long the network gets before a cached copy answers instead — under the
+// app's 10 s REQUEST_TIMEOUT, so a dead-zone request still gets data.
+const NETWORK_TIMEOUT = 6000;
+const SNAPSHOT_MAX_AGE = 14 * 24 * 3600 * 1000;
+
+// Request URLs answered from a snapshot; re-fetched once the network is back.
+const staleUrls = new Set();
+let revalidating = null;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    await shell.addAll(SHELL.map((u) => new Request(u, { cache: 'reload' })));
+    // A CDN hiccup shouldn't block install; misses are cached on first use.
+    const cdn = await caches.open(CDN_CACHE);
+    await Promise.all(CDN.map((u) => cdn.add(u).catch(() => {})));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keep = [SHELL_CACHE, CDN_CACHE, SNAPSHOT_CACHE];
+    for (const name of await caches.keys()) {
+      if (name.startsWith('slackwater-') && !keep.includes(name)) await caches.delete(name);
+    }
+    await pruneSnapshots();
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const req = event.request;
+  if (req.method !== 'GET') return;
+  const url = new URL(req.url);
+  if (isApi(url)) event.respondWith(apiFetch(event, url));
+  else if (url.origin === self.location.origin) event.respondWith(shellFetch(event));
+  else if (CDN_HOSTS.includes(url.hostname)) event.respondWith(cdnFetch(event));
+});
+
+// The page asks for a refresh when the browser reports it's back online.
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'revalidate') event.waitUntil(revalidate(true));
+});
+
+function isApi(url) {
+  return url.hostname === 'api.weather.gov' || (url.pathname.startsWith('/api/') && url.origin !== self.location.origin);
+}
+
+// Race the network against NETWORK_TIMEOUT. Resolves to the network response,
+// or null if it failed or is still pending (it keeps going in the background,
+// and `onResponse` still sees it).
+function networkWithDeadline(event, onResponse) {
+  const network = fetch(event.request);
+  event.waitUntil(network.then((res) => onResponse(res.clone())).catch(() => {}));
+  const timeout = self.navigator.onLine === false ? 0 : NETWORK_TIMEOUT;
+  const deadline = new Promise((resolve) => setTimeout(resolve, timeout, null));
+  return {
+    network,
+    first: Promise.race([network, deadline]).catch(() => null),
+  };
+}
+
+// ---- App shell + CDN -----------------------------------------------------------
+
+async function shellFetch(event) {
+  const req = event.request;
+  const cache = await caches.open(SHELL_CACHE);
+  const { network, first } = networkWithDeadline(event, (res) => (res.ok ? cache.put(req, res) : null));
+  const res = await first;
+  if (res) return res;
+  const hit = await cache.match(req, { ignoreSearch: true })
+    || (req.mode === 'navigate' ? await cache.match('index.html') : undefined);
+  return hit || network;
+}
+
+async function cdnFetch(event) {
+  const cache = await caches.open(CDN_CACHE);
+  const hit = await cache.match(event.request);
+  if (hit) return hit;
+  const res = await fetch(event.request);
+  if (res.ok || res.type === 'opaque') event.waitUntil(cache.put(event.request, res.clone()));
+  return res;
+}
+
+// ---- API snapshots -------------------------------------------------------------
+
+// NOAA times in a query's begin/end (YYYYMMDD or YYYYMMDD HH:MM) → ms.
+function noaaTime(s) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?: (\d{2}):(\d{2}))?$/.exec(s || '');
+  return m ? Date.UTC(+m[1], +m[2] - 1, +m[3], +(m[4] || 0), +(m[5] || 0)) : NaN;
+}
+
+// One snapshot per station and endpoint: the moving begin/end window is
+// replaced by its length, so "the 24-hour curve" is the same entry every time
+// while a 7-day or 30-day query keeps its own.
+function snapshotKey(url) {
+  const params = new URLSearchParams(url.search);
+  const begin = noaaTime(params.get('begin_date'));
+  const end = noaaTime(params.get('end_date'));
+  if (params.has('begin_date') || params.has('end_date')) {
+    params.delete('begin_date');
+    params.delete('end_date');
+    if (!isNaN(begin) && !isNaN(end)) params.set('span_hours', String(Math.round((end - begin) / 3600000)));
+  }
+  params.delete('application');
+  params.sort();
+  return `${url.origin}${url.pathname}?${params}`;
+}
+
+async function storeSnapshot(url, res) {
+  if (!res.ok) return false;
+  const text = await res.text();
+  try {
+    if (JSON.parse(text)?.error) return false;
+  } catch {
+    return false;
+  }
+  const cache = await caches.open(SNAPSHOT_CACHE);
+  await cache.put(snapshotKey(url), new Response(text, {
+    headers: { 'Content-Type': 'application/json', 'X-Snapshot-At': new Date().toISOString() },
+  }));
+  staleUrls.delete(url.href);
+  return true;
+}
+
+async function apiFetch(event, url) {
+  const { network, first } = networkWithDeadline(event, async (res) => {
+    if (await storeSnapshot(url, res) && staleUrls.size) await revalidate(false);
+  });
+  const res = await first;
+  // Worker 5xx = upstream down with nothing cached there; a snapshot beats it.
+  if (res && res.status < 500) return res;
+
+  const snapshot = await (await caches.open(SNAPSHOT_CACHE)).match(snapshotKey(url));
+  if (!snapshot) return res || network;
+  staleUrls.add(url.href);
+  return snapshot;
+}
+
+// Re-fetch everything that was answered from a snapshot, then tell open pages
+// so panels showing old data can reload. `always` reports even when there was
+// nothing to refresh (the page asked).
+function revalidate(always) {
+  if (!revalidating) {
+    const urls = [...staleUrls];
+    revalidating = (async () => {
+      const results = await Promise.all(urls.map((u) => fetch(u)
+        .then((res) => storeSnapshot(new URL(u), res))
+        .catch(() => false)));
+      if (always || results.some(Boolean)) {
+        for (const client of await self.clients.matchAll({ type: 'window' })) {
+          client.postMessage({ type: 'snapshots-refreshed' });
+        }
+      }
+    })().finally(() => { revalidating = null; });
+  }
+  return revalidating;
+}
+
+async function pruneSnapshots() {
+  const cache = await caches.open(SNAPSHOT_CACHE);
+  const cutoff = Date.now() - SNAPSHOT_MAX_AGE;
+  for (const req of await cache.keys()) {
+    const res = await cache.match(req);
+    if (Date.parse(res?.headers.get('X-Snapshot-At')) < cutoff) await cache.delete(req);
+  }
+}
+
+// ---- Web Push ------------------------------------------------------------------
+
+// The Worker's cron sends { title, body, tag, station, url } (see
+// worker/src/push.js); `tag` replaces an older alert of the same rule.
+self.addEventListener('push', (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch {
+    data = { body: event.data?.text() };
+  }
+  event.waitUntil(self.registration.showNotification(data.title || 'Slackwater', {
+    body: data.body || '',
+    tag: data.tag,
+    icon: 'images/icons/icon-192.png',
+    data: { url: data.url || '/', station: data.station },
+  }));
+});
+
+// Focus an open Slackwater tab if there is one, otherwise open the app.
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || '/', self.registration.scope).href;
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const open = windows.find((w) => w.url.startsWith(self.registration.scope));
+    if (open) return open.focus();
+    return self.clients.openWindow(url);
+  })());
+});
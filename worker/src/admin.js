@@ -0,0 +1,136 @@
+// Operator endpoints — /admin/metrics, the Worker's answer to the Pi
+// backend's getFetchStats: cache hit rates per tier, how cached routes
+// answered, per-upstream latency and errors, and warmer coverage over the last
+// `hours` (default 24, at most a week). The numbers come from the data points
+// src/metrics.js writes, read back through the Analytics Engine SQL API.
+//
+// Requests need `Authorization: Bearer <ADMIN_TOKEN>`. The SQL API needs the
+// account id (CF_ACCOUNT_ID) and an API token with Account Analytics Read
+// (CF_API_TOKEN). All three are secrets; the endpoint is off until they exist.
+
+import { METRICS_DATASET } from './metrics.js';
+
+const SQL_TIMEOUT_MS = 10000;
+const MAX_HOURS = 7 * 24;
+
+async function authorized(request, env) {
+  const m = /^Bearer (.+)$/.exec(request.headers.get('Authorization') || '');
+  if (!m) return false;
+  // Compare digests so the comparison is constant-time whatever the lengths.
+  const digest = (s) => crypto.subtle.digest('SHA-256', new TextEncoder().encode(s));
+  const [given, expected] = await Promise.all([digest(m[1]), digest(env.ADMIN_TOKEN)]);
+  return crypto.subtle.timingSafeEqual(given, expected);
+}
+
+// Run one SQL statement against the metrics dataset → rows.
+async function query(env, sql) {
+  const res = await fetch(`https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/analytics_engine/sql`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${env.CF_API_TOKEN}` },
+    body: `${sql} FORMAT JSON`,
+    signal: AbortSignal.timeout(SQL_TIMEOUT_MS),
+  });
+  if (!res.ok) throw new Error(`Analytics Engine ${res.status}: ${(await res.text()).slice(0, 200)}`);
+  return (await res.json()).data || [];
+}
+
+// Rows of { outcome, n } → { hit, stale, miss, ..., hitRate }.
+function outcomes(rows) {
+  const out = {};
+  let total = 0;
+  for (const r of rows) {
+    out[r.outcome] = (out[r.outcome] || 0) + Number(r.n);
+    total += Number(r.n);
+  }
+  out.hitRate = total ? round((out.hit || 0) / total, 3) : null;
+  return out;
+}
+
+const round = (x, places = 0) => Math.round(x * 10 ** places) / 10 ** places;
+
+function groupBy(rows, field) {
+  const out = {};
+  for (const r of rows) {
+    if (!out[r[field]]) out[r[field]] = [];
+    out[r[field]].push(r);
+  }
+  return out;
+}
+
+async function metrics(env, hours) {
+  // Data points are sampled under load; _sample_interval weights each one back.
+  const where = (kind) => `FROM ${METRICS_DATASET} WHERE blob1 = '${kind}' AND timestamp > NOW() - INTERVAL '${hours}' HOUR`;
+  const [tiers, responses, upstreams, ticks, lastTick] = await Promise.all([
+    query(env, `SELECT blob2 AS tier, blob4 AS policy, blob3 AS outcome, SUM(_sample_interval) AS n ${where('cache')} GROUP BY tier, policy, outcome`),
+    query(env, `SELECT blob2 AS outcome, SUM(_sample_interval) AS n ${where('response')} GROUP BY outcome`),
+    query(env, `SELECT blob2 AS upstream, blob3 AS outcome, SUM(_sample_interval) AS n,
+      SUM(_sample_interval * double1) AS total_ms, MAX(double1) AS max_ms,
+      quantileExactWeighted(0.95)(double1, _sample_interval) AS p95_ms
+      ${where('upstream')} GROUP BY upstream, outcome`),
+    query(env, `SELECT COUNT() AS ticks, SUM(double2 + double3) AS covered, SUM(double4) AS failed, SUM(double5) AS total ${where('warm')}`),
+    query(env, `SELECT timestamp, double1 AS checked, double2 AS fresh, double3 AS warmed, double4 AS failed, double5 AS total ${where('warm')} ORDER BY timestamp DESC LIMIT 1`),
+  ]);
+
+  const cache = {};
+  for (const [tier, rows] of Object.entries(groupBy(tiers, 'tier'))) {
+    cache[tier] = {};
+    for (const [policy, policyRows] of Object.entries(groupBy(rows, 'policy'))) cache[tier][policy] = outcomes(policyRows);
+  }
+
+  // Latency percentiles are for successful requests; timeouts would pin
+  // them at the timeout.
+  const upstream = {};
+  for (const [name, rows] of Object.entries(groupBy(upstreams, 'upstream'))) {
+    const count = rows.reduce((sum, r) => sum + Number(r.n), 0);
+    const of = (outcome) => Number(rows.find((r) => r.outcome === outcome)?.n || 0);
+    const ok = rows.find((r) => r.outcome === 'ok');
+    upstream[name] = {
+      count,
+      errors: of('error'),
+      timeouts: of('timeout'),
+      errorRate: count ? round((of('error') + of('timeout')) / count, 3) : null,
+      avgResponseTime: count ? Math.round(rows.reduce((sum, r) => sum + Number(r.total_ms), 0) / count) : null,
+      p95ResponseTime: ok ? Math.round(Number(ok.p95_ms)) : null,
+      maxResponseTime: Math.round(Math.max(...rows.map((r) => Number(r.max_ms)))),
+    };
+  }
+
+  const w = ticks[0] || {};
+  const last = lastTick[0];
+  return {
+    window: { hours, since: new Date(Date.now() - hours * 3600 * 1000).toISOString() },
+    cache,
+    responses: outcomes(responses),
+    upstream,
+    warmer: {
+      ticks: Number(w.ticks || 0),
+      // Share of the prediction key set fresh after a tick, averaged.
+      coverage: Number(w.total) ? round(Number(w.covered) / Number(w.total), 3) : null,
+      failed: Number(w.failed || 0),
+      lastTick: last ? {
+        at: new Date(`${last.timestamp.replace(' ', 'T')}Z`).toISOString(),
+        checked: Number(last.checked),
+        fresh: Number(last.fresh),
+        warmed: Number(last.warmed),
+        failed: Number(last.failed),
+        total: Number(last.total),
+        coverage: Number(last.total) ? round((Number(last.fresh) + Number(last.warmed)) / Number(last.total), 3) : null,
+      } : null,
+    },
+  };
+}
+
+/** Dispatch /admin/<sub>. Returns { status, body }. */
+export async function handleAdmin(sub, request, env) {
+  if (sub !== 'metrics') return { status: 404, body: { error: 'Unknown admin endpoint' } };
+  if (!env.ADMIN_TOKEN) return { status: 503, body: { error: 'Admin endpoints are off until ADMIN_TOKEN is set' } };
+  if (!(await authorized(request, env))) return { status: 401, body: { error: 'Unauthorized' } };
+  if (!env.CF_ACCOUNT_ID || !env.CF_API_TOKEN) return { status: 503, body: { error: 'Metrics need CF_ACCOUNT_ID and CF_API_TOKEN' } };
+
+  const hours = Math.min(Math.max(parseInt(new URL(request.url).searchParams.get('hours')) || 24, 1), MAX_HOURS);
+  try {
+    return { status: 200, body: await metrics(env, hours) };
+  } catch (err) {
+    return { status: 502, body: { error: err.message } };
+  }
+}
@@ -0,0 +1,142 @@
+// Active NWS watches, warnings and advisories along the Texas coast, as one
+// GeoJSON FeatureCollection the map can draw and the station panel can test
+// stations against.
+//
+// Storm-based alerts (Special Marine Warning, ...) carry their own polygon;
+// most coastal products (Coastal Flood, Rip Current, Gale, tropical watches)
+// are issued by zone and arrive with geometry null. Those are drawn from the
+// affected zones' outlines, fetched once and kept for weeks.
+
+import { cacheKey, TTL, getCached, setCached } from './cache.js';
+import { fetchActiveAlerts, fetchZone } from './upstream.js';
+import { STATIONS } from './stations.js';
+
+// Texas land zones plus the Gulf marine zones, from the offices that cover
+// the coast (Lake Charles has Sabine Lake and Jefferson County). Filtering by
+// office first keeps inland alerts from spending the zone-fetch budget.
+const AREAS = ['TX', 'GM'];
+const COASTAL_OFFICES = /\b(Brownsville|Corpus Christi|Houston\/Galveston|Lake Charles)\b/i;
+
+// Alerts are kept when they reach within this many degrees of a station —
+// the coastal counties and nearshore waters, not the Panhandle.
+const PAD_DEG = 0.5;
+const BOUNDS = STATIONS.reduce((b, s) => ({
+  minLat: Math.min(b.minLat, s.lat - PAD_DEG), maxLat: Math.max(b.maxLat, s.lat + PAD_DEG),
+  minLon: Math.min(b.minLon, s.lon - PAD_DEG), maxLon: Math.max(b.maxLon, s.lon + PAD_DEG),
+}), { minLat: 90, maxLat: -90, minLon: 180, maxLon: -180 });
+
+// Zone outlines missing from KV are fetched up to this many per request (the
+// Workers subrequest cap); the rest fill in on the next refresh.
+const ZONE_FETCH_BUDGET = 30;
+
+// County and zone outlines come at survey precision — thin them to ~1 km so a
+// coast-wide collection stays small enough to ship to phones.
+const SIMPLIFY_DEG = 0.01;
+
+function simplifyRing(ring) {
+  const out = [];
+  for (const [lon, lat] of ring) {
+    const last = out[out.length - 1];
+    if (last && Math.abs(lon - last[0]) < SIMPLIFY_DEG && Math.abs(lat - last[1]) < SIMPLIFY_DEG) continue;
+    out.push([Math.round(lon * 1000) / 1000, Math.round(lat * 1000) / 1000]);
+  }
+  // Rings must stay closed and keep at least a triangle.
+  if (out.length < 4) return null;
+  const [first, last] = [out[0], out[out.length - 1]];
+  if (first[0] !== last[0] || first[1] !== last[1]) out.push(first);
+  return out;
+}
+
+// Polygon / MultiPolygon → list of polygons (each a list of rings), thinned.
+function polygonsOf(geometry) {
+  if (!geometry) return [];
+  if (geometry.type === 'GeometryCollection') return geometry.geometries.flatMap(polygonsOf);
+  const polys = geometry.type === 'Polygon' ? [geometry.coordinates]
+    : geometry.type === 'MultiPolygon' ? geometry.coordinates
+    : [];
+  return polys
+    .map((rings) => rings.map(simplifyRing).filter(Boolean))
+    .filter((rings) => rings.length);
+}
+
+function inBounds(polys) {
+  return polys.some((rings) => rings[0].some(([lon, lat]) =>
+    lat >= BOUNDS.minLat && lat <= BOUNDS.maxLat && lon >= BOUNDS.minLon && lon <= BOUNDS.maxLon));
+}
+
+// Outline of one zone (by its api.weather.gov URL), from KV when we have it.
+// Returns polygons, [] for a zone with no usable shape, or null when it
+// wasn't fetched this time.
+async function zonePolygons(url, env, budget) {
+  const key = cacheKey('nws:zone', { url });
+  const hit = await getCached(env, key, TTL.zones);
+  if (hit) return hit.body;
+  if (budget.left <= 0) return null;
+  budget.left--;
+
+  const zone = await fetchZone(url);
+  if (zone.error) return null;
+  const polys = polygonsOf(zone.geometry);
+  await setCached(env, key, polys, TTL.zones);
+  return polys;
+}
+
+// Watch / warning / advisory / statement, for map styling and banner color.
+function alertLevel(event) {
+  if (/warning/i.test(event)) return 'warning';
+  if (/watch/i.test(event)) return 'watch';
+  if (/advisory/i.test(event)) return 'advisory';
+  return 'statement';
+}
+
+function feature(p, polys) {
+  return {
+    type: 'Feature',
+    geometry: { type: 'MultiPolygon', coordinates: polys },
+    properties: {
+      id: p.id,
+      event: p.event,
+      level: alertLevel(p.event || ''),
+      severity: p.severity,
+      headline: p.parameters?.NWSheadline?.[0] || p.headline || null,
+      description: p.description || null,
+      instruction: p.instruction || null,
+      areaDesc: p.areaDesc,
+      sender: p.senderName,
+      onset: p.onset || p.effective,
+      ends: p.ends || p.expires,
+    },
+  };
+}
+
+// Producer for cached(): the FeatureCollection, or { error }.
+export async function coastalAlerts(env) {
+  const res = await fetchActiveAlerts(AREAS);
+  if (res.error) return { error: res.error };
+
+  const budget = { left: ZONE_FETCH_BUDGET };
+  const features = [];
+  let incomplete = false;
+  for (const a of res.features || []) {
+    const p = a.properties || {};
+    if (p.status && p.status !== 'Actual') continue;
+    if (!COASTAL_OFFICES.test(p.senderName || '')) continue;
+
+    const polys = polygonsOf(a.geometry);
+    if (!polys.length) {
+      for (const url of p.affectedZones || []) {
+        const zone = await zonePolygons(url, env, budget);
+        if (zone === null) incomplete = true;
+        else polys.push(...zone);
+      }
+    }
+    if (polys.length && inBounds(polys)) features.push(feature(p, polys));
+  }
+
+  return {
+    type: 'FeatureCollection',
+    updatedAt: new Date().toISOString(),
+    incomplete,
+    features,
+  };
+}
@@ -1,4 +1,5 @@
-// KV-backed cache layer for the Slackwater Worker.
+// Cache layer for the Slackwater Worker: the colo's edge cache in front of KV
+// (see Tiers below).
 //
 // Two ideas make warming and lazy reads share the same keys:
 //   1. We strip volatile/irrelevant params (application, format) from the key.
@@ -9,6 +10,8 @@
 //      one cached entry — and a cron warmer running any time in that hour
 //      produces the same key.
 
+import { recordCache } from './metrics.js';
+
 const KEY_IGNORE = new Set(['application', 'format']);
 
 // Snap a NOAA date string "YYYYMMDD HH:MM" down to "YYYYMMDD HH:00".
@@ -39,8 +42,11 @@ function snapDay(value, dir) {
 // cap. Snapping to day boundaries collapses all of an day's requests onto ~one
 // shared key. Clients get a slightly wider window and clip it to what they render.
 // Non-prediction (live/observed) data must stay fresh and narrow, so it's untouched.
+// Tidal current predictions are just as deterministic and get the same treatment.
+const DETERMINISTIC = new Set(['predictions', 'currents_predictions']);
+
 export function canonicalizeNoaa(params) {
-  if (params.product !== 'predictions') return params;
+  if (!DETERMINISTIC.has(params.product)) return params;
   const out = { ...params };
   if (out.begin_date) out.begin_date = snapDay(String(out.begin_date), 'floor');
   if (out.end_date) out.end_date = snapDay(String(out.end_date), 'ceil');
@@ -63,52 +69,197 @@ export function cacheKey(endpoint, params = {}) {
 // TTL (seconds) per logical data type. Deterministic predictions live long;
 // live observations stay short so the app sees fresh conditions.
 export const TTL = {
-  predictions: 6 * 60 * 60, // tide curve / hi-lo — deterministic, refresh occasionally
+  predictions: 6 * 60 * 60, // tide + current curves, hi-lo, max/slack — deterministic
   live: 6 * 60,             // latest water level / wind / temp
   observed: 10 * 60,        // recent observed water-level / temp history
+  history: 24 * 60 * 60,    // observations for a window that closed days ago
   nws: 15 * 60,             // weather forecast / pressure / air temp
+  alerts: 2 * 60,           // active watches / warnings — short, they matter
+  tropical: 10 * 60,        // NHC storms; advisories come every 3–6 hours
   usno: 12 * 60 * 60,       // sun/moon for a given day
+  calendar: 6 * 60 * 60,    // .ics feeds — built from predictions, keyed per Central day
+  zones: 30 * 24 * 60 * 60, // station → NWS marine zone lookup; boundaries rarely move
 };
 
 // Classify a NOAA /query request into a TTL bucket from its params.
 export function noaaTtl(params) {
   const product = params.product;
-  if (product === 'predictions') return TTL.predictions;
+  if (DETERMINISTIC.has(product)) return TTL.predictions;
   if (params.date === 'latest') return TTL.live;
+  if (endedDaysAgo(params.end_date, 2)) return TTL.history;
   return TTL.observed;
 }
 
-// Read a cached entry. Returns the parsed body or null on miss/expiry.
-// KV TTL handles expiry, but we also store expires_at so the warmer can do
-// write-on-near-expiry and so we can serve stale-on-error if upstream fails.
-// Best-effort: a KV failure reads as a miss, never an error.
-export async function getCached(env, key) {
+// True when a NOAA "YYYYMMDD[ HH:MM]" end date is more than `days` in the past.
+// Past windows only change when NOAA verifies preliminary data, so a History
+// view scrolling through last month doesn't need the 10-minute TTL.
+function endedDaysAgo(value, days) {
+  const m = /^(\d{4})(\d{2})(\d{2})/.exec(String(value || ''));
+  if (!m) return false;
+  return Date.UTC(+m[1], +m[2] - 1, +m[3]) < Date.now() - days * 24 * 3600 * 1000;
+}
+
+// ---- Tiers -------------------------------------------------------------------
+//
+// Two tiers: the colo's Cache API (caches.default) — free and fast, but local
+// to one colo and evictable — and KV, global and durable, where every read is
+// billed and writes are capped per day. Which tiers hold an entry depends on
+// its TTL bucket:
+//   hot     (live, alerts, observed, tropical, nws — TTL ≤ 15m): edge only.
+//           A miss in a colo costs one upstream fetch, about what a KV write
+//           and read would have cost, and nothing counts against the caps.
+//   durable (predictions, calendar, usno, history, zones): KV, with the edge
+//           tier in front for up to 10 minutes so hot keys read KV at most
+//           that often per colo.
+// Entries keep the stale window (another TTL past `expiresAt`) in whichever
+// tiers hold them.
+
+const HOT_MAX_TTL = 15 * 60;
+const EDGE_FRONT_MAX_AGE = 10 * 60;
+
+// Tier policy for a TTL in seconds. Unknown TTL (a reader that doesn't say)
+// reads both tiers.
+export function tierPolicy(ttlSeconds) {
+  if (ttlSeconds && ttlSeconds <= HOT_MAX_TTL) return { name: 'hot', edge: ttlSeconds * 2, kv: false };
+  return { name: 'durable', edge: Math.min(EDGE_FRONT_MAX_AGE, ttlSeconds || Infinity), kv: true };
+}
+
+const edgeRequest = (key) => new Request(`https://cache.slackwater.internal/${encodeURIComponent(key)}`);
+
+async function edgeGet(key) {
+  const cache = globalThis.caches?.default;
+  if (!cache) return null;
+  const res = await cache.match(edgeRequest(key));
+  return res ? res.json() : null;
+}
+
+async function edgePut(key, entry, maxAge) {
+  const cache = globalThis.caches?.default;
+  if (!cache || maxAge <= 0) return;
+  await cache.put(edgeRequest(key), new Response(JSON.stringify(entry), {
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': `max-age=${Math.ceil(maxAge)}` },
+  }));
+}
+
+// Read a cached entry: { body, cachedAt, expiresAt } or null on a miss.
+// `expiresAt` is the soft expiry: the tiers keep the entry for another TTL
+// past it (see setCached) so the warmer can do write-on-near-expiry and an
+// expired entry can still be served while it's refreshed, or when upstream
+// fails. Pass the entry's TTL so only its tiers are read. Best-effort: a
+// failing tier reads as a miss, never an error.
+export async function getCached(env, key, ttlSeconds) {
+  const policy = tierPolicy(ttlSeconds);
+  let edge = null;
+  try {
+    edge = await edgeGet(key);
+  } catch (err) {
+    console.warn(`[cache] edge read failed for ${key}: ${err.message}`);
+  }
+  const edgeFresh = edge && edge.expiresAt > Date.now();
+  recordCache('edge', edge ? (edgeFresh ? 'hit' : 'stale') : 'miss', policy.name);
+  // A stale edge copy of a KV entry may be older than KV's (another colo
+  // refreshed it), so only hot entries stop here.
+  if (edgeFresh || !policy.kv) return edge;
+
   try {
     const raw = await env.CACHE.get(key, { type: 'json' });
-    if (!raw) return null;
-    return raw; // { body, cachedAt, expiresAt }
+    const fresh = raw && raw.expiresAt > Date.now();
+    recordCache('kv', raw ? (fresh ? 'hit' : 'stale') : 'miss', policy.name);
+    if (!raw) return edge;
+    if (fresh) await edgePut(key, raw, Math.min(policy.edge, (raw.expiresAt - Date.now()) / 1000)).catch(() => {});
+    return raw;
   } catch (err) {
     console.warn(`[cache] read failed for ${key}: ${err.message}`);
-    return null;
+    return edge;
   }
 }
 
-// Store a value with a TTL. KV enforces a 60s minimum expiration_ttl.
-// Best-effort: caching is an optimization — a failed write (e.g. the KV
-// daily write cap) must never fail a request that has data in hand.
+// Store a value with a TTL in the tiers its policy names. Each keeps it for
+// twice the TTL, giving the stale window above; KV enforces a 60s minimum
+// expiration_ttl. Best-effort: caching is an optimization — a failed write
+// (e.g. the KV daily write cap) must never fail a request that has data in hand.
 export async function setCached(env, key, body, ttlSeconds) {
+  const policy = tierPolicy(ttlSeconds);
   const now = Date.now();
   const entry = {
     body,
     cachedAt: now,
     expiresAt: now + ttlSeconds * 1000,
   };
+  try {
+    await edgePut(key, entry, policy.edge);
+  } catch (err) {
+    console.warn(`[cache] edge write failed for ${key}: ${err.message}`);
+  }
+  if (!policy.kv) return entry;
   try {
     await env.CACHE.put(key, JSON.stringify(entry), {
-      expirationTtl: Math.max(60, ttlSeconds),
+      expirationTtl: Math.max(60, ttlSeconds * 2),
     });
   } catch (err) {
     console.warn(`[cache] write failed for ${key}: ${err.message}`);
   }
   return entry;
 }
+
+// ---- Single flight ---------------------------------------------------------
+//
+// When a popular key expires, every request that misses it would otherwise go
+// upstream until the first write lands. singleFlight() lets one run `run()`
+// and hands its result to the rest: concurrent callers in this isolate share
+// the same promise, and across isolates a short-lived lock in the colo's
+// Cache API tells others a fetch is under way so they wait for the leader's
+// result instead. The lock is advisory — two isolates can race past it, and a
+// follower that waits too long fetches itself — so the worst case is the old
+// behaviour, never a failed request.
+
+const inflight = new Map();
+const FLIGHT_TTL = 15;                        // seconds a lock / shared result lives
+const FLIGHT_POLLS = [100, 200, 400, 800, 1600]; // ms between looks for the result
+
+const flightRequest = (kind, key) => new Request(`https://flight.slackwater.internal/${kind}/${encodeURIComponent(key)}`);
+const flightResponse = (body) => new Response(body, { headers: { 'Cache-Control': `max-age=${FLIGHT_TTL}` } });
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Run `run()` for `key` once across concurrent callers. With wait: false
+// (background refreshes), a flight already under way elsewhere in the colo
+// is left to finish and this resolves to null. A waiting caller that joined
+// such a flight doesn't take that null: it starts a waiting flight of its own.
+export function singleFlight(key, run, { wait = true } = {}) {
+  const shared = inflight.get(key);
+  if (shared) {
+    if (wait && !shared.wait) return shared.promise.then((out) => out ?? singleFlight(key, run));
+    return shared.promise;
+  }
+  const promise = coalesce(key, run, wait).finally(() => inflight.delete(key));
+  inflight.set(key, { promise, wait });
+  return promise;
+}
+
+async function coalesce(key, run, wait) {
+  const cache = globalThis.caches?.default;
+  if (!cache) return run();
+  const lock = flightRequest('lock', key);
+  const result = flightRequest('result', key);
+  try {
+    if (await cache.match(lock)) {
+      if (!wait) return null;
+      for (const ms of FLIGHT_POLLS) {
+        await sleep(ms);
+        const landed = await cache.match(result);
+        if (landed) return await landed.json();
+      }
+    }
+    await cache.put(lock, flightResponse('1'));
+  } catch (err) {
+    console.warn(`[cache] flight lock failed for ${key}: ${err.message}`);
+    return run();
+  }
+  try {
+    const out = await run();
+    if (out && !out.error) await cache.put(result, flightResponse(JSON.stringify(out))).catch(() => {});
+    return out;
+  } finally {
+    await cache.delete(lock).catch(() => {});
+  }
+}
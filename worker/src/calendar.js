@@ -0,0 +1,170 @@
+// iCalendar feeds — /api/calendar/:station.ics. High and low tides over a
+// rolling window (60 days unless asked for fewer), plus, on request, solunar
+// major / minor periods and sunrise / sunset from the same engine the app
+// runs (js/solunar.js). A calendar app subscribes once and re-polls; the
+// window moves forward a day at a time.
+
+import { cacheKey, canonicalizeNoaa, TTL, getCached, setCached } from './cache.js';
+import { noaaGet } from './upstream.js';
+import { centralRange, formatCentral, parseCentral } from './time.js';
+import { solunarDays } from './solunar.js';
+
+export const CALENDAR_TYPES = ['tides', 'solunar', 'sun'];
+const MAX_DAYS = 60;
+const CRLF = '\r\n';
+const encoder = new TextEncoder();
+
+/** ?types=tides,solunar,sun&days=60 → { types, days } or { error }. */
+export function parseCalendarOptions(searchParams) {
+  const types = (searchParams.get('types') || 'tides').split(',').map((t) => t.trim()).filter(Boolean);
+  const unknown = types.find((t) => !CALENDAR_TYPES.includes(t));
+  if (unknown) return { error: `Unknown event type: ${unknown} (use ${CALENDAR_TYPES.join(', ')})` };
+  if (!types.length) return { error: 'types must name at least one event type' };
+  const days = Math.min(Math.max(parseInt(searchParams.get('days')) || MAX_DAYS, 1), MAX_DAYS);
+  return { types: CALENDAR_TYPES.filter((t) => types.includes(t)), days };
+}
+
+// One feed per station, event mix and Central day — the window rolls at
+// midnight, so yesterday's entry is never served for today.
+export function calendarKey(station, { types, days }) {
+  return cacheKey('calendar', { station: station.id, types: types.join(','), days, from: formatCentral(new Date()).slice(0, 8) });
+}
+
+// Hi/lo predictions through the shared NOAA cache (same key shape as the app
+// and the warmer); stale data beats no feed when NOAA is down.
+async function hiloEvents(env, station, days) {
+  const r = centralRange(0, days * 24);
+  const params = canonicalizeNoaa({
+    units: 'english', time_zone: 'lst_ldt', datum: 'MLLW',
+    station: station.id, product: 'predictions', begin_date: r.begin, end_date: r.end, interval: 'hilo',
+  });
+  const key = cacheKey('noaa:query', params);
+  const hit = await getCached(env, key, TTL.predictions);
+  let data = hit && hit.expiresAt > Date.now() ? hit.body : null;
+  if (!data) {
+    const fresh = await noaaGet(params);
+    if (!fresh.error) {
+      await setCached(env, key, fresh, TTL.predictions);
+      data = fresh;
+    } else {
+      data = hit?.body || null;
+    }
+  }
+  if (!data) return null;
+  return (data.predictions || [])
+    .map((p) => ({ time: parseCentral(p.t), ft: parseFloat(p.v), high: p.type === 'H' }))
+    .filter((e) => e.time && !isNaN(e.ft));
+}
+
+/**
+ * Build the feed. Returns { ics } or { error }.
+ * @param station  { id, name, lat, lon } from stations.js
+ * @param options  parseCalendarOptions() output
+ */
+export async function calendarFeed(env, station, { types, days }) {
+  const events = [];
+
+  if (types.includes('tides')) {
+    const tides = await hiloEvents(env, station, days);
+    if (!tides) return { error: 'Tide predictions unavailable' };
+    for (const e of tides) {
+      const kind = e.high ? 'High' : 'Low';
+      events.push({
+        uid: `${kind.toLowerCase()}-tide`,
+        start: e.time,
+        summary: `${kind} tide ${e.ft.toFixed(1)} ft`,
+        description: `Predicted ${kind.toLowerCase()} tide at ${station.name} (NOAA ${station.id}), ${e.ft.toFixed(2)} ft above MLLW.`,
+      });
+    }
+  }
+
+  if (types.includes('solunar') || types.includes('sun')) {
+    for (const d of solunarDays(station.lat, station.lon, days)) {
+      if (types.includes('solunar')) {
+        const rating = `${d.rating.level[0].toUpperCase()}${d.rating.level.slice(1)} day · ${d.phaseName}`;
+        for (const p of [...d.majors, ...d.minors]) {
+          const major = p.kind === 'major';
+          events.push({
+            uid: `solunar-${p.kind}`,
+            start: p.start,
+            end: p.end,
+            summary: `Solunar ${p.kind}`,
+            description: `${major ? 'Moon overhead or underfoot' : 'Moonrise or moonset'}. ${rating}.`,
+          });
+        }
+      }
+      if (types.includes('sun')) {
+        if (d.sunrise) events.push({ uid: 'sunrise', start: d.sunrise, summary: 'Sunrise' });
+        if (d.sunset) events.push({ uid: 'sunset', start: d.sunset, summary: 'Sunset' });
+      }
+    }
+  }
+
+  events.sort((a, b) => a.start - b.start);
+  const now = new Date();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Slackwater//Tide Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(`Slackwater · ${station.name}`)}`,
+    `X-WR-CALDESC:${escapeText(`${types.map((t) => TYPE_LABELS[t]).join(', ')} for ${station.name}, Texas. Predictions — not for navigation.`)}`,
+    'X-WR-TIMEZONE:America/Chicago',
+    'REFRESH-INTERVAL;VALUE=DURATION:PT12H',
+    'X-PUBLISHED-TTL:PT12H',
+    ...events.flatMap((e) => vevent(e, station, now)),
+    'END:VCALENDAR',
+  ];
+  return { ics: lines.map(fold).join(CRLF) + CRLF };
+}
+
+const TYPE_LABELS = { tides: 'High and low tides', solunar: 'solunar periods', sun: 'sunrise and sunset' };
+
+function vevent({ uid, start, end, summary, description }, station, now) {
+  return [
+    'BEGIN:VEVENT',
+    // Stable across refreshes, so a re-poll updates events instead of duplicating them.
+    `UID:${uid}-${station.id}-${stamp(start)}@slackwater.app`,
+    `DTSTAMP:${stamp(now)}`,
+    `DTSTART:${stamp(start)}`,
+    end ? `DTEND:${stamp(end)}` : null,
+    `SUMMARY:${escapeText(summary)}`,
+    description ? `DESCRIPTION:${escapeText(description)}` : null,
+    `LOCATION:${escapeText(station.name)}`,
+    `GEO:${station.lat};${station.lon}`,
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT',
+  ].filter(Boolean);
+}
+
+// UTC date-time to the minute: 20261019T153000Z. No VTIMEZONE needed; clients
+// show it in the viewer's zone.
+function stamp(date) {
+  const minute = new Date(Math.round(date.getTime() / 60000) * 60000);
+  return minute.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(s) {
+  return String(s).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\n/g, '\\n');
+}
+
+// RFC 5545: lines longer than 75 octets continue on the next line after a space.
+function fold(line) {
+  if (encoder.encode(line).length <= 75) return line;
+  const out = [];
+  let current = '';
+  let size = 0;
+  for (const ch of line) {
+    const n = encoder.encode(ch).length;
+    if (size + n > 75) {
+      out.push(current);
+      current = ' ';
+      size = 1;
+    }
+    current += ch;
+    size += n;
+  }
+  out.push(current);
+  return out.join(CRLF);
+}
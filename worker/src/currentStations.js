@@ -0,0 +1,35 @@
+// Texas tidal current prediction stations (generated from js/data/currentStations.js
+// by scripts/generate-current-stations.mjs).
+// The cron warmer pre-fetches the current curve + max/slack events for each.
+export const CURRENT_STATIONS = [
+  {"id":"sn0501","name":"Rainbow Bridge","lat":29.9811,"lon":-93.8711,"bin":null},
+  {"id":"sn0701","name":"Port Arthur","lat":29.8667,"lon":-93.9311,"bin":null},
+  {"id":"sn0301","name":"Sabine Front Range","lat":29.7581,"lon":-93.89,"bin":null},
+  {"id":"sn0801","name":"Sabine Pass","lat":29.7424,"lon":-93.8737,"bin":null},
+  {"id":"sn0201","name":"Sabine Pass","lat":29.7286,"lon":-93.87,"bin":null},
+  {"id":"g08010","name":"Fred Hartman Br.","lat":29.7035,"lon":-95.0189,"bin":null},
+  {"id":"g02010","name":"Morgans Point","lat":29.6816,"lon":-94.9823,"bin":null},
+  {"id":"g06010","name":"Galveston Bay Entrance Channel","lat":29.3422,"lon":-94.7408,"bin":null},
+  {"id":"g11010","name":"Galveston Channel","lat":29.3182,"lon":-94.781,"bin":null},
+  {"id":"g09010","name":"Galveston Channel","lat":29.3094,"lon":-94.8206,"bin":null},
+  {"id":"g05010","name":"Galveston Causeway RR. Bridge","lat":29.2975,"lon":-94.8858,"bin":null},
+  {"id":"fr0201","name":"Surfside Bridge","lat":28.955,"lon":-95.2939,"bin":null},
+  {"id":"mg0101","name":"Matagorda Ship Channel Marker 19","lat":28.4477,"lon":-96.3562,"bin":null},
+  {"id":"mg0201","name":"Matagorda Entrance Channel","lat":28.4267,"lon":-96.33,"bin":null},
+  {"id":"STX1802","name":"Murray Shoal","lat":27.8993,"lon":-97.0514,"bin":null},
+  {"id":"STX1801","name":"Lydia Ann Channel","lat":27.8526,"lon":-97.0548,"bin":null},
+  {"id":"cc0501","name":"Harbor Island","lat":27.8467,"lon":-97.0608,"bin":null},
+  {"id":"cc0601","name":"Corpus Christi Channel UT Marine Science","lat":27.8397,"lon":-97.0725,"bin":null},
+  {"id":"cc0302","name":"Utsmi Research Pier (Midchannel)","lat":27.8381,"lon":-97.052,"bin":null},
+  {"id":"cc0401","name":"Enbridge","lat":27.8177,"lon":-97.2093,"bin":null},
+  {"id":"STX1812","name":"ICW Laguna Madre","lat":26.3279,"lon":-97.3097,"bin":null},
+  {"id":"STX1813","name":"ICW Laguna Madre","lat":26.1075,"lon":-97.2116,"bin":null},
+  {"id":"STX1814","name":"Queen Isabella Causeway Bridge","lat":26.0824,"lon":-97.1978,"bin":null},
+  {"id":"STX1815","name":"Port Isabel","lat":26.0718,"lon":-97.1995,"bin":null},
+  {"id":"STX1821","name":"Brazos Santiago Pass (SPIP)","lat":26.0675,"lon":-97.1548,"bin":null},
+  {"id":"STX1819","name":"Laguna Madre Channel","lat":26.0665,"lon":-97.1675,"bin":null},
+  {"id":"STX1820","name":"Brazos Santiago Pass Entrance","lat":26.0652,"lon":-97.1494,"bin":null},
+  {"id":"STX1822","name":"Port Isabel Channel","lat":26.0542,"lon":-97.2115,"bin":null},
+  {"id":"STX1818","name":"Laguna Madre Channel","lat":26.0466,"lon":-97.1981,"bin":null},
+  {"id":"STX1817","name":"Brownsville Ship Channel","lat":26.035,"lon":-97.2197,"bin":null},
+];
@@ -3,16 +3,31 @@
 // and USNO, plus a cron warmer that pre-fetches deterministic tide predictions
 // for all Texas stations. The app only ever talks to this Worker.
 
-import { cacheKey, canonicalizeNoaa, noaaTtl, TTL, getCached, setCached } from './cache.js';
-import { noaaGet, fetchSunMoon, parseSunMoon, fetchPoints } from './upstream.js';
+import { cacheKey, canonicalizeNoaa, noaaTtl, TTL, getCached, setCached, singleFlight } from './cache.js';
+import { noaaGet, noaaGetRange, splitNoaaRange, fetchSunMoon, parseSunMoon, fetchPoints } from './upstream.js';
 import { forecast12h, pressure, temperature } from './nws.js';
+import { marineForecast } from './marine.js';
+import { coastalAlerts } from './alerts.js';
+import { activeStorms } from './tropical.js';
+import { buoyObservations } from './ndbc.js';
+import { calendarFeed, calendarKey, parseCalendarOptions } from './calendar.js';
+import { stationSnapshot } from './snapshot.js';
+import { stationSummaries, parseSummaryStations } from './summary.js';
 import { STATIONS } from './stations.js';
+import { CURRENT_STATIONS } from './currentStations.js';
+import { centralRange } from './time.js';
+import { checkResiduals, freshStations, RESIDUALS_KEY } from './residuals.js';
+import { handlePush, evaluatePush } from './push.js';
+import { handleAdmin } from './admin.js';
+import { bindMetrics, recordResponse, recordWarm } from './metrics.js';
 
 const CORS = {
   'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
   'Access-Control-Allow-Headers': 'Content-Type',
 };
+// /admin/ requests carry a bearer token, so browsers preflight them.
+const ADMIN_CORS = { ...CORS, 'Access-Control-Allow-Headers': 'Content-Type, Authorization' };
 
 function json(body, { status = 200, cacheControl } = {}) {
   const headers = { 'Content-Type': 'application/json', ...CORS };
@@ -20,24 +35,47 @@ function json(body, { status = 200, cacheControl } = {}) {
   return new Response(JSON.stringify(body), { status, headers });
 }
 
+// Cached calendar feeds are stored as { ics } and served as text/calendar.
+function calendar(body, { status = 200, cacheControl } = {}) {
+  const headers = { 'Content-Type': 'text/calendar; charset=utf-8', ...CORS };
+  if (cacheControl) headers['Cache-Control'] = cacheControl;
+  return new Response(body.ics, { status, headers });
+}
+
 // Cached JSON producer. Checks KV, and on a miss runs `produce()` (which returns
-// { error } on upstream failure). Successful results are cached; on upstream
-// error we serve a stale cached entry if one exists.
-async function cached(env, key, ttlSeconds, produce) {
-  const hit = await getCached(env, key);
+// { error }, optionally with a status, on upstream failure). Successful results
+// are cached. An expired entry still in its stale window is served as is while
+// `produce()` refreshes it in the background; concurrent misses for one key
+// share a single `produce()` (singleFlight). `respond` renders a successful
+// body (errors are always JSON).
+async function cached(env, ctx, key, ttlSeconds, produce, respond = json) {
+  const hit = await getCached(env, key, ttlSeconds);
   if (hit && hit.expiresAt > Date.now()) {
-    return json(hit.body, { cacheControl: `public, max-age=${Math.floor((hit.expiresAt - Date.now()) / 1000)}` });
+    recordResponse('hit');
+    return respond(hit.body, { cacheControl: `public, max-age=${Math.floor((hit.expiresAt - Date.now()) / 1000)}` });
   }
 
-  const fresh = await produce();
-  if (fresh && !fresh.error) {
-    await setCached(env, key, fresh, ttlSeconds);
-    return json(fresh, { cacheControl: `public, max-age=${ttlSeconds}` });
+  const refresh = (options) => singleFlight(key, async () => {
+    const fresh = await produce();
+    if (fresh && !fresh.error) await setCached(env, key, fresh, ttlSeconds);
+    return fresh;
+  }, options);
+
+  // Stale — serve it now and refresh behind the response. If the refresh
+  // fails the stale entry stays until KV drops it.
+  if (hit) {
+    ctx.waitUntil(refresh({ wait: false }).catch((err) => console.warn(`[cache] refresh failed for ${key}: ${err.message}`)));
+    recordResponse('stale');
+    return respond(hit.body, { cacheControl: 'public, max-age=30' });
   }
 
-  // Upstream failed — fall back to stale if we have it.
-  if (hit) return json(hit.body, { cacheControl: 'public, max-age=30' });
-  return json(fresh?.error ? { error: fresh.error } : { error: 'Upstream unavailable' }, { status: 502 });
+  const fresh = await refresh();
+  if (fresh && !fresh.error) {
+    recordResponse('miss');
+    return respond(fresh, { cacheControl: `public, max-age=${ttlSeconds}` });
+  }
+  recordResponse('error');
+  return json({ error: fresh?.error || 'Upstream unavailable' }, { status: fresh?.status || 502 });
 }
 
 function parseLatLon(url) {
@@ -47,15 +85,30 @@ function parseLatLon(url) {
   return { lat, lon };
 }
 
-async function handleRequest(request, env) {
+async function handleRequest(request, env, ctx) {
   const url = new URL(request.url);
   const path = url.pathname;
 
-  if (request.method === 'OPTIONS') return new Response(null, { status: 204, headers: CORS });
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { status: 204, headers: path.startsWith('/admin/') ? ADMIN_CORS : CORS });
+  }
+
+  // Web Push subscriptions — the only routes that take POST bodies.
+  if (path.startsWith('/api/push/')) {
+    const res = await handlePush(path.slice('/api/push/'.length), request, env);
+    return json(res.body, { status: res.status });
+  }
+
   if (request.method !== 'GET') return json({ error: 'Method not allowed' }, { status: 405 });
 
+  // Operator endpoints (bearer ADMIN_TOKEN) — never cached.
+  if (path.startsWith('/admin/')) {
+    const res = await handleAdmin(path.slice('/admin/'.length), request, env);
+    return json(res.body, { status: res.status, cacheControl: 'no-store' });
+  }
+
   if (path === '/health' || path === '/') {
-    return json({ status: 'ok', service: 'slackwater-api', stations: STATIONS.length, time: new Date().toISOString() });
+    return json({ status: 'ok', service: 'slackwater-api', stations: STATIONS.length, currentStations: CURRENT_STATIONS.length, time: new Date().toISOString() });
   }
 
   // NOAA generic passthrough — /api/noaa/query?station=...&product=...
@@ -64,9 +117,67 @@ async function handleRequest(request, env) {
     if (!raw.station && !raw.product) return json({ error: 'station and product are required' }, { status: 400 });
     // Widen deterministic prediction windows to whole days so the key (and the
     // upstream fetch) is shared across the day instead of rolling every hour.
+    // Ranges past NOAA's per-request limit are chunked upstream and stitched.
     const params = canonicalizeNoaa(raw);
+    const chunks = splitNoaaRange(params);
+    if (chunks.error) return json(chunks, { status: 400 });
     const key = cacheKey('noaa:query', params);
-    return cached(env, key, noaaTtl(params), () => noaaGet(params));
+    return cached(env, ctx, key, noaaTtl(params), () => noaaGetRange(params));
+  }
+
+  // NDBC buoy / C-MAN observations — /api/ndbc/42019?hours=24
+  if (path.startsWith('/api/ndbc/')) {
+    const station = path.slice('/api/ndbc/'.length);
+    if (!/^[A-Za-z0-9]{5}$/.test(station)) return json({ error: 'Unknown NDBC station' }, { status: 400 });
+    const hours = Math.min(Math.max(parseInt(url.searchParams.get('hours')) || 24, 1), 24 * 7);
+    const key = cacheKey('ndbc', { station: station.toUpperCase(), hours });
+    return cached(env, ctx, key, TTL.observed, () => buoyObservations(station, hours));
+  }
+
+  // Everything the station panel shows, in one request — /api/station/8775237/snapshot.
+  // Each piece is cached at its own TTL; the composed document only briefly.
+  if (path.startsWith('/api/station/')) {
+    const m = /^\/api\/station\/([^/]+)\/snapshot$/.exec(path);
+    const station = m && STATIONS.find((s) => s.id === m[1]);
+    if (!station) return json({ error: 'Unknown station' }, { status: 404 });
+    return json(await stationSnapshot(env, station), { cacheControl: 'public, max-age=60' });
+  }
+
+  // Compact summaries for the favorites list — /api/summary?stations=8775237,8774770
+  if (path === '/api/summary') {
+    const ids = parseSummaryStations(url.searchParams.get('stations'));
+    if (ids.error) return json(ids, { status: 400 });
+    return json(await stationSummaries(env, ids), { cacheControl: 'public, max-age=60' });
+  }
+
+  // iCalendar feed — /api/calendar/8775237.ics?types=tides,solunar,sun&days=60
+  if (path.startsWith('/api/calendar/')) {
+    const m = /^\/api\/calendar\/([^/]+)\.ics$/.exec(path);
+    const station = m && STATIONS.find((s) => s.id === m[1]);
+    if (!station) return json({ error: 'Unknown station' }, { status: 404 });
+    const options = parseCalendarOptions(url.searchParams);
+    if (options.error) return json(options, { status: 400 });
+    if (options.types.includes('tides') && !station.hasPredictions) {
+      return json({ error: 'This station has no tide predictions' }, { status: 400 });
+    }
+    return cached(env, ctx, calendarKey(station, options), TTL.calendar, () => calendarFeed(env, station, options), calendar);
+  }
+
+  // Residual (storm surge) monitor state — written by the residual cron.
+  if (path === '/api/residuals') {
+    const hit = await getCached(env, RESIDUALS_KEY);
+    if (!hit) return json({ error: 'Residuals not computed yet' }, { status: 503 });
+    return json({ ...hit.body, stations: freshStations(hit.body.stations) }, { cacheControl: 'public, max-age=60' });
+  }
+
+  // Active NWS alerts along the coast — one collection for everyone, no lat/lon.
+  if (path === '/api/nws/alerts') {
+    return cached(env, ctx, cacheKey('nws:alerts'), TTL.alerts, () => coastalAlerts(env));
+  }
+
+  // Active Atlantic tropical cyclones with cone and tracks — /api/tropical
+  if (path === '/api/tropical') {
+    return cached(env, ctx, cacheKey('nhc:storms'), TTL.tropical, activeStorms);
   }
 
   // NWS derived endpoints
@@ -76,10 +187,11 @@ async function handleRequest(request, env) {
     const sub = path.slice('/api/nws/'.length);
     const key = cacheKey(`nws:${sub}`, { lat: loc.lat.toFixed(4), lon: loc.lon.toFixed(4) });
 
-    if (sub === 'points') return cached(env, key, TTL.nws, () => fetchPoints(loc.lat, loc.lon));
-    if (sub === 'forecast-12h') return wrapDerived(env, key, TTL.nws, () => forecast12h(loc.lat, loc.lon));
-    if (sub === 'pressure') return wrapDerived(env, key, TTL.nws, () => pressure(loc.lat, loc.lon));
-    if (sub === 'temperature') return wrapDerived(env, key, TTL.nws, () => temperature(loc.lat, loc.lon));
+    if (sub === 'points') return cached(env, ctx, key, TTL.nws, () => fetchPoints(loc.lat, loc.lon));
+    if (sub === 'forecast-12h') return wrapDerived(env, ctx, key, TTL.nws, () => forecast12h(loc.lat, loc.lon));
+    if (sub === 'pressure') return wrapDerived(env, ctx, key, TTL.nws, () => pressure(loc.lat, loc.lon));
+    if (sub === 'temperature') return wrapDerived(env, ctx, key, TTL.nws, () => temperature(loc.lat, loc.lon));
+    if (sub === 'marine') return wrapDerived(env, ctx, key, TTL.nws, () => marineForecast(loc.lat, loc.lon, env));
     return json({ error: 'Unknown NWS endpoint' }, { status: 404 });
   }
 
@@ -91,7 +203,7 @@ async function handleRequest(request, env) {
     const date = dateStr ? new Date(dateStr) : new Date();
     if (isNaN(date.getTime())) return json({ error: 'Invalid date. Use YYYY-MM-DD' }, { status: 400 });
     const key = cacheKey('usno:sun-moon', { lat: loc.lat.toFixed(4), lon: loc.lon.toFixed(4), date: dateStr || 'today' });
-    return cached(env, key, TTL.usno, async () => {
+    return cached(env, ctx, key, TTL.usno, async () => {
       const raw = await fetchSunMoon(loc.lat, loc.lon, date);
       if (raw.error) return { error: raw.error };
       const parsed = parseSunMoon(raw);
@@ -102,102 +214,115 @@ async function handleRequest(request, env) {
   return json({ error: 'Not found' }, { status: 404 });
 }
 
-// Derived NWS handlers return { status, body }. Cache only 200s; serve stale on
-// non-200 if we have it.
-async function wrapDerived(env, key, ttlSeconds, produce) {
-  const hit = await getCached(env, key);
-  if (hit && hit.expiresAt > Date.now()) return json(hit.body, { cacheControl: `public, max-age=${ttlSeconds}` });
-
-  const res = await produce();
-  if (res.status === 200) {
-    await setCached(env, key, res.body, ttlSeconds);
-    return json(res.body, { cacheControl: `public, max-age=${ttlSeconds}` });
-  }
-  if (hit) return json(hit.body, { cacheControl: 'public, max-age=30' });
-  return json(res.body, { status: res.status });
+// Derived NWS handlers return { status, body }. Only 200s are cached; any
+// other status is passed through as the error response.
+function wrapDerived(env, ctx, key, ttlSeconds, produce) {
+  return cached(env, ctx, key, ttlSeconds, async () => {
+    const res = await produce();
+    return res.status === 200 ? res.body : { ...res.body, status: res.status };
+  });
 }
 
 // ---- Cron warmer ---------------------------------------------------------
 
-// Format an absolute instant as NOAA "YYYYMMDD HH:MM" in Central time, so the
-// warmer's keys match Texas clients (who send device-local times to NOAA's
-// lst_ldt). Minutes are irrelevant — the cache key snaps them to the hour.
-function formatCentral(date) {
-  const parts = new Intl.DateTimeFormat('en-US', {
-    timeZone: 'America/Chicago',
-    year: 'numeric', month: '2-digit', day: '2-digit',
-    hour: '2-digit', minute: '2-digit', hour12: false,
-  }).formatToParts(date);
-  const o = {};
-  for (const p of parts) o[p.type] = p.value;
-  const hour = o.hour === '24' ? '00' : o.hour;
-  return `${o.year}${o.month}${o.day} ${hour}:${o.minute}`;
-}
-
-function centralRange(hoursStart, hoursEnd) {
-  const now = Date.now();
-  return {
-    begin: formatCentral(new Date(now + hoursStart * 3600_000)),
-    end: formatCentral(new Date(now + hoursEnd * 3600_000)),
-  };
-}
+const WARM_CRON = '*/15 * * * *';
 
 // Warm a single NOAA prediction request if it's missing or within 25% of expiry.
-// Returns true if it issued an upstream fetch (counts against the budget).
+// Returns 'fresh' (left alone), 'warmed' or 'failed'; the last two issued an
+// upstream fetch (count against the budget).
 async function warmOne(env, params) {
   // Use the same day-aligned canonical window the request handler uses, so the
   // warmer pre-populates the exact key clients will read.
   const cp = canonicalizeNoaa(params);
   const key = cacheKey('noaa:query', cp);
-  const hit = await getCached(env, key);
   const ttl = TTL.predictions;
+  const hit = await getCached(env, key, ttl);
   const fresh = hit && hit.expiresAt - Date.now() > ttl * 0.25 * 1000;
-  if (fresh) return false;
+  if (fresh) return 'fresh';
 
   const data = await noaaGet(cp);
-  if (!data.error) await setCached(env, key, data, ttl);
-  return true;
+  if (data.error) return 'failed';
+  await setCached(env, key, data, ttl);
+  return 'warmed';
 }
 
-// Cron entry point. Warms tide curve + hi/lo for prediction stations, capped at
+// Cron entry point. Warms tide curve + hi/lo for prediction stations, then the
+// current curve + max/slack for current stations, capped at
 // a per-invocation upstream-fetch budget so it stays under the Workers free-tier
 // subrequest limit (50). Stations not reached this tick are picked up next tick.
+// Records the tick's coverage of the full key set; returns the number of
+// upstream fetches it made.
 async function warmPredictions(env) {
   const FETCH_BUDGET = parseInt(env.WARM_FETCH_BUDGET || '40');
   const curve = centralRange(-6, 24);
   const hilo = centralRange(0, 24);
-  let fetches = 0;
-  let warmed = 0;
+  const tally = { checked: 0, fresh: 0, warmed: 0, failed: 0 };
+  const fetches = () => tally.warmed + tally.failed;
+  const warm = async (params) => {
+    tally[await warmOne(env, params)]++;
+    tally.checked++;
+  };
+  const predictionStations = STATIONS.filter((s) => s.hasPredictions);
+  let touched = 0;
 
   // The web frontend sends units + time_zone as query params, so they're part
   // of the cache key. Include them here so warmed keys match client keys.
   // (application/format are stripped from the key, so they don't matter.)
   const base = { units: 'english', time_zone: 'lst_ldt', datum: 'MLLW' };
 
-  for (const s of STATIONS) {
-    if (!s.hasPredictions) continue;
-    if (fetches >= FETCH_BUDGET) break;
+  for (const s of predictionStations) {
+    if (fetches() >= FETCH_BUDGET) break;
+
+    await warm({ ...base, station: s.id, product: 'predictions', begin_date: curve.begin, end_date: curve.end, interval: '6' });
+    if (fetches() >= FETCH_BUDGET) break;
+
+    await warm({ ...base, station: s.id, product: 'predictions', begin_date: hilo.begin, end_date: hilo.end, interval: 'hilo' });
+    touched++;
+  }
+
+  // Tidal currents: same day-aligned windows the current panel requests
+  // (curve -6h..+24h, max/slack 0..+48h). No datum — currents don't take one.
+  const slack = centralRange(0, 48);
+  const currentBase = { units: 'english', time_zone: 'lst_ldt' };
+  for (const c of CURRENT_STATIONS) {
+    if (fetches() >= FETCH_BUDGET) break;
+    const common = { ...currentBase, station: c.id, product: 'currents_predictions', bin: c.bin };
 
-    const curveParams = { ...base, station: s.id, product: 'predictions', begin_date: curve.begin, end_date: curve.end, interval: '6' };
-    if (await warmOne(env, curveParams)) fetches++;
-    if (fetches >= FETCH_BUDGET) break;
+    await warm({ ...common, begin_date: curve.begin, end_date: curve.end, interval: '6' });
+    if (fetches() >= FETCH_BUDGET) break;
 
-    const hiloParams = { ...base, station: s.id, product: 'predictions', begin_date: hilo.begin, end_date: hilo.end, interval: 'hilo' };
-    if (await warmOne(env, hiloParams)) fetches++;
-    warmed++;
+    await warm({ ...common, begin_date: slack.begin, end_date: slack.end, interval: 'MAX_SLACK' });
+    touched++;
   }
-  console.log(`[warm] stations touched=${warmed} upstream_fetches=${fetches}`);
+  recordWarm({ ...tally, total: 2 * (predictionStations.length + CURRENT_STATIONS.length) });
+  console.log(`[warm] stations touched=${touched} upstream_fetches=${fetches()} failed=${tally.failed}`);
+  return fetches();
+}
+
+// Free-tier Workers get 50 subrequests per invocation; push rule evaluation
+// gets whatever the warmer left.
+const SUBREQUEST_LIMIT = 50;
+
+async function warmTick(env) {
+  const fetches = await warmPredictions(env);
+  await evaluatePush(env, SUBREQUEST_LIMIT - fetches);
 }
 
 export default {
-  async fetch(request, env) {
+  async fetch(request, env, ctx) {
+    bindMetrics(env);
     try {
-      return await handleRequest(request, env);
+      return await handleRequest(request, env, ctx);
     } catch (err) {
       return json({ error: err.message || 'Internal error' }, { status: 500 });
     }
   },
+  // Two cron triggers (wrangler.toml), each its own invocation with its own
+  // subrequest budget: the prediction warmer followed by push rules, and the
+  // residual monitor, offset by a few minutes so it reads predictions the
+  // warmer just refreshed.
   async scheduled(event, env, ctx) {
-    ctx.waitUntil(warmPredictions(env));
+    bindMetrics(env);
+    ctx.waitUntil(event.cron === WARM_CRON ? warmTick(env) : checkResiduals(env));
   },
 };
@@ -0,0 +1,258 @@
+// Marine forecasts — the NWS Coastal Waters Forecast (CWF) for the zones
+// around a station. The land gridpoint forecast (/points) says nothing about
+// seas, bay chop or Small Craft Advisories, so anglers on the water need the
+// marine zone product instead.
+//
+// Each station is resolved to two GMZ zones: the one it sits in or next to
+// (a bay, the Laguna Madre, or the 0–20 NM coastal waters) and the 20–60 NM
+// waters beyond it. The office's CWF is parsed into per-zone headlines and
+// periods with wind, seas and bay conditions pulled out of the text.
+
+import { cacheKey, TTL, getCached, setCached } from './cache.js';
+import { fetchPoints, fetchMarineZones, fetchLatestProduct } from './upstream.js';
+
+// Most piers and gauges sit on land just outside any marine zone polygon, so
+// the lookup walks seaward until it hits one. The Texas coast faces east below
+// Corpus Christi and turns to face south toward Sabine Pass.
+const NEAR_KM = [0, 3, 8, 15, 25];
+const FAR_KM = [60, 75, 90];
+
+function seawardBearing(lat) {
+  if (lat < 27.9) return 90;
+  if (lat < 28.8) return 135;
+  return 160;
+}
+
+function offset(lat, lon, km, bearing) {
+  const rad = (bearing * Math.PI) / 180;
+  return {
+    lat: lat + (km / 111) * Math.cos(rad),
+    lon: lon + (km / (111 * Math.cos((lat * Math.PI) / 180))) * Math.sin(rad),
+  };
+}
+
+async function zoneAt(lat, lon) {
+  const res = await fetchMarineZones(lat, lon);
+  if (res.error) return { error: res.error };
+  const p = res.features?.[0]?.properties;
+  if (!p?.id) return null;
+  const office = p.cwa?.[0] || p.forecastOffices?.[0]?.split('/').pop() || null;
+  return { id: p.id, name: p.name, office };
+}
+
+async function probe(lat, lon, distances, skip) {
+  const bearing = seawardBearing(lat);
+  for (const km of distances) {
+    const at = offset(lat, lon, km, bearing);
+    const zone = await zoneAt(at.lat, at.lon);
+    if (zone?.error) return zone;
+    if (zone && zone.id !== skip) return zone;
+  }
+  return null;
+}
+
+// { local, offshore } zones for a location, cached for weeks. Returns { error }
+// only when NWS couldn't be asked; an inland point resolves to { local: null }.
+async function zonesFor(lat, lon, env) {
+  const key = cacheKey('nws:marine-zones', { lat: lat.toFixed(4), lon: lon.toFixed(4) });
+  const hit = await getCached(env, key, TTL.zones);
+  if (hit) return hit.body;
+
+  const local = await probe(lat, lon, NEAR_KM);
+  if (local?.error) return local;
+  const offshore = local ? await probe(lat, lon, FAR_KM, local.id) : null;
+  if (offshore?.error) return offshore;
+
+  // Zones occasionally come back without their office — fall back to the
+  // office that owns the station's land forecast (it issues the CWF too).
+  if (local && (!local.office || (offshore && !offshore.office))) {
+    const points = await fetchPoints(lat, lon);
+    const office = points.properties?.cwa || points.properties?.gridId || null;
+    if (!local.office) local.office = office;
+    if (offshore && !offshore.office) offshore.office = office;
+  }
+
+  const zones = { local, offshore: offshore || null };
+  await setCached(env, key, zones, TTL.zones);
+  return zones;
+}
+
+// ---- CWF parsing ----------------------------------------------------------
+
+const DIRECTIONS = {
+  north: 'N', northeast: 'NE', east: 'E', southeast: 'SE',
+  south: 'S', southwest: 'SW', west: 'W', northwest: 'NW', variable: 'VRB',
+};
+
+// UGC zone codes: "GMZ230>232-250-255-051530-" → GMZ230, GMZ231, GMZ232,
+// GMZ250, GMZ255. The trailing six digits are the segment's expiry.
+function parseUgc(line) {
+  const ids = [];
+  let prefix = '';
+  for (const token of line.split('-')) {
+    const m = /^([A-Z]{2}Z)?(\d{3})(?:>(\d{3}))?$/.exec(token.trim());
+    if (!m) continue;
+    if (m[1]) prefix = m[1];
+    if (!prefix) continue;
+    const last = m[3] ? parseInt(m[3]) : parseInt(m[2]);
+    for (let n = parseInt(m[2]); n <= last; n++) ids.push(`${prefix}${String(n).padStart(3, '0')}`);
+  }
+  return ids;
+}
+
+const ISSUED = /^\d{3,4} [AP]M [A-Z]{3}/;
+
+const squash = (text) => text.replace(/\s+/g, ' ').trim();
+
+function sentenceCase(text) {
+  const lower = text.toLowerCase();
+  return lower[0].toUpperCase() + lower.slice(1);
+}
+
+function hazardLevel(text) {
+  if (/warning/i.test(text)) return 'warning';
+  if (/watch/i.test(text)) return 'watch';
+  if (/advisory/i.test(text)) return 'advisory';
+  return 'statement';
+}
+
+function parseWind(text) {
+  const m = /\b(north|northeast|east|southeast|south|southwest|west|northwest|variable)\s+winds?\s+(around\s+|up\s+to\s+|less\s+than\s+)?(\d+)(?:\s+to\s+(\d+))?\s+knots/i.exec(text)
+    || /\bwinds?\s+(variable)\s+(around\s+|up\s+to\s+|less\s+than\s+)?(\d+)(?:\s+to\s+(\d+))?\s+knots/i.exec(text);
+  if (!m) return null;
+  const gust = /gusts?\s+(?:up\s+)?to\s+(\d+)\s+knots/i.exec(text);
+  const upTo = /^(up|less)/i.test(m[2] || '');
+  return {
+    direction: DIRECTIONS[m[1].toLowerCase()],
+    low: upTo ? 0 : parseInt(m[3]),
+    high: m[4] ? parseInt(m[4]) : parseInt(m[3]),
+    gust: gust ? parseInt(gust[1]) : null,
+  };
+}
+
+function parseSeas(text) {
+  const m = /\b(?:seas|waves)\s+(?:around\s+|up\s+to\s+)?(\d+)(?:\s+to\s+(\d+))?\s+(?:feet|foot)(\s+or\s+less)?/i.exec(text);
+  if (!m) return null;
+  const high = m[2] ? parseInt(m[2]) : parseInt(m[1]);
+  return { low: m[3] ? 0 : parseInt(m[1]), high };
+}
+
+// "Bays and waterways a moderate chop." / "Bay waters choppy." / "Laguna
+// Madre smooth." → "moderate chop" / "choppy" / "smooth".
+function parseBays(text) {
+  const m = /\b(?:bays?(?:\s+and\s+waterways|\s+waters)?|laguna\s+madre)\s+(?:a\s+|an\s+)?([^.]+)\./i.exec(text);
+  return m ? squash(m[1]).toLowerCase() : null;
+}
+
+function parsePeriods(body) {
+  const periods = [];
+  const re = /^\.([A-Z][A-Z0-9 ]*?)\.\.\.([\s\S]*?)(?=^\.[A-Z][A-Z0-9 ]*?\.\.\.|$(?![\s\S]))/gm;
+  let m;
+  while ((m = re.exec(body))) {
+    const text = squash(m[2]);
+    periods.push({
+      name: sentenceCase(m[1].trim()),
+      text,
+      wind: parseWind(text),
+      seas: parseSeas(text),
+      bays: parseBays(text),
+    });
+  }
+  return periods;
+}
+
+// One CWF segment: UGC line(s), zone name ending in "-", issuance time, then
+// "...HEADLINE..." lines and ".PERIOD...text" forecasts. The synopsis segment
+// has one ".SYNOPSIS..." paragraph instead of periods.
+function parseSegment(segment) {
+  const lines = segment.replace(/\r/g, '').split('\n');
+  const start = lines.findIndex((l) => /^[A-Z]{2}Z\d{3}/.test(l));
+  if (start < 0) return null;
+  let i = start;
+  let ugc = '';
+  while (i < lines.length) {
+    ugc += lines[i].trim();
+    i++;
+    if (/\d{6}-$/.test(ugc)) break;
+  }
+  // One name line per zone (long names wrap), each ending in "-".
+  const names = [];
+  let name = '';
+  while (i < lines.length && !ISSUED.test(lines[i])) {
+    name = squash(`${name} ${lines[i++]}`);
+    if (name.endsWith('-')) { names.push(name.slice(0, -1).trim()); name = ''; }
+  }
+  if (name) names.push(name);
+  const issued = squash(lines[i++] || '');
+  const body = lines.slice(i).join('\n').trim();
+
+  if (/^synopsis/i.test(names[0] || '')) {
+    const text = squash(body.replace(/^\.SYNOPSIS\.\.\./i, ''));
+    return { zones: parseUgc(ugc), names, issued, headlines: [], synopsis: text, periods: [] };
+  }
+
+  const firstPeriod = body.search(/^\.[A-Z]/m);
+  const preamble = firstPeriod < 0 ? body : body.slice(0, firstPeriod);
+  const headlines = [...preamble.matchAll(/\.\.\.([\s\S]+?)\.\.\./g)].map((h) => {
+    const text = sentenceCase(squash(h[1])).replace(/\b(cdt|cst)\b/g, (z) => z.toUpperCase());
+    return { text, level: hazardLevel(text) };
+  });
+
+  return {
+    zones: parseUgc(ugc),
+    names,
+    issued,
+    headlines,
+    synopsis: null,
+    periods: firstPeriod < 0 ? [] : parsePeriods(body.slice(firstPeriod)),
+  };
+}
+
+export function parseCwf(text) {
+  return text.split(/^\$\$/m).map(parseSegment).filter(Boolean);
+}
+
+async function officeCwf(office, env) {
+  const key = cacheKey('nws:cwf', { office });
+  const hit = await getCached(env, key, TTL.nws);
+  if (hit && hit.expiresAt > Date.now()) return hit.body;
+
+  const product = await fetchLatestProduct('CWF', office);
+  if (product.error || !product.productText) return hit ? hit.body : null;
+  const parsed = { issuedAt: product.issuanceTime, segments: parseCwf(product.productText) };
+  await setCached(env, key, parsed, TTL.nws);
+  return parsed;
+}
+
+function zoneForecast(zone, cwf, kind) {
+  const segment = cwf?.segments.find((s) => !s.synopsis && s.zones.includes(zone.id));
+  if (!segment) return null;
+  // The synopsis carries its own zone code (GMZ200...), not the zones it covers.
+  const synopsis = cwf.segments.find((s) => s.synopsis);
+  return {
+    id: zone.id,
+    kind,
+    name: segment.names[segment.zones.indexOf(zone.id)] || zone.name,
+    office: zone.office,
+    issuedAt: cwf.issuedAt,
+    headlines: segment.headlines,
+    synopsis: synopsis?.synopsis || null,
+    periods: segment.periods,
+  };
+}
+
+// Marine forecast for a location: { zones: [local, offshore?] }.
+export async function marineForecast(lat, lon, env) {
+  const found = await zonesFor(lat, lon, env);
+  if (found.error) return { status: 502, body: { error: 'Marine zone lookup failed' } };
+  if (!found.local) return { status: 404, body: { error: 'No marine zone near this location' } };
+
+  const zones = [];
+  for (const [zone, kind] of [[found.local, 'local'], [found.offshore, 'offshore']]) {
+    if (!zone?.office) continue;
+    const forecast = zoneForecast(zone, await officeCwf(zone.office, env), kind);
+    if (forecast) zones.push(forecast);
+  }
+  if (!zones.length) return { status: 404, body: { error: 'No coastal waters forecast available' } };
+  return { status: 200, body: { zones } };
+}
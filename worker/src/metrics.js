@@ -0,0 +1,55 @@
+// Worker metrics — data points written to Workers Analytics Engine through the
+// METRICS binding (wrangler.toml), read back by /admin/metrics (src/admin.js)
+// through the Analytics Engine SQL API. Writes are fire-and-forget and never
+// fail a request; with no binding (local dev) every call is a no-op.
+//
+// Data points, by blob1 (index = blob1):
+//   cache     blob2 tier ('edge' | 'kv'), blob3 outcome ('hit' | 'stale' |
+//             'miss'), blob4 tier policy ('hot' | 'durable')
+//   response  blob2 how cached() answered ('hit' | 'stale' | 'miss' | 'error')
+//   upstream  blob2 upstream ('noaa' | 'nws' | 'usno' | 'ndbc' | 'nhc'), blob3
+//             outcome ('ok' | 'error' | 'timeout'); double1 latency ms,
+//             double2 HTTP status (0 when none came back)
+//   warm      one per warmer tick; double1 keys checked, double2 keys already
+//             fresh, double3 keys refreshed, double4 refreshes that failed,
+//             double5 keys in the full set
+
+export const METRICS_DATASET = 'slackwater_metrics';
+
+// The binding is the same object for every request an isolate serves, so the
+// entry points hand it over once and the upstream clients, which never see
+// `env`, can record too.
+let dataset = null;
+
+export function bindMetrics(env) {
+  dataset = env.METRICS || null;
+}
+
+function write(blobs, doubles = [1]) {
+  try {
+    dataset?.writeDataPoint({ indexes: [blobs[0]], blobs, doubles });
+  } catch (err) {
+    console.warn(`[metrics] write failed: ${err.message}`);
+  }
+}
+
+// One cache tier lookup and how it went.
+export function recordCache(tier, outcome, policy) {
+  write(['cache', tier, outcome, policy]);
+}
+
+// How a cached() route answered: fresh hit, stale (revalidating), miss
+// fetched upstream, or an error response.
+export function recordResponse(outcome) {
+  write(['response', outcome]);
+}
+
+// One upstream request.
+export function recordUpstream(upstream, outcome, ms, status = 0) {
+  write(['upstream', upstream, outcome], [ms, status]);
+}
+
+// One warmer tick: { checked, fresh, warmed, failed, total } prediction keys.
+export function recordWarm({ checked, fresh, warmed, failed, total }) {
+  write(['warm'], [checked, fresh, warmed, failed, total]);
+}
@@ -0,0 +1,65 @@
+// NDBC buoys and C-MAN stations — parses the realtime2 standard
+// meteorological text file into observations in the app's units.
+//
+//   #YY  MM DD hh mm WDIR WSPD GST  WVHT   DPD   APD MWD   PRES  ATMP  WTMP  DEWP  VIS PTDY  TIDE
+//   #yr  mo dy hr mn degT m/s  m/s     m   sec   sec degT   hPa  degC  degC  degC  nmi  hPa    ft
+//   2025 08 25 18 50 130  6.0  7.0   1.2     6   4.8 140 1012.3  27.1  28.4  23.4   MM   MM    MM
+//
+// Times are UTC; "MM" is missing. C-MAN stations report no waves.
+
+import { fetchNdbcRealtime } from './upstream.js';
+
+const MS_TO_KT = 1.94384;
+const M_TO_FT = 3.28084;
+const cToF = (c) => (c == null ? null : Math.round((c * 9 / 5 + 32) * 10) / 10);
+const round = (v, places = 1) => (v == null ? null : Math.round(v * 10 ** places) / 10 ** places);
+
+export function parseRealtime2(text) {
+  const lines = text.split('\n');
+  const header = lines.find((l) => l.startsWith('#YY'));
+  if (!header) return [];
+  const cols = header.slice(1).trim().split(/\s+/);
+  const idx = Object.fromEntries(cols.map((c, i) => [c, i]));
+  const value = (f, name) => {
+    const v = f[idx[name]];
+    if (v === undefined || v === 'MM') return null;
+    const n = parseFloat(v);
+    return isNaN(n) ? null : n;
+  };
+
+  const out = [];
+  for (const line of lines) {
+    if (!line.trim() || line.startsWith('#')) continue;
+    const f = line.trim().split(/\s+/);
+    const time = Date.UTC(+f[idx.YY], +f[idx.MM] - 1, +f[idx.DD], +f[idx.hh], +f[idx.mm]);
+    if (isNaN(time)) continue;
+    const wspd = value(f, 'WSPD'), gst = value(f, 'GST'), wvht = value(f, 'WVHT');
+    out.push({
+      time: new Date(time).toISOString(),
+      windDir: value(f, 'WDIR'),
+      windKt: round(wspd == null ? null : wspd * MS_TO_KT),
+      gustKt: round(gst == null ? null : gst * MS_TO_KT),
+      waveFt: round(wvht == null ? null : wvht * M_TO_FT),
+      dominantPeriod: value(f, 'DPD'),
+      averagePeriod: value(f, 'APD'),
+      waveDir: value(f, 'MWD'),
+      pressureMb: value(f, 'PRES'),
+      airF: cToF(value(f, 'ATMP')),
+      waterF: cToF(value(f, 'WTMP')),
+    });
+  }
+  return out;
+}
+
+// Producer for cached(): { station, observations } — the last `hours` before
+// the newest report, oldest first — or { error }.
+export async function buoyObservations(stationId, hours) {
+  const res = await fetchNdbcRealtime(stationId);
+  if (res.error) return { error: res.error };
+  const all = parseRealtime2(res.text);
+  if (!all.length) return { error: { message: 'No data was found' } };
+  const newest = Date.parse(all[0].time);
+  const since = newest - hours * 3600 * 1000;
+  const observations = all.filter((o) => Date.parse(o.time) >= since).reverse();
+  return { station: stationId.toUpperCase(), observations };
+}
@@ -0,0 +1,260 @@
+// Web Push for favorite stations. The app registers a browser push
+// subscription plus rules ("high tide in 60 min at Rockport", "wind above
+// 20 kn at Bob Hall Pier", ...); the warm cron evaluates every rule and
+// pushes when one fires. Subscriptions live in KV under push:sub:<id> with no
+// expiry — they're removed on unsubscribe or when the push service reports
+// them gone.
+
+import { cacheKey, canonicalizeNoaa, TTL, getCached, setCached } from './cache.js';
+import { noaaGet } from './upstream.js';
+import { centralRange, parseCentral, centralClock } from './time.js';
+import { sendPush } from './webpush.js';
+import { STATIONS } from './stations.js';
+import { solunarDays } from './solunar.js';
+
+const SUB_PREFIX = 'push:sub:';
+const MAX_RULES = 40;
+
+// type -> { default value, [min, max] }. value is lead minutes for the event
+// rules, feet / knots for the thresholds.
+export const RULE_TYPES = {
+  'high-tide': { value: 60, range: [15, 720] },
+  'water-above': { value: 3, range: [-5, 20] },
+  'wind-above': { value: 20, range: [1, 100] },
+  'solunar-major': { value: 15, range: [15, 720] },
+};
+
+const stationsById = new Map(STATIONS.map((s) => [s.id, s]));
+
+export function vapidConfig(env) {
+  if (!env.VAPID_PUBLIC_KEY || !env.VAPID_PRIVATE_KEY) return null;
+  return { publicKey: env.VAPID_PUBLIC_KEY, privateKey: env.VAPID_PRIVATE_KEY, subject: env.VAPID_SUBJECT || 'https://slackwater.app' };
+}
+
+async function subscriptionId(endpoint) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(endpoint));
+  return [...new Uint8Array(digest)].slice(0, 16).map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Push services are https. A plain-http localhost endpoint is only accepted
+// with PUSH_ALLOW_LOCAL (set in .dev.vars) — that's the stand-in from
+// scripts/push-standin.mjs.
+function endpointAllowed(endpoint, env) {
+  let url;
+  try { url = new URL(endpoint); } catch { return false; }
+  if (url.protocol === 'https:') return true;
+  return env.PUSH_ALLOW_LOCAL === 'true' && url.protocol === 'http:' && ['localhost', '127.0.0.1'].includes(url.hostname);
+}
+
+// Validate a subscribe body → { subscription, rules } or { error }.
+function parseSubscribe(body, env) {
+  const sub = body?.subscription;
+  if (!sub?.endpoint || !sub.keys?.p256dh || !sub.keys?.auth) return { error: 'subscription with endpoint and keys is required' };
+  if (!endpointAllowed(sub.endpoint, env)) return { error: 'Unsupported push endpoint' };
+  if (!Array.isArray(body.rules)) return { error: 'rules must be an array' };
+  if (body.rules.length > MAX_RULES) return { error: `At most ${MAX_RULES} rules` };
+
+  const rules = [];
+  for (const r of body.rules) {
+    const spec = RULE_TYPES[r?.type];
+    if (!spec) return { error: `Unknown rule type: ${r?.type}` };
+    if (!stationsById.has(String(r.station))) return { error: `Unknown station: ${r.station}` };
+    const value = r.value == null ? spec.value : Number(r.value);
+    if (!Number.isFinite(value) || value < spec.range[0] || value > spec.range[1]) {
+      return { error: `${r.type} value must be between ${spec.range[0]} and ${spec.range[1]}` };
+    }
+    rules.push({ id: `${r.type}:${r.station}`, type: r.type, station: String(r.station), value });
+  }
+  return {
+    subscription: { endpoint: sub.endpoint, keys: { p256dh: sub.keys.p256dh, auth: sub.keys.auth } },
+    rules,
+  };
+}
+
+async function readJson(request) {
+  try { return await request.json(); } catch { return null; }
+}
+
+/**
+ * /api/push/* routes. Returns { status, body }.
+ *   GET  vapid-key     application server public key for pushManager.subscribe
+ *   POST subscribe     { subscription, rules: [{ station, type, value }] } — replaces the rule set
+ *   POST unsubscribe   { endpoint }
+ *   POST test          { endpoint } — send a test notification now
+ */
+export async function handlePush(sub, request, env) {
+  const vapid = vapidConfig(env);
+  if (sub === 'vapid-key' && request.method === 'GET') {
+    if (!vapid) return { status: 503, body: { error: 'Push is not configured' } };
+    return { status: 200, body: { publicKey: vapid.publicKey } };
+  }
+  if (request.method !== 'POST') return { status: 405, body: { error: 'Method not allowed' } };
+  if (!vapid) return { status: 503, body: { error: 'Push is not configured' } };
+
+  const body = await readJson(request);
+  if (sub === 'subscribe') {
+    const parsed = parseSubscribe(body, env);
+    if (parsed.error) return { status: 400, body: { error: parsed.error } };
+    const id = await subscriptionId(parsed.subscription.endpoint);
+    const prev = await env.CACHE.get(SUB_PREFIX + id, { type: 'json' });
+    // Keep delivery state for rules that survive the update.
+    const sent = {};
+    for (const r of parsed.rules) if (prev?.sent?.[r.id] !== undefined) sent[r.id] = prev.sent[r.id];
+    await env.CACHE.put(SUB_PREFIX + id, JSON.stringify({
+      subscription: parsed.subscription, rules: parsed.rules, sent,
+      createdAt: prev?.createdAt || new Date().toISOString(),
+    }));
+    return { status: 200, body: { id, rules: parsed.rules.length } };
+  }
+
+  if (!body?.endpoint) return { status: 400, body: { error: 'endpoint is required' } };
+  const id = await subscriptionId(body.endpoint);
+  if (sub === 'unsubscribe') {
+    await env.CACHE.delete(SUB_PREFIX + id);
+    return { status: 200, body: { ok: true } };
+  }
+  if (sub === 'test') {
+    const record = await env.CACHE.get(SUB_PREFIX + id, { type: 'json' });
+    if (!record) return { status: 404, body: { error: 'Unknown subscription' } };
+    const res = await sendPush(record.subscription, {
+      title: 'Slackwater', body: 'Alerts are on for your favorite stations.', tag: 'test', url: '/',
+    }, vapid);
+    if (res.gone) await env.CACHE.delete(SUB_PREFIX + id);
+    return { status: res.ok ? 200 : 502, body: res.ok ? { ok: true } : { error: `Push service returned ${res.status || res.error}` } };
+  }
+  return { status: 404, body: { error: 'Unknown push endpoint' } };
+}
+
+// ---- Rule evaluation (cron) --------------------------------------------------
+
+// Read a NOAA response through the shared cache, using the same key the app
+// uses; only a miss costs an upstream fetch (drawn from budget.left).
+async function cachedNoaa(env, params, ttl, budget) {
+  const key = cacheKey('noaa:query', params);
+  const hit = await getCached(env, key, ttl);
+  if (hit && hit.expiresAt > Date.now()) return hit.body;
+  if (budget.left <= 0) return hit?.body || null;
+  budget.left--;
+  const data = await noaaGet(params);
+  if (data.error) return hit?.body || null;
+  await setCached(env, key, data, ttl);
+  return data;
+}
+
+// Per-station inputs, fetched at most once per tick however many rules use them.
+function stationData(env, budget) {
+  const memo = new Map();
+  const once = (key, fn) => {
+    if (!memo.has(key)) memo.set(key, fn());
+    return memo.get(key);
+  };
+  const base = { units: 'english', time_zone: 'lst_ldt' };
+  return {
+    // Warmer's hi/lo window — normally already in KV.
+    hilo: (id) => once(`hilo:${id}`, async () => {
+      const r = centralRange(0, 24);
+      const params = canonicalizeNoaa({ ...base, datum: 'MLLW', station: id, product: 'predictions', begin_date: r.begin, end_date: r.end, interval: 'hilo' });
+      const data = await cachedNoaa(env, params, TTL.predictions, budget);
+      return (data?.predictions || []).map((p) => ({ time: parseCentral(p.t), ft: parseFloat(p.v), type: p.type }));
+    }),
+    waterLevel: (id) => once(`wl:${id}`, async () => {
+      const data = await cachedNoaa(env, { ...base, station: id, product: 'water_level', date: 'latest', datum: 'MLLW' }, TTL.live, budget);
+      const v = parseFloat(data?.data?.[0]?.v);
+      return isNaN(v) ? null : v;
+    }),
+    wind: (id) => once(`wind:${id}`, async () => {
+      const data = await cachedNoaa(env, { ...base, station: id, product: 'wind', date: 'latest' }, TTL.live, budget);
+      const w = data?.data?.[0];
+      return w && !isNaN(parseFloat(w.s)) ? { speed: parseFloat(w.s), gust: parseFloat(w.g), dir: w.dr } : null;
+    }),
+    majors: (station) => once(`solunar:${station.id}`, async () =>
+      solunarDays(station.lat, station.lon, 2).flatMap((d) => d.majors)),
+  };
+}
+
+// Check one rule. Returns { notify, mark } — `mark` is the rule's new delivery
+// state: the event time already notified for event rules, or true while a
+// threshold rule is tripped (cleared once the reading drops back, re-arming it).
+async function checkRule(rule, station, data, sent, now) {
+  const leadMs = rule.value * 60000;
+  if (rule.type === 'high-tide') {
+    const events = await data.hilo(station.id);
+    const next = events.find((e) => e.type === 'H' && e.time && e.time > now && e.time - now <= leadMs);
+    if (!next || sent === next.time.toISOString()) return { mark: sent };
+    return {
+      mark: next.time.toISOString(),
+      notify: { title: `High tide · ${station.name}`, body: `${next.ft.toFixed(1)} ft at ${centralClock(next.time)}` },
+    };
+  }
+  if (rule.type === 'solunar-major') {
+    const majors = await data.majors(station);
+    const next = majors.find((p) => p.start > now && p.start - now <= leadMs);
+    if (!next || sent === next.start.toISOString()) return { mark: sent };
+    return {
+      mark: next.start.toISOString(),
+      notify: { title: `Solunar major · ${station.name}`, body: `${centralClock(next.start)} – ${centralClock(next.end)}` },
+    };
+  }
+  if (rule.type === 'water-above') {
+    const ft = await data.waterLevel(station.id);
+    if (ft == null) return { mark: sent };
+    if (ft <= rule.value - 0.1) return { mark: undefined };
+    if (ft <= rule.value || sent) return { mark: sent };
+    return { mark: true, notify: { title: `High water · ${station.name}`, body: `Water level ${ft.toFixed(2)} ft MLLW — above your ${rule.value} ft alert` } };
+  }
+  if (rule.type === 'wind-above') {
+    const w = await data.wind(station.id);
+    if (!w) return { mark: sent };
+    if (w.speed <= rule.value - 2) return { mark: undefined };
+    if (w.speed <= rule.value || sent) return { mark: sent };
+    const gust = isNaN(w.gust) ? '' : `, gusting ${Math.round(w.gust)}`;
+    return { mark: true, notify: { title: `Wind · ${station.name}`, body: `${Math.round(w.speed)} kn ${w.dir || ''}${gust} — above your ${rule.value} kn alert` } };
+  }
+  return { mark: sent };
+}
+
+// Cron entry point (runs after the warmer on the same tick). `budget` is the
+// number of subrequests left in this invocation; data fetches and pushes both
+// draw from it.
+export async function evaluatePush(env, budget) {
+  const vapid = vapidConfig(env);
+  if (!vapid) return;
+  const left = { left: budget };
+  const data = stationData(env, left);
+  const now = new Date();
+  let subs = 0, sent = 0, removed = 0;
+
+  let cursor;
+  do {
+    const page = await env.CACHE.list({ prefix: SUB_PREFIX, cursor });
+    cursor = page.list_complete ? undefined : page.cursor;
+    for (const { name } of page.keys) {
+      const record = await env.CACHE.get(name, { type: 'json' });
+      if (!record) continue;
+      subs++;
+      let changed = false;
+      let gone = false;
+      for (const rule of record.rules) {
+        const station = stationsById.get(rule.station);
+        if (!station || left.left <= 0) continue;
+        const { mark, notify } = await checkRule(rule, station, data, record.sent[rule.id], now);
+        if (notify) {
+          left.left--;
+          const res = await sendPush(record.subscription, { ...notify, tag: rule.id, station: station.id, url: '/' }, vapid);
+          if (res.gone) { gone = true; break; }
+          if (!res.ok) continue; // retry next tick
+          sent++;
+        }
+        if (mark !== record.sent[rule.id]) {
+          if (mark === undefined) delete record.sent[rule.id];
+          else record.sent[rule.id] = mark;
+          changed = true;
+        }
+      }
+      if (gone) { await env.CACHE.delete(name); removed++; }
+      else if (changed) await env.CACHE.put(name, JSON.stringify(record));
+    }
+  } while (cursor);
+
+  console.log(`[push] subscriptions=${subs} sent=${sent} removed=${removed} budget_left=${left.left}`);
+}
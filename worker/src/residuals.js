@@ -0,0 +1,153 @@
+// Residual (storm surge) monitor. On its cron tick it compares the last few
+// hours of observed water level against predictions for every prediction
+// station and flags the ones running RESIDUAL_THRESHOLD_FT above or below
+// prediction for RESIDUAL_DURATION_MIN straight — a norther pushing water out
+// of the bays, or surge ahead of a tropical system. The whole coast's state is
+// one KV entry, served by /api/residuals without entries gone stale.
+
+import { cacheKey, canonicalizeNoaa, TTL, getCached, setCached } from './cache.js';
+import { noaaGet } from './upstream.js';
+import { centralRange } from './time.js';
+import { STATIONS } from './stations.js';
+
+export const RESIDUALS_KEY = 'residuals:state';
+
+// Kept well past a tick so a missed run still serves the last picture (each
+// station carries its own sample time, so clients can see how old it is).
+const STATE_TTL = 2 * 60 * 60;
+
+// Ticks are 15 minutes apart. A station no tick has refreshed in a couple of
+// them (its gauge stopped reporting, or runs keep falling short of it) drops
+// out instead of being served as the current reading.
+const ENTRY_MAX_AGE_MS = 40 * 60 * 1000;
+
+/** The `stations` map without entries older than ENTRY_MAX_AGE_MS. */
+export function freshStations(stations, now = Date.now()) {
+  return Object.fromEntries(Object.entries(stations || {})
+    .filter(([, e]) => e.checkedAt && now - Date.parse(e.checkedAt) <= ENTRY_MAX_AGE_MS));
+}
+
+function config(env) {
+  return {
+    thresholdFt: parseFloat(env.RESIDUAL_THRESHOLD_FT || '1.0'),
+    durationMinutes: parseInt(env.RESIDUAL_DURATION_MIN || '60'),
+    budget: parseInt(env.RESIDUAL_FETCH_BUDGET || '45'),
+  };
+}
+
+// The same day-aligned 6-minute prediction window the warmer fills, so this
+// is normally a KV read rather than an upstream fetch.
+function predictionParams(stationId) {
+  const curve = centralRange(-6, 24);
+  return canonicalizeNoaa({
+    units: 'english', time_zone: 'lst_ldt', datum: 'MLLW',
+    station: stationId, product: 'predictions',
+    begin_date: curve.begin, end_date: curve.end, interval: '6',
+  });
+}
+
+// Returns [{ t, r }] — residual (ft) per observed 6-minute sample that has a
+// matching prediction. NOAA times are Central wall-clock strings on both
+// sides, so they match as strings.
+function residualSeries(observed, predicted) {
+  const pred = new Map((predicted || []).map((p) => [p.t, parseFloat(p.v)]));
+  const out = [];
+  for (const o of observed || []) {
+    const v = parseFloat(o.v);
+    const p = pred.get(o.t);
+    if (isNaN(v) || p === undefined || isNaN(p)) continue;
+    out.push({ t: o.t, r: v - p });
+  }
+  return out;
+}
+
+// Summarize a station's series: the trailing run of samples past the
+// threshold on the same side as the latest one.
+function evaluate(station, series, prev, cfg) {
+  const latest = series[series.length - 1];
+  const dir = latest.r >= cfg.thresholdFt ? 'high' : latest.r <= -cfg.thresholdFt ? 'low' : null;
+
+  let run = 0;
+  if (dir) {
+    for (let i = series.length - 1; i >= 0; i--) {
+      const r = series[i].r;
+      if (dir === 'high' ? r >= cfg.thresholdFt : r <= -cfg.thresholdFt) run++;
+      else break;
+    }
+  }
+  const runSamples = series.slice(series.length - run);
+  let since = run ? runSamples[0].t : null;
+  let peak = run ? runSamples.reduce((m, s) => (Math.abs(s.r) > Math.abs(m) ? s.r : m), 0) : null;
+
+  // The fetch window is short; carry an ongoing event's start and peak
+  // forward from the previous tick.
+  if (dir && prev?.direction === dir && prev.since && run === series.length) {
+    since = prev.since < since ? prev.since : since;
+    if (Math.abs(prev.peak) > Math.abs(peak)) peak = prev.peak;
+  }
+
+  const minutes = run * 6;
+  return {
+    id: station.id,
+    name: station.name,
+    residual: +latest.r.toFixed(2),
+    time: latest.t,
+    direction: dir,
+    flagged: !!dir && (minutes >= cfg.durationMinutes || (prev?.flagged && prev.direction === dir)),
+    since,
+    peak: peak == null ? null : +peak.toFixed(2),
+    checkedAt: new Date().toISOString(),
+  };
+}
+
+// Cron entry point. Observed water level costs one upstream fetch per
+// station; predictions come from the warmer's cache (a miss is fetched and
+// cached, and counts against the budget). Stations not reached this tick keep
+// their previous entry until it ages out; the next tick starts where this one
+// stopped.
+export async function checkResiduals(env) {
+  const cfg = config(env);
+  const prevHit = await getCached(env, RESIDUALS_KEY, STATE_TTL);
+  const prev = prevHit?.body || { stations: {}, cursor: 0 };
+  const stations = STATIONS.filter((s) => s.hasPredictions);
+  const hours = Math.ceil(cfg.durationMinutes / 60) + 1;
+
+  const carried = freshStations(prev.stations);
+  const next = { ...carried };
+  let fetches = 0;
+  let checked = 0;
+  const start = (prev.cursor || 0) % stations.length;
+
+  for (; checked < stations.length; checked++) {
+    if (fetches + 2 > cfg.budget) break; // worst case: predictions miss + observed
+    const s = stations[(start + checked) % stations.length];
+
+    const params = predictionParams(s.id);
+    const key = cacheKey('noaa:query', params);
+    let predictions = (await getCached(env, key, TTL.predictions))?.body;
+    if (!predictions) {
+      predictions = await noaaGet(params);
+      fetches++;
+      if (predictions.error) continue;
+      await setCached(env, key, predictions, TTL.predictions);
+    }
+
+    const observed = await noaaGet({ station: s.id, product: 'water_level', datum: 'MLLW', range: String(hours) });
+    fetches++;
+    if (observed.error) continue;
+
+    const series = residualSeries(observed.data, predictions.predictions);
+    if (!series.length) continue;
+    next[s.id] = evaluate(s, series, carried[s.id], cfg);
+  }
+
+  const flagged = Object.values(next).filter((e) => e.flagged);
+  await setCached(env, RESIDUALS_KEY, {
+    updatedAt: new Date().toISOString(),
+    thresholdFt: cfg.thresholdFt,
+    durationMinutes: cfg.durationMinutes,
+    cursor: (start + checked) % stations.length,
+    stations: next,
+  }, STATE_TTL);
+  console.log(`[residuals] checked=${checked}/${stations.length} upstream_fetches=${fetches} flagged=${flagged.map((e) => e.id).join(',') || 'none'}`);
+}
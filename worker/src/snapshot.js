@@ -0,0 +1,147 @@
+// Station snapshot — /api/station/:id/snapshot. Everything the station panel
+// shows in one response. The Worker fans out to NOAA, NWS and USNO itself,
+// reading each piece through the same KV keys (and TTLs) the app's separate
+// requests use, and asks once for data two sections share: tide-now and the
+// curve read one prediction curve, tide-now and next-tide one set of hi/lo
+// events. A section that fails comes back null with its reason in `errors`;
+// the rest still render.
+
+import { stationSources, num } from './sources.js';
+import { determineTrend, getTideDirArrow } from './formatting.js';
+
+const HOUR_MS = 3600 * 1000;
+const orNull = (promise) => promise.catch(() => null);
+
+export function closestIndex(points, now) {
+  let best = 0;
+  let bestDiff = Infinity;
+  points.forEach((p, i) => {
+    const diff = Math.abs(p.time - now);
+    if (diff < bestDiff) { bestDiff = diff; best = i; }
+  });
+  return best;
+}
+
+// Rising / falling / steady from the prediction step that straddles `now`.
+export function predictionTrend(predictions, now) {
+  const i = predictions.findIndex((p) => p.time >= now);
+  return i > 0 ? determineTrend(predictions[i].ft, predictions[i - 1].ft) : 'unknown';
+}
+
+// Same shapes the app's per-piece fetchers (js/api/noaa.js, nws.js, usno.js)
+// return, so the panel renders either. Sections skip products the gauge
+// doesn't report rather than spend upstream requests on them.
+const SECTIONS = {
+  async tideNow(src, now, station) {
+    const [latest, predictions, events] = await Promise.all([
+      orNull(src.latest('water_level', 'MLLW')),
+      station.hasPredictions ? orNull(src.predictions()).then((p) => p || []) : [],
+      station.hasPredictions ? orNull(src.hilo()) : null,
+    ]);
+    const observed = num(latest?.v);
+    const predicted = predictions.length ? predictions[closestIndex(predictions, now)].ft : null;
+    const prev = (events || []).filter((e) => e.time <= now).pop();
+    const next = (events || []).find((e) => e.time > now);
+    const phaseText = prev && next
+      ? `${Math.round(((now - prev.time) / (next.time - prev.time)) * 100)}% ${prev.kind}→${next.kind} ${getTideDirArrow(prev.kind, next.kind)}`
+      : 'n/a';
+    return {
+      observed,
+      predicted,
+      delta: observed != null && predicted != null ? observed - predicted : null,
+      trend: predictionTrend(predictions, now),
+      phaseText,
+      local: false,
+    };
+  },
+
+  async nextTide(src, now, station) {
+    if (!station.hasPredictions) return null;
+    const future = (await src.hilo()).filter((e) => e.time > now);
+    if (!future.length) return null;
+    return { first: future[0], second: future[1] || null, local: false };
+  },
+
+  // Predictions clipped to the render window with the last 6 hours observed;
+  // stations without predictions get 24 hours of observations instead, on
+  // whichever datum the gauge reports.
+  async curve(src, now, station) {
+    const begin = now.getTime() - 6 * HOUR_MS;
+    const end = now.getTime() + 24 * HOUR_MS;
+    const all = station.hasPredictions ? await orNull(src.predictions()) : null;
+    const predictions = (all || []).filter((p) => p.time >= begin && p.time <= end);
+    if (!predictions.length) {
+      for (const datum of ['MLLW', 'MSL', 'NAVD']) {
+        const history = await orNull(src.waterLevels(24, datum));
+        if (!history?.length) continue;
+        return {
+          predicted: null,
+          observed: { times: history.map((o) => o.time), heights: history.map((o) => o.ft) },
+          nowIndex: closestIndex(history, now),
+          noPredictions: true,
+        };
+      }
+      throw new Error('No predictions or water level observations');
+    }
+    const observed = await orNull(src.waterLevels(6, 'MLLW'));
+    return {
+      predicted: { times: predictions.map((p) => p.time), heights: predictions.map((p) => p.ft) },
+      observed: observed?.length ? { times: observed.map((o) => o.time), heights: observed.map((o) => o.ft) } : null,
+      nowIndex: closestIndex(predictions, now),
+      noPredictions: false,
+      local: false,
+      reference: null,
+    };
+  },
+
+  async waterTemp(src, now, station) {
+    if (!station.products.includes('water_temperature')) return null;
+    return num((await src.latest('water_temperature'))?.v);
+  },
+
+  async waterTempHistory(src, now, station) {
+    return station.products.includes('water_temperature') ? src.waterTemps(24) : [];
+  },
+
+  // The station's own sensor, else the nearest NWS observation.
+  async airTemp(src, now, station) {
+    const own = station.products.includes('air_temperature')
+      ? num((await orNull(src.latest('air_temperature')))?.v)
+      : null;
+    if (own != null) return own;
+    return (await src.temperature()).temperature;
+  },
+
+  async wind(src, now, station) {
+    if (!station.products.includes('wind')) return null;
+    const w = await src.latest('wind');
+    if (!w) return null;
+    return { speed: num(w.s), gust: num(w.g), direction: w.dr || 'N/A', directionDegrees: num(w.d) };
+  },
+
+  windForecast: (src) => src.forecast12h(),
+  pressure: (src) => src.pressure(),
+  sunMoon: (src) => src.sunMoon(),
+  marine: (src) => src.marine(),
+};
+
+/**
+ * Compose a station's snapshot: { station, generatedAt, tideNow, nextTide,
+ * curve, waterTemp, waterTempHistory, airTemp, wind, windForecast, pressure,
+ * sunMoon, marine, errors: { section: message } }. Times are ISO instants.
+ */
+export async function stationSnapshot(env, station) {
+  const src = stationSources(env, station);
+  const now = new Date();
+  const out = { station: station.id, generatedAt: now.toISOString() };
+  const errors = {};
+  await Promise.all(Object.entries(SECTIONS).map(async ([name, build]) => {
+    try {
+      out[name] = await build(src, now, station);
+    } catch (err) {
+      out[name] = null;
+      errors[name] = err.message;
+    }
+  }));
+  return { ...out, errors };
+}
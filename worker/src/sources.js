@@ -0,0 +1,101 @@
+// Per-station upstream pieces shared by the snapshot and summary routes.
+// Every piece is read through the KV key the app's own single request for it
+// writes (/api/noaa/query, /api/nws/*, /api/usno/sun-moon), so the composed
+// routes and the single ones warm each other's cache.
+
+import { cacheKey, canonicalizeNoaa, noaaTtl, TTL, getCached, setCached, singleFlight } from './cache.js';
+import { noaaGet, fetchSunMoon, parseSunMoon } from './upstream.js';
+import { forecast12h, pressure, temperature } from './nws.js';
+import { marineForecast } from './marine.js';
+import { centralRange, parseCentral } from './time.js';
+
+// The app's NOAA requests carry these, so they're part of the shared keys.
+const BASE = { units: 'english', time_zone: 'lst_ldt' };
+
+// KV read-through for one piece: fresh hit, else upstream, else stale, else
+// throw. `produce` returns the body or { error }; concurrent misses for a key
+// share one call. With a `budget`, a miss once budget.left is spent serves
+// stale or throws instead of fetching.
+async function readThrough(env, key, ttl, produce, budget) {
+  const hit = await getCached(env, key, ttl);
+  if (hit && hit.expiresAt > Date.now()) return hit.body;
+  if (budget) {
+    if (budget.left <= 0) {
+      if (hit) return hit.body;
+      throw new Error('Upstream budget spent for this request');
+    }
+    budget.left--;
+  }
+  const fresh = await singleFlight(key, async () => {
+    const body = await produce();
+    if (body && !body.error) await setCached(env, key, body, ttl);
+    return body;
+  });
+  if (fresh && !fresh.error) return fresh;
+  if (hit) return hit.body;
+  throw new Error(fresh?.error?.message || fresh?.error || 'Upstream unavailable');
+}
+
+export const num = (v) => (v === '' || v == null || isNaN(parseFloat(v)) ? null : parseFloat(v));
+
+/**
+ * Upstream pieces for one station, memoized by cache key so callers that
+ * need the same data share a single read. Each is read through the KV key
+ * the app's own request for it uses. Pass a shared `budget` ({ left }) to
+ * cap upstream fetches across stations.
+ */
+export function stationSources(env, station, budget = null) {
+  const memo = new Map();
+  const piece = (key, ttl, produce) => {
+    if (!memo.has(key)) memo.set(key, readThrough(env, key, ttl, produce, budget));
+    return memo.get(key);
+  };
+  const noaa = (params) => piece(cacheKey('noaa:query', params), noaaTtl(params), () => noaaGet(params));
+  const nws = (sub, produce) => piece(
+    cacheKey(`nws:${sub}`, { lat: station.lat.toFixed(4), lon: station.lon.toFixed(4) }),
+    TTL.nws,
+    async () => {
+      const res = await produce();
+      return res.status === 200 ? res.body : { error: res.body?.error || `NWS ${res.status}` };
+    },
+  );
+  const id = station.id;
+  const range = (hoursStart, hoursEnd) => {
+    const r = centralRange(hoursStart, hoursEnd);
+    return { begin_date: r.begin, end_date: r.end };
+  };
+  const series = (data, field) => (data.data || []).map((o) => ({ time: parseCentral(o.t), [field]: num(o.v) }));
+
+  return {
+    latest: async (product, datum) => {
+      const data = await noaa({ ...BASE, station: id, product, date: 'latest', ...(datum ? { datum } : {}) });
+      return data.data?.[0] || null;
+    },
+    // The curve window (-6h..+24h), widened to whole days like every prediction key.
+    predictions: async () => {
+      const data = await noaa(canonicalizeNoaa({ ...BASE, datum: 'MLLW', station: id, product: 'predictions', ...range(-6, 24), interval: '6' }));
+      return (data.predictions || []).map((p) => ({ time: parseCentral(p.t), ft: num(p.v) }));
+    },
+    hilo: async () => {
+      const data = await noaa(canonicalizeNoaa({ ...BASE, datum: 'MLLW', station: id, product: 'predictions', ...range(0, 48), interval: 'hilo' }));
+      return (data.predictions || []).map((p) => ({ time: parseCentral(p.t), ft: num(p.v), kind: p.type === 'H' ? 'High' : 'Low' }));
+    },
+    waterLevels: async (hours, datum) =>
+      series(await noaa({ ...BASE, station: id, product: 'water_level', datum, ...range(-hours, 0), interval: '6' }), 'ft'),
+    waterTemps: async (hours) =>
+      series(await noaa({ ...BASE, station: id, product: 'water_temperature', ...range(-hours, 0), interval: '6' }), 'temp'),
+    forecast12h: () => nws('forecast-12h', () => forecast12h(station.lat, station.lon)),
+    pressure: () => nws('pressure', () => pressure(station.lat, station.lon)),
+    temperature: () => nws('temperature', () => temperature(station.lat, station.lon)),
+    marine: () => nws('marine', () => marineForecast(station.lat, station.lon, env)),
+    sunMoon: () => {
+      const date = new Date().toLocaleDateString('en-CA', { timeZone: 'America/Chicago' });
+      const key = cacheKey('usno:sun-moon', { lat: station.lat.toFixed(4), lon: station.lon.toFixed(4), date });
+      return piece(key, TTL.usno, async () => {
+        const raw = await fetchSunMoon(station.lat, station.lon, new Date(date));
+        if (raw.error) return { error: raw.error };
+        return parseSunMoon(raw) || { error: 'No sun/moon data available' };
+      });
+    },
+  };
+}
@@ -1,4 +1,5 @@
-// Texas Coastal Tide Stations (generated from js/data/stations.js)
+// Texas Coastal Tide Stations (generated from js/data/stations.js by
+// scripts/generate-worker-stations.mjs).
 // 44 NOAA CO-OPS stations; 38 have tide predictions.
 // The cron warmer pre-fetches predictions + hi/lo for the 38 prediction stations.
 export const STATIONS = [
@@ -7,307 +8,586 @@ export const STATIONS = [
     "name": "Sabine Pass North",
     "lat": 29.7284,
     "lon": -93.8701,
-    "hasPredictions": true
+    "hasPredictions": true,
+    "products": [
+      "water_level",
+      "predictions",
+      "wind",
+      "water_temperature",
+      "air_temperature",
+      "air_pressure"
+    ]
   },
   {
     "id": "8770475",
     "name": "Port Arthur",
     "lat": 29.86708,
     "lon": -93.931,
-    "hasPredictions": true
+    "hasPredictions": true,
+    "products": [
+      "water_level",
+      "predictions",
+      "wind",
+      "water_temperature",
+      "air_temperature",
+      "air_pressure"
+    ]
   },
   {
     "id": "8770822",
     "name": "Texas Point, Sabine Pass",
     "lat": 29.689,
     "lon": -93.842,
-    "hasPredictions": true
+    "hasPredictions": true,
+    "products": [
+      "water_level",
+      "predictions",
+      "wind",
+      "water_temperature"
+    ]
   },
   {
     "id": "8770613",
     "name": "Morgans Point, Barbours Cut",
     "lat": 29.68169,
     "lon": -94.985,
-    "hasPredictions": true
+    "hasPredictions": true,
+    "products": [
+      "water_level",
+      "predictions",
+      "wind",
+      "water_temperature",
+      "air_temperature",
+      "air_pressure"
+    ]
   },
   {
     "id": "8770777",
     "name": "Manchester",
     "lat": 29.726,
     "lon": -95.266,
-    "hasPredictions": true
+    "hasPredictions": true,
+    "products": [
+      "water_level",
+      "predictions",
+      "water_temperature"
+    ]
   },
   {
     "id": "8770808",
     "name": "High Island",
     "lat": 29.59472,
     "lon": -94.39028,
-    "hasPredictions": false
+    "hasPredictions": false,
+    "products": [
+      "water_level",
+      "water_temperature"
+    ]
   },
   {
     "id": "8770933",
     "name": "Clear Lake",
     "lat": 29.56,
     "lon": -95.03,
-    "hasPredictions": true
+    "hasPredictions": true,
+    "products": [
+      "water_level",
+      "predictions",
+      "water_temperature"
+    ]
   },
   {
     "id": "8770971",
     "name": "Rollover Pass",
     "lat": 29.51556,
     "lon": -94.51056,
-    "hasPredictions": true
+    "hasPredictions": true,
+    "products": [
+      "water_level",
+      "predictions",
+      "wind",
+      "water_temperature",
+      "air_temperature",
+      "air_pressure"
+    ]
   },
   {
     "id": "8771013",
     "name": "Eagle Point, Galveston Bay",
     "lat": 29.481,
     "lon": -94.917,
-    "hasPredictions": true
+    "hasPredictions": true,
+    "products": [
+      "water_level",
+      "predictions",
+      "wind",
+      "water_temperature",
+      "air_temperature",
+      "air_pressure"
+    ]
   },
   {
     "id": "8771262",
     "name": "Texas City",
     "lat": 29.3906,
     "lon": -94.8849,
-    "hasPredictions": true
+    "hasPredictions": true,
+    "products": [
+      "water_level",
+      "predictions",
+      "water_temperature"
+    ]
   },
   {
     "id": "8771341",
     "name": "Galveston Bay Entrance",
     "lat": 29.357,
     "lon": -94.725,
-    "hasPredictions": true
+    "hasPredictions": true,
+    "products": [
+      "water_level",
+      "predictions",
+      "wind",
+      "water_temperature"
+    ]
   },
   {
     "id": "8771450",
     "name": "Galveston Pier 21",
     "lat": 29.31,
     "lon": -94.793,
-    "hasPredictions": true
+    "hasPredictions": true,
+    "products": [
+      "water_level",
+      "predictions",
+      "wind",
+      "water_temperature",
+      "air_pressure"
+    ]
   },
   {
     "id": "8771486",
     "name": "Galveston Railroad Bridge",
     "lat": 29.3026,
     "lon": -94.8971,
-    "hasPredictions": true
+    "hasPredictions": true,
+    "products": [
+      "water_level",
+      "predictions",
+      "wind",
+      "water_temperature",
+      "air_temperature",
+      "air_pressure"
+    ]
   },
   {
     "id": "8771510",
     "name": "Galveston Pleasure Pier",
     "lat": 29.284,
     "lon": -94.788,
-    "hasPredictions": true
+    "hasPredictions": true,
+    "products": [
+      "water_level",
+      "predictions",
+      "water_temperature"
+    ]
   },
   {
     "id": "8771972",
     "name": "San Luis Pass",
     "lat": 29.076,
     "lon": -95.122,
-    "hasPredictions": true
+    "hasPredictions": true,
+    "products": [
+      "water_level",
+      "predictions",
+      "wind",
+      "water_temperature",
+      "air_temperature",
+      "air_pressure"
+    ]
   },
   {
     "id": "8772440",
     "name": "Freeport, DOW Barge Canal",
     "lat": 28.9483,
     "lon": -95.3083,
-    "hasPredictions": true
+    "hasPredictions": true,
+    "products": [
+      "water_level",
+      "predictions",
+      "wind",
+      "water_temperature",
+      "air_temperature",
+      "air_pressure"
+    ]
   },
   {
     "id": "8772447",
     "name": "Freeport Harbor Channel",
     "lat": 28.94331,
     "lon": -95.3025,
-    "hasPredictions": true
+    "hasPredictions": true,
+    "products": [
+      "water_level",
+      "predictions",
+      "wind",
+      "water_temperature",
+      "air_pressure"
+    ]
   },
   {
     "id": "8772471",
     "name": "Freeport Harbor",
     "lat": 28.9357,
     "lon": -95.2942,
-    "hasPredictions": true
+    "hasPredictions": true,
+    "products": [
+      "water_level",
+      "predictions",
+      "wind",
+      "water_temperature",
+      "air_temperature",
+      "air_pressure"
+    ]
   },
   {
     "id": "8772479",
     "name": "Freeport Entrance Jetty",
     "lat": 28.9303,
     "lon": -95.3059,
-    "hasPredictions": true
+    "hasPredictions": true,
+    "products": [
+      "water_level",
+      "predictions"
+    ]
   },
   {
     "id": "8772985",
     "name": "Sargent",
     "lat": 28.771,
     "lon": -95.617,
-    "hasPredictions": true
+    "hasPredictions": true,
+    "products": [
+      "water_level",
+      "predictions",
+      "water_temperature"
+    ]
   },
   {
     "id": "8773146",
     "name": "Matagorda City",
     "lat": 28.71,
     "lon": -95.914,
-    "hasPredictions": true
+    "hasPredictions": true,
+    "products": [
+      "water_level",
+      "predictions",
+      "water_temperature"
+    ]
   },
   {
     "id": "8773259",
     "name": "Port Lavaca",
     "lat": 28.64,
     "lon": -96.609,
-    "hasPredictions": true
+    "hasPredictions": true,
+    "products": [
+      "water_level",
+      "predictions",
+      "wind",
+      "water_temperature",
+      "air_temperature",
+      "air_pressure"
+    ]
   },
   {
     "id": "8773701",
     "name": "Port O'Connor",
     "lat": 28.44586,
     "lon": -96.39556,
-    "hasPredictions": true
+    "hasPredictions": true,
+    "products": [
+      "water_level",
+      "predictions",
+      "wind",
+      "water_temperature",
+      "air_temperature",
+      "air_pressure"
+    ]
   },
   {
     "id": "8773037",
     "name": "Seadrift, San Antonio Bay",
     "lat": 28.407,
     "lon": -96.712,
-    "hasPredictions": true
+    "hasPredictions": true,
+    "products": [
+      "water_level",
+      "predictions",
+      "wind",
+      "water_temperature",
+      "air_temperature",
+      "air_pressure"
+    ]
   },
   {
     "id": "8774513",
     "name": "Copano Bay",
     "lat": 28.114,
     "lon": -97.024,
-    "hasPredictions": true
+    "hasPredictions": true,
+    "products": [
+      "water_level",
+      "predictions",
+      "wind",
+      "water_temperature"
+    ]
   },
   {
     "id": "8774770",
     "name": "Rockport",
     "lat": 28.022,
     "lon": -97.047,
-    "hasPredictions": true
+    "hasPredictions": true,
+    "products": [
+      "water_level",
+      "predictions",
+      "wind",
+      "water_temperature"
+    ]
   },
   {
     "id": "8774230",
     "name": "Aransas Wildlife Refuge",
     "lat": 28.227,
     "lon": -96.796,
-    "hasPredictions": true
+    "hasPredictions": true,
+    "products": [
+      "water_level",
+      "predictions",
+      "wind",
+      "water_temperature",
+      "air_temperature",
+      "air_pressure"
+    ]
   },
   {
     "id": "8775132",
     "name": "La Quinta Channel North",
     "lat": 27.881,
     "lon": -97.285,
-    "hasPredictions": true
+    "hasPredictions": true,
+    "products": [
+      "water_level",
+      "predictions",
+      "wind",
+      "water_temperature",
+      "air_pressure"
+    ]
   },
   {
     "id": "8775222",
     "name": "Viola Turning Basin",
     "lat": 27.841,
     "lon": -97.52,
-    "hasPredictions": true
+    "hasPredictions": true,
+    "products": [
+      "water_level",
+      "predictions",
+      "wind",
+      "water_temperature"
+    ]
   },
   {
     "id": "8775237",
     "name": "Port Aransas",
     "lat": 27.84,
     "lon": -97.072,
-    "hasPredictions": true
+    "hasPredictions": true,
+    "products": [
+      "water_level",
+      "predictions",
+      "wind",
+      "water_temperature"
+    ]
   },
   {
     "id": "8775241",
     "name": "Aransas Pass",
     "lat": 27.8366,
     "lon": -97.0391,
-    "hasPredictions": true
+    "hasPredictions": true,
+    "products": [
+      "water_level",
+      "predictions",
+      "wind",
+      "water_temperature",
+      "air_pressure"
+    ]
   },
   {
     "id": "8775244",
     "name": "Nueces Bay",
     "lat": 27.832,
     "lon": -97.486,
-    "hasPredictions": true
+    "hasPredictions": true,
+    "products": [
+      "water_level",
+      "predictions",
+      "wind",
+      "water_temperature",
+      "air_temperature",
+      "air_pressure"
+    ]
   },
   {
     "id": "8775296",
     "name": "USS Lexington, Corpus Christi Bay",
     "lat": 27.811694,
     "lon": -97.39,
-    "hasPredictions": true
+    "hasPredictions": true,
+    "products": [
+      "water_level",
+      "predictions",
+      "wind",
+      "water_temperature",
+      "air_temperature",
+      "air_pressure"
+    ]
   },
   {
     "id": "8775870",
     "name": "Bob Hall Pier, Corpus Christi",
     "lat": 27.58,
     "lon": -97.217,
-    "hasPredictions": true
+    "hasPredictions": true,
+    "products": [
+      "water_level",
+      "predictions",
+      "wind",
+      "water_temperature",
+      "air_pressure"
+    ]
   },
   {
     "id": "8775792",
     "name": "Packery Channel",
     "lat": 27.633,
     "lon": -97.236,
-    "hasPredictions": true
+    "hasPredictions": true,
+    "products": [
+      "water_level",
+      "predictions",
+      "wind",
+      "water_temperature"
+    ]
   },
   {
     "id": "8776139",
     "name": "South Bird Island",
     "lat": 27.48,
     "lon": -97.322,
-    "hasPredictions": false
+    "hasPredictions": false,
+    "products": [
+      "water_level",
+      "wind",
+      "water_temperature"
+    ]
   },
   {
     "id": "8776604",
     "name": "Baffin Bay",
     "lat": 27.295,
     "lon": -97.405,
-    "hasPredictions": false
+    "hasPredictions": false,
+    "products": [
+      "water_level"
+    ]
   },
   {
     "id": "8777812",
     "name": "Rincon Del San Jose",
     "lat": 26.8017,
     "lon": -97.47,
-    "hasPredictions": false
+    "hasPredictions": false,
+    "products": [
+      "water_level",
+      "wind",
+      "water_temperature"
+    ]
   },
   {
     "id": "8778485",
     "name": "Padre Island, Port Mansfield Channel Entrance",
     "lat": 26.565,
     "lon": -97.2767,
-    "hasPredictions": false
+    "hasPredictions": false,
+    "products": [
+      "water_level"
+    ]
   },
   {
     "id": "8778490",
     "name": "Port Mansfield",
     "lat": 26.5583,
     "lon": -97.425,
-    "hasPredictions": false
+    "hasPredictions": false,
+    "products": [
+      "water_level",
+      "wind",
+      "water_temperature"
+    ]
   },
   {
     "id": "8779280",
     "name": "Realitos Peninsula",
     "lat": 26.262,
     "lon": -97.285,
-    "hasPredictions": true
+    "hasPredictions": true,
+    "products": [
+      "water_level",
+      "predictions",
+      "wind",
+      "water_temperature"
+    ]
   },
   {
     "id": "8779748",
     "name": "South Padre Island Coast Guard Station",
     "lat": 26.072,
     "lon": -97.167,
-    "hasPredictions": true
+    "hasPredictions": true,
+    "products": [
+      "water_level",
+      "predictions",
+      "wind"
+    ]
   },
   {
     "id": "8779749",
     "name": "SPI Brazos Santiago",
     "lat": 26.067,
     "lon": -97.155,
-    "hasPredictions": true
+    "hasPredictions": true,
+    "products": [
+      "water_level",
+      "predictions",
+      "wind",
+      "water_temperature",
+      "air_temperature",
+      "air_pressure"
+    ]
   },
   {
     "id": "8779770",
     "name": "Port Isabel",
     "lat": 26.061,
     "lon": -97.216,
-    "hasPredictions": true
+    "hasPredictions": true,
+    "products": [
+      "water_level",
+      "predictions"
+    ]
   }
 ];
@@ -0,0 +1,95 @@
+// Favorites summary — /api/summary?stations=a,b,c. One compact entry per
+// station for the favorites list: current level and trend, water temp, wind
+// and the 24-hour curve thinned to half-hourly points. Pieces are read
+// through the KV keys the single routes write. Stations are worked a few at a
+// time and share one upstream-fetch budget, so a long list on a cold cache
+// stays under the subrequest limit; a piece the budget doesn't reach comes
+// from stale cache or shows up in that station's `errors`.
+
+import { STATIONS } from './stations.js';
+import { stationSources, num } from './sources.js';
+import { predictionTrend } from './snapshot.js';
+
+export const MAX_SUMMARY_STATIONS = 30;
+const CONCURRENCY = 4;
+const CURVE_STEP_MS = 30 * 60 * 1000;
+const HOUR_MS = 3600 * 1000;
+
+const stationsById = new Map(STATIONS.map((s) => [s.id, s]));
+
+/** ?stations=a,b,c → [ids] (deduped, in order) or { error }. */
+export function parseSummaryStations(value) {
+  const ids = [...new Set((value || '').split(',').map((s) => s.trim()).filter(Boolean))];
+  if (!ids.length) return { error: 'stations is required' };
+  if (ids.length > MAX_SUMMARY_STATIONS) return { error: `At most ${MAX_SUMMARY_STATIONS} stations` };
+  return ids;
+}
+
+// Keep one point per half hour, heights to the hundredth.
+function thin(points) {
+  const times = [];
+  const heights = [];
+  let next = -Infinity;
+  for (const p of points) {
+    if (p.time.getTime() < next || p.ft == null) continue;
+    times.push(p.time);
+    heights.push(Math.round(p.ft * 100) / 100);
+    next = p.time.getTime() + CURVE_STEP_MS;
+  }
+  return { times, heights };
+}
+
+async function summarize(station, src, now) {
+  const errors = {};
+  const attempt = (name, promise) => promise.catch((err) => { errors[name] = err.message; return null; });
+  // Only ask for what the gauge reports: NOAA answers the rest with an error
+  // body that isn't cached, so every summary would spend budget on it again.
+  const has = (product) => station.products.includes(product);
+  const [latest, predictions, waterTemp, wind] = await Promise.all([
+    attempt('level', src.latest('water_level', 'MLLW')),
+    station.hasPredictions ? attempt('curve', src.predictions()) : null,
+    has('water_temperature') ? attempt('waterTemp', src.latest('water_temperature')) : null,
+    has('wind') ? attempt('wind', src.latest('wind')) : null,
+  ]);
+
+  // The panel's sparkline window: 6 hours back, 24 ahead. Gauges without
+  // predictions show their last 24 hours instead.
+  const begin = now.getTime() - 6 * HOUR_MS;
+  const end = now.getTime() + 24 * HOUR_MS;
+  const window = (predictions || []).filter((p) => p.time >= begin && p.time <= end);
+  let curve = null;
+  if (window.length) {
+    curve = { kind: 'predicted', ...thin(window) };
+  } else {
+    const observed = await attempt('curve', src.waterLevels(24, 'MLLW'));
+    if (observed?.length) curve = { kind: 'observed', ...thin(observed) };
+  }
+  if (curve) delete errors.curve;
+
+  return {
+    level: num(latest?.v),
+    trend: window.length ? predictionTrend(window, now) : 'unknown',
+    waterTemp: num(waterTemp?.v),
+    wind: wind ? { speed: num(wind.s), gust: num(wind.g), direction: wind.dr || null } : null,
+    curve,
+    errors,
+  };
+}
+
+/**
+ * Summaries for a list of station ids: { generatedAt, stations: { id:
+ * { level, trend, waterTemp, wind, curve: { kind, times, heights }, errors }
+ * | { error } } }. Level in ft MLLW, wind in knots, times ISO instants.
+ */
+export async function stationSummaries(env, ids) {
+  const budget = { left: parseInt(env.SUMMARY_FETCH_BUDGET || '40') };
+  const now = new Date();
+  const stations = {};
+  for (let i = 0; i < ids.length; i += CONCURRENCY) {
+    await Promise.all(ids.slice(i, i + CONCURRENCY).map(async (id) => {
+      const station = stationsById.get(id);
+      stations[id] = station ? await summarize(station, stationSources(env, station, budget), now) : { error: 'Unknown station' };
+    }));
+  }
+  return { generatedAt: now.toISOString(), stations };
+}
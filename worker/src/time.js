@@ -0,0 +1,46 @@
+// Central-time helpers shared by the cron jobs. Texas clients send
+// device-local times to NOAA's lst_ldt, so anything the Worker fetches on its
+// own must use Central wall-clock strings to land on the same cache keys.
+
+// Format an absolute instant as NOAA "YYYYMMDD HH:MM" in Central time.
+// Minutes are irrelevant for keys — cacheKey snaps them to the hour.
+export function formatCentral(date) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: 'America/Chicago',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', hour12: false,
+  }).formatToParts(date);
+  const o = {};
+  for (const p of parts) o[p.type] = p.value;
+  const hour = o.hour === '24' ? '00' : o.hour;
+  return `${o.year}${o.month}${o.day} ${hour}:${o.minute}`;
+}
+
+// { begin, end } NOAA dates for a window relative to now, in hours.
+export function centralRange(hoursStart, hoursEnd) {
+  const now = Date.now();
+  return {
+    begin: formatCentral(new Date(now + hoursStart * 3600_000)),
+    end: formatCentral(new Date(now + hoursEnd * 3600_000)),
+  };
+}
+
+// NOAA "YYYY-MM-DD HH:MM" Central wall-clock (lst_ldt response times) → Date.
+// Central is UTC-5 or UTC-6; take whichever offset formats back to the same
+// wall time (an ambiguous fall-back hour resolves to CDT).
+export function parseCentral(value) {
+  const m = /^(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2})$/.exec(value || '');
+  if (!m) return null;
+  const wall = Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5]);
+  const want = `${m[1]}${m[2]}${m[3]} ${m[4]}:${m[5]}`;
+  for (const h of [5, 6]) {
+    const d = new Date(wall + h * 3600_000);
+    if (formatCentral(d) === want) return d;
+  }
+  return new Date(wall + 6 * 3600_000);
+}
+
+// Short Central clock time for notification text, e.g. "3:42 PM".
+export function centralClock(date) {
+  return date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: 'America/Chicago' });
+}
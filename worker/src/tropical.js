@@ -0,0 +1,175 @@
+// Active Atlantic tropical cyclones from the National Hurricane Center.
+// CurrentStorms.json lists each storm's position, intensity and movement with
+// links to its GIS products; the forecast cone, forecast track and past track
+// come as KMZ (a zip holding one KML document), unpacked here so the app gets
+// plain coordinates.
+
+import { fetchCurrentStorms, fetchNhcFile } from './upstream.js';
+
+const CLASSIFICATIONS = {
+  TD: 'Tropical Depression',
+  TS: 'Tropical Storm',
+  HU: 'Hurricane',
+  STD: 'Subtropical Depression',
+  STS: 'Subtropical Storm',
+  PTC: 'Potential Tropical Cyclone',
+  PC: 'Post-Tropical Cyclone',
+  TC: 'Tropical Cyclone',
+};
+
+// ---- KMZ -----------------------------------------------------------------
+
+// First .kml entry of a zip, found through the central directory (local
+// headers may defer their sizes to a data descriptor). Stored and deflated
+// entries only — all NHC writes.
+async function kmlFromKmz(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) return null;
+
+  const count = view.getUint16(eocd + 10, true);
+  let p = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+  for (let n = 0; n < count && view.getUint32(p, true) === 0x02014b50; n++) {
+    const method = view.getUint16(p + 10, true);
+    const size = view.getUint32(p + 20, true);
+    const nameLen = view.getUint16(p + 28, true);
+    const skip = nameLen + view.getUint16(p + 30, true) + view.getUint16(p + 32, true);
+    const name = decoder.decode(bytes.subarray(p + 46, p + 46 + nameLen));
+    const local = view.getUint32(p + 42, true);
+    p += 46 + skip;
+    if (!/\.kml$/i.test(name)) continue;
+
+    const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+    const data = bytes.subarray(start, start + size);
+    if (method === 0) return decoder.decode(data);
+    if (method !== 8) return null;
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).text();
+  }
+  return null;
+}
+
+async function fetchKml(url) {
+  if (!url) return null;
+  const res = await fetchNhcFile(url);
+  if (res.error) return null;
+  try {
+    return await kmlFromKmz(res.bytes);
+  } catch (err) {
+    console.warn(`[tropical] bad KMZ ${url}: ${err.message}`);
+    return null;
+  }
+}
+
+// ---- KML -----------------------------------------------------------------
+
+const round = (v) => Math.round(v * 1000) / 1000;
+
+// "lon,lat,alt lon,lat,alt ..." → [[lon, lat], ...]
+function coordinates(text) {
+  return text.trim().split(/\s+/).map((t) => t.split(',').map(Number))
+    .filter(([lon, lat]) => !isNaN(lon) && !isNaN(lat))
+    .map(([lon, lat]) => [round(lon), round(lat)]);
+}
+
+function placemarks(kml) {
+  return [...kml.matchAll(/<Placemark[\s\S]*?<\/Placemark>/g)].map((m) => m[0]);
+}
+
+function tagText(xml, tag) {
+  const m = new RegExp(`<${tag}[^>]*>([\\s\\S]*?)</${tag}>`).exec(xml);
+  return m ? m[1].replace(/<!\[CDATA\[|\]\]>/g, '').trim() : null;
+}
+
+function stripHtml(html) {
+  return html.replace(/<[^>]+>/g, ' ').replace(/&nbsp;/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Cone of uncertainty: the outer ring of each polygon.
+function parseCone(kml) {
+  return [...kml.matchAll(/<outerBoundaryIs>[\s\S]*?<coordinates>([\s\S]*?)<\/coordinates>/g)]
+    .map((m) => coordinates(m[1]))
+    .filter((ring) => ring.length >= 4);
+}
+
+// Forecast points: position plus what the description says about the valid
+// time and intensity ("Valid at: 7:00 PM CDT August 25", "Maximum Wind: 65 knots").
+function parseForecast(kml) {
+  return placemarks(kml).map((pm) => {
+    const point = /<Point>[\s\S]*?<coordinates>([\s\S]*?)<\/coordinates>/.exec(pm);
+    if (!point) return null;
+    const [lonLat] = coordinates(point[1]);
+    if (!lonLat) return null;
+    const text = stripHtml(tagText(pm, 'description') || '');
+    const valid = /Valid at:\s*(.+?)(?=\s+(?:Forecast Hour|Maximum Wind|Wind Gusts|Minimum Pressure|Storm Type|Location|Movement)\b|$)/i.exec(text);
+    const wind = /Maximum Wind:\s*(\d+)\s*(?:knots|kt)/i.exec(text);
+    return {
+      lon: lonLat[0],
+      lat: lonLat[1],
+      label: valid ? valid[1] : stripHtml(tagText(pm, 'name') || ''),
+      windKt: wind ? parseInt(wind[1]) : null,
+    };
+  }).filter(Boolean);
+}
+
+// Past track: its line segments, or the best-track points joined in order.
+function parseTrack(kml) {
+  const lines = [...kml.matchAll(/<LineString>[\s\S]*?<coordinates>([\s\S]*?)<\/coordinates>/g)]
+    .map((m) => coordinates(m[1]))
+    .filter((l) => l.length >= 2);
+  if (lines.length) return lines;
+  const points = [...kml.matchAll(/<Point>[\s\S]*?<coordinates>([\s\S]*?)<\/coordinates>/g)]
+    .map((m) => coordinates(m[1])[0])
+    .filter(Boolean);
+  return points.length >= 2 ? [points] : [];
+}
+
+// ---- Storms ----------------------------------------------------------------
+
+function num(v) {
+  const n = parseFloat(v);
+  return isNaN(n) ? null : n;
+}
+
+async function storm(s) {
+  const [coneKml, forecastKml, trackKml] = await Promise.all([
+    fetchKml(s.trackCone?.kmzFile),
+    fetchKml(s.forecastTrack?.kmzFile),
+    fetchKml(s.track?.kmzFile),
+  ]);
+  return {
+    id: s.id,
+    name: s.name,
+    classification: s.classification,
+    type: CLASSIFICATIONS[s.classification] || 'Tropical Cyclone',
+    windKt: num(s.intensity),
+    pressureMb: num(s.pressure),
+    lat: num(s.latitudeNumeric),
+    lon: num(s.longitudeNumeric),
+    movement: { direction: num(s.movementDir), speedMph: num(s.movementSpeed) },
+    lastUpdate: s.lastUpdate || null,
+    advisory: s.publicAdvisory
+      ? { number: s.publicAdvisory.advNum || null, issued: s.publicAdvisory.issuance || null, url: s.publicAdvisory.url || null }
+      : null,
+    cone: coneKml ? parseCone(coneKml) : [],
+    forecast: forecastKml ? parseForecast(forecastKml) : [],
+    track: trackKml ? parseTrack(trackKml) : [],
+  };
+}
+
+// Producer for cached(): { updatedAt, storms: [...] } for Atlantic-basin
+// systems (which covers the Gulf), or { error }.
+export async function activeStorms() {
+  const data = await fetchCurrentStorms();
+  if (data.error) return { error: data.error };
+  const atlantic = (data.activeStorms || []).filter((s) => /^al/i.test(s.id || ''));
+  const storms = await Promise.all(atlantic.map(storm));
+  return {
+    updatedAt: new Date().toISOString(),
+    storms: storms.filter((s) => s.lat != null && s.lon != null),
+  };
+}
@@ -2,9 +2,13 @@
 // Ported from pi-backend/src/services/*. Uses the Workers-native fetch and
 // AbortSignal.timeout instead of node-fetch.
 
+import { recordUpstream } from './metrics.js';
+
 const NOAA_BASE_URL = 'https://api.tidesandcurrents.noaa.gov/api/prod/datagetter';
 const NWS_BASE_URL = 'https://api.weather.gov';
 const USNO_BASE_URL = 'https://aa.usno.navy.mil/api';
+const NHC_BASE_URL = 'https://www.nhc.noaa.gov';
+const NDBC_REALTIME_URL = 'https://www.ndbc.noaa.gov/data/realtime2';
 const TIMEOUT_MS = 10000;
 const NWS_USER_AGENT = 'slackwater (github.com/steelheadforever/texas-tides)';
 
@@ -12,6 +16,26 @@ function timeout() {
   return AbortSignal.timeout(TIMEOUT_MS);
 }
 
+// fetch with the shared timeout, recording latency and outcome per upstream
+// as Analytics Engine data points (read back by /admin/metrics). By default
+// it resolves to the response and a non-2xx status counts as an error;
+// `read(res)` can instead turn the response into { result, failed } for APIs
+// that report errors in the body. Throws like fetch.
+async function upstreamFetch(upstream, url, init = {}, read = (res) => ({ result: res, failed: !res.ok })) {
+  const started = Date.now();
+  let status = 0;
+  try {
+    const res = await fetch(url, { ...init, signal: timeout() });
+    status = res.status;
+    const { result, failed } = await read(res);
+    recordUpstream(upstream, failed ? 'error' : 'ok', Date.now() - started, status);
+    return result;
+  } catch (err) {
+    recordUpstream(upstream, err.name === 'TimeoutError' ? 'timeout' : 'error', Date.now() - started, status);
+    throw err;
+  }
+}
+
 // ---- NOAA ----------------------------------------------------------------
 
 // Generic NOAA CO-OPS request. `params` is the raw query object from the
@@ -30,8 +54,12 @@ export async function noaaGet(params) {
   }
 
   try {
-    const res = await fetch(url, { signal: timeout() });
-    const data = await res.json();
+    // NOAA answers most failures (no data, bad station/product) with HTTP 200
+    // and an { error } body; count those as errors too.
+    const data = await upstreamFetch('noaa', url, {}, async (res) => {
+      const body = await res.json();
+      return { result: body, failed: !res.ok || !!body.error };
+    });
     if (data.error) return { error: data.error };
     return data;
   } catch (err) {
@@ -39,13 +67,108 @@ export async function noaaGet(params) {
   }
 }
 
+// ---- NOAA long ranges ----------------------------------------------------
+
+// NOAA caps how much one datagetter request may span, by resolution: 6-minute
+// data is limited to 31 days, hourly / hi-lo / max-slack to a year, daily means
+// to 10 years. Longer requests are split into chunks under the limit, fetched
+// a few at a time, and stitched back into one response.
+const DAY_MS = 24 * 3600 * 1000;
+const MAX_CHUNKS = 24;
+const CHUNK_CONCURRENCY = 4;
+
+function rangeLimitDays(params) {
+  if (params.product === 'monthly_mean') return 200 * 365;
+  if (params.product === 'daily_mean') return 10 * 365;
+  if (params.product === 'hourly_height' || params.product === 'high_low') return 365;
+  if (params.interval === 'h' || params.interval === 'hilo' || params.interval === 'MAX_SLACK') return 365;
+  return 31;
+}
+
+// NOAA "YYYYMMDD" / "YYYYMMDD HH:MM" ↔ epoch ms. The wall-clock value is
+// treated as UTC purely for arithmetic, so the time zone is left untouched.
+function parseNoaaDate(value) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:\s+(\d{2}):(\d{2}))?$/.exec(String(value || ''));
+  return m ? Date.UTC(+m[1], +m[2] - 1, +m[3], +(m[4] || 0), +(m[5] || 0)) : null;
+}
+
+function formatNoaaDate(ms) {
+  const d = new Date(ms);
+  const p = (n) => String(n).padStart(2, '0');
+  return `${d.getUTCFullYear()}${p(d.getUTCMonth() + 1)}${p(d.getUTCDate())} ${p(d.getUTCHours())}:${p(d.getUTCMinutes())}`;
+}
+
+// Split a request into NOAA-sized windows. Returns [params] when no split is
+// needed (or the dates aren't begin/end form), or { error } when the span
+// would need more than MAX_CHUNKS upstream fetches.
+export function splitNoaaRange(params) {
+  const begin = parseNoaaDate(params.begin_date);
+  const end = parseNoaaDate(params.end_date);
+  if (begin == null || end == null || end <= begin) return [params];
+
+  const limit = rangeLimitDays(params) * DAY_MS;
+  if (end - begin <= limit) return [params];
+  const count = Math.ceil((end - begin) / limit);
+  if (count > MAX_CHUNKS) {
+    return { error: { message: `Range too long: ${Math.round((end - begin) / DAY_MS)} days needs ${count} requests (max ${MAX_CHUNKS}). Use a coarser interval.` } };
+  }
+
+  // NOAA ranges are inclusive, so each chunk ends a minute before the next
+  // begins — no duplicate samples at the seams.
+  const chunks = [];
+  for (let t = begin; t < end; t += limit) {
+    const last = t + limit >= end;
+    chunks.push({
+      ...params,
+      begin_date: formatNoaaDate(t),
+      end_date: formatNoaaDate(last ? end : t + limit - 60000),
+    });
+  }
+  return chunks;
+}
+
+// Merge chunk responses in order. Series live under data (observations),
+// predictions, or current_predictions.cp; metadata comes from the first chunk.
+function stitch(parts) {
+  const out = { ...parts[0] };
+  for (const key of ['data', 'predictions']) {
+    if (parts.some((p) => Array.isArray(p[key]))) out[key] = parts.flatMap((p) => p[key] || []);
+  }
+  if (parts.some((p) => p.current_predictions?.cp)) {
+    out.current_predictions = { ...parts[0].current_predictions, cp: parts.flatMap((p) => p.current_predictions?.cp || []) };
+  }
+  return out;
+}
+
+// noaaGet over an arbitrary begin/end range. Chunks NOAA answers with "no
+// data" (station outages, gaps in history) are dropped; any other chunk
+// failure fails the whole request so a partial series is never cached.
+export async function noaaGetRange(params) {
+  const chunks = splitNoaaRange(params);
+  if (chunks.error) return chunks;
+  if (chunks.length === 1) return noaaGet(chunks[0]);
+
+  const results = new Array(chunks.length);
+  for (let i = 0; i < chunks.length; i += CHUNK_CONCURRENCY) {
+    const batch = chunks.slice(i, i + CHUNK_CONCURRENCY);
+    const got = await Promise.all(batch.map((c) => noaaGet(c)));
+    got.forEach((r, j) => { results[i + j] = r; });
+  }
+
+  const noData = (r) => /no data/i.test(r.error?.message || '');
+  const failed = results.find((r) => r.error && !noData(r));
+  if (failed) return failed;
+  const ok = results.filter((r) => !r.error);
+  if (!ok.length) return results[0];
+  return stitch(ok);
+}
+
 // ---- NWS -----------------------------------------------------------------
 
-async function nwsGet(url) {
+async function nwsGet(url, accept = 'application/geo+json') {
   try {
-    const res = await fetch(url, {
-      headers: { 'User-Agent': NWS_USER_AGENT, Accept: 'application/geo+json' },
-      signal: timeout(),
+    const res = await upstreamFetch('nws', url, {
+      headers: { 'User-Agent': NWS_USER_AGENT, Accept: accept },
     });
     if (!res.ok) return { error: { message: `${res.status} ${res.statusText}` } };
     return await res.json();
@@ -69,6 +192,66 @@ export function fetchLatestObservation(stationId) {
 export function fetchObservations(stationId, limit = 6) {
   return nwsGet(`${NWS_BASE_URL}/stations/${stationId}/observations?limit=${limit}`);
 }
+// Marine forecast zones (GMZ...) containing a point — an empty collection on land.
+export function fetchMarineZones(lat, lon) {
+  return nwsGet(`${NWS_BASE_URL}/zones?type=marine&point=${lat.toFixed(4)},${lon.toFixed(4)}`);
+}
+// Active alerts for state / marine area codes (TX, GM, ...).
+export function fetchActiveAlerts(areas) {
+  return nwsGet(`${NWS_BASE_URL}/alerts/active?area=${areas.join(',')}`);
+}
+// A zone with its outline, by the URL alerts list in affectedZones.
+export function fetchZone(url) {
+  if (!url.startsWith(`${NWS_BASE_URL}/zones/`)) return Promise.resolve({ error: { message: 'Not an NWS zone URL' } });
+  return nwsGet(url);
+}
+// Latest text product of a type (e.g. CWF) issued by a forecast office.
+export async function fetchLatestProduct(type, office) {
+  const list = await nwsGet(`${NWS_BASE_URL}/products/types/${type}/locations/${office}`, 'application/ld+json');
+  if (list.error) return list;
+  const latest = list['@graph']?.[0];
+  if (!latest) return { error: { message: `No ${type} product for ${office}` } };
+  return nwsGet(latest['@id'], 'application/ld+json');
+}
+
+// ---- NDBC ----------------------------------------------------------------
+
+// Realtime standard meteorological file (last 45 days, newest first) for a
+// buoy or C-MAN station, as text.
+export async function fetchNdbcRealtime(stationId) {
+  try {
+    const res = await upstreamFetch('ndbc', `${NDBC_REALTIME_URL}/${stationId.toUpperCase()}.txt`);
+    if (!res.ok) return { error: { message: `${res.status} ${res.statusText}` } };
+    return { text: await res.text() };
+  } catch (err) {
+    return { error: { message: err.name === 'TimeoutError' ? 'Request timeout' : err.message } };
+  }
+}
+
+// ---- NHC -----------------------------------------------------------------
+
+// Active tropical cyclones with links to each storm's GIS products.
+export async function fetchCurrentStorms() {
+  try {
+    const res = await upstreamFetch('nhc', `${NHC_BASE_URL}/CurrentStorms.json`);
+    if (!res.ok) return { error: { message: `${res.status} ${res.statusText}` } };
+    return await res.json();
+  } catch (err) {
+    return { error: { message: err.name === 'TimeoutError' ? 'Request timeout' : err.message } };
+  }
+}
+
+// A GIS file (KMZ) linked from CurrentStorms.json, as raw bytes.
+export async function fetchNhcFile(url) {
+  if (!url || !url.startsWith(NHC_BASE_URL)) return { error: { message: 'Not an NHC URL' } };
+  try {
+    const res = await upstreamFetch('nhc', url);
+    if (!res.ok) return { error: { message: `${res.status} ${res.statusText}` } };
+    return { bytes: new Uint8Array(await res.arrayBuffer()) };
+  } catch (err) {
+    return { error: { message: err.name === 'TimeoutError' ? 'Request timeout' : err.message } };
+  }
+}
 
 // ---- USNO ----------------------------------------------------------------
 
@@ -99,7 +282,7 @@ export async function fetchSunMoon(lat, lon, date = new Date()) {
   url.searchParams.set('tz', String(tz));
 
   try {
-    const res = await fetch(url, { signal: timeout() });
+    const res = await upstreamFetch('usno', url);
     if (!res.ok) return { error: { message: `${res.status} ${res.statusText}` } };
     const data = await res.json();
     if (data.error) return { error: data.error };
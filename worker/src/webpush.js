@@ -0,0 +1,105 @@
+// Web Push sender on WebCrypto — RFC 8291 (aes128gcm payload encryption) and
+// RFC 8292 (VAPID). The npm web-push package needs Node crypto, so the Worker
+// does the handful of ECDH / HKDF / AES-GCM steps itself.
+
+const enc = new TextEncoder();
+
+export function b64urlEncode(bytes) {
+  let s = '';
+  for (const b of bytes) s += String.fromCharCode(b);
+  return btoa(s).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function b64urlDecode(str) {
+  const s = atob(str.replace(/-/g, '+').replace(/_/g, '/') + '='.repeat((4 - (str.length % 4)) % 4));
+  return Uint8Array.from(s, (c) => c.charCodeAt(0));
+}
+
+function concat(...parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let i = 0;
+  for (const p of parts) { out.set(p, i); i += p.length; }
+  return out;
+}
+
+// HKDF-SHA256 extract + expand in one step.
+async function hkdf(salt, ikm, info, length) {
+  const key = await crypto.subtle.importKey('raw', ikm, 'HKDF', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'HKDF', hash: 'SHA-256', salt, info }, key, length * 8);
+  return new Uint8Array(bits);
+}
+
+// Encrypt `payload` (string) for a browser subscription's p256dh/auth keys.
+// One record: salt | rs | idlen | sender public key | ciphertext.
+export async function encryptPayload(subscription, payload) {
+  const uaPublic = b64urlDecode(subscription.keys.p256dh);
+  const authSecret = b64urlDecode(subscription.keys.auth);
+
+  const ephemeral = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, true, ['deriveBits']);
+  const asPublic = new Uint8Array(await crypto.subtle.exportKey('raw', ephemeral.publicKey));
+  const uaKey = await crypto.subtle.importKey('raw', uaPublic, { name: 'ECDH', namedCurve: 'P-256' }, false, []);
+  const ecdhSecret = new Uint8Array(await crypto.subtle.deriveBits({ name: 'ECDH', public: uaKey }, ephemeral.privateKey, 256));
+
+  const ikm = await hkdf(authSecret, ecdhSecret, concat(enc.encode('WebPush: info\0'), uaPublic, asPublic), 32);
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const cek = await hkdf(salt, ikm, enc.encode('Content-Encoding: aes128gcm\0'), 16);
+  const nonce = await hkdf(salt, ikm, enc.encode('Content-Encoding: nonce\0'), 12);
+
+  const key = await crypto.subtle.importKey('raw', cek, 'AES-GCM', false, ['encrypt']);
+  // 0x02 marks the last (only) record; no padding.
+  const plaintext = concat(enc.encode(payload), new Uint8Array([2]));
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv: nonce }, key, plaintext));
+
+  const header = new Uint8Array(21 + asPublic.length);
+  header.set(salt, 0);
+  new DataView(header.buffer).setUint32(16, 4096);
+  header[20] = asPublic.length;
+  header.set(asPublic, 21);
+  return concat(header, ciphertext);
+}
+
+// VAPID Authorization header: an ES256 JWT for the push service's origin,
+// signed with the application server key. `vapid` = { publicKey, privateKey,
+// subject } — publicKey is the raw 65-byte point, privateKey the 32-byte d,
+// both base64url.
+async function vapidAuthorization(endpoint, vapid) {
+  const pub = b64urlDecode(vapid.publicKey);
+  const jwk = {
+    kty: 'EC', crv: 'P-256', ext: true,
+    d: vapid.privateKey,
+    x: b64urlEncode(pub.slice(1, 33)),
+    y: b64urlEncode(pub.slice(33, 65)),
+  };
+  const key = await crypto.subtle.importKey('jwk', jwk, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['sign']);
+  const header = b64urlEncode(enc.encode(JSON.stringify({ typ: 'JWT', alg: 'ES256' })));
+  const claims = b64urlEncode(enc.encode(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(Date.now() / 1000) + 12 * 3600,
+    sub: vapid.subject,
+  })));
+  const sig = await crypto.subtle.sign({ name: 'ECDSA', hash: 'SHA-256' }, key, enc.encode(`${header}.${claims}`));
+  return `vapid t=${header}.${claims}.${b64urlEncode(new Uint8Array(sig))}, k=${vapid.publicKey}`;
+}
+
+// Deliver one notification. Returns { ok, status, gone } — `gone` means the
+// push service dropped the subscription (404/410) and it should be deleted.
+export async function sendPush(subscription, payload, vapid, { ttl = 3600, urgency = 'normal' } = {}) {
+  try {
+    const body = await encryptPayload(subscription, JSON.stringify(payload));
+    const res = await fetch(subscription.endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Encoding': 'aes128gcm',
+        'Content-Type': 'application/octet-stream',
+        TTL: String(ttl),
+        Urgency: urgency,
+        Authorization: await vapidAuthorization(subscription.endpoint, vapid),
+      },
+      body,
+      signal: AbortSignal.timeout(10000),
+    });
+    return { ok: res.ok, status: res.status, gone: res.status === 404 || res.status === 410 };
+  } catch (err) {
+    return { ok: false, status: 0, gone: false, error: err.message };
+  }
+}